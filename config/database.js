@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 const { logger } = require('../utils/logger');
 
@@ -53,6 +54,9 @@ const dbConfig = {
 // Create connection pool
 const pool = new Pool(dbConfig);
 
+// Per-request user context so audit triggers see the authenticated identity
+const userContext = new AsyncLocalStorage();
+
 // Enhanced connection pool monitoring
 pool.on('error', (err) => {
   logger.error('Unexpected error on idle client', { error: err });
@@ -146,6 +150,9 @@ class Database {
   async query(text, params = []) {
     const client = await this.pool.connect();
     try {
+      // Pooled connections are shared, so the audit user is applied on every checkout
+      await client.query('SELECT set_config($1, $2, false)', ['app.current_user_id', this.getCurrentUserId()]);
+      
       const start = Date.now();
       const result = await client.query(text, params);
       const duration = Date.now() - start;
@@ -171,6 +178,7 @@ class Database {
     const client = await this.pool.connect();
     try {
       await client.query('BEGIN');
+      await client.query('SELECT set_config($1, $2, true)', ['app.current_user_id', this.getCurrentUserId()]);
       const result = await callback(client);
       await client.query('COMMIT');
       return result;
@@ -187,6 +195,16 @@ class Database {
     return await this.pool.connect();
   }
 
+  // Separate small pool on the same server, e.g. to restore a backup into another database
+  createPool(overrides = {}) {
+    return new Pool({ ...dbConfig, max: 2, min: 0, ...overrides });
+  }
+
+  // Name of the database this instance is connected to
+  getDatabaseName() {
+    return dbConfig.database;
+  }
+
   // Close all connections
   async close() {
     try {
@@ -534,13 +552,19 @@ class Database {
     }
   }
 
-  // Set user context for audit logging
+  // Run a callback with the given user recorded for audit logging
+  runWithUser(userId, callback) {
+    return userContext.run({ userId: userId || 'system' }, callback);
+  }
+
+  // Set user context for audit logging for the rest of the current async flow
   async setUserContext(userId) {
-    try {
-      await this.query('SELECT set_config($1, $2, false)', ['app.current_user_id', userId || 'system']);
-    } catch (error) {
-      console.warn('Could not set user context:', error.message);
-    }
+    userContext.enterWith({ userId: userId || 'system' });
+  }
+
+  // Identity written to audit_log.user_id by the audit triggers
+  getCurrentUserId() {
+    return userContext.getStore()?.userId || 'system';
   }
 
   // Helper methods for common operations
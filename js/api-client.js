@@ -4,6 +4,14 @@
  * Replaces localStorage operations with HTTP API calls
  */
 
+function clearFieldError(el) {
+    if (!el.hasAttribute('data-field-error')) return;
+    el.title = el.getAttribute('data-field-error');
+    el.removeAttribute('data-field-error');
+    el.removeAttribute('aria-invalid');
+    el.classList.remove('border-red-500');
+}
+
 class APIClient {
     constructor(baseUrl = '') {
         this.baseUrl = baseUrl;
@@ -27,8 +35,12 @@ class APIClient {
         try {
             const response = await fetch(url, options);
             
+            if (response.status === 401 && endpoint !== '/auth/login') {
+                this.handleUnauthorized();
+            }
+            
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw await this.responseError(response);
             }
 
             const contentType = response.headers.get('content-type');
@@ -43,6 +55,118 @@ class APIClient {
         }
     }
 
+    /**
+     * Download a file endpoint and hand it to the browser as a saved file.
+     * The file name comes from the Content-Disposition header.
+     */
+    async download(endpoint, params = {}, fallbackName = 'download') {
+        const query = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+                query.append(key, params[key]);
+            }
+        });
+        const url = `${this.baseUrl}/api${endpoint}${query.toString() ? `?${query}` : ''}`;
+
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (response.status === 401) {
+            this.handleUnauthorized();
+        }
+        if (!response.ok) {
+            throw await this.responseError(response);
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/i);
+        const fileName = match ? match[1] : fallbackName;
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return { fileName, exportId: response.headers.get('x-export-id') };
+    }
+
+    /**
+     * Build the Error thrown for a failed response. Validation failures
+     * ({ details: [{ field, message }] }) are also exposed as error.fields,
+     * keyed by field path, e.g. { 'sections[0].section_name': '... is required' }.
+     */
+    async responseError(response) {
+        const body = await response.json().catch(() => null);
+        const details = body && Array.isArray(body.details) ? body.details.filter(item => item && item.field !== undefined) : [];
+        const message = details.length
+            ? details.map(item => item.message).join('; ')
+            : body && (body.message || body.error);
+        const error = new Error(message || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.data = body;
+        error.fields = {};
+        details.forEach(item => {
+            if (!(item.field in error.fields)) error.fields[item.field] = item.message;
+        });
+        return error;
+    }
+
+    /**
+     * Mark the inputs named in error.fields as invalid and show the message as their tooltip.
+     * Inputs are found through `fieldIds` ({ field: elementId }) or by name / data-field
+     * inside `root`. Marks are cleared when the input changes or on the next call.
+     * Returns the field paths that could not be matched to an input.
+     */
+    showFieldErrors(error, fieldIds = {}, root = document) {
+        root.querySelectorAll('[data-field-error]').forEach(clearFieldError);
+
+        const fields = (error && error.fields) || {};
+        return Object.keys(fields).filter(field => {
+            const el = fieldIds[field]
+                ? document.getElementById(fieldIds[field])
+                : root.querySelector(`[name="${CSS.escape(field)}"], [data-field="${CSS.escape(field)}"]`);
+            if (!el) return true;
+
+            clearFieldError(el);
+            el.setAttribute('data-field-error', el.title); // original tooltip, restored on clear
+            el.setAttribute('aria-invalid', 'true');
+            el.classList.add('border-red-500');
+            el.title = fields[field];
+            el.addEventListener('input', () => clearFieldError(el), { once: true });
+            return false;
+        });
+    }
+
+    /**
+     * Send the user to the login page when the session is missing or expired
+     */
+    handleUnauthorized() {
+        if (window.location.pathname.startsWith('/login')) return;
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `/login?next=${next}`;
+    }
+
+    // Authentication API
+    async login(username, password) {
+        return this.request('POST', '/auth/login', { username, password });
+    }
+
+    async logout() {
+        return this.request('POST', '/auth/logout');
+    }
+
+    async getCurrentUser() {
+        return this.request('GET', '/auth/me');
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        return this.request('PUT', '/auth/password', {
+            current_password: currentPassword,
+            new_password: newPassword
+        });
+    }
+
     // Products API
     async getProducts() {
         return this.request('GET', '/products');
@@ -53,9 +177,8 @@ class APIClient {
     }
 
     async createProduct(product) {
-        // Ensure required fields are present and validate data before sending
+        // Send only the columns the product schema accepts; the server rejects unknown fields
         const productData = {
-            ...product,
             product_id: product.product_id || product.id || '',
             name: product.name || '',
             code: product.code || product.batch_code || '',
@@ -70,10 +193,17 @@ class APIClient {
             empty_box_weight: product.empty_box_weight !== undefined ? parseFloat(product.empty_box_weight) : (product.emptyBoxWeight !== undefined ? parseFloat(product.emptyBoxWeight) : 21.0),
             empty_carton_weight: product.empty_carton_weight !== undefined ? parseFloat(product.empty_carton_weight) : (product.emptyCartonWeight !== undefined ? parseFloat(product.emptyCartonWeight) : 680.0),
             aql_level: product.aql_level || product.aqlLevel || '1.5',
+            inspection_level: product.inspection_level || product.inspectionLevel || 'II',
             day_format: product.day_format || product.dayFormat || 'DD',
             month_format: product.month_format || product.monthFormat || 'letter',
             description: product.description || '',
             notes: product.notes || '',
+            doc_code: product.doc_code,
+            issue_no: product.issue_no,
+            review_no: product.review_no,
+            issue_date: product.issue_date,
+            review_date: product.review_date,
+            is_active: product.is_active,
             customVariables: product.customVariables || [],
             sections: product.sections || []
         };
@@ -90,6 +220,36 @@ class APIClient {
         return this.request('DELETE', `/products/${id}`);
     }
 
+    // id is the product UUID or its product code
+    async getProductRevisions(id) {
+        return this.request('GET', `/products/${encodeURIComponent(id)}/revisions`);
+    }
+
+    async getProductRevision(id, revision) {
+        return this.request('GET', `/products/${encodeURIComponent(id)}/revisions/${revision}`);
+    }
+
+    async createProductRevision(id, revision) {
+        return this.request('POST', `/products/${encodeURIComponent(id)}/revisions`, revision);
+    }
+
+    // action: 'approve' | 'reject'
+    async reviewProductRevision(id, revision, action, data = {}) {
+        return this.request('POST', `/products/${encodeURIComponent(id)}/revisions/${revision}/${action}`, data);
+    }
+
+    // Specification changes across products: { status, product_id, current, limit, offset }
+    async getSpecificationChanges(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request('GET', `/product-revisions${query ? `?${query}` : ''}`);
+    }
+
+    // ISO 2859-1 switching state of a product on a line, with the plan for a lot ({ production_line, pallet_count })
+    async getSamplingState(id, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request('GET', `/products/${encodeURIComponent(id)}/sampling${query ? `?${query}` : ''}`);
+    }
+
     // Reports API
     async getReports(filters = {}) {
         const params = new URLSearchParams();
@@ -111,14 +271,94 @@ class APIClient {
         return this.request('POST', '/reports', report);
     }
 
+    // Full replacement: omitted columns are cleared and omitted sections/parameters/pallets removed
     async updateReport(id, report) {
         return this.request('PUT', `/reports/${id}`, report);
     }
 
+    // Partial update: only the supplied columns and collections change
+    async patchReport(id, changes) {
+        return this.request('PATCH', `/reports/${id}`, changes);
+    }
+
     async deleteReport(id) {
         return this.request('DELETE', `/reports/${id}`);
     }
 
+    // action: submit | approve | reject | reopen
+    async transitionReport(id, action, data = {}) {
+        return this.request('POST', `/reports/${id}/${action}`, data);
+    }
+
+    async getReportTransitions(id) {
+        return this.request('GET', `/reports/${id}/transitions`);
+    }
+
+    // Revision history from the audit log (same shape for products)
+    async getReportHistory(id, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request('GET', `/reports/${id}/history${query ? `?${query}` : ''}`);
+    }
+
+    async getReportRevision(id, revision) {
+        return this.request('GET', `/reports/${id}/history/${revision}`);
+    }
+
+    async compareReportRevisions(id, from, to) {
+        return this.request('GET', `/reports/${id}/history/compare?from=${from}&to=${to}`);
+    }
+
+    async getProductHistory(id, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request('GET', `/products/${id}/history${query ? `?${query}` : ''}`);
+    }
+
+    // Server-rendered PDF of a stored report (opened by the browser, authenticated by the session cookie)
+    getReportPdfUrl(id, { download = false } = {}) {
+        return `${this.baseUrl}/api/reports/${id}/pdf${download ? '?download=true' : ''}`;
+    }
+
+    // Overfill per report, shift and product with recommended fill targets; same filters as getReports
+    async getGiveawayAnalysis(filters = {}) {
+        const params = new URLSearchParams();
+        Object.keys(filters).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+                params.append(key, filters[key]);
+            }
+        });
+        const queryString = params.toString();
+        return this.request('GET', `/analytics/giveaway${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Inspection parameters with numeric values in the reports matching the filters
+    async getParameters(filters = {}) {
+        const params = new URLSearchParams();
+        Object.keys(filters).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+                params.append(key, filters[key]);
+            }
+        });
+        const queryString = params.toString();
+        return this.request('GET', `/analytics/parameters${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // A parameter's values across reports as one SPC chart; report filters plus chart_type, subgroup_size, baseline_to
+    async getParameterSeries(parameterId, filters = {}) {
+        const params = new URLSearchParams();
+        Object.keys(filters).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+                params.append(key, filters[key]);
+            }
+        });
+        const queryString = params.toString();
+        return this.request('GET', `/analytics/parameters/${encodeURIComponent(parameterId)}/series${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Control limits and rule violations of SPC table data; new violations raise quality alerts
+    async evaluateSPC(chart) {
+        return this.request('POST', '/analytics/spc', chart);
+    }
+
     // Settings API
     async getSettings() {
         return this.request('GET', '/settings');
@@ -182,6 +422,76 @@ class APIClient {
         return this.request('DELETE', `/signatures/${id}`);
     }
 
+    // Inspection Alerts (CCP/OPRP) API
+    async getInspectionAlerts(filters = {}) {
+        const params = new URLSearchParams(filters);
+        const query = params.toString();
+        return this.request('GET', `/inspection-alerts${query ? `?${query}` : ''}`);
+    }
+
+    async createInspectionAlert(alert) {
+        return this.request('POST', '/inspection-alerts', alert);
+    }
+
+    async updateInspectionAlert(id, changes) {
+        return this.request('PATCH', `/inspection-alerts/${id}`, changes);
+    }
+
+    async deleteInspectionAlert(id) {
+        return this.request('DELETE', `/inspection-alerts/${id}`);
+    }
+
+    // Notifications API
+    async getNotifications(filters = {}) {
+        const params = new URLSearchParams(filters);
+        const query = params.toString();
+        return this.request('GET', `/notifications${query ? `?${query}` : ''}`);
+    }
+
+    async markNotificationRead(id) {
+        return this.request('PUT', `/notifications/${id}/read`);
+    }
+
+    /**
+     * Open the live event stream (Server-Sent Events; authenticated by the session cookie)
+     */
+    openEventStream() {
+        return new EventSource(`${this.baseUrl}/api/events/stream`, { withCredentials: true });
+    }
+
+    // Data Export API (format: csv or xlsx)
+    async exportReports(filters = {}, format = 'csv') {
+        return this.download('/export/reports', { ...filters, format }, `reports.${format}`);
+    }
+
+    async exportProducts(filters = {}, format = 'csv') {
+        return this.download('/export/products', { ...filters, format }, `products.${format}`);
+    }
+
+    async downloadExport(id) {
+        return this.download(`/export/${id}/download`);
+    }
+
+    // Audit log API (QA manager)
+    async getAuditLog(filters = {}) {
+        const query = new URLSearchParams(filters).toString();
+        return this.request('GET', `/audit${query ? `?${query}` : ''}`);
+    }
+
+    async exportAuditLog(filters = {}, format = 'csv') {
+        return this.download('/audit/export', { ...filters, format }, `audit_log.${format}`);
+    }
+
+    // Backups API (admin)
+    async getBackups(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request('GET', `/system/backup${query ? `?${query}` : ''}`);
+    }
+
+    async createBackup(backupType = 'full') {
+        return this.request('POST', '/system/backup', { backup_type: backupType });
+    }
+
     // Statistics API
     async getStatistics() {
         return this.request('GET', '/statistics');
@@ -0,0 +1,121 @@
+// Settings > Audit Log: search /api/audit, export CSV and show the diff of each entry (QA manager and above)
+(function(){
+  'use strict';
+
+  const PAGE_SIZE = 50;
+  const OPERATION_LABELS = { INSERT: 'Created', UPDATE: 'Updated', DELETE: 'Deleted' };
+  const CHANGE_CLASSES = { added: 'text-green-700', removed: 'text-red-600', changed: 'text-blue-700' };
+  const state = { offset: 0, total: 0, entries: [] };
+
+  function $(sel, root=document){ return root.querySelector(sel); }
+  function escapeHtml(value){
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+  function formatValue(value){
+    if(value === null || value === undefined) return '<span class="text-gray-400">&mdash;</span>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  function currentFilters(){
+    const filters = {
+      search: $('#audit-search')?.value.trim(),
+      user: $('#audit-user')?.value.trim(),
+      table: $('#audit-table')?.value,
+      operation: $('#audit-operation')?.value,
+      dateFrom: $('#audit-date-from')?.value,
+      dateTo: $('#audit-date-to')?.value
+    };
+    Object.keys(filters).forEach(key => { if(!filters[key]) delete filters[key]; });
+    return filters;
+  }
+
+  function renderEntries(){
+    const body = $('#audit-table-body');
+    if(!body) return;
+    if(!state.entries.length){
+      body.innerHTML = '<tr><td colspan="7" class="text-center text-gray-500">No audit entries found</td></tr>';
+    } else {
+      body.innerHTML = state.entries.map((entry, index) => `
+        <tr>
+          <td>${new Date(entry.timestamp).toLocaleString()}</td>
+          <td>${escapeHtml(entry.user_display_name || entry.user_id || 'system')}</td>
+          <td>${escapeHtml(entry.table_name)}</td>
+          <td>${escapeHtml(entry.record_label || entry.record_id)}</td>
+          <td>${OPERATION_LABELS[entry.operation] || escapeHtml(entry.operation)}</td>
+          <td class="text-xs">${escapeHtml((entry.changed_fields || []).filter(f => f !== 'updated_at').join(', '))}</td>
+          <td><button class="text-blue-600 hover:underline" data-audit-index="${index}">Diff</button></td>
+        </tr>
+      `).join('');
+    }
+
+    const info = $('#audit-pagination-info');
+    if(info){
+      const end = state.offset + state.entries.length;
+      info.textContent = state.total ? `Showing ${state.offset + 1}-${end} of ${state.total}` : 'No results';
+    }
+    const prev = $('#audit-prev'), next = $('#audit-next');
+    if(prev) prev.disabled = state.offset <= 0;
+    if(next) next.disabled = state.offset + PAGE_SIZE >= state.total;
+  }
+
+  function showDetail(entry){
+    const detail = $('#audit-detail');
+    if(!detail || !entry) return;
+    const heading = `<h4 class="font-semibold mb-2">${OPERATION_LABELS[entry.operation] || escapeHtml(entry.operation)} ${escapeHtml(entry.table_name)} &middot; ${escapeHtml(entry.record_label || entry.record_id)}</h4>`;
+    let content;
+    if(entry.operation === 'UPDATE'){
+      content = entry.changes.length ? `<table class="w-full text-xs">
+          <thead><tr class="text-left text-gray-600"><th>Field</th><th>Old</th><th>New</th></tr></thead>
+          <tbody>${entry.changes.map(change => `<tr class="border-t align-top">
+            <td class="py-1 pr-2 font-mono ${CHANGE_CLASSES[change.type] || ''}">${escapeHtml(change.path)}</td>
+            <td class="pr-2">${formatValue(change.old)}</td>
+            <td>${formatValue(change.new)}</td>
+          </tr>`).join('')}</tbody>
+        </table>` : '<p class="text-gray-500">No field changes.</p>';
+    } else {
+      const values = entry.operation === 'DELETE' ? entry.old_values : entry.new_values;
+      content = `<pre class="text-xs bg-gray-50 p-2 overflow-auto" style="max-height:40vh;">${escapeHtml(JSON.stringify(values || {}, null, 2))}</pre>`;
+    }
+    detail.innerHTML = heading + content;
+    detail.style.display = '';
+  }
+
+  async function loadAudit(){
+    const body = $('#audit-table-body');
+    try{
+      const json = await window.apiClient.getAuditLog({ ...currentFilters(), limit: PAGE_SIZE, offset: state.offset });
+      state.entries = json.data || [];
+      state.total = json.pagination ? json.pagination.total : state.entries.length;
+      renderEntries();
+    }catch(e){
+      console.error('Failed to load audit log', e);
+      if(body) body.innerHTML = `<tr><td colspan="7" class="text-center text-red-600">Failed to load audit log: ${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  async function exportCsv(){
+    try{
+      await window.apiClient.exportAuditLog(currentFilters(), 'csv');
+    }catch(e){
+      if(window.AppUtil && window.AppUtil.toast) window.AppUtil.toast('error', 'Export failed', escapeHtml(e.message));
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', async function(){
+    const tabButton = $('.settings-tab-button[data-settings-tab="audit"]');
+    if(!tabButton || !window.Auth) return;
+    await window.Auth.ready;
+    if(!window.Auth.hasRole('qa_manager')) return;
+
+    tabButton.style.display = '';
+    tabButton.addEventListener('click', loadAudit);
+    $('#audit-search-btn')?.addEventListener('click', () => { state.offset = 0; loadAudit(); });
+    $('#audit-export-btn')?.addEventListener('click', exportCsv);
+    $('#audit-prev')?.addEventListener('click', () => { state.offset = Math.max(0, state.offset - PAGE_SIZE); loadAudit(); });
+    $('#audit-next')?.addEventListener('click', () => { state.offset += PAGE_SIZE; loadAudit(); });
+    $('#audit-table-body')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-audit-index]');
+      if(btn) showDetail(state.entries[Number(btn.getAttribute('data-audit-index'))]);
+    });
+  });
+})();
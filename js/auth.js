@@ -0,0 +1,76 @@
+// Authentication: login form, current user chip, role checks for the UI
+(function(){
+  'use strict';
+
+  const ROLES = ['inspector', 'supervisor', 'qa_manager', 'admin'];
+  const Auth = window.Auth = window.Auth || {};
+  Auth.user = null;
+
+  Auth.hasRole = function(minimumRole){
+    if(!Auth.user) return false;
+    return ROLES.indexOf(Auth.user.role) >= ROLES.indexOf(minimumRole);
+  };
+
+  Auth.logout = async function(){
+    try{ await window.apiClient.logout(); }catch(_){ /* session may already be gone */ }
+    location.href = '/login';
+  };
+
+  // Resolves with the current user, redirecting to /login (via APIClient) when there is no session
+  Auth.ready = (async function(){
+    if(location.pathname.startsWith('/login')) return null;
+    try{
+      const res = await window.apiClient.getCurrentUser();
+      Auth.user = res.user;
+      document.dispatchEvent(new CustomEvent('auth:ready', { detail: res.user }));
+      return res.user;
+    }catch(e){
+      console.warn('[auth] no active session', e);
+      return null;
+    }
+  })();
+
+  function renderUserChip(user){
+    if(!user || document.getElementById('auth-user-chip')) return;
+    const chip = document.createElement('div');
+    chip.id = 'auth-user-chip';
+    chip.className = 'no-print';
+    chip.style.cssText = 'position:fixed;top:8px;right:12px;z-index:9000;background:#fff;border:1px solid #e5e7eb;border-radius:9999px;padding:4px 10px;font-size:12px;box-shadow:0 1px 2px rgba(0,0,0,.05);';
+    const name = document.createElement('span');
+    name.textContent = `${user.display_name || user.username} (${user.role.replace('_',' ')})`;
+    const btn = document.createElement('button');
+    btn.className = 'ml-2 text-red-600 hover:underline';
+    btn.innerHTML = '<i class="fas fa-sign-out-alt mr-1"></i>Logout';
+    btn.addEventListener('click', Auth.logout);
+    chip.appendChild(name);
+    chip.appendChild(btn);
+    document.body.appendChild(chip);
+  }
+
+  function wireLoginForm(form){
+    const error = document.getElementById('login-error');
+    form.addEventListener('submit', async (e)=>{
+      e.preventDefault();
+      if(error) error.classList.add('hidden');
+      const username = form.querySelector('#login-username').value.trim();
+      const password = form.querySelector('#login-password').value;
+      try{
+        await window.apiClient.login(username, password);
+        const next = new URL(location.href).searchParams.get('next') || '/';
+        // Only follow same-site relative paths
+        location.href = next.startsWith('/') && !next.startsWith('//') ? next : '/';
+      }catch(err){
+        if(error){
+          error.textContent = err.status === 401 ? 'Invalid username or password' : 'Login failed, please try again';
+          error.classList.remove('hidden');
+        }
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', async ()=>{
+    const form = document.getElementById('login-form');
+    if(form){ wireLoginForm(form); return; }
+    renderUserChip(await Auth.ready);
+  });
+})();
@@ -0,0 +1,117 @@
+// Settings > Backups: backup schedule status and recent backups from /api/system/backup (admin only)
+(function(){
+  'use strict';
+
+  const TYPE_LABELS = { full: 'Full', reports_only: 'Reports only', incremental: 'Incremental' };
+  const STATUS_CLASSES = { completed: 'text-green-700', failed: 'text-red-600', pending: 'text-yellow-700', expired: 'text-gray-500' };
+
+  function $(sel, root=document){ return root.querySelector(sel); }
+  function escapeHtml(value){
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+  function formatDate(value){ return value ? new Date(value).toLocaleString() : '-'; }
+  function formatSize(bytes){
+    if(bytes === null || bytes === undefined) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = Number(bytes);
+    let unit = 0;
+    while(size >= 1024 && unit < units.length - 1){ size /= 1024; unit++; }
+    return `${size.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+  }
+  function totalRecords(counts){
+    const values = Object.values(counts || {});
+    return values.length ? values.reduce((sum, n) => sum + Number(n || 0), 0).toLocaleString() : '-';
+  }
+  function statusCell(status, error){
+    if(!status) return '-';
+    const title = error ? ` title="${escapeHtml(error)}"` : '';
+    return `<span class="${STATUS_CLASSES[status] || ''}"${title}>${escapeHtml(status)}</span>`;
+  }
+  function toast(type, title, msg){
+    if(window.AppUtil && window.AppUtil.toast) window.AppUtil.toast(type, title, escapeHtml(msg));
+  }
+
+  function renderSchedule(schedule){
+    const body = $('#backup-schedule-body');
+    const summary = $('#backup-schedule-summary');
+    if(!body) return;
+    if(summary){
+      summary.textContent = schedule && schedule.enabled
+        ? `Backups are kept for ${schedule.retention_days} days`
+        : 'Scheduled backups are disabled';
+    }
+    const entries = (schedule && schedule.entries) || [];
+    if(!entries.length){
+      body.innerHTML = '<tr><td colspan="5" class="text-center text-gray-500">No backups scheduled</td></tr>';
+      return;
+    }
+    body.innerHTML = entries.map(entry => `
+      <tr>
+        <td>${escapeHtml(TYPE_LABELS[entry.backup_type] || entry.backup_type)}</td>
+        <td>${escapeHtml(entry.schedule)}</td>
+        <td>${formatDate(entry.last_started)}</td>
+        <td>${statusCell(entry.last_status, entry.last_error)}</td>
+        <td>${formatDate(entry.next_run_at)}</td>
+      </tr>
+    `).join('');
+  }
+
+  function renderBackups(rows){
+    const body = $('#backups-table-body');
+    if(!body) return;
+    if(!rows.length){
+      body.innerHTML = '<tr><td colspan="7" class="text-center text-gray-500">No backups yet</td></tr>';
+      return;
+    }
+    body.innerHTML = rows.map(row => `
+      <tr>
+        <td>${escapeHtml(row.backup_name)}</td>
+        <td>${escapeHtml(TYPE_LABELS[row.backup_type] || row.backup_type)}</td>
+        <td>${formatDate(row.backup_started)}</td>
+        <td>${formatSize(row.file_size)}</td>
+        <td>${totalRecords(row.record_counts)}</td>
+        <td>${statusCell(row.status, row.error_message)}</td>
+        <td>${formatDate(row.retention_until)}</td>
+      </tr>
+    `).join('');
+  }
+
+  async function loadBackups(){
+    const body = $('#backups-table-body');
+    try{
+      const json = await window.apiClient.getBackups({ limit: 20 });
+      renderSchedule(json.schedule);
+      renderBackups(json.data || []);
+    }catch(e){
+      console.error('Failed to load backups', e);
+      if(body) body.innerHTML = `<tr><td colspan="7" class="text-center text-red-600">Failed to load backups: ${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  async function backupNow(){
+    const button = $('#backup-now-btn');
+    const type = $('#backup-type')?.value || 'full';
+    if(button) button.disabled = true;
+    try{
+      const backup = await window.apiClient.createBackup(type);
+      toast('success', 'Backup created', `${backup.backup_name} (${formatSize(backup.file_size)})`);
+    }catch(e){
+      toast('error', 'Backup failed', e.message);
+    }finally{
+      if(button) button.disabled = false;
+      loadBackups();
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', async function(){
+    const tabButton = $('.settings-tab-button[data-settings-tab="backups"]');
+    if(!tabButton || !window.Auth) return;
+    await window.Auth.ready;
+    if(!window.Auth.hasRole('admin')) return;
+
+    tabButton.style.display = '';
+    tabButton.addEventListener('click', loadBackups);
+    $('#backup-now-btn')?.addEventListener('click', backupNow);
+    $('#backup-refresh-btn')?.addEventListener('click', loadBackups);
+  });
+})();
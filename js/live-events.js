@@ -0,0 +1,53 @@
+// Live events: Server-Sent Events connection shared by the pages (notifications, report changes, due alerts)
+(function(){
+  'use strict';
+
+  const EVENT_TYPES = ['notification', 'notification_read', 'report', 'alert_due'];
+  const handlers = {};
+  const Live = window.LiveEvents = window.LiveEvents || {};
+  Live.connected = false;
+
+  // Subscribe to an event type; returns an unsubscribe function
+  Live.on = function(type, handler){
+    (handlers[type] = handlers[type] || []).push(handler);
+    return ()=>{ handlers[type] = (handlers[type]||[]).filter(h=> h!==handler); };
+  };
+
+  function dispatch(type, data){
+    (handlers[type]||[]).forEach(h=>{ try{ h(data); }catch(e){ console.error('[live] handler failed', e); } });
+    document.dispatchEvent(new CustomEvent(`live:${type}`, { detail: data }));
+  }
+
+  function setStatus(connected){
+    if(Live.connected === connected) return;
+    Live.connected = connected;
+    dispatch('status', { connected });
+  }
+
+  function connect(){
+    if(!window.EventSource || !window.apiClient || Live.source) return;
+    // EventSource reconnects by itself (server sends retry: 5000)
+    const source = Live.source = window.apiClient.openEventStream();
+    source.addEventListener('ready', ()=> setStatus(true));
+    source.onerror = ()=> setStatus(false);
+    // Logged out or session expired: stop reconnecting
+    source.addEventListener('session_ended', ()=>{
+      source.close();
+      Live.source = null;
+      setStatus(false);
+    });
+    EVENT_TYPES.forEach(type=>{
+      source.addEventListener(type, (e)=>{
+        try{ dispatch(type, JSON.parse(e.data)); }catch(err){ console.warn('[live] bad event payload', err); }
+      });
+    });
+  }
+
+  window.addEventListener('beforeunload', ()=>{ if(Live.source) Live.source.close(); });
+
+  document.addEventListener('DOMContentLoaded', async ()=>{
+    if(location.pathname.startsWith('/login')) return;
+    const user = window.Auth ? await window.Auth.ready : null;
+    if(user) connect();
+  });
+})();
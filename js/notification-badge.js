@@ -0,0 +1,114 @@
+// Live notification badge: unread count with a dropdown, kept current by js/live-events.js
+(function(){
+  'use strict';
+
+  const MAX_ITEMS = 20;
+  const state = { items: [] };
+  const TOAST_TYPES = { critical: 'err', error: 'err', warning: 'warn', info: 'info' };
+
+  function escapeHtml(v){ return String(v??'').replace(/[&<>"']/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+  function toast(type,title,msg){ try{ window.AppUtil?.toast(type,title,msg); }catch(_){} }
+
+  function build(){
+    const wrap = document.createElement('div');
+    wrap.id = 'live-notification-badge';
+    wrap.className = 'no-print';
+    wrap.style.cssText = 'position:relative;display:inline-block;margin-right:8px;';
+    wrap.innerHTML = `
+      <button type="button" class="live-badge-btn" title="Notifications" style="position:relative;">
+        <i class="fas fa-bell"></i>
+        <span class="live-badge-count" style="display:none;position:absolute;top:-8px;right:-10px;min-width:16px;padding:0 4px;border-radius:9999px;background:#dc2626;color:#fff;font-size:10px;line-height:16px;text-align:center;"></span>
+        <span class="live-badge-dot" title="Live updates disconnected" style="display:none;position:absolute;bottom:-3px;left:-4px;width:6px;height:6px;border-radius:9999px;background:#9ca3af;"></span>
+      </button>
+      <div class="live-badge-panel" style="display:none;position:absolute;right:0;top:24px;width:320px;max-height:60vh;overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:6px;box-shadow:0 4px 12px rgba(0,0,0,.1);text-align:left;">
+        <div style="display:flex;justify-content:space-between;align-items:center;padding:6px 8px;border-bottom:1px solid #e5e7eb;">
+          <strong>Notifications</strong>
+          <button type="button" class="live-badge-read-all text-blue-600 hover:underline">Mark all read</button>
+        </div>
+        <ul class="live-badge-list" style="margin:0;padding:0;list-style:none;"></ul>
+      </div>`;
+
+    const chip = document.getElementById('auth-user-chip');
+    if(chip){
+      chip.insertBefore(wrap, chip.firstChild);
+    } else {
+      wrap.style.cssText += 'position:fixed;top:12px;right:16px;z-index:9000;';
+      document.body.appendChild(wrap);
+    }
+
+    const panel = wrap.querySelector('.live-badge-panel');
+    wrap.querySelector('.live-badge-btn').addEventListener('click', ()=>{
+      panel.style.display = panel.style.display==='none' ? '' : 'none';
+    });
+    wrap.querySelector('.live-badge-read-all').addEventListener('click', markAllRead);
+    wrap.querySelector('.live-badge-list').addEventListener('click', (e)=>{
+      const btn = e.target.closest('[data-read]');
+      if(btn) markRead(btn.getAttribute('data-read'));
+    });
+    document.addEventListener('click', (e)=>{ if(!wrap.contains(e.target)) panel.style.display = 'none'; });
+    return wrap;
+  }
+
+  function render(){
+    const wrap = document.getElementById('live-notification-badge');
+    if(!wrap) return;
+    const count = wrap.querySelector('.live-badge-count');
+    count.textContent = state.items.length > 99 ? '99+' : String(state.items.length);
+    count.style.display = state.items.length ? '' : 'none';
+    const list = wrap.querySelector('.live-badge-list');
+    list.innerHTML = state.items.length ? state.items.slice(0, MAX_ITEMS).map(n=> `
+      <li style="padding:6px 8px;border-bottom:1px solid #f3f4f6;">
+        <div style="display:flex;justify-content:space-between;gap:6px;">
+          <span class="font-semibold">${escapeHtml(n.title)}</span>
+          <button type="button" class="text-gray-500 hover:text-black" data-read="${n.id}" title="Mark read"><i class="fas fa-check"></i></button>
+        </div>
+        <div class="text-gray-600">${escapeHtml(n.message)}</div>
+        <div class="text-gray-400" style="font-size:10px;">${new Date(n.created_at||Date.now()).toLocaleString()}</div>
+      </li>`).join('') : '<li style="padding:8px;" class="text-gray-500">No unread notifications</li>';
+  }
+
+  async function refresh(){
+    try{
+      const res = await window.apiClient.getNotifications({ unread_only: 'true', limit: 100 });
+      state.items = res.data || [];
+      render();
+    }catch(e){ console.warn('[notifications] load failed', e); }
+  }
+
+  async function markRead(id){
+    try{
+      await window.apiClient.markNotificationRead(id);
+      state.items = state.items.filter(n=> n.id!==id);
+      render();
+    }catch(e){ toast('err','Notification', e.message); }
+  }
+
+  async function markAllRead(){
+    const ids = state.items.map(n=> n.id);
+    for(const id of ids){ await markRead(id); }
+  }
+
+  document.addEventListener('DOMContentLoaded', async ()=>{
+    const user = window.Auth ? await window.Auth.ready : null;
+    if(!user || !window.LiveEvents) return;
+    build();
+    await refresh();
+
+    window.LiveEvents.on('notification', (n)=>{
+      if(state.items.some(x=> x.id===n.id)) return;
+      state.items.unshift(n);
+      render();
+      toast(TOAST_TYPES[n.severity] || 'info', escapeHtml(n.title), escapeHtml(n.message));
+    });
+    window.LiveEvents.on('notification_read', ({ id })=>{
+      state.items = state.items.filter(n=> n.id!==id);
+      render();
+    });
+    window.LiveEvents.on('status', ({ connected })=>{
+      const dot = document.querySelector('#live-notification-badge .live-badge-dot');
+      if(dot) dot.style.display = connected ? 'none' : '';
+      // Catch up on anything missed while disconnected
+      if(connected) refresh();
+    });
+  });
+})();
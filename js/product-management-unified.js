@@ -6,6 +6,30 @@
 (function() {
     'use strict';
 
+    // Product modal inputs for the fields named in API validation errors
+    const PRODUCT_FIELD_INPUTS = {
+        product_id: 'product-id',
+        name: 'product-name-modal',
+        code: 'product-doc-code',
+        batch_code: 'product-batch-code',
+        standard_weight: 'product-standard-weight',
+        shelf_life: 'product-shelf-life',
+        cartons_per_pallet: 'product-cartons-per-pallet',
+        packs_per_box: 'product-packs-per-box',
+        boxes_per_carton: 'product-boxes-per-carton',
+        empty_box_weight: 'product-empty-box-weight',
+        empty_carton_weight: 'product-empty-carton-weight',
+        aql_level: 'product-aql-level',
+        inspection_level: 'product-inspection-level',
+        day_format: 'product-day-format',
+        month_format: 'product-month-format',
+        notes: 'product-notes',
+        issue_no: 'product-issue-no',
+        review_no: 'product-review-no',
+        issue_date: 'product-issue-date',
+        review_date: 'product-review-date'
+    };
+
     // Product Management System Configuration
     const ProductManagement = {
         products: [],
@@ -84,6 +108,7 @@
                 emptyBoxWeight: toNumber(p.emptyBoxWeight ?? p.empty_box_weight),
                 emptyCartonWeight: toNumber(p.emptyCartonWeight ?? p.empty_carton_weight),
                 aqlLevel: p.aqlLevel ?? p.aql_level ?? '',
+                inspectionLevel: p.inspectionLevel ?? p.inspection_level ?? 'II',
                 dayFormat: p.dayFormat ?? p.day_format ?? 'DD',
                 monthFormat: p.monthFormat ?? p.month_format ?? 'letter',
                 sections: Array.isArray(p.sections) ? p.sections : (p.sections ? Object.values(p.sections) : []),
@@ -311,7 +336,10 @@ saveProductFromForm: function() {
         let errorMessage = '❌ Failed to save product. ';
         const message = error && error.message ? error.message : '';
 
-        if (message.includes('HTTP 400')) {
+        if (error && error.status === 400 && error.fields && Object.keys(error.fields).length) {
+            window.apiClient.showFieldErrors(error, PRODUCT_FIELD_INPUTS);
+            errorMessage += message;
+        } else if (message.includes('HTTP 400')) {
             errorMessage += 'Please check that all required fields (Product Name, Document Code) are filled correctly.';
         } else if (message.includes('HTTP 409')) {
             errorMessage += 'A product with this ID or code already exists. Please use different values.';
@@ -423,7 +451,7 @@ saveProductFromForm: function() {
             const ids = [
                 'product-id','product-name-modal','product-standard-weight','product-shelf-life',
                 'product-cartons-per-pallet','product-packs-per-box','product-boxes-per-carton',
-                'product-empty-box-weight','product-empty-carton-weight','product-aql-level',
+                'product-empty-box-weight','product-empty-carton-weight','product-aql-level','product-inspection-level',
                 'product-batch-code','product-day-format','product-month-format','product-notes',
                 'product-doc-code','product-issue-no','product-review-no','product-issue-date','product-review-date'
             ];
@@ -529,6 +557,7 @@ saveProductFromForm: function() {
             setVal('product-empty-box-weight', product.emptyBoxWeight ?? '');
             setVal('product-empty-carton-weight', product.emptyCartonWeight ?? '');
             setVal('product-aql-level', product.aqlLevel ?? '');
+            setVal('product-inspection-level', product.inspectionLevel ?? 'II');
             setVal('product-batch-code', product.batchCodeFormat ?? product.code ?? '');
             setVal('product-day-format', product.dayFormat ?? 'DD');
             setVal('product-month-format', product.monthFormat ?? 'letter');
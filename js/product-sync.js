@@ -133,6 +133,7 @@ const ProductSync = {
             emptyBoxWeight: parseFloat(product.empty_box_weight) || 21.0,
             emptyCartonWeight: parseFloat(product.empty_carton_weight) || 680.0,
             aqlLevel: product.aql_level || '1.5',
+            inspectionLevel: product.inspection_level || 'II',
             dayFormat: product.day_format || 'DD',
             monthFormat: product.month_format || 'letter',
             docCode: product.doc_code || '',
@@ -183,6 +184,7 @@ const ProductSync = {
                     
                     for (const param of section.parameters) {
                         const paramData = {
+                            id: param.parameter_id || param.id,
                             name: param.parameter_name || param.name,
                             limits: param.limits || '',
                             type: param.parameter_type || param.type || 'text',
@@ -201,6 +203,11 @@ const ProductSync = {
                                 if (rules.min !== undefined) paramData.min = rules.min;
                                 if (rules.max !== undefined) paramData.max = rules.max;
                                 if (rules.limits) paramData.limits = rules.limits;
+                                // Structured spec (js/spec-limits.js); the form validates against it
+                                if (window.SpecLimits && window.SpecLimits.isSpec(rules)) {
+                                    paramData.spec = rules;
+                                    if (!paramData.limits) paramData.limits = window.SpecLimits.format(rules);
+                                }
                             } catch (e) {
                                 console.warn('Failed to parse validation rule:', e);
                             }
@@ -248,6 +255,7 @@ const ProductSync = {
             empty_box_weight: frontendProduct.emptyBoxWeight || 21.0,
             empty_carton_weight: frontendProduct.emptyCartonWeight || 680.0,
             aql_level: frontendProduct.aqlLevel || '1.5',
+            inspection_level: frontendProduct.inspectionLevel || 'II',
             day_format: frontendProduct.dayFormat || 'DD',
             month_format: frontendProduct.monthFormat || 'letter',
             doc_code: frontendProduct.docCode || '',
@@ -297,6 +305,7 @@ const ProductSync = {
                                     name: param.name,
                                     type: param.type || 'text',
                                     limits: param.limits,
+                                    spec: param.spec,
                                     units: param.units,
                                     decimals: param.decimals,
                                     min: param.min,
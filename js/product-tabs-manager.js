@@ -22,7 +22,8 @@
                 'product-boxes-per-carton',
                 'product-empty-box-weight',
                 'product-empty-carton-weight',
-                'product-aql-level'
+                'product-aql-level',
+                'product-inspection-level'
             ]
         },
         {
@@ -163,6 +164,7 @@
                 empty_box_weight: getNumber('product-empty-box-weight', 21.0),
                 empty_carton_weight: getNumber('product-empty-carton-weight', 680.0),
                 aql_level: getTrimmed('product-aql-level') || '1.5',
+                inspection_level: getTrimmed('product-inspection-level') || 'II',
                 day_format: getTrimmed('product-day-format') || 'DD',
                 month_format: getTrimmed('product-month-format') || 'letter',
                 description: getTrimmed('product-description'),
@@ -400,6 +402,18 @@
                     <option value="10.0%">10.0%</option>
                 </select>
             </div>
+            <div>
+                <label class="block font-semibold mb-1">Inspection Level (ISO 2859-1):</label>
+                <select id="product-inspection-level" class="input-field">
+                    <option value="S-1">S-1</option>
+                    <option value="S-2">S-2</option>
+                    <option value="S-3">S-3</option>
+                    <option value="S-4">S-4</option>
+                    <option value="I">I</option>
+                    <option value="II" selected>II</option>
+                    <option value="III">III</option>
+                </select>
+            </div>
         </div>
     `;
                     break;
@@ -0,0 +1,265 @@
+/**
+ * Quantity Control
+ * Average quantity (℮ mark) rules for prepacked products, applied to the weight (tare) checks.
+ *
+ *   T1 = Qn - TNE, T2 = Qn - 2 x TNE   TNE (tolerable negative error) from the regulation's table
+ *   mean criterion                     x̄ ≥ Qn - k·s, k = t(confidence, n - 1) / √n, s the sample std dev
+ *   individual criteria                packs below T1 ≤ the allowance for the sample size; none below T2
+ *   giveaway                           x̄ - Qn, the product given away per pack (overfill)
+ *
+ * A regulation is configuration, stored in the `quantity_regulations` setting:
+ *
+ *   { active: 'eu-76-211', regulations: { 'eu-76-211': {
+ *       name, mean_confidence: 0.995,
+ *       tolerable_deficiency: [{ up_to: 50, percent: 9 }, { up_to: 100, grams: 4.5 }, ..., { up_to: null, percent: 1 }],
+ *       allowed_below_t1: [{ min_sample: 125, allowed: 7 }, ..., { min_sample: 1, allowed: 0 }] } } }
+ *
+ * Used by the inspection form (window.QuantityControl) and the server (require).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuantityControl = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SETTING_KEY = 'quantity_regulations';
+  const DEFAULT_REGULATION_ID = 'eu-76-211';
+
+  // Upper quantiles of the standard normal distribution for the supported confidence levels
+  const NORMAL_QUANTILES = { 0.95: 1.644854, 0.975: 1.959964, 0.99: 2.326348, 0.995: 2.575829 };
+
+  const BUILT_IN_REGULATIONS = {
+    'eu-76-211': {
+      name: 'EU Directive 76/211/EEC (℮ mark)',
+      mean_confidence: 0.995,
+      // Nominal quantity in grams up to which each deficiency applies (null: no upper bound)
+      tolerable_deficiency: [
+        { up_to: 50, percent: 9 },
+        { up_to: 100, grams: 4.5 },
+        { up_to: 200, percent: 4.5 },
+        { up_to: 300, grams: 9 },
+        { up_to: 500, percent: 3 },
+        { up_to: 1000, grams: 15 },
+        { up_to: 10000, percent: 1.5 },
+        { up_to: 15000, grams: 150 },
+        { up_to: null, percent: 1 }
+      ],
+      // Packs allowed below T1 by sample size (OIML R 87 reference test)
+      allowed_below_t1: [
+        { min_sample: 125, allowed: 7 },
+        { min_sample: 80, allowed: 5 },
+        { min_sample: 50, allowed: 3 },
+        { min_sample: 13, allowed: 1 },
+        { min_sample: 1, allowed: 0 }
+      ]
+    }
+  };
+
+  /**
+   * Regulations from the setting value merged over the built-in ones, and the active one
+   */
+  function resolveRegulations(config) {
+    const regulations = { ...BUILT_IN_REGULATIONS, ...((config && config.regulations) || {}) };
+    const active = config && regulations[config.active] ? config.active : DEFAULT_REGULATION_ID;
+    return { active, regulations };
+  }
+
+  function activeRegulation(config) {
+    const { active, regulations } = resolveRegulations(config);
+    return { id: active, ...regulations[active] };
+  }
+
+  /**
+   * Problems with a setting value, as [{ field, message }]
+   */
+  function validateConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return [{ field: 'value', message: 'must be an object with active and regulations' }];
+    }
+    const { regulations } = resolveRegulations(config);
+    if (config.active !== undefined && !regulations[config.active]) {
+      errors.push({ field: 'value.active', message: `unknown regulation: ${config.active}` });
+    }
+    Object.entries(config.regulations || {}).forEach(([id, regulation]) => {
+      const field = `value.regulations.${id}`;
+      if (!regulation || typeof regulation !== 'object') {
+        errors.push({ field, message: 'must be an object' });
+        return;
+      }
+      if (regulation.mean_confidence !== undefined && !NORMAL_QUANTILES[regulation.mean_confidence]) {
+        errors.push({ field: `${field}.mean_confidence`, message: `must be one of: ${Object.keys(NORMAL_QUANTILES).join(', ')}` });
+      }
+      const table = regulation.tolerable_deficiency;
+      if (!Array.isArray(table) || !table.length) {
+        errors.push({ field: `${field}.tolerable_deficiency`, message: 'must list at least one range' });
+      } else {
+        table.forEach((row, index) => {
+          const rowField = `${field}.tolerable_deficiency.${index}`;
+          const last = index === table.length - 1;
+          if (!(row && (row.percent > 0) !== (row.grams > 0))) {
+            errors.push({ field: rowField, message: 'needs either percent or grams above 0' });
+          }
+          if (row && !(last && row.up_to === null) && !(row.up_to > ((table[index - 1] || {}).up_to || 0))) {
+            errors.push({ field: `${rowField}.up_to`, message: 'must increase from row to row (null only on the last row)' });
+          }
+        });
+      }
+      if (regulation.allowed_below_t1 !== undefined && !Array.isArray(regulation.allowed_below_t1)) {
+        errors.push({ field: `${field}.allowed_below_t1`, message: 'must be an array' });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Tolerable negative error in grams for a nominal quantity
+   */
+  function tolerableDeficiency(nominal, regulation = BUILT_IN_REGULATIONS[DEFAULT_REGULATION_ID]) {
+    const qn = parseFloat(nominal) || 0;
+    if (qn <= 0) return 0;
+    const table = regulation.tolerable_deficiency || [];
+    const row = table.find(entry => entry.up_to === null || entry.up_to === undefined || qn <= entry.up_to) || table[table.length - 1];
+    if (!row) return 0;
+    return row.grams !== undefined && row.grams !== null ? Number(row.grams) : qn * Number(row.percent) / 100;
+  }
+
+  function tareLimits(nominal, regulation) {
+    const qn = parseFloat(nominal) || 0;
+    if (qn <= 0) return { tne: 0, t1: 0, t2: 0, pack1: 0, pack2: 0 };
+    const tne = tolerableDeficiency(qn, regulation);
+    return { tne, t1: qn - tne, t2: qn - 2 * tne, pack1: qn - 2 * tne, pack2: qn + 2 * tne };
+  }
+
+  // Student's t quantile: exact for 1 and 2 degrees of freedom, Cornish-Fisher expansion above
+  function studentQuantile(confidence, df) {
+    if (df === 1) return Math.tan(Math.PI * (confidence - 0.5));
+    if (df === 2) return (2 * confidence - 1) / Math.sqrt(2 * confidence * (1 - confidence));
+    const z = NORMAL_QUANTILES[confidence] || NORMAL_QUANTILES[0.995];
+    const z3 = z ** 3, z5 = z ** 5, z7 = z ** 7, z9 = z ** 9;
+    return z
+      + (z3 + z) / (4 * df)
+      + (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2)
+      + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3)
+      + (79 * z9 + 776 * z7 + 1482 * z5 - 1920 * z3 - 945 * z) / (92160 * df ** 4);
+  }
+
+  /**
+   * Factor k of the mean criterion for a sample of n packs
+   */
+  function meanCorrectionFactor(n, confidence = 0.995) {
+    return n > 1 ? studentQuantile(confidence, n - 1) / Math.sqrt(n) : 0;
+  }
+
+  function allowedBelowT1(n, regulation) {
+    const row = (regulation.allowed_below_t1 || [])
+      .slice()
+      .sort((a, b) => b.min_sample - a.min_sample)
+      .find(entry => n >= entry.min_sample);
+    return row ? row.allowed : 0;
+  }
+
+  /**
+   * Count, mean, sample standard deviation and packs below T1 (including those below T2) and T2
+   */
+  function summarize(values, limits) {
+    const weights = (values || []).map(Number).filter(value => Number.isFinite(value) && value !== 0);
+    const count = weights.length;
+    const mean = count ? weights.reduce((sum, value) => sum + value, 0) / count : null;
+    const stdDev = count > 1
+      ? Math.sqrt(weights.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1))
+      : 0;
+    return {
+      count,
+      mean,
+      stdDev,
+      belowT1: weights.filter(value => value < limits.t1).length,
+      belowT2: weights.filter(value => value < limits.t2).length
+    };
+  }
+
+  /**
+   * Verdict for a lot: { regulation, nominal, tne, t1, t2, count, mean, std_dev, k, mean_limit,
+   * below_t1, allowed_below_t1, below_t2, mean_ok, t1_ok, t2_ok, compliant }.
+   * compliant is null without weighed packs.
+   */
+  function evaluateLot({ count, mean, stdDev, belowT1, belowT2 }, nominal, regulation = activeRegulation()) {
+    const limits = tareLimits(nominal, regulation);
+    const n = parseInt(count, 10) || 0;
+    const k = meanCorrectionFactor(n, regulation.mean_confidence);
+    const meanLimit = (parseFloat(nominal) || 0) - k * (Number(stdDev) || 0);
+    const allowed = allowedBelowT1(n, regulation);
+    const evaluated = n > 0 && mean !== null && mean !== undefined;
+    const meanOk = evaluated ? Number(mean) >= meanLimit : null;
+    const t1Ok = evaluated ? belowT1 <= allowed : null;
+    const t2Ok = evaluated ? belowT2 === 0 : null;
+
+    return {
+      regulation: regulation.id || null,
+      nominal: parseFloat(nominal) || 0,
+      tne: limits.tne,
+      t1: limits.t1,
+      t2: limits.t2,
+      count: n,
+      mean: evaluated ? Number(mean) : null,
+      std_dev: Number(stdDev) || 0,
+      k,
+      mean_limit: meanLimit,
+      below_t1: belowT1 || 0,
+      allowed_below_t1: allowed,
+      below_t2: belowT2 || 0,
+      mean_ok: meanOk,
+      t1_ok: t1Ok,
+      t2_ok: t2Ok,
+      compliant: evaluated ? meanOk && t1Ok && t2Ok : null
+    };
+  }
+
+  // Fill target of the packer's guidance: at most 2.5% of packs below T1 and 1 in 10,000 below T2
+  // (normal quantiles), never below the nominal quantity
+  const TARGET_Z = { t1: 1.96, t2: 3.72 };
+
+  /**
+   * Giveaway of a mean pack weight: { grams, percent } of the nominal quantity
+   */
+  function giveaway(mean, nominal) {
+    const qn = parseFloat(nominal) || 0;
+    const grams = (Number(mean) || 0) - qn;
+    return { grams, percent: qn > 0 ? grams / qn * 100 : 0 };
+  }
+
+  /**
+   * Lowest mean fill that still meets every rule at a process standard deviation:
+   * { target, binding } with binding 'nominal', 't1' or 't2', the rule that sets it
+   */
+  function recommendedTarget(nominal, stdDev, regulation) {
+    const limits = tareLimits(nominal, regulation);
+    const s = Number(stdDev) || 0;
+    const candidates = {
+      nominal: parseFloat(nominal) || 0,
+      t1: limits.t1 + TARGET_Z.t1 * s,
+      t2: limits.t2 + TARGET_Z.t2 * s
+    };
+    const binding = Object.keys(candidates).reduce((best, rule) => (candidates[rule] > candidates[best] ? rule : best));
+    return { target: candidates[binding], binding };
+  }
+
+  return {
+    SETTING_KEY,
+    DEFAULT_REGULATION_ID,
+    BUILT_IN_REGULATIONS,
+    resolveRegulations,
+    activeRegulation,
+    validateConfig,
+    tolerableDeficiency,
+    tareLimits,
+    meanCorrectionFactor,
+    summarize,
+    evaluateLot,
+    giveaway,
+    recommendedTarget
+  };
+});
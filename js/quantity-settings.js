@@ -0,0 +1,222 @@
+// Settings > General: average quantity regulation and its tolerable-deficiency table, stored in the
+// quantity_regulations setting (js/quantity-control.js), and the giveaway_cost price per kg.
+// Everyone sees them; supervisors can change them.
+(function(){
+  'use strict';
+
+  const Q = window.QuantityControl;
+  const GIVEAWAY_COST_KEY = 'giveaway_cost';
+  let config = { active: Q.DEFAULT_REGULATION_ID, regulations: {} };
+  let editing = null; // { id, regulation } shown in the panel
+  let canEdit = false;
+
+  function $(sel, root=document){ return root.querySelector(sel); }
+  function escapeHtml(value){
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+  function toast(type, title, msg){
+    if(window.AppUtil && window.AppUtil.toast) window.AppUtil.toast(type, title, escapeHtml(msg));
+  }
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  function select(id){
+    const { regulations } = Q.resolveRegulations(config);
+    editing = { id, regulation: copy(regulations[id] || regulations[Q.DEFAULT_REGULATION_ID]) };
+    render();
+  }
+
+  function rowHtml(row, index, last){
+    const unit = row.grams !== undefined && row.grams !== null ? 'grams' : 'percent';
+    const value = unit === 'grams' ? row.grams : row.percent;
+    if(!canEdit){
+      return `<tr><td>${row.up_to === null ? 'above' : escapeHtml(row.up_to)}</td><td>${escapeHtml(value)}</td><td>${unit === 'grams' ? 'g' : '% of Qn'}</td><td></td></tr>`;
+    }
+    return `
+      <tr data-index="${index}">
+        <td><input type="number" min="0" step="any" class="tne-up-to input-field w-28" value="${row.up_to === null ? '' : escapeHtml(row.up_to)}" placeholder="${last ? 'no limit' : ''}"></td>
+        <td><input type="number" min="0" step="any" class="tne-value input-field w-24" value="${escapeHtml(value)}"></td>
+        <td>
+          <select class="tne-unit input-field">
+            <option value="percent" ${unit === 'percent' ? 'selected' : ''}>% of Qn</option>
+            <option value="grams" ${unit === 'grams' ? 'selected' : ''}>g</option>
+          </select>
+        </td>
+        <td><button type="button" class="tne-remove text-red-600 hover:text-red-800" title="Remove range"><i class="fas fa-trash"></i></button></td>
+      </tr>
+    `;
+  }
+
+  function render(){
+    const { active, regulations } = Q.resolveRegulations(config);
+    const regulationSelect = $('#quantity-regulation');
+    const confidence = $('#quantity-mean-confidence');
+    const body = $('#quantity-tne-body');
+    if(!regulationSelect || !body || !editing) return;
+
+    regulationSelect.innerHTML = Object.entries(regulations).map(([id, regulation]) =>
+      `<option value="${escapeHtml(id)}">${escapeHtml(regulation.name || id)}${id === active ? ' (active)' : ''}</option>`
+    ).join('');
+    regulationSelect.value = editing.id;
+    regulationSelect.disabled = !canEdit;
+    if(confidence){
+      confidence.value = String(editing.regulation.mean_confidence || 0.995);
+      confidence.disabled = !canEdit;
+    }
+
+    const table = editing.regulation.tolerable_deficiency || [];
+    body.innerHTML = table.map((row, index) => rowHtml(row, index, index === table.length - 1)).join('');
+
+    const summary = $('#quantity-allowed-summary');
+    if(summary){
+      const allowed = (editing.regulation.allowed_below_t1 || [])
+        .filter(entry => entry.allowed > 0)
+        .map(entry => `${entry.allowed} from ${entry.min_sample} packs`);
+      summary.textContent = `Packs allowed below Tare 1: ${allowed.length ? allowed.join(', ') : 'none'}; none below Tare 2.`;
+    }
+    $('#quantity-regulation-restore')?.toggleAttribute('disabled', !Q.BUILT_IN_REGULATIONS[editing.id]);
+  }
+
+  // Table as edited in the panel; an empty "up to" means no upper bound
+  function readTable(){
+    return Array.from(document.querySelectorAll('#quantity-tne-body tr[data-index]')).map(tr => {
+      const upTo = $('.tne-up-to', tr).value.trim();
+      const value = parseFloat($('.tne-value', tr).value);
+      return {
+        up_to: upTo === '' ? null : parseFloat(upTo),
+        [$('.tne-unit', tr).value]: Number.isFinite(value) ? value : 0
+      };
+    });
+  }
+
+  function syncEditing(){
+    if(!canEdit || !editing) return;
+    editing.regulation.tolerable_deficiency = readTable();
+    editing.regulation.mean_confidence = parseFloat($('#quantity-mean-confidence')?.value) || 0.995;
+  }
+
+  async function load(){
+    try{
+      const setting = await window.apiClient.getSetting(Q.SETTING_KEY);
+      if(setting && setting.value) config = { regulations: {}, ...setting.value };
+    }catch(e){
+      if(e.status !== 404) console.warn('Failed to load quantity regulations', e);
+    }
+    select(Q.resolveRegulations(config).active);
+  }
+
+  async function save(){
+    syncEditing();
+    const regulations = { ...config.regulations };
+    const builtIn = Q.BUILT_IN_REGULATIONS[editing.id];
+    // A built-in regulation is only stored when its table was changed
+    if(builtIn && JSON.stringify(builtIn) === JSON.stringify(editing.regulation)) delete regulations[editing.id];
+    else regulations[editing.id] = editing.regulation;
+    const next = { active: editing.id, regulations };
+
+    const errors = Q.validateConfig(next);
+    if(errors.length){
+      toast('error', 'Invalid regulation', errors.map(error => error.message).join('; '));
+      return;
+    }
+    try{
+      try{
+        await window.apiClient.updateSetting(Q.SETTING_KEY, next);
+      }catch(e){
+        if(e.status !== 404) throw e;
+        await window.apiClient.setSetting(Q.SETTING_KEY, next);
+      }
+      config = next;
+      render();
+      document.dispatchEvent(new CustomEvent('quantity-regulations:changed'));
+      toast('success', 'Regulation saved', `${editing.regulation.name || editing.id} is now active`);
+    }catch(e){
+      toast('error', 'Save failed', e.message);
+    }
+  }
+
+  async function loadGiveawayCost(){
+    try{
+      const setting = await window.apiClient.getSetting(GIVEAWAY_COST_KEY);
+      const value = (setting && setting.value) || {};
+      $('#giveaway-price-per-kg').value = value.price_per_kg ?? '';
+      $('#giveaway-currency').value = value.currency || '';
+    }catch(e){
+      if(e.status !== 404) console.warn('Failed to load giveaway cost', e);
+    }
+  }
+
+  async function saveGiveawayCost(){
+    const value = {
+      currency: $('#giveaway-currency').value.trim() || 'USD',
+      price_per_kg: parseFloat($('#giveaway-price-per-kg').value) || 0
+    };
+    try{
+      try{
+        await window.apiClient.updateSetting(GIVEAWAY_COST_KEY, value);
+      }catch(e){
+        if(e.status !== 404) throw e;
+        await window.apiClient.setSetting(GIVEAWAY_COST_KEY, value);
+      }
+      toast('success', 'Giveaway cost saved', `${value.price_per_kg} ${value.currency} per kg`);
+    }catch(e){
+      toast('error', 'Save failed', e.message);
+    }
+  }
+
+  function newRegulation(){
+    const name = prompt('Name of the new regulation:');
+    if(!name || !name.trim()) return;
+    const id = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if(!id || Q.resolveRegulations(config).regulations[id]){
+      toast('error', 'New regulation', 'A regulation with this name already exists');
+      return;
+    }
+    syncEditing();
+    editing = { id, regulation: { ...copy(editing.regulation), name: name.trim() } };
+    config = { ...config, regulations: { ...config.regulations, [id]: editing.regulation } };
+    render();
+  }
+
+  document.addEventListener('DOMContentLoaded', async function(){
+    if(!$('#quantity-regulation-panel') || !window.Auth || !Q) return;
+    await window.Auth.ready;
+    canEdit = window.Auth.hasRole('supervisor');
+    if(canEdit){
+      $('#quantity-regulation-actions').style.display = '';
+      $('#giveaway-cost-save').style.display = '';
+    }else{
+      $('#giveaway-price-per-kg').disabled = true;
+      $('#giveaway-currency').disabled = true;
+    }
+
+    $('#quantity-regulation')?.addEventListener('change', e => select(e.target.value));
+    $('#quantity-tne-add')?.addEventListener('click', () => {
+      syncEditing();
+      const table = editing.regulation.tolerable_deficiency;
+      // New ranges go before the open-ended last one
+      const last = table[table.length - 1];
+      const insertAt = last && last.up_to === null ? table.length - 1 : table.length;
+      table.splice(insertAt, 0, { up_to: null, percent: 1 });
+      render();
+    });
+    $('#quantity-tne-body')?.addEventListener('click', e => {
+      const button = e.target.closest('.tne-remove');
+      if(!button) return;
+      syncEditing();
+      editing.regulation.tolerable_deficiency.splice(parseInt(button.closest('tr').dataset.index, 10), 1);
+      render();
+    });
+    $('#quantity-regulation-restore')?.addEventListener('click', () => {
+      const builtIn = Q.BUILT_IN_REGULATIONS[editing.id];
+      if(!builtIn) return;
+      editing.regulation = copy(builtIn);
+      render();
+    });
+    $('#quantity-regulation-new')?.addEventListener('click', newRegulation);
+    $('#quantity-regulation-save')?.addEventListener('click', save);
+    $('#giveaway-cost-save')?.addEventListener('click', saveGiveawayCost);
+
+    load();
+    loadGiveawayCost();
+  });
+})();
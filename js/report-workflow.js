@@ -2,6 +2,18 @@
   'use strict';
 
   function $(sel, root=document){ return root.querySelector(sel); }
+
+  // Form inputs for the report fields named in API validation errors
+  const REPORT_FIELD_INPUTS = {
+    product_id: 'product-name',
+    product_name: 'product-name',
+    report_date: 'report-date',
+    batch_no: 'batch-number',
+    shift: 'shift',
+    shift_duration: 'shift-duration',
+    production_line: 'production-line'
+  };
+
   function gatherFormBasics(){
     const productSel = $('#product-name');
     const product_id = productSel && productSel.value || '';
@@ -11,7 +23,9 @@
     const shift = $('#shift')?.value || '';
     const shift_duration = parseInt($('#shift-duration')?.value || '8',10);
     const start_time = $('#start-inspection-time')?.value || '';
-    return { product_id, product_name, report_date, batch_no, shift, shift_duration, start_time };
+    const production_line = $('#production-line')?.value.trim() || undefined;
+    const pallet_count = parseInt($('#lot-pallet-count')?.value || '1',10) || 1;
+    return { product_id, product_name, report_date, batch_no, shift, shift_duration, start_time, production_line, pallet_count };
   }
 
   function genId(){ try{ return crypto.randomUUID(); }catch(_){ return 'local_'+Math.random().toString(36).slice(2); } }
@@ -40,15 +54,174 @@
       }
       return await res.json();
     } catch(e){
+      // A report the server rejected would be rejected again on sync; only keep it locally when offline
+      if (e && e.status === 400) throw e;
       console.warn('[reports] API save failed, using localStorage fallback:', e);
       return saveLocalReport(payload);
     }
   }
 
-  function computeOverallScore(){
-    // Hook point: compute a simple score from visible inputs if available
-    // For now return null; other modules can update this via custom logic
-    return null;
+  // --- Inspection cells <-> report_parameters ---
+  // Every editable control under the rendered product sections is one report_parameters row:
+  // section_id is its section container, row_index/column_index its position in the table body
+  // and time_slot the inspection time of its column. Rows of parameter tables keep their
+  // parameter id; other tables (samples, defects, SPC, custom...) use the table id, with the
+  // column header as name. A second control in the same cell (dual inputs) gets a ".2" suffix.
+  // Controls left at their rendered default are not saved.
+
+  const SKIPPED_INPUT_TYPES = /^(file|button|submit|reset|hidden|image)$/;
+
+  function sectionsRoot(){ return document.getElementById('dynamic-sections-container'); }
+
+  function tableKey(table){ return table.dataset.tableId || table.id || ''; }
+
+  function tableTitle(table){
+    const block = table.closest('.mb-4');
+    const heading = block && block.querySelector('h3');
+    return (heading && heading.textContent.trim()) || tableKey(table);
+  }
+
+  // Time labels and the number of body cells before the first time column, for time-based tables
+  function timeColumns(table){
+    const timeRow = table.querySelector('thead tr[id^="time-headers-"]');
+    if(!timeRow) return null;
+    let offset = 0;
+    for(const th of table.querySelectorAll('thead tr:first-child th')){
+      if(th.getAttribute('rowspan') !== '2') break;
+      offset++;
+    }
+    return { offset, labels: Array.from(timeRow.cells).map(th=> th.textContent.trim()) };
+  }
+
+  // Editable controls of a cell; a radio group counts as one control
+  function cellControls(td){
+    const controls = [];
+    const groups = new Set();
+    td.querySelectorAll('input, select, textarea').forEach(el=>{
+      if(el.readOnly || el.disabled || SKIPPED_INPUT_TYPES.test(el.type)) return;
+      if(el.type === 'radio'){
+        if(groups.has(el.name)) return;
+        groups.add(el.name);
+      }
+      controls.push(el);
+    });
+    return controls;
+  }
+
+  function controlValue(el, td){
+    if(el.type === 'radio'){
+      const checked = Array.from(td.querySelectorAll('input[type="radio"]')).find(r=> r.name === el.name && r.checked);
+      return checked ? checked.value : '';
+    }
+    if(el.type === 'checkbox') return el.checked ? 'true' : '';
+    if(el.tagName === 'SELECT'){
+      const initial = Array.from(el.options).find(o=> o.defaultSelected) || el.options[0];
+      return initial && el.value === initial.value ? '' : el.value;
+    }
+    return el.value === el.defaultValue ? '' : String(el.value).trim();
+  }
+
+  function collectInspectionCells(){
+    const root = sectionsRoot();
+    const sections = [];
+    const parameters = [];
+    if(!root) return { sections, parameters };
+
+    Array.from(root.children).filter(section=> section.id).forEach(section=>{
+      const before = parameters.length;
+      section.querySelectorAll('table.form-table').forEach(table=>{
+        const key = tableKey(table);
+        if(!key || !table.tBodies[0]) return;
+        const times = timeColumns(table);
+        const title = tableTitle(table);
+        const headers = Array.from(table.querySelectorAll('thead tr:last-child th')).map(th=> th.textContent.trim());
+
+        Array.from(table.tBodies[0].rows).forEach((row, row_index)=>{
+          const rowParameter = row.dataset.parameterId || row.dataset.paramId;
+          const label = row.querySelector('.param-label')?.textContent.trim();
+          Array.from(row.cells).forEach((td, column_index)=>{
+            cellControls(td).forEach((el, k)=>{
+              const value = controlValue(el, td);
+              if(value === '') return;
+              const base = rowParameter || key;
+              const number = Number(value);
+              parameters.push({
+                section_id: section.id.slice(0, 100),
+                parameter_id: (k ? `${base}.${k + 1}` : base).slice(0, 100),
+                parameter_name: (label || (times ? title : headers[column_index]) || title).slice(0, 255),
+                value: value.slice(0, 10000),
+                numeric_value: Number.isFinite(number) ? number : null,
+                time_slot: (times && times.labels[column_index - times.offset]) || null,
+                column_index,
+                row_index
+              });
+            });
+          });
+        });
+      });
+      if(parameters.length > before){
+        const heading = section.querySelector('h2');
+        sections.push({ section_id: section.id.slice(0, 100), section_name: ((heading && heading.textContent.trim()) || section.id).slice(0, 255) });
+      }
+    });
+    return { sections, parameters };
+  }
+
+  function findCellRow(section, base, rowIndex){
+    const escaped = CSS.escape(base);
+    const paramRow = section.querySelector(`tr[data-parameter-id="${escaped}"], tr[data-param-id="${escaped}"]`);
+    if(paramRow) return paramRow;
+    const table = section.querySelector(`table[data-table-id="${escaped}"], table#${escaped}`);
+    if(!table || !table.tBodies[0]) return null;
+    // Tables that grow (defects log, custom tables) get rows added until the saved one exists
+    const addButton = document.getElementById(`add-${base}-row`) || document.querySelector(`.add-defect-row[data-target="${escaped}-tbody"]`);
+    while(table.tBodies[0].rows.length <= rowIndex && addButton){
+      const count = table.tBodies[0].rows.length;
+      addButton.click();
+      if(table.tBodies[0].rows.length === count) break;
+    }
+    return table.tBodies[0].rows[rowIndex] || null;
+  }
+
+  // Returns false while the cell's section or table is not rendered yet
+  function applyCell(cell){
+    const root = sectionsRoot();
+    const section = root && Array.from(root.children).find(s=> s.id === cell.section_id);
+    if(!section) return false;
+
+    const suffix = /^(.*)\.(\d+)$/.exec(cell.parameter_id);
+    const candidates = [[cell.parameter_id, 0]];
+    if(suffix) candidates.push([suffix[1], parseInt(suffix[2], 10) - 1]);
+
+    for(const [base, sub] of candidates){
+      const row = findCellRow(section, base, cell.row_index || 0);
+      if(!row) continue;
+      const td = row.cells[cell.column_index || 0];
+      const el = td && cellControls(td)[sub];
+      if(!el) return true; // layout changed since the report was saved; nothing to fill
+      if(el.type === 'radio'){
+        const option = Array.from(td.querySelectorAll('input[type="radio"]')).find(r=> r.name === el.name && r.value === cell.value);
+        if(option){ option.checked = true; option.dispatchEvent(new Event('change',{bubbles:true})); }
+        return true;
+      }
+      if(el.type === 'checkbox') el.checked = cell.value === 'true';
+      else el.value = cell.value ?? '';
+      el.dispatchEvent(new Event('input',{bubbles:true}));
+      el.dispatchEvent(new Event('change',{bubbles:true}));
+      return true;
+    }
+    return false;
+  }
+
+  async function applyInspectionCells(parameters){
+    let pending = (Array.isArray(parameters) ? parameters : []).filter(p=> p && p.section_id && p.parameter_id);
+    // Product, shift and start time changes re-render the sections; let them settle first
+    if(pending.length) await delay(300);
+    for(let attempt=0; attempt<20 && pending.length; attempt++){
+      pending = pending.filter(cell=> !applyCell(cell));
+      if(pending.length) await delay(500);
+    }
+    if(pending.length) console.warn('[reports] inspection cells not restored:', pending.length);
   }
 
   function buildSnapshot(){
@@ -66,19 +239,31 @@
   async function saveReport(){
     try{
       const basics = gatherFormBasics();
-      const score = computeOverallScore();
-      const defects_count = null; // optional
+      // score, defects_count, total_inspected and pass_rate are computed by the server from the saved cells
       const status = 'submitted'; // default; could be changed by app logic
       const data = buildSnapshot();
-      const payload = { ...basics, status, score, defects_count, notes: data.notes, form_data: data, pallets: collectPallets() };
+      // start_time and pallet_count have no reports column; they travel in form_data.basics
+      const { start_time, shift_duration, pallet_count, ...columns } = basics;
+      const { sections, parameters } = collectInspectionCells();
+      // Weight check counts of the lot; the server applies the sampling plan and switching rules
+      const sampling = typeof window.collectSamplingResult === 'function' ? window.collectSamplingResult() : null;
+      const payload = { ...columns, shift_duration: `${shift_duration}_hours`, status, notes: data.notes, form_data: data, sections, parameters, ...(sampling ? { sampling } : {}) };
       const rec = await createReport(payload);
-      notify('Saved to Reports');
+      notify(rec && rec.score !== null && rec.score !== undefined ? `Saved to Reports (score ${rec.score})` : 'Saved to Reports');
       // Navigate with context
       const u = new URL('reports.html', location.href);
       u.searchParams.set('batch', basics.batch_no || '');
       u.searchParams.set('product', basics.product_id || basics.product_name || '');
       location.href = u.toString();
-    }catch(e){ console.error(e); notify('Save failed','error'); }
+    }catch(e){
+      console.error(e);
+      if (e && e.status === 400 && window.apiClient && typeof window.apiClient.showFieldErrors === 'function'){
+        window.apiClient.showFieldErrors(e, REPORT_FIELD_INPUTS);
+        notify('Save failed: ' + e.message,'error');
+        return;
+      }
+      notify('Save failed','error');
+    }
   }
 
   // --- Restore from reportId (deep-link from reports.html) ---
@@ -95,21 +280,41 @@
         if(!res.ok) throw new Error('Report not found');
         rec = await res.json();
       }
-      await applyBasics(rec);
+      const pinned = await pinProductRevision(rec);
+      await applyBasics(rec, pinned && pinned.key);
+      await applyInspectionCells(rec.parameters);
       await applySnapshot(rec);
-      notify('Report loaded');
+      notify(pinned ? `Report loaded (product revision ${pinned.revision.revision_number})` : 'Report loaded');
     }catch(e){ console.error(e); notify('Failed to load report','error'); }
   }
 
-  async function applyBasics(rec){
+  // Render the report with the product configuration it was inspected against, not today's.
+  // Pinned under the product's key in the product list (its code); returns { revision, key }.
+  async function pinProductRevision(rec){
+    const revision = rec.product_revision;
+    if(!revision || !revision.configuration || !rec.product_id) return null;
+    let config = revision.configuration.form;
+    if(!config && window.ProductSync && typeof window.ProductSync.convertFromDatabase === 'function'){
+      try{ config = window.ProductSync.convertFromDatabase(revision.configuration); }catch(e){ console.warn('Product revision not converted', e); }
+    }
+    if(!config) return null;
+    await waitFor(()=> typeof window.pinProductConfiguration === 'function');
+    if(typeof window.pinProductConfiguration !== 'function') return null;
+    const code = revision.configuration.product && revision.configuration.product.product_id;
+    const key = window.pinProductConfiguration(rec.product_id, config, code);
+    return key ? { revision, key } : null;
+  }
+
+  async function applyBasics(rec, productKey){
     // Wait for product options to be ready (if populated async)
     await waitFor(()=> document.getElementById('product-name'));
     const productSel = document.getElementById('product-name');
-    if(rec.product_id && productSel){
+    const product = productKey || rec.product_id;
+    if(product && productSel){
       // Try a few times in case options load late
       for(let i=0;i<20;i++){
-        productSel.value = rec.product_id;
-        if(productSel.value===rec.product_id) break;
+        productSel.value = product;
+        if(productSel.value===product) break;
         await delay(250);
       }
       productSel.dispatchEvent(new Event('change',{bubbles:true}));
@@ -118,8 +323,10 @@
     setVal('report-date', (rec.report_date||'').slice(0,10));
     setVal('batch-number', rec.batch_no||'');
     setVal('shift', rec.shift||'');
-    if(rec.shift_duration!=null) setVal('shift-duration', String(rec.shift_duration));
-    setVal('start-inspection-time', rec.start_time||'');
+    if(rec.shift_duration!=null) setVal('shift-duration', String(parseInt(rec.shift_duration,10)));
+    setVal('start-inspection-time', rec.start_time || rec.form_data?.basics?.start_time || '');
+    setVal('production-line', rec.production_line || '');
+    setVal('lot-pallet-count', String(rec.sampling?.pallet_count || rec.form_data?.basics?.pallet_count || 1));
   }
 
   async function applySnapshot(rec){
@@ -13,23 +13,27 @@
 
   function fmtDate(ms){ if(!ms) return '-'; const d = new Date(+ms||ms); return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}`; }
   function badge(status){
-    const cls = status==='approved'?'approved': status==='rejected'?'rejected': status==='submitted'?'submitted':'draft';
+    const cls = status==='approved'?'approved': status==='rejected'?'rejected': status==='submitted'?'submitted': status==='reopened'?'reopened':'draft';
     return `<span class="badge ${cls}">${status||'-'}</span>`;
   }
 
+  // Filters sent to the API; the list and the exports use the same set
+  function currentFilters(){
+    const filters = {};
+    if(state.search) filters.search = state.search;
+    if(state.status) filters.status = state.status;
+    if(state.shift) filters.shift = state.shift;
+    if(state.dateFrom) filters.dateFrom = state.dateFrom;
+    if(state.dateTo) filters.dateTo = state.dateTo;
+    return filters;
+  }
+
   async function load(){
     let data = [];
     let fromAPI = false;
     let apiMeta = null;
     try{
-      const filters = {};
-      if(state.search) filters.search = state.search;
-      if(state.status) filters.status = state.status;
-      if(state.shift) filters.shift = state.shift;
-      if(state.dateFrom) filters.dateFrom = state.dateFrom;
-      if(state.dateTo) filters.dateTo = state.dateTo;
-      
-      const response = await window.apiClient.getReports(filters);
+      const response = await window.apiClient.getReports(currentFilters());
       data = Array.isArray(response.data) ? response.data : (Array.isArray(response) ? response : []);
       fromAPI = true;
       apiMeta = response;
@@ -73,6 +77,8 @@
     renderTable();
     renderKpis();
     renderCharts();
+    loadGiveaway();
+    loadSpcParameters();
   }
 
   function renderTable(){
@@ -95,8 +101,10 @@
         <td>
           <a class="text-blue-600 hover:underline" href="index.html?product=${encodeURIComponent(r.product_id||'')}&batch=${encodeURIComponent(r.batch_no||'')}&date=${encodeURIComponent(date)}&shift=${encodeURIComponent(r.shift||'')}"><i class="fas fa-external-link-alt mr-1"></i>Open</a>
           <a class="ml-2 text-indigo-600 hover:underline" href="index.html?reportId=${encodeURIComponent(r.id)}"><i class="fas fa-upload mr-1"></i>Load</a>
-          <button class="ml-2 text-green-600 hover:underline" data-approve="${r.id}"><i class="fas fa-check mr-1"></i>Approve</button>
-          <button class="ml-1 text-yellow-700 hover:underline" data-reject="${r.id}"><i class="fas fa-times mr-1"></i>Reject</button>
+          ${actionButtons(r)}
+          <a class="ml-2 text-gray-700 hover:underline" href="${window.apiClient.getReportPdfUrl(r.id)}" target="_blank" rel="noopener" title="Server-rendered PDF"><i class="fas fa-file-pdf mr-1"></i>PDF</a>
+          <button class="ml-2 text-gray-700 hover:underline" data-history="${r.id}" title="Status history"><i class="fas fa-history mr-1"></i>History</button>
+          <button class="ml-2 text-gray-700 hover:underline" data-revisions="${r.id}" title="Revision history"><i class="fas fa-code-branch mr-1"></i>Revisions</button>
           <button class="ml-2 text-gray-700 hover:underline" data-json="${r.id}" title="View JSON"><i class="fas fa-code mr-1"></i>JSON</button>
           <button class="ml-2 text-red-600 hover:underline" data-del="${r.id}"><i class="fas fa-trash-alt mr-1"></i>Delete</button>
         </td>
@@ -116,11 +124,14 @@
       });
     });
 
-    tb.querySelectorAll('[data-approve]').forEach(btn=>{
-      btn.addEventListener('click', ()=> updateStatus(btn.getAttribute('data-approve'), 'approved'));
+    tb.querySelectorAll('[data-action]').forEach(btn=>{
+      btn.addEventListener('click', ()=> transition(btn.getAttribute('data-id'), btn.getAttribute('data-action')));
+    });
+    tb.querySelectorAll('[data-history]').forEach(btn=>{
+      btn.addEventListener('click', ()=> showHistory(btn.getAttribute('data-history')));
     });
-    tb.querySelectorAll('[data-reject]').forEach(btn=>{
-      btn.addEventListener('click', ()=> updateStatus(btn.getAttribute('data-reject'), 'rejected'));
+    tb.querySelectorAll('[data-revisions]').forEach(btn=>{
+      btn.addEventListener('click', ()=> showRevisions(btn.getAttribute('data-revisions')));
     });
     tb.querySelectorAll('[data-json]').forEach(btn=>{
       btn.addEventListener('click', ()=> showJSON(btn.getAttribute('data-json')));
@@ -135,15 +146,156 @@
     if(next) next.disabled = state.page >= totalPages;
   }
 
-  async function updateStatus(id, status){
+  // Buttons for the lifecycle actions; the server lists the ones allowed per report (available_actions)
+  const ACTIONS = {
+    submit:  { label: 'Submit',  icon: 'fa-paper-plane', cls: 'text-blue-600' },
+    approve: { label: 'Approve', icon: 'fa-check',       cls: 'text-green-600' },
+    reject:  { label: 'Reject',  icon: 'fa-times',       cls: 'text-yellow-700' },
+    reopen:  { label: 'Reopen',  icon: 'fa-undo',        cls: 'text-orange-600' }
+  };
+
+  function actionButtons(r){
+    return (r.available_actions||[]).filter(k=> ACTIONS[k]).map(k=>{
+      const a = ACTIONS[k];
+      return `<button class="ml-2 ${a.cls} hover:underline" data-action="${k}" data-id="${r.id}"><i class="fas ${a.icon} mr-1"></i>${a.label}</button>`;
+    }).join('');
+  }
+
+  async function transition(id, action){
+    const data = {};
+    if(action==='reject' || action==='reopen'){
+      const reason = prompt(action==='reject' ? 'Reason for rejection:' : 'Reason for reopening:');
+      if(reason===null) return;
+      if(!reason.trim()){ toast('warn','Reason required',`Please give a reason to ${action} the report.`); return; }
+      data[action==='reject' ? 'rejection_reason' : 'reason'] = reason.trim();
+    }
     try{
-      await window.apiClient.updateReport(id, { status });
+      const updated = await window.apiClient.transitionReport(id, action, data);
+      toast('ok','Status updated',`Report is now ${updated.status}.`);
     }catch(e){
-      console.error('[reports] API patch failed:', e);
+      console.error('[reports] API transition failed:', e);
+      toast('err','Status change failed', e.message);
     }
     await load();
   }
 
+  async function showHistory(id){
+    const body = document.getElementById('history-body');
+    body.innerHTML = `<tr><td colspan="5" class="text-gray-500 py-2">Loading...</td></tr>`;
+    document.getElementById('history-modal').classList.remove('hidden');
+    try{
+      const res = await window.apiClient.getReportTransitions(id);
+      const rows = res.data || [];
+      body.innerHTML = rows.length ? rows.map(h=> `<tr class="border-t">
+          <td class="py-1">${fmtDate(h.changed_at)}</td>
+          <td>${escapeHtml(h.action)}</td>
+          <td>${h.from_status ? badge(h.from_status)+' &rarr; ' : ''}${badge(h.to_status)}</td>
+          <td>${escapeHtml(h.changed_by)}${h.changed_by_role ? ` <span class="text-gray-500">(${escapeHtml(h.changed_by_role)})</span>` : ''}</td>
+          <td>${escapeHtml(h.reason||'')}</td>
+        </tr>`).join('') : `<tr><td colspan="5" class="text-gray-500 py-2">No status changes recorded</td></tr>`;
+    }catch(e){
+      console.error('[reports] API history failed:', e);
+      body.innerHTML = `<tr><td colspan="5" class="text-red-600 py-2">${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  // Revisions (audit log): view any past version or compare two
+  const OPERATION_LABELS = { INSERT: 'Created', UPDATE: 'Updated', DELETE: 'Deleted' };
+  const CHANGE_CLASSES = { added: 'text-green-700', removed: 'text-red-600', changed: 'text-blue-700' };
+  let revisionsReportId = null;
+
+  function formatValue(v){
+    if(v===null || v===undefined) return '<span class="text-gray-400">&mdash;</span>';
+    const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return escapeHtml(text.length > 200 ? text.slice(0,200)+'…' : text);
+  }
+
+  function revisionLabel(r){
+    return `#${r.revision} &middot; ${fmtDate(r.timestamp)} &middot; ${escapeHtml(r.user_display_name || r.user_id || 'system')}`;
+  }
+
+  function changesTable(changes, truncated, headers){
+    if(!changes.length) return '<p class="text-gray-500">No field changes.</p>';
+    return `<table class="w-full text-xs">
+        <thead><tr class="text-left text-gray-600"><th>Field</th><th>${headers[0]}</th><th>${headers[1]}</th></tr></thead>
+        <tbody>${changes.map(c=> `<tr class="border-t align-top">
+          <td class="py-1 pr-2 font-mono ${CHANGE_CLASSES[c.type]||''}">${escapeHtml(c.path)}</td>
+          <td class="pr-2">${formatValue(c.old)}</td>
+          <td>${formatValue(c.new)}</td>
+        </tr>`).join('')}</tbody>
+      </table>${truncated ? '<p class="text-gray-500 mt-1">Only the first changes are shown.</p>' : ''}`;
+  }
+
+  function snapshotBlock(title, snapshot){
+    return `<details class="mt-2"><summary class="cursor-pointer text-gray-600">${title}</summary>
+      <pre class="text-xs bg-gray-50 p-2 overflow-auto" style="max-height:30vh;">${escapeHtml(JSON.stringify(snapshot||{}, null, 2))}</pre></details>`;
+  }
+
+  async function showRevisions(id){
+    revisionsReportId = id;
+    const body = document.getElementById('revisions-body');
+    const detail = document.getElementById('revision-detail');
+    body.innerHTML = `<tr><td colspan="7" class="text-gray-500 py-2">Loading...</td></tr>`;
+    detail.innerHTML = '';
+    document.getElementById('revisions-modal').classList.remove('hidden');
+    try{
+      const res = await window.apiClient.getReportHistory(id, { limit: 200 });
+      const rows = res.data || [];
+      body.innerHTML = rows.length ? rows.map((r, i)=> `<tr class="border-t align-top">
+          <td><input type="radio" name="rev-a" value="${r.revision}" ${i===Math.min(1, rows.length-1) ? 'checked' : ''}></td>
+          <td><input type="radio" name="rev-b" value="${r.revision}" ${i===0 ? 'checked' : ''}></td>
+          <td class="py-1">${r.revision}</td>
+          <td>${fmtDate(r.timestamp)}</td>
+          <td>${escapeHtml(r.user_display_name || r.user_id || 'system')}</td>
+          <td>${OPERATION_LABELS[r.operation]||escapeHtml(r.operation)}${r.change_count ? ` <span class="text-gray-500">(${r.change_count} change${r.change_count===1?'':'s'}: ${escapeHtml(r.changes.slice(0,3).map(c=> c.path).join(', '))}${r.change_count>3?', …':''})</span>` : ''}</td>
+          <td><button class="text-blue-600 hover:underline" data-view-revision="${r.revision}">View</button></td>
+        </tr>`).join('') : `<tr><td colspan="7" class="text-gray-500 py-2">No revisions recorded</td></tr>`;
+      body.querySelectorAll('[data-view-revision]').forEach(btn=>{
+        btn.addEventListener('click', ()=> viewRevision(btn.getAttribute('data-view-revision')));
+      });
+    }catch(e){
+      console.error('[reports] API revisions failed:', e);
+      body.innerHTML = `<tr><td colspan="7" class="text-red-600 py-2">${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  async function viewRevision(revision){
+    const detail = document.getElementById('revision-detail');
+    detail.innerHTML = '<p class="text-gray-500">Loading...</p>';
+    try{
+      const r = await window.apiClient.getReportRevision(revisionsReportId, revision);
+      detail.innerHTML = `<h4 class="font-semibold mb-2">${OPERATION_LABELS[r.operation]||escapeHtml(r.operation)} &middot; ${revisionLabel(r)}</h4>
+        ${changesTable(r.changes, r.changes_truncated, ['Before', 'After'])}
+        ${snapshotBlock('Report as of this revision', r.snapshot)}`;
+    }catch(e){
+      detail.innerHTML = `<p class="text-red-600">${escapeHtml(e.message)}</p>`;
+    }
+  }
+
+  async function compareSelectedRevisions(){
+    const a = document.querySelector('input[name="rev-a"]:checked');
+    const b = document.querySelector('input[name="rev-b"]:checked');
+    if(!revisionsReportId || !a || !b){ toast('warn','Select revisions','Pick one revision in column A and one in column B.'); return; }
+    const detail = document.getElementById('revision-detail');
+    detail.innerHTML = '<p class="text-gray-500">Loading...</p>';
+    try{
+      const res = await window.apiClient.compareReportRevisions(revisionsReportId, a.value, b.value);
+      detail.innerHTML = `<div class="grid grid-cols-2 gap-3 mb-2">
+          <div><span class="font-semibold">A:</span> ${revisionLabel(res.from)}</div>
+          <div><span class="font-semibold">B:</span> ${revisionLabel(res.to)}</div>
+        </div>
+        ${changesTable(res.changes, res.changes_truncated, [`#${res.from.revision}`, `#${res.to.revision}`])}
+        <div class="grid grid-cols-2 gap-3">
+          <div>${snapshotBlock(`Revision #${res.from.revision}`, res.from.snapshot)}</div>
+          <div>${snapshotBlock(`Revision #${res.to.revision}`, res.to.snapshot)}</div>
+        </div>`;
+    }catch(e){
+      detail.innerHTML = `<p class="text-red-600">${escapeHtml(e.message)}</p>`;
+    }
+  }
+
+  function escapeHtml(v){ return String(v??'').replace(/[&<>"']/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
   async function showJSON(id){
     let rec = null;
     try{
@@ -202,10 +354,194 @@
       drawChart('shift', ctx4, { type:'pie', labels, data: vals, bg: ['#10b981','#60a5fa'] }); }
   }
 
+  // Giveaway of every report matching the filters (server-side, not just this page)
+  async function loadGiveaway(){
+    if(!$('#giveaway-section')) return;
+    try{
+      renderGiveaway(await window.apiClient.getGiveawayAnalysis(currentFilters()));
+    }catch(e){
+      console.error('[reports] giveaway analysis failed:', e);
+      $('#giveaway-targets-body').innerHTML = `<tr><td colspan="9" class="text-center text-red-600">Failed to load giveaway: ${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  function renderGiveaway(analysis){
+    const fmt = (v, d=2)=> (v===null || v===undefined) ? '-' : Number(v).toFixed(d);
+    const money = v=> (v===null || v===undefined) ? '-' : `${Number(v).toLocaleString(undefined,{ minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${analysis.currency||''}`.trim();
+    const t = analysis.totals || {};
+    $('#kpi-giveaway-g').textContent = fmt(t.giveaway_g);
+    $('#kpi-giveaway-percent').textContent = fmt(t.giveaway_percent);
+    $('#kpi-giveaway-kg').textContent = fmt(t.giveaway_kg, 1);
+    $('#kpi-giveaway-cost').textContent = money(t.cost);
+    $('#kpi-giveaway-net-kg').textContent = fmt(t.net_kg, 1);
+    $('#giveaway-price').textContent = analysis.price_per_kg
+      ? `Valued at ${money(analysis.price_per_kg)} per kg`
+      : 'Set the price per kg in Settings > General to value the giveaway';
+
+    // Trend: one line per product over the shifts in date order
+    const shifts = analysis.shifts || [];
+    const labels = Array.from(new Set(shifts.map(x=> `${x.report_date} ${x.shift||''}`.trim())));
+    const colors = ['#6366f1','#f59e0b','#10b981','#ef4444','#3b82f6','#8b5cf6','#14b8a6','#f97316'];
+    const byProduct = new Map();
+    shifts.forEach(x=>{ byProduct.set(x.product_code, (byProduct.get(x.product_code)||[]).concat([x])); });
+    const datasets = Array.from(byProduct.entries()).map(([code, rows], i)=>{
+      const values = new Map(rows.map(x=> [`${x.report_date} ${x.shift||''}`.trim(), x.giveaway_percent]));
+      return { label: code||'-', data: labels.map(l=> values.has(l) ? values.get(l) : null), borderColor: colors[i % colors.length], backgroundColor: colors[i % colors.length], spanGaps: true, tension: 0.2 };
+    });
+    const trend = $('#chart-giveaway-trend');
+    if(trend) drawChart('giveaway-trend', trend, { type:'line', labels, datasets, options: { scales: { y: { title: { display: true, text: '% over nominal' } } } } });
+
+    const products = analysis.products || [];
+    const cost = $('#chart-giveaway-cost');
+    if(cost) drawChart('giveaway-cost', cost, { type:'bar', labels: products.map(p=> p.product_code||'-'), data: products.map(p=> p.cost||0), bg: '#ef4444', label: analysis.currency||'', options: { plugins: { legend: { display: false } } } });
+
+    const body = $('#giveaway-targets-body');
+    if(!products.length){
+      body.innerHTML = '<tr><td colspan="9" class="text-center text-gray-500">No weighed lots in these reports</td></tr>';
+      return;
+    }
+    const RULES = { nominal: 'mean at nominal', t1: 'packs below Tare 1', t2: 'packs below Tare 2' };
+    body.innerHTML = products.map(p=>{
+      const r = p.recommendation;
+      if(!r) return `<tr><td>${escapeHtml(p.product_name||p.product_code)}</td><td colspan="8" class="text-gray-500">Not enough weighed packs to estimate the spread</td></tr>`;
+      const adj = r.adjustment_g;
+      return `<tr>
+        <td>${escapeHtml(p.product_name||p.product_code)}</td>
+        <td>${fmt(r.nominal)}</td>
+        <td>${fmt(r.current_mean)}</td>
+        <td>${fmt(r.std_dev)}</td>
+        <td title="Net of underfill: ${fmt(p.net_g)} g (${fmt(p.net_percent)}%)">${fmt(p.giveaway_g)} g (${fmt(p.giveaway_percent)}%)</td>
+        <td title="Set by ${escapeHtml(RULES[r.binding_rule]||r.binding_rule)}">${fmt(r.target)}</td>
+        <td class="${adj < 0 ? 'text-green-700' : adj > 0 ? 'text-red-600' : ''}">${adj > 0 ? '+' : ''}${fmt(adj)}</td>
+        <td>${fmt(r.box_target_g, 1)} / ${fmt(r.carton_target_g, 1)}</td>
+        <td>${fmt(r.saving_kg, 1)} kg${analysis.price_per_kg ? ` (${money(r.saving_cost)})` : ''}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  // Control chart of one parameter across the reports matching the filters, limits continued across shifts
+  function spcFilters(){
+    const filters = currentFilters();
+    const product = $('#spc-product').value;
+    const line = $('#spc-line').value.trim();
+    if(product) filters.product_id = product;
+    if(line) filters.production_line = line;
+    return filters;
+  }
+
+  async function loadSpcProducts(){
+    try{
+      const response = await window.apiClient.getProducts();
+      const products = Array.isArray(response) ? response : (response && Array.isArray(response.data) ? response.data : []);
+      $('#spc-product').innerHTML = '<option value="">Select a product</option>' + products
+        .map(p=> `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name || p.product_id)}</option>`).join('');
+    }catch(e){
+      console.error('[reports] products for SPC failed:', e);
+    }
+  }
+
+  async function loadSpcParameters(){
+    if(!$('#spc-history-section')) return;
+    const select = $('#spc-parameter');
+    const current = select.value;
+    // A series is one product's values in one section: parameter and section ids repeat across both
+    if(!$('#spc-product').value){
+      select.innerHTML = '<option value="">Select a product first</option>';
+      loadSpcSeries();
+      return;
+    }
+    try{
+      const { parameters } = await window.apiClient.getParameters(spcFilters());
+      const keys = parameters.map(p=> JSON.stringify([p.parameter_id, p.section_id]));
+      select.innerHTML = '<option value="">Select a parameter</option>' + parameters.map((p, i)=>
+        `<option value="${escapeHtml(keys[i])}">${escapeHtml(p.parameter_name || p.parameter_id)} - ${escapeHtml(p.section_id)} (${p.value_count} values, ${p.report_count} reports)</option>`
+      ).join('');
+      if(keys.includes(current)) select.value = current;
+    }catch(e){
+      console.error('[reports] parameters failed:', e);
+    }
+    loadSpcSeries();
+  }
+
+  async function loadSpcSeries(){
+    const selected = $('#spc-parameter').value;
+    if(!selected){
+      renderSpcSeries(null);
+      return;
+    }
+    const [parameterId, sectionId] = JSON.parse(selected);
+    try{
+      renderSpcSeries(await window.apiClient.getParameterSeries(parameterId, {
+        ...spcFilters(),
+        section_id: sectionId,
+        chart_type: $('#spc-chart-type').value,
+        baseline_to: $('#spc-baseline-to').value
+      }));
+    }catch(e){
+      console.error('[reports] parameter series failed:', e);
+      renderSpcSeries(null);
+      $('#spc-violations-body').innerHTML = `<tr><td colspan="6" class="text-center text-red-600">Failed to load the series: ${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  function renderSpcSeries(series){
+    const fmt = v=> (v===null || v===undefined) ? '-' : Number(Number(v).toFixed(4));
+    const info = $('#spc-history-info');
+    const body = $('#spc-violations-body');
+    if(!series || !series.subgroups.length){
+      ['spc-location','spc-dispersion'].forEach(key=>{ if(window._charts && window._charts[key]){ window._charts[key].destroy(); delete window._charts[key]; } });
+      info.textContent = '';
+      body.innerHTML = `<tr><td colspan="6" class="text-center text-gray-500">${series ? 'No values for this parameter in these reports' : 'Select a parameter to chart'}</td></tr>`;
+      return;
+    }
+
+    // One label per subgroup; the axis only shows it where a new shift starts
+    const labels = series.subgroups.map(s=> `${s.report_date} ${s.shift||''}`.trim());
+    const ticks = { autoSkip: false, maxRotation: 60, callback: (value, index)=> (index === 0 || labels[index] !== labels[index-1]) ? labels[index] : null };
+    const draw = (key, chart)=>{
+      const flagged = new Map();
+      series.violations.filter(v=> v.chart === chart.name).forEach(v=> v.points.forEach(i=>{
+        if(flagged.get(i) !== 'limit') flagged.set(i, v.rule === 'beyond_3_sigma' && i === v.index ? 'limit' : 'rule');
+      }));
+      const line = (label, value, color, dash)=> ({ label, data: labels.map(()=> value), borderColor: color, borderDash: dash, borderWidth: 1.5, pointRadius: 0, fill: false });
+      const canvas = $(`#chart-${key}`);
+      if(!canvas) return;
+      drawChart(key, canvas, {
+        type: 'line',
+        labels,
+        datasets: [
+          { label: chart.name === 'I' ? (series.parameter_name || series.parameter_id) : chart.name, data: chart.points.map(p=> p.value), borderColor: '#2563eb', spanGaps: true, tension: 0,
+            pointBackgroundColor: chart.points.map(p=> ({ limit: '#dc2626', rule: '#f59e0b' }[flagged.get(p.index)] || '#2563eb')),
+            pointRadius: chart.points.map(p=> flagged.has(p.index) ? 5 : 2) },
+          line('UCL', chart.ucl, '#ef4444', [6,6]),
+          line('CL', chart.cl, '#10b981', [4,4]),
+          line('LCL', chart.lcl, '#ef4444', [6,6])
+        ],
+        options: { scales: { x: { ticks } } }
+      });
+    };
+    draw('spc-location', series.location);
+    draw('spc-dispersion', series.dispersion);
+
+    const limits = series.baseline_to
+      ? `limits from ${series.baseline_subgroups} subgroups up to ${series.baseline_to}`
+      : `limits from all ${series.subgroups.length} subgroups`;
+    info.textContent = `${series.location.name}: CL ${fmt(series.location.cl)}, LCL ${fmt(series.location.lcl)}, UCL ${fmt(series.location.ucl)} | σ ${fmt(series.sigma)} | ${limits} over ${series.shifts.length} shifts` +
+      (series.truncated ? ' (latest values only)' : '');
+
+    body.innerHTML = series.violations.length ? series.violations.map(v=>{
+      const s = series.subgroups[v.index];
+      return `<tr class="${v.rule === 'beyond_3_sigma' ? 'text-red-700' : 'text-yellow-700'}">
+        <td>${escapeHtml(s.report_date)}</td><td>${escapeHtml(s.shift||'-')}</td><td>${escapeHtml(s.batch_no||'-')}</td>
+        <td>${v.index + 1}${s.time_slot ? ` (${escapeHtml(s.time_slot)})` : ''}</td><td>${escapeHtml(v.chart)}</td><td>${escapeHtml(v.description)}</td>
+      </tr>`;
+    }).join('') : '<tr><td colspan="6" class="text-center text-green-700">In control: no rule violations</td></tr>';
+  }
+
   function drawChart(key, canvas, cfg){
     if(!window._charts) window._charts = {};
     if(window._charts[key]){ window._charts[key].destroy(); }
-    const data = { labels: cfg.labels, datasets: [{ label: cfg.label||'', data: cfg.data, backgroundColor: cfg.bg }] };
+    const data = { labels: cfg.labels, datasets: cfg.datasets || [{ label: cfg.label||'', data: cfg.data, backgroundColor: cfg.bg }] };
     const options = Object.assign({ responsive: true, maintainAspectRatio: false, animation: false, resizeDelay: 100, plugins: { legend: { position: 'bottom' } } }, cfg.options||{});
     const ctx = canvas.getContext ? canvas.getContext('2d') : canvas;
     window._charts[key] = new Chart(ctx, { type: cfg.type, data, options });
@@ -229,8 +565,19 @@
     $('#prev-page').addEventListener('click', ()=>{ if(state.page>1){ state.page--; load(); } });
     $('#next-page').addEventListener('click', ()=>{ state.page++; load(); });
 
-    $('#btn-export-csv').addEventListener('click', exportCSV);
+    $('#btn-export-csv').addEventListener('click', ()=> exportFile('csv'));
+    $('#btn-export-xlsx').addEventListener('click', ()=> exportFile('xlsx'));
     $('#btn-export-pdf').addEventListener('click', exportPDF);
+    $('#revisions-compare')?.addEventListener('click', compareSelectedRevisions);
+
+    if($('#spc-history-section')){
+      loadSpcProducts();
+      $('#spc-product').addEventListener('change', loadSpcParameters);
+      $('#spc-line').addEventListener('input', debounce(loadSpcParameters, 300));
+      $('#spc-parameter').addEventListener('change', loadSpcSeries);
+      $('#spc-chart-type').addEventListener('change', loadSpcSeries);
+      $('#spc-baseline-to').addEventListener('change', loadSpcSeries);
+    }
 
     const resetBtn = $('#btn-reset');
     if(resetBtn){
@@ -251,15 +598,15 @@
     }
   }
 
-  function exportCSV(){
-    const rows = [ ['Product','Batch','Date','Shift','Status','Score'] ].concat(
-      state.items.map(r=> [r.product_name||r.product_id||'', r.batch_no||'', (r.report_date||'').slice(0,10), r.shift||'', r.status||'', r.score??''])
-    );
-    const csv = rows.map(r=> r.map(v=> '"'+String(v).replace(/"/g,'""')+'"').join(',')).join('\n');
-    const blob = new Blob([csv], {type:'text/csv;charset=utf-8;'});
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob); a.download = 'reports.csv'; a.click();
-    setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  // Server-generated export of every report matching the current filters (not just this page)
+  async function exportFile(format){
+    try{
+      const { fileName } = await window.apiClient.exportReports(currentFilters(), format);
+      toast('ok','Export ready', escapeHtml(fileName));
+    }catch(e){
+      console.error('[reports] export failed:', e);
+      toast('err','Export failed', escapeHtml(e.message));
+    }
   }
 
   async function exportPDF(){
@@ -277,5 +624,20 @@
     if(window._charts){ Object.values(window._charts).forEach(ch=>{ try{ ch.destroy(); }catch(_){} }); }
   });
 
-  document.addEventListener('DOMContentLoaded', ()=>{ wire(); load(); });
+  // Keep the list current when other users create, edit or change the status of reports
+  function wireLive(){
+    if(!window.LiveEvents) return;
+    const reload = debounce(load, 500);
+    window.LiveEvents.on('report', (e)=>{
+      reload();
+      const me = window.Auth && window.Auth.user ? window.Auth.user.username : null;
+      if(e.changed_by && e.changed_by !== me && e.action !== 'updated'){
+        const label = [e.product_name, e.batch_no].filter(Boolean).join(' ') || 'A report';
+        const what = e.action === 'created' ? 'created' : e.action === 'deleted' ? 'deleted' : `is now ${e.status}`;
+        toast('info', 'Reports updated', escapeHtml(`${label} ${what} by ${e.changed_by}`));
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', async ()=>{ if(window.Auth) await window.Auth.ready; wire(); wireLive(); load(); });
 })();
@@ -0,0 +1,265 @@
+/**
+ * Sampling Plans
+ * ISO 2859-1 single sampling plans and switching rules, used for the weight (tare) checks.
+ *
+ *   lot size + inspection level  -> sample size code letter (Table 1)
+ *   code letter + AQL + severity -> sample size and Ac/Re (Tables 2-A normal, 2-B tightened, 2-C reduced)
+ *
+ * Ac/Re in Tables 2-A and 2-B run along diagonals: moving one code letter down and one AQL step
+ * left gives the same plan, so each table is stored as the sequence of entries along the
+ * diagonal index (code letter index + AQL column index). Arrows point to the first plan below
+ * or above; that plan's sample size replaces the code letter's. Reduced plans are the normal
+ * plans of the code letter two steps smaller.
+ *
+ * Switching rules (clause 9), applied to lots in inspection order by replay():
+ *   normal -> tightened     2 of 5 or fewer consecutive lots not accepted
+ *   tightened -> normal     5 consecutive lots accepted
+ *   normal -> reduced       switching score reaches 30
+ *   reduced -> normal       a lot is not accepted
+ *   discontinued            5 lots not accepted while on tightened inspection; resumes on tightened
+ *
+ * Used by the inspection form (window.SamplingPlans) and the server (require).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SamplingPlans = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const INSPECTION_LEVELS = ['S-1', 'S-2', 'S-3', 'S-4', 'I', 'II', 'III'];
+  const SEVERITIES = ['normal', 'tightened', 'reduced'];
+  const DEFAULT_LEVEL = 'II';
+  const DEFAULT_AQL = '1.0';
+
+  const CODE_LETTERS = 'ABCDEFGHJKLMNPQR'.split('');
+
+  // Table 1: upper bound of each lot size range and its code letter per inspection level
+  const LOT_SIZE_LIMITS = [8, 15, 25, 50, 90, 150, 280, 500, 1200, 3200, 10000, 35000, 150000, 500000, Infinity];
+  const LEVEL_LETTERS = {
+    'S-1': 'AAAABBBBCCCCDDD',
+    'S-2': 'AAABBBCCCDDDEEE',
+    'S-3': 'AABBCCDDEEFFGGH',
+    'S-4': 'AABCCDEEFGGHJJK',
+    I: 'AABCCDEFGHJKLMN',
+    II: 'ABCDEFGHJKLMNPQ',
+    III: 'BCDEFGHJKLMNPQR'
+  };
+
+  const SAMPLE_SIZES = [2, 3, 5, 8, 13, 20, 32, 50, 80, 125, 200, 315, 500, 800, 1250, 2000];
+
+  // AQL columns of Tables 2-A to 2-C (percent nonconforming), with their index in the full table
+  const AQL_VALUES = ['0.10', '0.15', '0.25', '0.40', '0.65', '1.0', '1.5', '2.5', '4.0', '6.5', '10'];
+  const AQL_COLUMN_OFFSET = 5; // 0.010, 0.015, 0.025, 0.040 and 0.065 precede 0.10
+
+  // Entries along each diagonal, from the first Ac/Re; '↓' / '↑' point to the next / previous code letter
+  const DIAGONALS = {
+    normal: { start: 15, entries: ['0/1', '↑', '1/2', '2/3', '3/4', '5/6', '7/8', '10/11', '14/15', '21/22'] },
+    tightened: { start: 16, entries: ['0/1', '↓', '1/2', '2/3', '3/4', '5/6', '8/9', '12/13', '18/19'] }
+  };
+  const REDUCED_LETTER_SHIFT = 2;
+
+  const SWITCHING = {
+    tightenWindow: 5,         // lots considered for normal -> tightened
+    tightenNotAccepted: 2,    // of which not accepted
+    normalAfterAccepted: 5,   // consecutive lots accepted on tightened
+    reducedScore: 30,         // switching score for normal -> reduced
+    discontinueNotAccepted: 5 // lots not accepted while on tightened
+  };
+
+  function normalizeAql(value) {
+    const number = parseFloat(String(value ?? '').replace('%', '').trim());
+    if (!Number.isFinite(number)) return null;
+    return AQL_VALUES.find(aql => Math.abs(parseFloat(aql) - number) < 1e-9) || null;
+  }
+
+  function normalizeLevel(value) {
+    const text = String(value ?? '').trim().toUpperCase().replace(/^S-?([1-4])$/, 'S-$1');
+    return INSPECTION_LEVELS.includes(text) ? text : null;
+  }
+
+  function normalizeSeverity(value) {
+    return SEVERITIES.includes(value) ? value : 'normal';
+  }
+
+  /**
+   * Units in a lot of `pallets` pallets: packs per pallet from the product's packaging
+   */
+  function lotSize(product, pallets = 1) {
+    const number = (...keys) => {
+      for (const key of keys) {
+        const value = parseInt(product && product[key], 10);
+        if (value > 0) return value;
+      }
+      return null;
+    };
+    const cartons = number('cartonsPerPallet', 'cartons_per_pallet');
+    const boxes = number('boxesPerCarton', 'boxes_per_carton');
+    const packs = number('packsPerBox', 'packs_per_box');
+    const count = parseInt(pallets, 10);
+    if (!cartons || !boxes || !packs || !(count > 0)) return null;
+    return count * cartons * boxes * packs;
+  }
+
+  function codeLetter(size, level = DEFAULT_LEVEL) {
+    const letters = LEVEL_LETTERS[normalizeLevel(level) || DEFAULT_LEVEL];
+    const lot = Math.max(parseInt(size, 10) || 0, 2);
+    return letters[LOT_SIZE_LIMITS.findIndex(limit => lot <= limit)];
+  }
+
+  function parseAcRe(entry) {
+    const [ac, re] = entry.split('/').map(part => parseInt(part, 10));
+    return { ac, re };
+  }
+
+  // Follow the arrows from a code letter row and AQL column to a plan
+  function resolve(table, row, column) {
+    const { start, entries } = DIAGONALS[table];
+    let index = row;
+    for (;;) {
+      const position = index + column - start;
+      const entry = position < 0 ? '↓' : position >= entries.length ? '↑' : entries[position];
+      if (entry === '↓') index++;
+      else if (entry === '↑') index--;
+      else return { row: index, ...parseAcRe(entry) };
+    }
+  }
+
+  function planFor(letter, aql, severity) {
+    const column = AQL_VALUES.indexOf(aql) + AQL_COLUMN_OFFSET;
+    let row = CODE_LETTERS.indexOf(letter);
+    if (severity === 'reduced') row = Math.max(row - REDUCED_LETTER_SHIFT, 0);
+    const resolved = resolve(severity === 'tightened' ? 'tightened' : 'normal', row, column);
+    return { sampleSize: SAMPLE_SIZES[resolved.row], ac: resolved.ac, re: resolved.re };
+  }
+
+  /**
+   * Single sampling plan for a lot:
+   * { lotSize, inspectionLevel, aql, severity, codeLetter, sampleSize, ac, re, hundredPercent }.
+   * When the sample would cover the whole lot, every unit is inspected.
+   */
+  function plan({ lotSize: size, inspectionLevel, aql, severity } = {}) {
+    const level = normalizeLevel(inspectionLevel) || DEFAULT_LEVEL;
+    const aqlValue = normalizeAql(aql) || DEFAULT_AQL;
+    const mode = normalizeSeverity(severity);
+    const lot = parseInt(size, 10) > 0 ? parseInt(size, 10) : null;
+    const letter = codeLetter(lot || 2, level);
+    const { sampleSize, ac, re } = planFor(letter, aqlValue, mode);
+    const hundredPercent = lot !== null && sampleSize >= lot;
+
+    return {
+      lotSize: lot,
+      inspectionLevel: level,
+      aql: aqlValue,
+      severity: mode,
+      codeLetter: letter,
+      sampleSize: hundredPercent ? lot : sampleSize,
+      ac,
+      re,
+      hundredPercent
+    };
+  }
+
+  /**
+   * Lot decision: accepted while nonconforming units stay at or below Ac
+   */
+  function isAccepted(lotPlan, nonconforming) {
+    return (parseInt(nonconforming, 10) || 0) <= lotPlan.ac;
+  }
+
+  // Whether the lot would also have been accepted with the AQL one step tighter (normal inspection)
+  function acceptedAtTighterAql(lotPlan, nonconforming) {
+    const index = AQL_VALUES.indexOf(lotPlan.aql);
+    if (index <= 0) return isAccepted(lotPlan, nonconforming);
+    return isAccepted(planFor(lotPlan.codeLetter, AQL_VALUES[index - 1], 'normal'), nonconforming);
+  }
+
+  function initialState() {
+    return {
+      severity: 'normal',
+      switchingScore: 0,
+      recentNormal: [],       // results of the latest lots on normal inspection, oldest first
+      consecutiveAccepted: 0, // on tightened inspection
+      notAcceptedOnTightened: 0,
+      discontinued: false
+    };
+  }
+
+  /**
+   * Apply the switching rules to lots in inspection order. Each lot is
+   * { accepted, ac, acceptedTighter } with the Ac of the plan it was inspected with.
+   * Returns the state for the next lot and, per lot, the severity it fell under and the
+   * switch it caused ({ severity, transition }).
+   */
+  function replay(lots) {
+    const state = initialState();
+    const steps = [];
+
+    const switchTo = (severity) => {
+      state.severity = severity;
+      state.switchingScore = 0;
+      state.recentNormal = [];
+      state.consecutiveAccepted = 0;
+      if (severity !== 'tightened') state.notAcceptedOnTightened = 0;
+      return severity;
+    };
+
+    (lots || []).forEach(lot => {
+      let transition = null;
+      if (state.discontinued) {
+        // Inspection resumes on tightened after corrective action
+        state.discontinued = false;
+        state.notAcceptedOnTightened = 0;
+        transition = 'resumed';
+        switchTo('tightened');
+      }
+      const severity = state.severity;
+
+      if (severity === 'normal') {
+        state.recentNormal = state.recentNormal.concat(!!lot.accepted).slice(-SWITCHING.tightenWindow);
+        if (state.recentNormal.filter(accepted => !accepted).length >= SWITCHING.tightenNotAccepted) {
+          transition = switchTo('tightened');
+        } else {
+          if (lot.ac >= 2) state.switchingScore = lot.acceptedTighter ? state.switchingScore + 3 : 0;
+          else state.switchingScore = lot.accepted ? state.switchingScore + 2 : 0;
+          if (state.switchingScore >= SWITCHING.reducedScore) transition = switchTo('reduced');
+        }
+      } else if (severity === 'tightened') {
+        if (lot.accepted) {
+          state.consecutiveAccepted++;
+          if (state.consecutiveAccepted >= SWITCHING.normalAfterAccepted) transition = switchTo('normal');
+        } else {
+          state.consecutiveAccepted = 0;
+          state.notAcceptedOnTightened++;
+          if (state.notAcceptedOnTightened >= SWITCHING.discontinueNotAccepted) {
+            state.discontinued = true;
+            transition = 'discontinued';
+          }
+        }
+      } else if (!lot.accepted) {
+        transition = switchTo('normal');
+      }
+
+      steps.push({ severity, transition });
+    });
+
+    return { state, steps };
+  }
+
+  return {
+    INSPECTION_LEVELS,
+    SEVERITIES,
+    AQL_VALUES,
+    SWITCHING,
+    normalizeAql,
+    normalizeLevel,
+    lotSize,
+    codeLetter,
+    plan,
+    isAccepted,
+    acceptedAtTighterAql,
+    replay
+  };
+});
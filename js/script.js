@@ -493,71 +493,120 @@ document.addEventListener('DOMContentLoaded', () => {
         if (previewMonth) previewMonth.textContent = month || '-';
     }
 
-    // AQL sampling plan mapping and sample table meta
+    // ISO 2859-1 sampling (js/sampling-plans.js) and sample table meta
     const sampleTableMeta = {};
-    // Acceptance/Rejection numbers by sample size category and AQL level
-    // Format: "Ac/Re" meaning Accept up to Ac defectives, Reject at Re defectives
-    const AQL_PLAN = {
-        2: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "0/1", "1.5%": "0/1", "2.5%": "0/1", "4.0%": "0/1", "6.5%": "0/1", "10.0%": "1/2" },
-        3: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "0/1", "1.5%": "0/1", "2.5%": "0/1", "4.0%": "0/1", "6.5%": "1/2", "10.0%": "1/2" },
-        5: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "0/1", "1.5%": "0/1", "2.5%": "1/2", "4.0%": "1/2", "6.5%": "1/2", "10.0%": "2/3" },
-        8: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "0/1", "1.5%": "0/1", "2.5%": "1/2", "4.0%": "1/2", "6.5%": "2/3", "10.0%": "3/4" },
-        13: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "0/1", "1.5%": "1/2", "2.5%": "1/2", "4.0%": "1/2", "6.5%": "2/3", "10.0%": "4/5" },
-        20: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "0.65%": "0/1", "1.0%": "1/2", "1.5%": "1/2", "2.5%": "2/3", "4.0%": "2/3", "6.5%": "3/4", "10.0%": "5/6" },
-        32: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "0.40%": "0/1", "1.0%": "1/2", "1.5%": "1/2", "2.5%": "2/3", "4.0%": "3/4", "6.5%": "5/6", "10.0%": "7/8" },
-        50: { "0.10%": "0/1", "0.15%": "0/1", "0.25%": "0/1", "1.0%": "1/2", "1.5%": "2/3", "2.5%": "3/4", "4.0%": "5/6", "6.5%": "7/8", "10.0%": "10/11" }
-    };
-    function nearestSampleSizeCategory(n) {
-        const sizes = Object.keys(AQL_PLAN).map(s => parseInt(s, 10));
-        return sizes.reduce((prev, curr) => Math.abs(curr - n) < Math.abs(prev - n) ? curr : prev, sizes[0]);
+    // Switching state of the selected product on the production line (GET /api/products/:id/sampling)
+    let samplingState = { severity: 'normal', discontinued: false };
+
+    // Lot size in packs: pallets in the lot times the product's packs per pallet
+    function currentLotSize(product) {
+        const pallets = parseInt(document.getElementById('lot-pallet-count')?.value, 10) || 1;
+        return window.SamplingPlans.lotSize(product, pallets);
     }
-    function parseAcRe(str) {
-        if (!str || typeof str !== 'string') return { ac: 0, re: 1 };
-        const parts = str.split('/');
-        return { ac: parseInt(parts[0], 10) || 0, re: parseInt(parts[1], 10) || 1 };
+
+    async function refreshSamplingState() {
+        const productId = productSelect && productSelect.value;
+        samplingState = { severity: 'normal', discontinued: false };
+        if (productId && window.apiClient && typeof window.apiClient.getSamplingState === 'function') {
+            try {
+                samplingState = await window.apiClient.getSamplingState(productId, {
+                    production_line: document.getElementById('production-line')?.value || ''
+                });
+            } catch (error) {
+                // Products only kept in this browser have no lot history: normal inspection
+                if (error.status !== 404) console.warn('Sampling state not loaded', error);
+            }
+        }
+        checkRejectionCriteria();
     }
-    function computeTareLimits(stdWeight) {
-        // New TD-based calculation per provided table
-        const Qn = parseFloat(stdWeight) || 0;
-        let TD = 0; // Tolerable Deficiency
-        if (Qn <= 0) return { t1: 0, t2: 0, pack1: 0, pack2: 0 };
-        if (Qn <= 50) {
-            TD = 0.09 * Qn;
-        } else if (Qn <= 100) {
-            TD = 4.5;
-        } else if (Qn <= 200) {
-            TD = 0.045 * Qn;
-        } else if (Qn <= 300) {
-            TD = 9;
-        } else if (Qn <= 500) {
-            TD = 0.03 * Qn;
-        } else if (Qn <= 1000) {
-            TD = 15;
-        } else if (Qn <= 10000) {
-            TD = 0.015 * Qn;
-        } else if (Qn <= 15000) {
-            TD = 150;
-        } else if (Qn <= 50000) {
-            TD = 0.01 * Qn;
-        } else {
-            // For > 50,000 g, extend using 1% rule unless specified otherwise
-            TD = 0.01 * Qn;
+
+    // Average quantity regulation (js/quantity-control.js) from the quantity_regulations setting
+    let quantityRegulation = window.QuantityControl.activeRegulation();
+
+    async function loadQuantityRegulation() {
+        if (window.apiClient && typeof window.apiClient.getSetting === 'function') {
+            try {
+                const setting = await window.apiClient.getSetting(window.QuantityControl.SETTING_KEY);
+                quantityRegulation = window.QuantityControl.activeRegulation(setting && setting.value);
+            } catch (error) {
+                // Not configured yet: the built-in regulation applies
+                if (error.status !== 404) console.warn('Quantity regulation not loaded', error);
+            }
         }
-        const t1 = Qn - TD;               // Tare 1 = Qn - TD
-        const t2 = Qn - (2 * TD);         // Tare 2 = Qn - 2*TD
-        const pack1 = t2;                 // Keep existing display fields
-        const pack2 = Qn + (2 * TD);
-        return { t1, t2, pack1, pack2 };
+        checkRejectionCriteria();
     }
-    function getAcReFor(tableId, aqlLevel) {
-        const meta = sampleTableMeta[tableId] || {};
-        const sampleRows = meta.sampleRows || 20;
-        const bucket = nearestSampleSizeCategory(sampleRows);
-        const row = AQL_PLAN[bucket] || AQL_PLAN[20];
-        const key = row[aqlLevel] ? aqlLevel : '1.0%';
-        return parseAcRe(row[key]);
+
+    // T1 = Qn - TNE, T2 = Qn - 2 x TNE with the tolerable negative error of the active regulation
+    function computeTareLimits(stdWeight) {
+        return window.QuantityControl.tareLimits(stdWeight, quantityRegulation);
     }
 
+    // Average quantity verdict of the lot: every pack weighed in every sample table, pooled
+    function evaluateLotQuantity() {
+        const std = parseFloat((products[productSelect.value] || {}).standardWeight) || 0;
+        const weights = [];
+        Object.keys(sampleTableMeta).forEach(tableId => {
+            document.querySelectorAll(`input.sample-weight[data-table="${tableId}"]`).forEach(inp => weights.push(inp.value));
+        });
+        const summary = window.QuantityControl.summarize(weights, computeTareLimits(std));
+        return { summary, verdict: window.QuantityControl.evaluateLot(summary, std, quantityRegulation) };
+    }
+
+    // Overfill of a mean pack weight, e.g. "+2.40 g (1.3%)"
+    function formatGiveaway(mean, nominal) {
+        const { grams, percent } = window.QuantityControl.giveaway(mean, nominal);
+        return `${grams >= 0 ? '+' : ''}${grams.toFixed(2)} g (${percent.toFixed(1)}%)`;
+    }
+
+    function renderQuantityVerdict(tableId, verdict) {
+        const el = document.getElementById(`quantity-verdict-${tableId}`);
+        if (!el) return;
+        if (verdict.compliant === null) {
+            el.value = '';
+            el.title = '';
+            el.className = 'border border-red-300 p-1 w-40 input-field text-center';
+            return;
+        }
+        const failed = [
+            !verdict.mean_ok && 'mean',
+            !verdict.t1_ok && 'T1',
+            !verdict.t2_ok && 'T2'
+        ].filter(Boolean);
+        el.value = verdict.compliant ? 'COMPLIANT' : `NOT COMPLIANT (${failed.join(', ')})`;
+        el.title = `n = ${verdict.count}, mean ${verdict.mean.toFixed(2)} g ≥ ${verdict.mean_limit.toFixed(2)} g (Qn - ${verdict.k.toFixed(3)} × s), `
+            + `${verdict.below_t1} below T1 (allowed ${verdict.allowed_below_t1}), ${verdict.below_t2} below T2 - ${quantityRegulation.name}`;
+        el.className = `border border-red-300 p-1 w-40 input-field text-center ${verdict.compliant ? 'status-accepted' : 'status-rejected'}`;
+    }
+    // Sampling plan of the lot checked by a sample table: the code letter comes from the lot size and
+    // the product's inspection level, the sample size and Ac/Re from its AQL and the switching state
+    function getAcReFor(tableId) {
+        const product = products[productSelect.value] || {};
+        const plan = window.SamplingPlans.plan({
+            lotSize: currentLotSize(product),
+            inspectionLevel: product.inspectionLevel,
+            aql: product.aqlLevel,
+            severity: samplingState.severity
+        });
+        if (sampleTableMeta[tableId]) sampleTableMeta[tableId].plan = plan;
+        return plan;
+    }
+
+    // Counts and pooled weights of the lot for the report: every sample table weighs packs of the same lot
+    window.collectSamplingResult = function () {
+        const lots = Object.values(sampleTableMeta).map(meta => meta.lot).filter(Boolean);
+        if (!lots.length) return null;
+        const { summary } = evaluateLotQuantity();
+        return {
+            pallet_count: parseInt(document.getElementById('lot-pallet-count')?.value, 10) || 1,
+            lot_size: lots[0].lotSize || undefined,
+            inspected: lots.reduce((sum, lot) => sum + lot.inspected, 0),
+            nonconforming: lots.reduce((sum, lot) => sum + lot.nonconforming, 0),
+            critical: lots.reduce((sum, lot) => sum + lot.critical, 0),
+            mean_weight: summary.mean === null ? undefined : Number(summary.mean.toFixed(3)),
+            std_dev: Number(summary.stdDev.toFixed(3))
+        };
+    };
+
     const productSelect = document.getElementById('product-name');
     const batchInput = document.getElementById('batch-number');
     const dateInput = document.getElementById('report-date');
@@ -785,6 +834,54 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Historical configurations pinned by an opened report (product revisions, see report-workflow.js).
+    // They replace the live configuration in memory only; the originals are what gets saved.
+    const pinnedProducts = new Map();
+
+    function productsForStorage() {
+        const stored = { ...products };
+        pinnedProducts.forEach((original, key) => {
+            if (original === undefined) delete stored[key];
+            else stored[key] = original;
+        });
+        return stored;
+    }
+
+    // Key of a product in `products` (its product code) from the code or the server UUID (db_id)
+    function productKeyFor(id) {
+        if (!id) return null;
+        if (products[id]) return id;
+        const live = key => (pinnedProducts.has(key) ? pinnedProducts.get(key) : products[key]) || {};
+        return Object.keys(products).find(key => live(key).db_id === id) || null;
+    }
+
+    // Pin a report's configuration in place of the product's live one; `id` is the report's
+    // product UUID or code, `code` the product code recorded in the revision. Returns the key.
+    window.pinProductConfiguration = function (id, config, code) {
+        const key = productKeyFor(id) || productKeyFor(code) || code;
+        if (!key || !config) return null;
+        // One report is loaded at a time: put back what an earlier one pinned
+        if (pinnedProducts.size && !(pinnedProducts.size === 1 && pinnedProducts.has(key))) {
+            window.unpinProductConfigurations();
+        }
+        if (!pinnedProducts.has(key)) pinnedProducts.set(key, products[key]);
+        const live = pinnedProducts.get(key);
+        products[key] = { ...config, id: key, ...(live && live.db_id ? { db_id: live.db_id } : {}) };
+        populateProductDropdown(true);
+        return key;
+    };
+
+    // Back to the live configurations, when a new report is started or the loaded one is left
+    window.unpinProductConfigurations = function () {
+        if (!pinnedProducts.size) return;
+        pinnedProducts.forEach((original, key) => {
+            if (original === undefined) delete products[key];
+            else products[key] = original;
+        });
+        pinnedProducts.clear();
+        populateProductDropdown(true);
+    };
+
     const months = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'];
 
     // *** NEW: Global variable to hold the smart navigation map ***
@@ -1452,7 +1549,26 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Validate input against min/max limits
+    // Spec of the parameter row an input belongs to (data-spec, set by renderFormSection)
+    function inputSpec(input) {
+        const row = input.closest ? input.closest('tr[data-spec]') : null;
+        if (!row || !window.SpecLimits) return null;
+        try {
+            const spec = JSON.parse(row.getAttribute('data-spec'));
+            // data-min/data-max can be changed at runtime (Genius panel), so they win for ranges
+            if (spec.kind === 'range') {
+                const min = parseFloat(input.dataset.min);
+                const max = parseFloat(input.dataset.max);
+                if (!isNaN(min)) spec.lsl = min;
+                if (!isNaN(max)) spec.usl = max;
+            }
+            return spec;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Validate input against the parameter's spec, or its min/max limits
     function validateInput(input) {
         try {
             const tag = (input.tagName || '').toLowerCase();
@@ -1464,6 +1580,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
+            const spec = inputSpec(input);
+            const withinSpec = spec ? window.SpecLimits.evaluate(spec, input.value) : null;
+            if (withinSpec !== null) {
+                input.classList.toggle('in-range', withinSpec);
+                input.classList.toggle('out-of-range', !withinSpec);
+                return;
+            }
+
             // Handle selects and pass/fail-like fields generically
             if (tag === 'select' || typeAttr === 'select-one') {
                 const v = String(input.value).trim().toLowerCase();
@@ -1640,15 +1764,16 @@ document.addEventListener('DOMContentLoaded', () => {
     // Function to check rejection criteria based on standard weight
     function checkRejectionCriteria() {
         // Recalculate Tare status for all sample tables and groups using new AQL logic
-        const tables = Object.keys(sampleTableMeta);
-        tables.forEach(tableId => {
-            // Get unique group identifiers present for this table
-            const inputs = document.querySelectorAll(`input[data-table="${tableId}"]`);
-            const groups = new Set();
-            inputs.forEach(inp => { if (inp.dataset.group) groups.add(inp.dataset.group); });
-            groups.forEach(groupStr => {
-                updateTareStatus(tableId, groupStr, 0);
-            });
+        Object.keys(sampleTableMeta).forEach(refreshTareStatus);
+    }
+
+    function refreshTareStatus(tableId) {
+        // Get unique group identifiers present for this table
+        const inputs = document.querySelectorAll(`input[data-table="${tableId}"]`);
+        const groups = new Set();
+        inputs.forEach(inp => { if (inp.dataset.group) groups.add(inp.dataset.group); });
+        groups.forEach(groupStr => {
+            updateTareStatus(tableId, groupStr, 0);
         });
     }
 
@@ -2352,10 +2477,15 @@ document.addEventListener('DOMContentLoaded', () => {
             // Generate unique parameter ID
             const paramId = `${sectionId}_${param.name.replace(/[^a-zA-Z0-9]/g, '_')}_${index}`;
             row.setAttribute('data-param-id', paramId);
+            // Product parameter id, the parameter_id of the values saved to report_parameters
+            if (param.id) row.setAttribute('data-parameter-id', param.id);
+            // Structured spec (range, duration, enum, must-equal) parsed from the limits text
+            const spec = window.SpecLimits ? window.SpecLimits.fromParameter(param) : null;
+            if (spec && spec.kind !== 'text') row.setAttribute('data-spec', JSON.stringify(spec));
 
             let cells = `
                 <td class="font-semibold"><span class="param-label">${param.name}</span></td>
-                <td>${param.limits}</td>
+                <td>${param.limits || (spec ? window.SpecLimits.format(spec) : '')}</td>
             `;
             timeIntervals.forEach((time, i) => {
                 let inputHtml = '';
@@ -2473,6 +2603,13 @@ document.addEventListener('DOMContentLoaded', () => {
             select.addEventListener('change', checkConsecutiveGrades);
         });
 
+        // Text inputs checked against their spec (durations such as "3:00 - 7:30", must-equal values)
+        tbody.querySelectorAll('tr[data-spec] input[type="text"]:not(.gui-calculated):not(.template-calculated)').forEach(input => {
+            input.addEventListener('input', () => {
+                try { validateInput(input); } catch (e) { }
+            });
+        });
+
         // Add event listeners for numerical inputs to update AVG and STD
         tbody.querySelectorAll('input[type="number"]:not(.avg-field-row):not(.std-field-row):not(.formula-calculated):not(.gui-calculated)').forEach(input => {
             input.addEventListener('input', () => {
@@ -2896,9 +3033,21 @@ document.addEventListener('DOMContentLoaded', () => {
                     <h4 class="font-bold text-red-800 whitespace-nowrap w-full">
                         <i class="fas fa-chart-bar mr-1"></i>AQL SAMPLING PARAMETERS
                     </h4>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Lot Size:</label>
+                        <input id="lot-size-${tableId}" class="border border-red-300 p-1 w-20 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Code Letter:</label>
+                        <input id="code-letter-${tableId}" class="border border-red-300 p-1 w-16 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Inspection:</label>
+                        <input id="inspection-severity-${tableId}" class="border border-red-300 p-1 w-28 input-field text-center" readonly>
+                    </div>
                     <div class="flex items-center">
                         <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Sample Size:</label>
-                        <input id="sample-size-${tableId}" class="border border-red-300 p-1 w-16 input-field text-center" readonly>
+                        <input id="sample-size-${tableId}" class="border border-red-300 p-1 w-24 input-field text-center" readonly>
                     </div>
                     <div class="flex items-center">
                         <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">AQL Level:</label>
@@ -2913,6 +3062,35 @@ document.addEventListener('DOMContentLoaded', () => {
                         <input id="re-value-${tableId}" class="border border-red-300 p-1 w-12 input-field text-center" readonly>
                     </div>
                 </div>
+                <div class="flex flex-wrap items-center justify-start gap-x-4 gap-y-2 text-sm mt-2 pt-2 border-t border-red-200">
+                    <h4 class="font-bold text-red-800 whitespace-nowrap w-full">
+                        <i class="fas fa-balance-scale mr-1"></i>AVERAGE QUANTITY (℮) - WHOLE LOT
+                    </h4>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Mean (g):</label>
+                        <input id="lot-mean-${tableId}" class="border border-red-300 p-1 w-20 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Std Dev (g):</label>
+                        <input id="lot-std-${tableId}" class="border border-red-300 p-1 w-20 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Mean Limit (g):</label>
+                        <input id="mean-limit-${tableId}" class="border border-red-300 p-1 w-20 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Below T1 / Allowed:</label>
+                        <input id="below-t1-${tableId}" class="border border-red-300 p-1 w-20 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Giveaway:</label>
+                        <input id="lot-giveaway-${tableId}" class="border border-red-300 p-1 w-32 input-field text-center" readonly>
+                    </div>
+                    <div class="flex items-center">
+                        <label class="font-semibold text-red-700 mr-2 whitespace-nowrap">Verdict:</label>
+                        <input id="quantity-verdict-${tableId}" class="border border-red-300 p-1 w-40 input-field text-center" readonly>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -2923,9 +3101,8 @@ document.addEventListener('DOMContentLoaded', () => {
         if (table) {
             // Initialize meta and rejection criteria display
             const selectedProduct = products[productSelect.value] || {};
-            const aqlLevel = selectedProduct?.aqlLevel || '1.0%';
             const firstGroupInputs = table.querySelectorAll('tbody tr td input.sample-weight[data-group="01"]');
-            sampleTableMeta[tableId] = { sampleRows: firstGroupInputs.length || 20, aqlLevel };
+            sampleTableMeta[tableId] = { sampleRows: firstGroupInputs.length || 20 };
             // Populate criteria block with current T1/T2
             const std = parseFloat(selectedProduct.standardWeight) || 0;
             if (std) {
@@ -2947,6 +3124,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     const groupStr = e.target.dataset.group;
                     const groupNumber = parseInt(groupStr, 10);
                     calculateSampleStatistics(tableId, groupNumber);
+                    // Every column shows the lot decision and every table the average quantity verdict
+                    // of the whole lot, which this value may have changed
+                    checkRejectionCriteria();
                 }
             });
         }
@@ -2986,6 +3166,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Check if AVG is less than standard weight and apply red color
             const product = products[productSelect.value] || {};
             const standardWeight = parseFloat(product.standardWeight) || 0;
+            avgField.title = standardWeight > 0 && count > 0 ? `Giveaway ${formatGiveaway(avg, standardWeight)}` : '';
 
             if (standardWeight > 0 && avg < standardWeight) {
                 avgField.style.backgroundColor = '#fee2e2'; // Light red background
@@ -3026,57 +3207,78 @@ document.addEventListener('DOMContentLoaded', () => {
             if (p1El) p1El.value = limits.pack1.toFixed(2);
             if (p2El) p2El.value = limits.pack2.toFixed(2);
 
-            // Count defectives and criticals in this column based on T1/T2
-            const inputs = document.querySelectorAll(`input[data-table="${tableId}"][data-group="${groupStr}"]`);
-            let defects = 0; // T2 <= x < T1
-            let criticals = 0; // x < T2
-            inputs.forEach(inp => {
-                const v = parseFloat(inp.value);
-                if (!isNaN(v) && v !== 0) {
-                    if (v < limits.t2) criticals++;
-                    else if (v < limits.t1) defects++;
-                }
-            });
+            // Count defectives (T2 <= x < T1) and criticals (x < T2) in this column and in the lot,
+            // which is every pack weighed in the table
+            const countUnits = (selector) => {
+                const counts = { inspected: 0, defects: 0, criticals: 0 };
+                document.querySelectorAll(selector).forEach(inp => {
+                    const v = parseFloat(inp.value);
+                    if (!isNaN(v) && v !== 0) {
+                        counts.inspected++;
+                        if (v < limits.t2) counts.criticals++;
+                        else if (v < limits.t1) counts.defects++;
+                    }
+                });
+                return counts;
+            };
+            const column = countUnits(`input[data-table="${tableId}"][data-group="${groupStr}"]`);
+            const lot = countUnits(`input.sample-weight[data-table="${tableId}"]`);
+            const plan = getAcReFor(tableId);
+            if (sampleTableMeta[tableId]) {
+                sampleTableMeta[tableId].lot = { lotSize: plan.lotSize, inspected: lot.inspected, nonconforming: lot.defects, critical: lot.criticals };
+            }
 
             // Tare2 rule: any unit below T2 rejects the lot immediately
             if (tare2Field) {
-                const t2Accepted = criticals === 0;
+                const t2Accepted = column.criticals === 0;
                 tare2Field.value = t2Accepted ? 'ACCEPTED' : 'REJECTED';
                 tare2Field.className = t2Accepted ? 'input-field status-accepted' : 'input-field status-rejected';
             }
 
-            // AQL-based decision for Tare1 (defectives between T1 and T2)
+            // Tare1 shows the lot decision: rejected once its defectives reach Re, or with any unit below T2
             if (tare1Field) {
-                const aqlLevel = product.aqlLevel || '1.0%';
-                const sampleCount = inputs.length || 20;
-                const bucket = nearestSampleSizeCategory(sampleCount);
-                const row = AQL_PLAN[bucket] || AQL_PLAN[20];
-                const acReStr = row[aqlLevel] || row['1.0%'];
-                const { ac, re } = parseAcRe(acReStr);
-
-                // Rule: If Tare2 is rejected, Tare1 must also be rejected
-                let status;
-                if (criticals > 0) {
-                    status = 'REJECTED'; // Tare2 rejected, so Tare1 must be rejected
-                } else {
-                    // AQL-based decision: Accept unless defectives >= Re
-                    status = (defects >= re) ? 'REJECTED' : 'ACCEPTED';
-                }
+                const status = (lot.criticals > 0 || lot.defects >= plan.re) ? 'REJECTED' : 'ACCEPTED';
 
                 tare1Field.value = status;
                 tare1Field.className = status === 'ACCEPTED' ? 'input-field status-accepted' : 'input-field status-rejected';
 
-                // Update Ac/Re display in rejection criteria block
+                // Update the plan display in the rejection criteria block
                 const acEl = document.getElementById(`ac-value-${tableId}`);
                 const reEl = document.getElementById(`re-value-${tableId}`);
                 const sampleSizeEl = document.getElementById(`sample-size-${tableId}`);
                 const aqlLevelEl = document.getElementById(`aql-level-${tableId}`);
-
-                if (acEl) acEl.value = ac;
-                if (reEl) reEl.value = re;
-                if (sampleSizeEl) sampleSizeEl.value = sampleCount;
-                if (aqlLevelEl) aqlLevelEl.value = aqlLevel;
-            }
+                const lotSizeEl = document.getElementById(`lot-size-${tableId}`);
+                const codeLetterEl = document.getElementById(`code-letter-${tableId}`);
+                const severityEl = document.getElementById(`inspection-severity-${tableId}`);
+
+                if (acEl) acEl.value = plan.ac;
+                if (reEl) reEl.value = plan.re;
+                if (sampleSizeEl) {
+                    sampleSizeEl.value = plan.hundredPercent ? `${plan.sampleSize} (100%)` : plan.sampleSize;
+                    sampleSizeEl.title = `${lot.inspected} weighed`;
+                }
+                if (aqlLevelEl) aqlLevelEl.value = `${plan.aql}%`;
+                if (lotSizeEl) lotSizeEl.value = plan.lotSize || '';
+                if (codeLetterEl) codeLetterEl.value = `${plan.codeLetter} (${plan.inspectionLevel})`;
+                if (severityEl) {
+                    severityEl.value = samplingState.discontinued ? 'DISCONTINUED' : plan.severity.toUpperCase();
+                    severityEl.className = `border border-red-300 p-1 w-28 input-field text-center ${plan.severity === 'normal' && !samplingState.discontinued ? '' : 'status-rejected'}`;
+                }
+            }
+
+            // Average quantity: mean and T1/T2 criteria over the whole lot
+            const { summary, verdict } = evaluateLotQuantity();
+            const lotMeanEl = document.getElementById(`lot-mean-${tableId}`);
+            const lotStdEl = document.getElementById(`lot-std-${tableId}`);
+            const meanLimitEl = document.getElementById(`mean-limit-${tableId}`);
+            const belowT1El = document.getElementById(`below-t1-${tableId}`);
+            if (lotMeanEl) lotMeanEl.value = summary.mean === null ? '' : summary.mean.toFixed(2);
+            if (lotStdEl) lotStdEl.value = summary.count > 1 ? summary.stdDev.toFixed(2) : '';
+            if (meanLimitEl) meanLimitEl.value = summary.count ? verdict.mean_limit.toFixed(2) : '';
+            if (belowT1El) belowT1El.value = summary.count ? `${verdict.below_t1} / ${verdict.allowed_below_t1}` : '';
+            const giveawayEl = document.getElementById(`lot-giveaway-${tableId}`);
+            if (giveawayEl) giveawayEl.value = summary.count ? formatGiveaway(summary.mean, std) : '';
+            renderQuantityVerdict(tableId, verdict);
             return;
         }
 
@@ -3734,19 +3936,28 @@ document.addEventListener('DOMContentLoaded', () => {
         setupTableEnhancements && setupTableEnhancements(tableId);
     }
 
-    // New: SPC (Run Chart) renderer using Chart.js
+    // SPC control chart (X̄-R, X̄-S or I-MR) using Chart.js. Limits come from the data (js/spc.js)
+    // unless the table fixes LCL/UCL; points breaking a run rule are highlighted and each new
+    // violation is sent to the server, which raises a quality_alert notification.
     function renderSPCTable(table, containerId) {
         const tableId = table.id || `spc-${Date.now()}`;
         const rows = parseInt(table.spcRows || 20, 10);
         const param = table.spcParam || 'Measured Value';
-        const LCL = typeof table.spcLCL === 'number' ? table.spcLCL : undefined;
-        const TARGET = typeof table.spcTarget === 'number' ? table.spcTarget : undefined;
-        const UCL = typeof table.spcUCL === 'number' ? table.spcUCL : undefined;
-
+        const chartType = window.SPC.CHART_TYPES.includes(table.spcChartType) ? table.spcChartType : 'imr';
+        const size = chartType === 'imr' ? 1 : Math.min(Math.max(parseInt(table.spcSubgroupSize || 5, 10) || 5, 2), window.SPC.MAX_SUBGROUP_SIZE);
+        const fixed = typeof table.spcLCL === 'number' && typeof table.spcUCL === 'number' && table.spcUCL > table.spcLCL
+            ? { lcl: table.spcLCL, ucl: table.spcUCL, center: typeof table.spcTarget === 'number' ? table.spcTarget : undefined }
+            : undefined;
+        const names = { imr: ['I', 'MR'], xbar_r: ['X̄', 'R'], xbar_s: ['X̄', 'S'] }[chartType];
+        const title = table.name || 'SPC Control Chart';
+
+        const sampleHeaders = chartType === 'imr'
+            ? `<th>${escapeHtml(param)}</th>`
+            : Array.from({ length: size }, (_, i) => `<th>x${i + 1}</th>`).join('') + `<th>${names[0]}</th>`;
         const html = `
             <div class="mb-4">
                 <div class="flex justify-between items-center bg-blue-100 p-2">
-                    <h3 class="font-semibold"><i class="fas fa-chart-line mr-1"></i>${table.name || 'SPC Run Chart'}</h3>
+                    <h3 class="font-semibold"><i class="fas fa-chart-line mr-1"></i>${escapeHtml(title)} <span class="text-xs font-normal text-gray-600">(${names.join('-')} chart${fixed ? ', fixed limits' : ''})</span></h3>
                     <div class="flex gap-2">
                         <button type="button" class="export-csv-btn bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700 text-xs" data-table-id="${tableId}"><i class="fas fa-file-csv mr-1"></i>CSV</button>
                         <button type="button" class="export-excel-btn bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 text-xs" data-table-id="${tableId}"><i class="fas fa-file-excel mr-1"></i>Excel</button>
@@ -3756,16 +3967,19 @@ document.addEventListener('DOMContentLoaded', () => {
                 </div>
                 <div id="${tableId}-controls" class="table-controls-container"></div>
                 <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
-                    <div>
+                    <div class="overflow-x-auto">
                         <table class="form-table w-full" id="${tableId}">
                             <thead>
-                                <tr><th>#</th><th>${param}</th></tr>
+                                <tr><th>#</th>${sampleHeaders}<th>${names[1]}</th></tr>
                             </thead>
                             <tbody id="${tableId}-tbody"></tbody>
                         </table>
                     </div>
                     <div>
-                        <canvas id="${tableId}-chart" style="height:260px;"></canvas>
+                        <div style="height:220px;"><canvas id="${tableId}-chart"></canvas></div>
+                        <div style="height:160px;"><canvas id="${tableId}-dispersion-chart"></canvas></div>
+                        <div id="${tableId}-limits" class="text-xs text-gray-600 mt-1"></div>
+                        <ul id="${tableId}-violations" class="text-xs mt-1 space-y-1"></ul>
                     </div>
                 </div>
             </div>`;
@@ -3773,52 +3987,134 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!container) return;
         container.insertAdjacentHTML('beforeend', html);
 
+        // Subgroup statistics are shown in read-only cells, which are not saved with the report
         const tbody = document.getElementById(`${tableId}-tbody`);
         for (let i = 1; i <= rows; i++) {
             const tr = document.createElement('tr');
-            tr.innerHTML = `<td>${i}</td><td><input type="number" class="input-field" step="0.01" data-index="${i-1}"></td>`;
+            tr.dataset.subgroup = i - 1;
+            const inputs = Array.from({ length: size }, (_, j) =>
+                `<td><input type="number" class="input-field" step="0.01" data-index="${i-1}" data-sample="${j}"></td>`).join('');
+            const stats = (chartType === 'imr' ? '' : '<td><input type="number" class="input-field bg-gray-50" readonly data-role="location"></td>') +
+                '<td><input type="number" class="input-field bg-gray-50" readonly data-role="dispersion"></td>';
+            tr.innerHTML = `<td>${i}</td>${inputs}${stats}`;
             tbody.appendChild(tr);
         }
 
-        const ctx = document.getElementById(`${tableId}-chart`).getContext('2d');
-        const data = Array(rows).fill(null);
-        const labels = Array.from({length: rows}, (_,i)=> i+1);
-        const ds = { label: param, data, borderColor: '#2563eb', fill: false, tension: 0.2, spanGaps: true };
-        const annos = [];
-        function constLine(value, label, color){
-            return { type: 'line', yMin: value, yMax: value, borderColor: color, borderWidth: 1.5, label: { display: true, content: label, position: 'start', backgroundColor: 'rgba(0,0,0,0.6)' } };
+        const labels = Array.from({ length: rows }, (_, i) => i + 1);
+        const line = (label, color, dash) => ({ label, data: [], borderColor: color, borderDash: dash, borderWidth: 1.5, pointRadius: 0, fill: false });
+        function makeChart(canvasId, name) {
+            const series = { label: name, data: [], borderColor: '#2563eb', fill: false, tension: 0, spanGaps: true, pointBackgroundColor: [], pointRadius: [] };
+            return new Chart(document.getElementById(canvasId).getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets: [series, line('UCL', '#ef4444', [6, 6]), line('CL', '#10b981', [4, 4]), line('LCL', '#ef4444', [6, 6])] },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: { legend: { display: true, labels: { boxWidth: 12 } } },
+                    scales: { x: { title: { display: true, text: 'Subgroup' } }, y: { title: { display: true, text: name } } }
+                }
+            });
         }
-        const cfg = {
-            type: 'line',
-            data: { labels, datasets: [ds] },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: { legend: { display: true } },
-                scales: { x: { title: { display: true, text: 'Sample' } }, y: { title: { display: true, text: param } } },
-            }
-        };
-        const chart = new Chart(ctx, cfg);
-        // Add reference lines by updating after init
-        function updateRefLines(){
-            // Simple approach: add additional datasets for lines
-            chart.data.datasets = [ds];
-            if (typeof LCL === 'number') chart.data.datasets.push({ label: 'LCL', data: Array(rows).fill(LCL), borderColor: '#ef4444', borderDash: [6,6], pointRadius: 0, fill:false });
-            if (typeof TARGET === 'number') chart.data.datasets.push({ label: 'Target', data: Array(rows).fill(TARGET), borderColor: '#10b981', borderDash: [4,4], pointRadius: 0, fill:false });
-            if (typeof UCL === 'number') chart.data.datasets.push({ label: 'UCL', data: Array(rows).fill(UCL), borderColor: '#ef4444', borderDash: [6,6], pointRadius: 0, fill:false });
-            chart.update();
+        const locationChart = makeChart(`${tableId}-chart`, chartType === 'imr' ? param : `${names[0]} (${param})`);
+        const dispersionChart = makeChart(`${tableId}-dispersion-chart`, names[1]);
+
+        function readSubgroups() {
+            return Array.from(tbody.rows).map(tr => Array.from(tr.querySelectorAll('input[data-sample]'))
+                .map(input => parseFloat(input.value))
+                .filter(Number.isFinite));
         }
-        updateRefLines();
 
-        // Wire inputs
-        document.getElementById(tableId).addEventListener('input', (e)=>{
-            const inp = e.target.closest('input[type="number"]');
-            if (!inp) return;
-            const idx = parseInt(inp.dataset.index, 10);
-            const v = inp.value === '' ? null : parseFloat(inp.value);
-            data[idx] = isFinite(v) ? v : null;
+        const fmt = (value) => (value === null || value === undefined ? '-' : Number(value.toFixed(4)));
+
+        function drawChart(chart, data, violations) {
+            const flagged = new Map();
+            violations.filter(v => v.chart === data.name).forEach(v => {
+                v.points.forEach(index => {
+                    if (flagged.get(index) !== 'limit') flagged.set(index, v.rule === 'beyond_3_sigma' && index === v.index ? 'limit' : 'rule');
+                });
+            });
+            const [series, ucl, cl, lcl] = chart.data.datasets;
+            series.data = data.points.map(p => p.value);
+            series.pointBackgroundColor = data.points.map(p => ({ limit: '#dc2626', rule: '#f59e0b' }[flagged.get(p.index)] || '#2563eb'));
+            series.pointRadius = data.points.map(p => (flagged.has(p.index) ? 6 : 3));
+            ucl.data = labels.map(() => data.ucl);
+            cl.data = labels.map(() => data.cl);
+            lcl.data = labels.map(() => data.lcl);
             chart.update();
+            return flagged;
+        }
+
+        let analysis = null;
+        function recalc() {
+            analysis = window.SPC.analyze(chartType, readSubgroups(), { subgroupSize: size, fixed });
+            const flaggedLocation = drawChart(locationChart, analysis.location, analysis.violations);
+            const flaggedDispersion = drawChart(dispersionChart, analysis.dispersion, analysis.violations);
+
+            Array.from(tbody.rows).forEach((tr, index) => {
+                const locationCell = tr.querySelector('[data-role="location"]');
+                if (locationCell) locationCell.value = analysis.location.points[index].value === null ? '' : fmt(analysis.location.points[index].value);
+                const dispersionCell = tr.querySelector('[data-role="dispersion"]');
+                dispersionCell.value = analysis.dispersion.points[index].value === null ? '' : fmt(analysis.dispersion.points[index].value);
+                const flags = [flaggedLocation.get(index), flaggedDispersion.get(index)];
+                tr.classList.toggle('bg-red-100', flags.includes('limit'));
+                tr.classList.toggle('bg-yellow-100', !flags.includes('limit') && flags.includes('rule'));
+            });
+
+            const { location, dispersion } = analysis;
+            document.getElementById(`${tableId}-limits`).textContent = location.cl === null
+                ? 'Control limits are computed once enough subgroups are entered.'
+                : `${location.name}: CL ${fmt(location.cl)}, LCL ${fmt(location.lcl)}, UCL ${fmt(location.ucl)}${location.fixed ? ' (fixed)' : ''}` +
+                  ` | ${dispersion.name}: CL ${fmt(dispersion.cl)}, UCL ${fmt(dispersion.ucl)}` +
+                  (analysis.sigma !== null ? ` | σ ${fmt(analysis.sigma)}` : '');
+            document.getElementById(`${tableId}-violations`).innerHTML = analysis.violations.map(v =>
+                `<li class="${v.rule === 'beyond_3_sigma' ? 'text-red-700' : 'text-yellow-700'}"><i class="fas fa-exclamation-triangle mr-1"></i>${v.chart} chart, subgroup ${v.index + 1}: ${escapeHtml(v.description)}</li>`
+            ).join('');
+        }
+
+        // The server recomputes the analysis and notifies each violation once per chart;
+        // the context identifies the chart by report basics and table, so reloading the
+        // report does not notify again
+        let reportTimer = null;
+        function reportViolations() {
+            clearTimeout(reportTimer);
+            reportTimer = setTimeout(async () => {
+                if (!analysis || !analysis.violations.length || !window.apiClient || typeof window.apiClient.evaluateSPC !== 'function') return;
+                const product = products[productSelect.value] || {};
+                const reportId = new URL(window.location.href).searchParams.get('reportId');
+                const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+                const context = [productSelect.value, dateInput.value, batchInput.value, shiftInput.value, tableId].join('|').slice(0, 255);
+                const subject = [product.name || productSelect.value, batchInput.value && `batch ${batchInput.value}`, shiftInput.value && `shift ${shiftInput.value}`]
+                    .filter(Boolean).join(', ');
+                try {
+                    const result = await window.apiClient.evaluateSPC({
+                        context,
+                        chart_type: chartType,
+                        subgroup_size: size,
+                        subgroups: readSubgroups(),
+                        limits: fixed,
+                        title,
+                        parameter: param,
+                        subject: subject.slice(0, 255),
+                        report_id: uuid.test(reportId || '') ? reportId : undefined,
+                        product_id: uuid.test(product.db_id || '') ? product.db_id : undefined
+                    });
+                    const raised = result.violations.filter(v => v.notification_id).length;
+                    if (raised) showNotification(`${title}: ${raised} SPC rule violation${raised > 1 ? 's' : ''} reported`, 'warning', 5000);
+                } catch (error) {
+                    console.warn('SPC violations not reported', error);
+                }
+            }, 1500);
+        }
+
+        const tableEl = document.getElementById(tableId);
+        tableEl.addEventListener('input', (e) => {
+            if (e.target.closest('input[data-sample]')) recalc();
         });
+        tableEl.addEventListener('change', (e) => {
+            if (e.target.closest('input[data-sample]')) reportViolations();
+        });
+        recalc();
 
         setupTableEnhancements && setupTableEnhancements(tableId);
     }
@@ -4790,6 +5086,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 showNotification('No saved data found.', 'info');
                 return;
             }
+            // A saved draft is not the loaded report: back to the live product configurations
+            window.unpinProductConfigurations();
 
             let formData;
             try {
@@ -4848,7 +5146,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function resetForm() {
         if (confirm('Are you sure you want to reset the form? All unsaved data will be lost.')) {
-            location.reload(); // Simple page reload to reset everything
+            // A new report: leave a loaded one (?reportId=) and its pinned product revision
+            window.unpinProductConfigurations();
+            const url = new URL(location.href);
+            url.searchParams.delete('reportId');
+            location.replace(url.toString()); // Simple page reload to reset everything
             showNotification('Form has been reset.', 'success');
         }
     }
@@ -6118,6 +6420,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 section.querySelectorAll('table.form-table').forEach(table => {
                     const head = [];
                     const body = [];
+                    const outOfSpecCells = new Set();
 
                     const thead = table.querySelector('thead');
                     if (thead) {
@@ -6153,6 +6456,11 @@ document.addEventListener('DOMContentLoaded', () => {
                                         } else {
                                             cellContent = input.value;
                                         }
+                                        // Values outside the parameter's spec print in red (same check as validateInput)
+                                        const spec = input.type === 'radio' || input.type === 'checkbox' ? null : inputSpec(input);
+                                        if (spec && window.SpecLimits.evaluate(spec, input.value) === false) {
+                                            outOfSpecCells.add(`${body.length}:${bodyRow.length}`);
+                                        }
                                     } else {
                                         cellContent = cell.textContent.trim();
                                     }
@@ -6206,6 +6514,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                 data.cell.styles.textColor = '#EF4444';
                                 data.cell.styles.fontStyle = 'bold';
                             }
+                            if (data.section === 'body' && outOfSpecCells.has(`${data.row.index}:${data.column.index}`)) {
+                                data.cell.styles.textColor = '#EF4444';
+                                data.cell.styles.fontStyle = 'bold';
+                            }
                         },
                         didDrawPage: (data) => {
                             drawHeaderFooter();
@@ -6772,25 +7084,33 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
-    // Alerts (CCP/OPRP) Tab Functions using RESTful Table API
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    // Alerts (CCP/OPRP) Tab Functions backed by /api/inspection-alerts
     async function loadAlerts() {
+        const tbody = document.getElementById('alerts-table-body');
+        if (!tbody || !window.apiClient) return;
         try {
-            const res = await fetch(`tables/inspection_alerts?limit=1000`);
-            const json = await res.json();
+            const json = await window.apiClient.getInspectionAlerts({ limit: 1000 });
             const rows = json.data || [];
-            const tbody = document.getElementById('alerts-table-body');
-            if (!tbody) return;
             tbody.innerHTML = '';
+            if (!rows.length) {
+                tbody.innerHTML = '<tr><td colspan="8" class="text-center text-gray-500">No alerts configured</td></tr>';
+                return;
+            }
             rows.forEach(r => {
                 const tr = document.createElement('tr');
-                const productName = products[r.product_id]?.name || r.product_id || '-';
+                const productName = products[r.product_code]?.name || r.product_name || r.product_code || '-';
                 const nextDue = r.next_due_at ? new Date(r.next_due_at).toLocaleString() : '-';
+                const target = [r.section_id, r.table_id, r.parameter_name].filter(Boolean).join(' / ');
                 tr.innerHTML = `
-                    <td>${productName}</td>
-                    <td>${r.title || '-'}</td>
-                    <td>${r.type || '-'}</td>
+                    <td>${escapeHtml(productName)}</td>
+                    <td>${escapeHtml(r.title || '-')}${target ? `<div class="text-xs text-gray-500">${escapeHtml(target)}</div>` : ''}</td>
+                    <td>${escapeHtml(r.type || '-')}</td>
                     <td>${r.frequency_minutes || '-'}</td>
-                    <td>${r.start_time || '-'}</td>
+                    <td>${r.start_time ? String(r.start_time).slice(0, 5) : '-'}</td>
                     <td>${nextDue}</td>
                     <td>${r.active ? 'Yes' : 'No'}</td>
                     <td>
@@ -6802,22 +7122,10 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         } catch (e) {
             console.error('Failed to load alerts', e);
+            tbody.innerHTML = `<tr><td colspan="8" class="text-center text-red-600">Failed to load alerts: ${escapeHtml(e.message)}</td></tr>`;
         }
     }
 
-    function computeNextDueAt(startTime, freqMinutes) {
-        try {
-            const [h, m] = (startTime || '08:00').split(':').map(n => parseInt(n));
-            const now = new Date();
-            const base = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h || 8, m || 0, 0, 0);
-            const next = new Date(base.getTime());
-            while (next < now) {
-                next.setMinutes(next.getMinutes() + (parseInt(freqMinutes) || 60));
-            }
-            return next.getTime();
-        } catch { return null; }
-    }
-
     async function addAlertFromForm() {
         const productId = document.getElementById('alerts-product')?.value || '';
         const title = document.getElementById('alert-title')?.value?.trim() || '';
@@ -6833,42 +7141,31 @@ document.addEventListener('DOMContentLoaded', () => {
             showNotification('Please select a product and enter a title', 'warning');
             return;
         }
-        const nextDue = computeNextDueAt(startTime, frequency);
         try {
-            const res = await fetch(`tables/inspection_alerts`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    product_id: productId,
-                    title,
-                    type,
-                    frequency_minutes: frequency,
-                    start_time: startTime,
-                    next_due_at: nextDue,
-                    active,
-                    section_id: sectionId || null,
-                    table_id: tableId || null,
-                    parameter_name: parameterName || null
-                })
+            // next_due_at is computed by the server from start_time and frequency
+            await window.apiClient.createInspectionAlert({
+                product_id: productId,
+                title,
+                type,
+                frequency_minutes: frequency,
+                start_time: startTime,
+                active,
+                section_id: sectionId || null,
+                table_id: tableId || null,
+                parameter_name: parameterName || null
             });
-            if (!res.ok) throw new Error('Failed to create alert');
             showNotification('Alert added', 'success');
+            const titleInput = document.getElementById('alert-title');
+            if (titleInput) titleInput.value = '';
             await loadAlerts();
         } catch (e) {
             showNotification('Failed to add alert: ' + e.message, 'error');
         }
     }
 
-
-
     async function toggleAlertActive(id, activeNow) {
         try {
-            const res = await fetch(`tables/inspection_alerts/${id}`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ active: !activeNow })
-            });
-            if (!res.ok) throw new Error('Toggle failed');
+            await window.apiClient.updateInspectionAlert(id, { active: !activeNow });
             showNotification(`Alert ${activeNow ? 'deactivated' : 'activated'}`, 'success');
             await loadAlerts();
         } catch (e) {
@@ -6876,6 +7173,51 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function deleteAlert(id) {
+        if (!confirm('Delete this alert?')) return;
+        try {
+            await window.apiClient.deleteInspectionAlert(id);
+            showNotification('Alert deleted', 'success');
+            await loadAlerts();
+        } catch (e) {
+            showNotification('Failed to delete alert: ' + e.message, 'error');
+        }
+    }
+
+    function populateAlertsProductDropdown() {
+        const select = document.getElementById('alerts-product');
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '<option value="">Select a Product</option>';
+        Object.keys(products).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = products[key].name;
+            select.appendChild(option);
+        });
+        if (current && products[current]) select.value = current;
+    }
+
+    function initAlertsTab() {
+        const panel = document.getElementById('alerts-settings');
+        if (!panel) return;
+        populateAlertsProductDropdown();
+        document.getElementById('add-alert-btn')?.addEventListener('click', addAlertFromForm);
+        document.getElementById('alerts-table-body')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const id = btn.getAttribute('data-id');
+            if (btn.getAttribute('data-action') === 'delete') deleteAlert(id);
+            else if (btn.getAttribute('data-action') === 'toggle') toggleAlertActive(id, btn.getAttribute('data-active') === 'true');
+        });
+        document.querySelector('.settings-tab-button[data-settings-tab="alerts"]')?.addEventListener('click', () => {
+            populateAlertsProductDropdown();
+            loadAlerts();
+        });
+        const ready = window.Auth ? window.Auth.ready : Promise.resolve();
+        ready.then(loadAlerts);
+    }
+
 
 
 
@@ -6982,7 +7324,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     <option value="ai" ${tableType === 'ai' ? 'selected' : ''}>AI Code Table</option>
                     <option value="defects" ${tableType === 'defects' ? 'selected' : ''}>Defects Log</option>
                     <option value="summary" ${tableType === 'summary' ? 'selected' : ''}>Shift Summary</option>
-                    <option value="spc" ${tableType === 'spc' ? 'selected' : ''}>SPC (Run Chart)</option>
+                    <option value="spc" ${tableType === 'spc' ? 'selected' : ''}>SPC (Control Chart)</option>
                     <option value="signoff" ${tableType === 'signoff' ? 'selected' : ''}>Sign-off</option>
                 </select>
             </div>
@@ -7100,16 +7442,31 @@ document.addEventListener('DOMContentLoaded', () => {
         </div>
 
         <div class="spc-config-options" style="display:none;">
-            <h6 class="font-semibold text-gray-600 mb-2 border-t pt-3">SPC (Run Chart) Options</h6>
-            <div class="grid grid-cols-1 md:grid-cols-5 gap-3">
+            <h6 class="font-semibold text-gray-600 mb-2 border-t pt-3">SPC (Control Chart) Options</h6>
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-3">
                 <div>
                     <label class="block font-semibold mb-1 text-sm">Parameter Name</label>
                     <input type="text" class="input-field spc-param" placeholder="e.g., Pack Weight (g)">
                 </div>
                 <div>
-                    <label class="block font-semibold mb-1 text-sm">Rows</label>
+                    <label class="block font-semibold mb-1 text-sm">Chart Type</label>
+                    <select class="input-field spc-chart-type">
+                        <option value="imr">I-MR (individuals)</option>
+                        <option value="xbar_r">X̄-R (subgroup range)</option>
+                        <option value="xbar_s">X̄-S (subgroup std dev)</option>
+                    </select>
+                </div>
+                <div>
+                    <label class="block font-semibold mb-1 text-sm">Subgroup Size</label>
+                    <input type="number" min="2" max="25" step="1" class="input-field spc-subgroup-size" value="5" title="Samples per subgroup (X̄-R and X̄-S)">
+                </div>
+                <div>
+                    <label class="block font-semibold mb-1 text-sm">Subgroups (rows)</label>
                     <input type="number" min="1" step="1" class="input-field spc-rows" value="20">
                 </div>
+                <div class="md:col-span-4 text-xs text-gray-500">
+                    Control limits are computed from the entered data. Set LCL and UCL only to chart against established (fixed) limits.
+                </div>
                 <div>
                     <label class="block font-semibold mb-1 text-sm">LCL</label>
                     <input type="number" step="0.01" class="input-field spc-lcl" placeholder="Lower Control Limit">
@@ -7663,6 +8020,8 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                 if (cfg) {
                     const p = cfg.querySelector('.spc-param'); if (p) p.value = table.spcParam || '';
                     const n = cfg.querySelector('.spc-rows'); if (n) n.value = parseInt(table.spcRows || 20, 10);
+                    const c = cfg.querySelector('.spc-chart-type'); if (c) c.value = table.spcChartType || 'imr';
+                    const g = cfg.querySelector('.spc-subgroup-size'); if (g) g.value = parseInt(table.spcSubgroupSize || 5, 10);
                     const l = cfg.querySelector('.spc-lcl'); if (l) l.value = (typeof table.spcLCL === 'number' ? table.spcLCL : '');
                     const t = cfg.querySelector('.spc-target'); if (t) t.value = (typeof table.spcTarget === 'number' ? table.spcTarget : '');
                     const u = cfg.querySelector('.spc-ucl'); if (u) u.value = (typeof table.spcUCL === 'number' ? table.spcUCL : '');
@@ -8420,6 +8779,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
             if (document.getElementById('product-empty-box-weight')) document.getElementById('product-empty-box-weight').value = product.emptyBoxWeight || '';
             if (document.getElementById('product-empty-carton-weight')) document.getElementById('product-empty-carton-weight').value = product.emptyCartonWeight || '';
             if (document.getElementById('product-aql-level')) document.getElementById('product-aql-level').value = product.aqlLevel || '1.0%';
+            if (document.getElementById('product-inspection-level')) document.getElementById('product-inspection-level').value = product.inspectionLevel || 'II';
             if (document.getElementById('product-batch-code')) document.getElementById('product-batch-code').value = product.batchCode || '';
             updateBatchPreview();
 
@@ -8469,7 +8829,8 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
 
     // Edit product
     function editProduct(productId) {
-        const product = products[productId];
+        // Edit the live configuration, not a revision pinned by an opened report
+        const product = pinnedProducts.get(productId) || products[productId];
         if (product) {
             openProductModal(product);
         }
@@ -8479,7 +8840,8 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
     function deleteProduct(productId) {
         if (confirm('Are you sure you want to delete this product?')) {
             delete products[productId];
-            localStorage.setItem('productConfigurations', JSON.stringify(products));
+            pinnedProducts.delete(productId);
+            localStorage.setItem('productConfigurations', JSON.stringify(productsForStorage()));
             renderProductsTable();
             // Preserve selection when deleting a different product
             populateProductDropdown(true);
@@ -8533,6 +8895,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
             const productEmptyBoxWeight = parseFloat(document.getElementById('product-empty-box-weight')?.value || 25);
             const productEmptyCartonWeight = parseFloat(document.getElementById('product-empty-carton-weight')?.value || 50);
             const productAqlLevel = document.getElementById('product-aql-level')?.value || '1.0%';
+            const productInspectionLevel = document.getElementById('product-inspection-level')?.value || 'II';
             const productBatchCode = document.getElementById('product-batch-code')?.value?.trim().toUpperCase() || '';
             const productDayFormat = document.getElementById('product-day-format')?.value || 'DD';
             const productMonthFormat = document.getElementById('product-month-format')?.value || 'letter';
@@ -8714,6 +9077,8 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                                 if (configContainer) {
                                     tableData.spcParam = configContainer.querySelector('.spc-param')?.value || '';
                                     tableData.spcRows = parseInt(configContainer.querySelector('.spc-rows')?.value || '20', 10);
+                                    tableData.spcChartType = configContainer.querySelector('.spc-chart-type')?.value || 'imr';
+                                    tableData.spcSubgroupSize = parseInt(configContainer.querySelector('.spc-subgroup-size')?.value || '5', 10);
                                     const lcl = configContainer.querySelector('.spc-lcl')?.value;
                                     const t = configContainer.querySelector('.spc-target')?.value;
                                     const ucl = configContainer.querySelector('.spc-ucl')?.value;
@@ -8736,7 +9101,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
             });
 
 
-            products[productId] = {
+            const product = {
                 id: productId,
                 name: productName,
                 standardWeight: productStandardWeight,
@@ -8747,6 +9112,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                 emptyBoxWeight: productEmptyBoxWeight,
                 emptyCartonWeight: productEmptyCartonWeight,
                 aqlLevel: productAqlLevel,
+                inspectionLevel: productInspectionLevel,
                 batchCode: productBatchCode,
                 dayFormat: productDayFormat,
                 monthFormat: productMonthFormat,
@@ -8759,20 +9125,17 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                 sections: sections
             };
 
-            localStorage.setItem('productConfigurations', JSON.stringify(products));
-            renderProductsTable();
-            populateProductDropdown(true);
+            // Edits to existing products are specification changes that need QA manager approval
+            if ((pinnedProducts.get(productId) || products[productId]) && window.apiClient &&
+                typeof window.apiClient.createProductRevision === 'function') {
+                requestProductChange(productId, product);
+                return;
+            }
+
+            applyProductConfiguration(productId, product);
             productModal.style.display = 'none';
             showNotification('Product saved successfully!', 'success');
 
-            // If the saved/updated product is currently selected, refresh batch and header
-            try {
-                if (productSelect && productSelect.value === productId) {
-                    updateDocumentHeaderDisplay(products[productId]);
-                    generateBatchNumber();
-                }
-            } catch(_){}
-
 
         } catch (error) {
             logError('Product Save Operation', error);
@@ -8780,6 +9143,56 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
         }
     }
 
+    // Make a configuration the live one for this browser
+    function applyProductConfiguration(productId, product) {
+        products[productId] = product;
+        pinnedProducts.delete(productId);
+
+        localStorage.setItem('productConfigurations', JSON.stringify(productsForStorage()));
+        renderProductsTable();
+        populateProductDropdown(true);
+
+        // If the saved/updated product is currently selected, refresh batch and header
+        try {
+            if (productSelect && productSelect.value === productId) {
+                updateDocumentHeaderDisplay(products[productId]);
+                generateBatchNumber();
+            }
+        } catch(_){}
+    }
+
+    // Approved specification changes arrive here (see spec-change-approvals.js)
+    window.applyProductConfiguration = applyProductConfiguration;
+
+    // Submit an edited product as a pending revision with a change reason; it is applied once a
+    // QA manager approves it. Nothing is applied when the server does not know the product.
+    async function requestProductChange(productId, product) {
+        const reason = window.prompt(`Reason for changing the specification of "${product.name}":`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            showNotification('A change reason is required.', 'error');
+            return;
+        }
+
+        try {
+            const revision = await window.apiClient.createProductRevision(productId, { form: product, change_reason: reason.trim() });
+            productModal.style.display = 'none';
+            if (revision.created) {
+                showNotification(`Change submitted for QA manager approval (revision ${revision.revision_number}).`, 'info', 6000);
+                document.dispatchEvent(new CustomEvent('product-revision:requested', { detail: revision }));
+            } else {
+                applyProductConfiguration(productId, product);
+                showNotification('No specification changes to approve; product saved.', 'success');
+            }
+        } catch (error) {
+            if (error && error.status === 404) {
+                showNotification(`Change not submitted: product "${product.name}" is not on the server, so its specification cannot be approved.`, 'error', 7000);
+                return;
+            }
+            logError('Product Change Request', error);
+            showNotification(`Change not submitted: ${error.message}`, 'error', 7000);
+        }
+    }
 
     // In the addEventListeners function, find the old recipe button listeners and replace them with this:
     try {
@@ -8825,7 +9238,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                     products = { ...products, ...importedProducts };
 
                     // Save to localStorage
-                    localStorage.setItem('productConfigurations', JSON.stringify(products));
+                    localStorage.setItem('productConfigurations', JSON.stringify(productsForStorage()));
 
                     // Update UI
                     renderProductsTable();
@@ -9238,9 +9651,20 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
     // END: نظام التنبيهات المبسط والديناميكي (نسخة نهائية مع زر تفعيل الصوت)
     // ========================================================
     function addEventListeners() {
+        // The lot's production line selects its switching history; its pallets give the lot size
+        document.getElementById('production-line')?.addEventListener('change', refreshSamplingState);
+        document.getElementById('lot-pallet-count')?.addEventListener('input', checkRejectionCriteria);
+        // Tare limits and the average quantity verdict follow the configured regulation
+        (window.Auth ? window.Auth.ready : Promise.resolve()).then(loadQuantityRegulation);
+        document.addEventListener('quantity-regulations:changed', loadQuantityRegulation);
+
         if (productSelect) {
             productSelect.addEventListener('change', (e) => {
                 const productType = e.target.value;
+                // Another product starts a new report: the loaded report's revision no longer applies
+                if (pinnedProducts.size && !pinnedProducts.has(productType)) {
+                    window.unpinProductConfigurations();
+                }
                 const selectedProduct = products[productType];
 
                 // Update editing product ID for custom variables access
@@ -9268,6 +9692,7 @@ Return a JSON object with these properties (omit any you don't need):\n\n{
                 }
 
                 generateBatchNumber();
+                refreshSamplingState();
 
                 if (selectedProduct) {
                     renderDynamicSections(selectedProduct);
@@ -9574,6 +9999,7 @@ if (saveToReportsBtn) saveToReportsBtn.addEventListener('click', ()=>{ try{ wind
         startAlertChecker();
         setupAudioEnabler();
         buildNavigationMap();
+        initAlertsTab();
 
     }
 
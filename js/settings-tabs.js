@@ -28,13 +28,16 @@
       'general': document.getElementById('general-settings'),
       'product-management': document.getElementById('product-management-settings'),
       
-      'formulas-library': document.getElementById('formulas-library-settings')
+      'formulas-library': document.getElementById('formulas-library-settings'),
+      'alerts': document.getElementById('alerts-settings'),
+      'audit': document.getElementById('audit-settings'),
+      'backups': document.getElementById('backups-settings')
     };
 
     function activateSettings(id){
       btns.forEach(b=> b.classList.toggle('active', b.getAttribute('data-settings-tab')===id));
       Object.values(settingsPanels).forEach(p=> hide(p));
-      const key = (id==='product-management'||id==='formulas-library') ? id : 'general';
+      const key = settingsPanels[id] ? id : 'general';
       const el = settingsPanels[key];
       if(el) show(el);
     }
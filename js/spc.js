@@ -0,0 +1,235 @@
+/**
+ * SPC
+ * Shewhart control charts with limits computed from the data, and run rules.
+ *
+ *   xbar_r   subgroup means and ranges       X̄ ± A2·R̄, R: D3·R̄ .. D4·R̄           σ = R̄ / d2
+ *   xbar_s   subgroup means and std devs     X̄ ± A3·S̄, S: B3·S̄ .. B4·S̄           σ = S̄ / c4
+ *   imr      individuals and moving ranges   X̄ ± 3·MR̄/d2, MR: 0 .. D4(2)·MR̄      σ = MR̄ / 1.128
+ *
+ * Run rules (Western Electric 1-4 and Nelson's trend rule) on the location chart (X̄ or I);
+ * the dispersion chart (R, S or MR) only flags points beyond its limits:
+ *
+ *   beyond_3_sigma       one point beyond a control limit
+ *   two_of_three_2_sigma 2 of 3 consecutive points beyond 2σ on the same side
+ *   four_of_five_1_sigma 4 of 5 consecutive points beyond 1σ on the same side
+ *   run_of_8             8 consecutive points on the same side of the center line
+ *   trend_of_6           6 consecutive points steadily increasing or decreasing
+ *
+ * Used by the inspection form (window.SPC) and the server (require).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SPC = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CHART_TYPES = ['imr', 'xbar_r', 'xbar_s'];
+  const MAX_SUBGROUP_SIZE = 25;
+
+  const CHART_NAMES = {
+    imr: { location: 'I', dispersion: 'MR' },
+    xbar_r: { location: 'X̄', dispersion: 'R' },
+    xbar_s: { location: 'X̄', dispersion: 'S' }
+  };
+
+  const RULES = {
+    beyond_3_sigma: 'Point beyond the 3σ control limits',
+    two_of_three_2_sigma: '2 of 3 consecutive points beyond 2σ on the same side',
+    four_of_five_1_sigma: '4 of 5 consecutive points beyond 1σ on the same side',
+    run_of_8: '8 consecutive points on the same side of the center line',
+    trend_of_6: '6 consecutive points steadily increasing or decreasing'
+  };
+
+  // d2 and d3 (range of n normal values: mean and std dev in σ units), n = 2..25
+  const D2 = [1.128, 1.693, 2.059, 2.326, 2.534, 2.704, 2.847, 2.970, 3.078, 3.173, 3.258, 3.336,
+    3.407, 3.472, 3.532, 3.588, 3.640, 3.689, 3.735, 3.778, 3.819, 3.858, 3.895, 3.931];
+  const D3 = [0.853, 0.888, 0.880, 0.864, 0.848, 0.833, 0.820, 0.808, 0.797, 0.787, 0.778, 0.770,
+    0.763, 0.756, 0.750, 0.744, 0.739, 0.734, 0.729, 0.724, 0.720, 0.716, 0.712, 0.708];
+
+  const d2 = (n) => D2[n - 2];
+  const d3 = (n) => D3[n - 2];
+
+  // c4 = √(2/(n-1))·Γ(n/2)/Γ((n-1)/2), with the gamma ratio built up from n = 2 (1/√π)
+  function c4(n) {
+    let ratio = 1 / Math.sqrt(Math.PI);
+    for (let k = 2; k < n; k++) ratio = (k - 1) / (2 * ratio);
+    return Math.sqrt(2 / (n - 1)) * ratio;
+  }
+
+  function normalizeType(type) {
+    return CHART_TYPES.includes(type) ? type : 'imr';
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const range = (values) => Math.max(...values) - Math.min(...values);
+  const stdDev = (values) => Math.sqrt(values.reduce((sum, value) => sum + (value - mean(values)) ** 2, 0) / (values.length - 1));
+  const numbers = (values) => (values || []).map(value => (value === null || value === '' ? NaN : Number(value))).filter(Number.isFinite);
+
+  /**
+   * Control charts for the data: { type, subgroupSize, sigma, location, dispersion } where each
+   * chart is { name, cl, ucl, lcl, points: [{ index, value }] } with a null value for subgroups
+   * that are incomplete. `subgroups` are arrays of measurements (one each for imr). Limits are
+   * computed from the first `baseline` subgroups (all by default) and continued over the rest.
+   * Limits of the location chart can be fixed instead ({ center, lcl, ucl }, e.g. established
+   * limits); the dispersion chart always uses the data.
+   */
+  function controlLimits(type, subgroups, { subgroupSize, fixed, baseline } = {}) {
+    const chartType = normalizeType(type);
+    const rows = (subgroups || []).map(numbers);
+    const n = chartType === 'imr'
+      ? 1
+      : Math.min(Math.max(parseInt(subgroupSize, 10) || Math.max(0, ...rows.map(row => row.length)), 2), MAX_SUBGROUP_SIZE);
+    const limitCount = parseInt(baseline, 10) > 0 ? parseInt(baseline, 10) : rows.length;
+    const inBaseline = (point) => point.index < limitCount && point.value !== null;
+    const names = CHART_NAMES[chartType];
+    const location = { name: names.location, cl: null, ucl: null, lcl: null, points: [] };
+    const dispersion = { name: names.dispersion, cl: null, ucl: null, lcl: null, points: [] };
+    let sigma = null;
+
+    if (chartType === 'imr') {
+      const values = rows.map(row => (row.length ? row[0] : null));
+      let previous = null;
+      values.forEach((value, index) => {
+        location.points.push({ index, value });
+        dispersion.points.push({ index, value: value !== null && previous !== null ? Math.abs(value - previous) : null });
+        if (value !== null) previous = value;
+      });
+      const observed = location.points.filter(inBaseline).map(point => point.value);
+      const ranges = dispersion.points.filter(inBaseline).map(point => point.value);
+      if (observed.length >= 2 && ranges.length) {
+        const mrBar = mean(ranges);
+        sigma = mrBar / d2(2);
+        location.cl = mean(observed);
+        location.ucl = location.cl + 3 * sigma;
+        location.lcl = location.cl - 3 * sigma;
+        dispersion.cl = mrBar;
+        dispersion.ucl = (1 + 3 * d3(2) / d2(2)) * mrBar;
+        dispersion.lcl = 0;
+      }
+    } else {
+      rows.forEach((row, index) => {
+        const complete = row.length >= n;
+        const values = row.slice(0, n);
+        location.points.push({ index, value: complete ? mean(values) : null });
+        dispersion.points.push({ index, value: complete ? (chartType === 'xbar_r' ? range(values) : stdDev(values)) : null });
+      });
+      const means = location.points.filter(inBaseline).map(point => point.value);
+      const spreads = dispersion.points.filter(inBaseline).map(point => point.value);
+      if (means.length) {
+        const spreadBar = mean(spreads);
+        location.cl = mean(means);
+        dispersion.cl = spreadBar;
+        if (chartType === 'xbar_r') {
+          sigma = spreadBar / d2(n);
+          dispersion.ucl = (1 + 3 * d3(n) / d2(n)) * spreadBar;
+          dispersion.lcl = Math.max(0, 1 - 3 * d3(n) / d2(n)) * spreadBar;
+        } else {
+          const factor = 3 * Math.sqrt(1 - c4(n) ** 2) / c4(n);
+          sigma = spreadBar / c4(n);
+          dispersion.ucl = (1 + factor) * spreadBar;
+          dispersion.lcl = Math.max(0, 1 - factor) * spreadBar;
+        }
+        location.ucl = location.cl + 3 * sigma / Math.sqrt(n);
+        location.lcl = location.cl - 3 * sigma / Math.sqrt(n);
+      }
+    }
+
+    if (fixed && Number.isFinite(fixed.ucl) && Number.isFinite(fixed.lcl) && fixed.ucl > fixed.lcl) {
+      location.ucl = fixed.ucl;
+      location.lcl = fixed.lcl;
+      location.cl = Number.isFinite(fixed.center) ? fixed.center : (fixed.ucl + fixed.lcl) / 2;
+      location.fixed = true;
+    }
+
+    return { type: chartType, subgroupSize: n, baseline: Math.min(limitCount, rows.length), sigma, location, dispersion };
+  }
+
+  // Zone of a point in σ units of the plotted statistic, signed by side of the center line
+  function zoneOf(value, chart) {
+    const above = value > chart.cl;
+    const sigma = ((above ? chart.ucl : chart.cl) - (above ? chart.cl : chart.lcl)) / 3;
+    return sigma > 0 ? (value - chart.cl) / sigma : 0;
+  }
+
+  /**
+   * Rule violations of one chart: [{ rule, chart, index, points, description }], where index is
+   * the point that completes the pattern and points every point in it. `rules` limits the rules
+   * applied (all by default).
+   */
+  function evaluateRules(chart, rules = Object.keys(RULES)) {
+    if (!chart || chart.cl === null || chart.ucl === null) return [];
+    const points = chart.points.filter(point => point.value !== null && point.value !== undefined);
+    const violations = [];
+    const add = (rule, window) => violations.push({
+      rule,
+      chart: chart.name,
+      index: window[window.length - 1].index,
+      points: window.map(point => point.index),
+      description: RULES[rule]
+    });
+    // A pattern is reported once, at the point that completes it, not again while it continues
+    const last = {};
+    const report = (rule, window) => {
+      if (last[rule] !== undefined && window[0].index <= last[rule]) {
+        last[rule] = window[window.length - 1].index;
+        return;
+      }
+      last[rule] = window[window.length - 1].index;
+      add(rule, window);
+    };
+    const active = new Set(rules);
+
+    points.forEach((point, i) => {
+      const zone = zoneOf(point.value, chart);
+      if (active.has('beyond_3_sigma') && (point.value > chart.ucl || point.value < chart.lcl)) {
+        add('beyond_3_sigma', [point]);
+      }
+      const windowOf = (size) => (i + 1 >= size ? points.slice(i + 1 - size, i + 1) : null);
+      const sameSideBeyond = (window, limit, count) => [1, -1].some(side =>
+        window.filter(p => side * zoneOf(p.value, chart) > limit).length >= count && side * zone > limit);
+
+      const three = windowOf(3);
+      if (active.has('two_of_three_2_sigma') && three && sameSideBeyond(three, 2, 2)) report('two_of_three_2_sigma', three);
+      const five = windowOf(5);
+      if (active.has('four_of_five_1_sigma') && five && sameSideBeyond(five, 1, 4)) report('four_of_five_1_sigma', five);
+      const eight = windowOf(8);
+      if (active.has('run_of_8') && eight && [1, -1].some(side => eight.every(p => side * (p.value - chart.cl) > 0))) {
+        report('run_of_8', eight);
+      }
+      const six = windowOf(6);
+      if (active.has('trend_of_6') && six) {
+        const steps = six.slice(1).map((p, k) => Math.sign(p.value - six[k].value));
+        if (steps.every(step => step > 0) || steps.every(step => step < 0)) report('trend_of_6', six);
+      }
+    });
+    return violations;
+  }
+
+  /**
+   * Control limits and the violations of both charts (run rules on the location chart,
+   * limits only on the dispersion chart)
+   */
+  function analyze(type, subgroups, options = {}) {
+    const charts = controlLimits(type, subgroups, options);
+    return {
+      ...charts,
+      violations: [
+        ...evaluateRules(charts.location),
+        ...evaluateRules(charts.dispersion, ['beyond_3_sigma'])
+      ]
+    };
+  }
+
+  return {
+    CHART_TYPES,
+    MAX_SUBGROUP_SIZE,
+    RULES,
+    c4,
+    controlLimits,
+    evaluateRules,
+    analyze
+  };
+});
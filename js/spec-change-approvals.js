@@ -0,0 +1,165 @@
+// Settings > Product Management: specification change requests with their diff, QA manager approval
+// and the approval history. Approved configurations in effect are applied to this browser's products.
+(function(){
+  'use strict';
+
+  const PAGE_SIZE = 50;
+  const APPLIED_KEY = 'appliedProductRevisions'; // { product code: revision id } applied to productConfigurations
+  const STATUS_CLASSES = { pending: 'bg-yellow-100 text-yellow-800', approved: 'bg-green-100 text-green-800', rejected: 'bg-red-100 text-red-700' };
+  const AREA_LABELS = { sections: 'Sections', parameters: 'Parameters', limits: 'Limits', recipe: 'Recipe', product: 'Product' };
+  const CHANGE_CLASSES = { added: 'text-green-700', removed: 'text-red-600', changed: 'text-blue-700' };
+  const state = { offset: 0, total: 0, revisions: [] };
+
+  function $(sel, root=document){ return root.querySelector(sel); }
+  function escapeHtml(value){
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+  function formatValue(value){
+    if(value === null || value === undefined) return '<span class="text-gray-400">&mdash;</span>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  function formatTime(value){ return value ? new Date(value).toLocaleString() : ''; }
+  function toast(type, title, message){
+    if(window.AppUtil && window.AppUtil.toast) window.AppUtil.toast(type, title, escapeHtml(message || ''));
+  }
+  function canReview(){ return !!(window.Auth && window.Auth.hasRole('qa_manager')); }
+  // The requester of a change may reject (withdraw) it but not approve it
+  function isOwnRequest(revision){ return !!(window.Auth && window.Auth.user && revision.created_by === window.Auth.user.username); }
+
+  function readApplied(){
+    try{ return JSON.parse(localStorage.getItem(APPLIED_KEY)) || {}; }catch(_){ return {}; }
+  }
+
+  // Bring each product's form to the approved revision in effect, once per revision
+  async function syncApprovedConfigurations(){
+    if(typeof window.applyProductConfiguration !== 'function') return;
+    const applied = readApplied();
+    const json = await window.apiClient.getSpecificationChanges({ current: 'true', limit: 500 });
+    (json.data || []).forEach(revision => {
+      const form = revision.configuration && revision.configuration.form;
+      if(!form || !revision.product_code || applied[revision.product_code] === revision.id) return;
+      window.applyProductConfiguration(revision.product_code, form);
+      applied[revision.product_code] = revision.id;
+    });
+    localStorage.setItem(APPLIED_KEY, JSON.stringify(applied));
+  }
+
+  function renderRevisions(){
+    const body = $('#spec-changes-body');
+    if(!body) return;
+    if(!state.revisions.length){
+      body.innerHTML = '<tr><td colspan="7" class="text-center text-gray-500">No specification changes</td></tr>';
+    } else {
+      body.innerHTML = state.revisions.map((revision, index) => `
+        <tr>
+          <td>${formatTime(revision.created_at)}<div class="text-xs text-gray-500">${escapeHtml(revision.created_by || '')}</div></td>
+          <td>${escapeHtml(revision.product_name)}<div class="text-xs text-gray-500">${escapeHtml(revision.product_code)}</div></td>
+          <td>${revision.revision_number}</td>
+          <td><span class="px-2 py-0.5 rounded text-xs ${STATUS_CLASSES[revision.status] || ''}">${escapeHtml(revision.status)}</span></td>
+          <td class="text-xs">${escapeHtml(revision.change_reason || '')}</td>
+          <td class="text-xs">${revision.reviewed_by ? `${escapeHtml(revision.reviewed_by)} &middot; ${formatTime(revision.reviewed_at)}` : ''}
+            ${revision.review_note ? `<div class="text-gray-500">${escapeHtml(revision.review_note)}</div>` : ''}
+            ${revision.status === 'approved' ? `<div class="text-gray-500">Effective ${formatTime(revision.effective_from)}</div>` : ''}</td>
+          <td class="whitespace-nowrap">
+            <button class="text-blue-600 hover:underline" data-spec-action="diff" data-spec-index="${index}">Diff</button>
+            ${revision.status === 'pending' && canReview() ? `
+              ${isOwnRequest(revision) ? '' : `<button class="text-green-700 hover:underline ml-2" data-spec-action="approve" data-spec-index="${index}">Approve</button>`}
+              <button class="text-red-600 hover:underline ml-2" data-spec-action="reject" data-spec-index="${index}">Reject</button>` : ''}
+          </td>
+        </tr>
+      `).join('');
+    }
+
+    const info = $('#spec-changes-pagination-info');
+    if(info){
+      const end = state.offset + state.revisions.length;
+      info.textContent = state.total ? `Showing ${state.offset + 1}-${end} of ${state.total}` : 'No results';
+    }
+    const prev = $('#spec-changes-prev'), next = $('#spec-changes-next');
+    if(prev) prev.disabled = state.offset <= 0;
+    if(next) next.disabled = state.offset + PAGE_SIZE >= state.total;
+  }
+
+  async function loadRevisions(){
+    const body = $('#spec-changes-body');
+    const status = $('#spec-changes-status')?.value;
+    try{
+      const json = await window.apiClient.getSpecificationChanges({ ...(status ? { status } : {}), limit: PAGE_SIZE, offset: state.offset });
+      state.revisions = json.data || [];
+      state.total = json.pagination ? json.pagination.total : state.revisions.length;
+      renderRevisions();
+    }catch(e){
+      console.error('Failed to load specification changes', e);
+      if(body) body.innerHTML = `<tr><td colspan="7" class="text-center text-red-600">Failed to load specification changes: ${escapeHtml(e.message)}</td></tr>`;
+    }
+  }
+
+  async function showDiff(revision){
+    const detail = $('#spec-change-detail');
+    if(!detail || !revision) return;
+    try{
+      const full = await window.apiClient.getProductRevision(revision.product_id, revision.revision_number);
+      const heading = `<h4 class="font-semibold mb-1">${escapeHtml(revision.product_name)} &middot; revision ${full.revision_number}` +
+        (full.base_revision_number ? ` compared with revision ${full.base_revision_number}` : '') + '</h4>' +
+        `<p class="text-xs text-gray-600 mb-2">Reason: ${escapeHtml(full.change_reason || '-')}</p>`;
+      const summary = Object.keys(AREA_LABELS).filter(area => full.change_summary[area])
+        .map(area => `<span class="px-2 py-0.5 mr-1 rounded bg-gray-100 text-xs">${AREA_LABELS[area]}: ${full.change_summary[area]}</span>`).join('');
+      const content = full.changes.length ? `<div class="mb-2">${summary}</div><table class="w-full text-xs">
+          <thead><tr class="text-left text-gray-600"><th>Area</th><th>Field</th><th>Old</th><th>New</th></tr></thead>
+          <tbody>${full.changes.map(change => `<tr class="border-t align-top">
+            <td class="py-1 pr-2">${AREA_LABELS[change.area] || escapeHtml(change.area)}</td>
+            <td class="py-1 pr-2 font-mono ${CHANGE_CLASSES[change.type] || ''}">${escapeHtml(change.path)}</td>
+            <td class="pr-2">${formatValue(change.old)}</td>
+            <td>${formatValue(change.new)}</td>
+          </tr>`).join('')}</tbody>
+        </table>` : `<p class="text-gray-500">${full.base_revision_number ? 'No changes.' : 'First revision of this product.'}</p>`;
+      detail.innerHTML = heading + content;
+      detail.style.display = '';
+    }catch(e){
+      toast('error', 'Diff not loaded', e.message);
+    }
+  }
+
+  async function review(revision, action){
+    let note = '';
+    if(action === 'reject'){
+      note = window.prompt(`Why is revision ${revision.revision_number} of ${revision.product_name} rejected?`);
+      if(note === null) return;
+      if(!note.trim()){ toast('error', 'Not rejected', 'A review note is required'); return; }
+    } else {
+      note = window.prompt(`Approve revision ${revision.revision_number} of ${revision.product_name}? Optional note:`, '');
+      if(note === null) return;
+    }
+
+    try{
+      await window.apiClient.reviewProductRevision(revision.product_id, revision.revision_number, action, note.trim() ? { review_note: note.trim() } : {});
+      toast('success', action === 'approve' ? 'Change approved' : 'Change rejected', `${revision.product_name} revision ${revision.revision_number}`);
+      if(action === 'approve') await syncApprovedConfigurations();
+      await loadRevisions();
+    }catch(e){
+      toast('error', 'Review failed', e.message);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', async function(){
+    const tabButton = $('.settings-tab-button[data-settings-tab="product-management"]');
+    if(!$('#spec-changes-body') || !window.Auth || !window.apiClient) return;
+    await window.Auth.ready;
+
+    syncApprovedConfigurations().catch(e => console.warn('Approved product configurations not synced', e));
+
+    tabButton?.addEventListener('click', loadRevisions);
+    $('#spec-changes-status')?.addEventListener('change', () => { state.offset = 0; loadRevisions(); });
+    $('#spec-changes-prev')?.addEventListener('click', () => { state.offset = Math.max(0, state.offset - PAGE_SIZE); loadRevisions(); });
+    $('#spec-changes-next')?.addEventListener('click', () => { state.offset += PAGE_SIZE; loadRevisions(); });
+    $('#spec-changes-body')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-spec-action]');
+      if(!btn) return;
+      const revision = state.revisions[Number(btn.getAttribute('data-spec-index'))];
+      const action = btn.getAttribute('data-spec-action');
+      if(action === 'diff') showDiff(revision);
+      else review(revision, action);
+    });
+    document.addEventListener('product-revision:requested', loadRevisions);
+  });
+})();
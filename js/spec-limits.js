@@ -0,0 +1,324 @@
+/**
+ * Specification Limits
+ * Structured specs for product parameters, stored in product_parameters.validation_rule:
+ *
+ *   { kind: 'range',    lsl, target, usl, unit, min, max }   "176.68 - 193.32g", "≤ 3.5%", "185 ± 5g"
+ *   { kind: 'duration', lsl, usl, unit: 's', format: 'm:ss' } "3:00 - 7:30"
+ *   { kind: 'enum',     values, target }                     "A Grade"
+ *   { kind: 'equals',   equals, unit, components }           "12 pcs", "OK" for check/CCP/OPRP
+ *   { kind: 'text' }                                          "As per Recipe" (not evaluated)
+ *
+ * Every spec keeps its display text in `limits`; numeric specs mirror lsl/usl in `min`/`max`
+ * for readers of the older rules. Used by the inspection form (window.SpecLimits) and the
+ * server (require); evaluate_parameter_value() in the database applies the same rules.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SpecLimits = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const KINDS = ['range', 'duration', 'enum', 'equals', 'text'];
+  const GRADES = ['A', 'B', 'C'];
+  // Radio inputs of the form: OK / NOT OK for checks, OK / REJECT for CCP and OPRP
+  const PASS_FAIL_TYPES = ['check', 'ccp', 'oprp'];
+
+  const NUM = '([-+]?\\d+(?:[.,]\\d+)?)';
+  const UNIT = '([A-Za-zµ%°][A-Za-zµ%°/]*)?';
+  const SEP = '\\s*(?:-|–|—|~|to)\\s*';
+
+  const RANGE = new RegExp(`^${NUM}\\s*${UNIT}${SEP}${NUM}\\s*${UNIT}$`, 'i');
+  const TOLERANCE = new RegExp(`^(?:${NUM}\\s*${UNIT}\\s*)?(?:±|\\+/-|\\+-)\\s*${NUM}\\s*${UNIT}$`, 'i');
+  const LOWER_BOUND = new RegExp(`^(?:≥|>=|>|min(?:imum)?\\.?|at least|not less than)\\s*${NUM}\\s*${UNIT}$`, 'i');
+  const UPPER_BOUND = new RegExp(`^(?:≤|<=|<|max(?:imum)?\\.?|up to|not more than)\\s*${NUM}\\s*${UNIT}$`, 'i');
+  const TRAILING_BOUND = new RegExp(`^${NUM}\\s*${UNIT}\\s+(min|max)(?:imum)?\\.?$`, 'i');
+  const SINGLE = new RegExp(`^${NUM}\\s*${UNIT}$`, 'i');
+  const COMPONENT = new RegExp(`^([A-Za-z][A-Za-z ]*?)\\s*${NUM}\\s*${UNIT}$`);
+  const DURATION_RANGE = /^(\d+):([0-5]\d)\s*(?:-|–|—|~|to)\s*(\d+):([0-5]\d)$/i;
+  const GRADE = /^(?:([A-C])\s*grade|grade\s*([A-C]))$/i;
+
+  function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (!/^[-+]?\d+(?:[.,]\d+)?$/.test(text)) return null;
+    return Number(text.replace(',', '.'));
+  }
+
+  const cleanUnit = unit => (unit ? unit.trim() : undefined);
+
+  /**
+   * Seconds in a duration value: "5:30" (m:ss), "1:05:30" (h:mm:ss) or plain minutes ("5.5")
+   */
+  function parseDuration(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    const parts = /^(?:(\d+):)?(\d+):([0-5]\d)$/.exec(text);
+    if (parts) {
+      return Number(parts[1] || 0) * 3600 + Number(parts[2]) * 60 + Number(parts[3]);
+    }
+    const minutes = toNumber(text);
+    return minutes === null ? null : Math.round(minutes * 60);
+  }
+
+  function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.round(seconds - minutes * 60)).padStart(2, '0')}`;
+  }
+
+  function withUnit(value, unit) {
+    if (!unit) return String(value);
+    return /^[%°]/.test(unit) ? `${value}${unit}` : `${value} ${unit}`;
+  }
+
+  function parseComponents(text) {
+    const parts = text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+    const components = [];
+    for (const part of parts) {
+      const match = COMPONENT.exec(part);
+      if (!match) return null;
+      components.push({ label: match[1].trim(), value: toNumber(match[2]), unit: cleanUnit(match[3]) });
+    }
+    return components.length ? components : null;
+  }
+
+  /**
+   * Parse a display string like "176.68 - 193.32g" into a spec. `options` carries what the
+   * parameter already knows: its `type`, explicit `min`/`max`/`target` and dropdown `options`.
+   * An explicit min or max replaces only its own bound parsed from the text.
+   */
+  function parseLimits(text, options = {}) {
+    const limits = String(text === null || text === undefined ? '' : text).trim();
+    const type = String(options.type || '').toLowerCase();
+    const min = toNumber(options.min);
+    const max = toNumber(options.max);
+    const target = toNumber(options.target);
+    let spec = null;
+    let match;
+
+    if (PASS_FAIL_TYPES.includes(type)) {
+      spec = { kind: 'equals', equals: 'OK' };
+      const components = limits ? parseComponents(limits) : null;
+      if (components) spec.components = components;
+    } else if ((match = GRADE.exec(limits)) || type === 'grade') {
+      const grade = match ? (match[1] || match[2]).toUpperCase() : 'A';
+      // B is accepted (the form warns on it), C rejects, as on the grade selects
+      const accepted = GRADES.slice(0, Math.max(GRADES.indexOf(grade) + 1, GRADES.length - 1));
+      spec = { kind: 'enum', values: accepted, target: grade };
+    } else if ((match = DURATION_RANGE.exec(limits))) {
+      spec = {
+        kind: 'duration',
+        lsl: Number(match[1]) * 60 + Number(match[2]),
+        usl: Number(match[3]) * 60 + Number(match[4]),
+        unit: 's',
+        format: 'm:ss'
+      };
+    } else if ((match = RANGE.exec(limits))) {
+      spec = { kind: 'range', lsl: toNumber(match[1]), usl: toNumber(match[3]), unit: cleanUnit(match[4] || match[2]) };
+    } else if ((match = TOLERANCE.exec(limits))) {
+      const nominal = match[1] !== undefined ? toNumber(match[1]) : target;
+      const tolerance = Math.abs(toNumber(match[3]));
+      spec = { kind: 'range', unit: cleanUnit(match[4] || match[2]), tolerance };
+      if (nominal !== null) {
+        Object.assign(spec, { lsl: nominal - tolerance, target: nominal, usl: nominal + tolerance });
+      }
+    } else if ((match = LOWER_BOUND.exec(limits))) {
+      spec = { kind: 'range', lsl: toNumber(match[1]), unit: cleanUnit(match[2]) };
+    } else if ((match = UPPER_BOUND.exec(limits))) {
+      spec = { kind: 'range', usl: toNumber(match[1]), unit: cleanUnit(match[2]) };
+    } else if ((match = TRAILING_BOUND.exec(limits))) {
+      const bound = match[3].toLowerCase() === 'min' ? 'lsl' : 'usl';
+      spec = { kind: 'range', [bound]: toNumber(match[1]), unit: cleanUnit(match[2]) };
+    } else if ((match = SINGLE.exec(limits))) {
+      spec = { kind: 'equals', equals: toNumber(match[1]), unit: cleanUnit(match[2]) };
+    } else if (limits && Array.isArray(options.options) &&
+               options.options.some(option => String(option).trim().toLowerCase() === limits.toLowerCase())) {
+      spec = { kind: 'enum', values: [limits], target: limits };
+    } else {
+      const components = limits ? parseComponents(limits) : null;
+      spec = components ? { kind: 'text', components } : { kind: 'text' };
+    }
+
+    if ((min !== null || max !== null) && ['range', 'equals', 'text'].includes(spec.kind) &&
+        (spec.kind !== 'equals' || typeof spec.equals === 'number')) {
+      // Field by field: an explicit bound replaces its parsed counterpart, the other one stays
+      const parsed = spec.kind === 'range' ? spec : {};
+      const lsl = min !== null ? min : parsed.lsl;
+      const usl = max !== null ? max : parsed.usl;
+      spec = { kind: 'range', lsl, usl, unit: spec.unit };
+      const nominal = target !== null ? target
+        : parsed.target !== undefined ? parsed.target
+        : (lsl !== undefined && usl !== undefined ? (lsl + usl) / 2 : null);
+      if (nominal !== null && TOLERANCE.test(limits)) spec.target = nominal;
+    }
+    if (target !== null && spec.kind === 'range' && spec.target === undefined) spec.target = target;
+
+    if (limits) spec.limits = limits;
+    return toValidationRule(spec);
+  }
+
+  /**
+   * The stored form of a spec: drops empty fields and mirrors numeric limits in min/max
+   */
+  function toValidationRule(spec) {
+    if (!spec) return null;
+    const rule = {};
+    Object.keys(spec).forEach(key => {
+      if (spec[key] !== undefined && spec[key] !== null && key !== 'min' && key !== 'max') rule[key] = spec[key];
+    });
+    if (rule.kind === 'range') {
+      if (rule.lsl !== undefined) rule.min = rule.lsl;
+      if (rule.usl !== undefined) rule.max = rule.usl;
+    } else if (rule.kind === 'equals' && typeof rule.equals === 'number') {
+      rule.min = rule.equals;
+      rule.max = rule.equals;
+    }
+    return rule;
+  }
+
+  const isSpec = rule => Boolean(rule && typeof rule === 'object' && KINDS.includes(rule.kind));
+
+  /**
+   * Structured form of a stored validation_rule: structured rules are kept (other keys
+   * included), older { min, max, limits } rules are parsed. Null when nothing is known.
+   */
+  function normalizeRule(rule, type) {
+    const current = rule && typeof rule === 'object' ? rule : {};
+    const { min, max, ...rest } = current;
+    if (isSpec(current)) {
+      if (current.kind !== 'range') return toValidationRule(rest);
+      return toValidationRule({ ...rest, lsl: rest.lsl !== undefined ? rest.lsl : min, usl: rest.usl !== undefined ? rest.usl : max });
+    }
+
+    const spec = parseLimits(current.limits, { type, min, max, target: current.target });
+    if (spec.kind === 'text' && !spec.limits && !spec.components) return rule;
+    return { ...rest, ...spec };
+  }
+
+  /**
+   * Spec of a form parameter ({ limits, type, min, max, options } or a stored `spec`)
+   */
+  function fromParameter(param) {
+    if (!param) return null;
+    if (isSpec(param.spec)) return param.spec;
+    if (isSpec(param.validation_rule)) return param.validation_rule;
+    return parseLimits(param.limits, { type: param.type, min: param.min, max: param.max, options: param.options });
+  }
+
+  /**
+   * Problems with a structured spec, as messages (empty when it is usable)
+   */
+  function checkSpec(spec) {
+    if (!isSpec(spec)) return [`kind must be one of: ${KINDS.join(', ')}`];
+    const errors = [];
+    if (spec.kind === 'range' || spec.kind === 'duration') {
+      ['lsl', 'target', 'usl'].forEach(key => {
+        if (spec[key] !== undefined && toNumber(spec[key]) === null) errors.push(`${key} must be a number`);
+      });
+    }
+    if (spec.kind === 'duration' && (toNumber(spec.lsl) === null || toNumber(spec.usl) === null)) {
+      errors.push('duration specs need lsl and usl in seconds');
+    }
+    const lsl = toNumber(spec.lsl);
+    const usl = toNumber(spec.usl);
+    const target = toNumber(spec.target);
+    if (lsl !== null && usl !== null && lsl > usl) errors.push('lsl must not be greater than usl');
+    if (target !== null && ((lsl !== null && target < lsl) || (usl !== null && target > usl))) {
+      errors.push('target must lie between lsl and usl');
+    }
+    if (spec.kind === 'enum' && (!Array.isArray(spec.values) || !spec.values.length)) {
+      errors.push('values must list the accepted values');
+    }
+    if (spec.kind === 'equals' && (spec.equals === undefined || spec.equals === null || spec.equals === '')) {
+      errors.push('equals is required');
+    }
+    return errors;
+  }
+
+  const within = (value, spec) =>
+    (spec.lsl === undefined || spec.lsl === null || value >= Number(spec.lsl)) &&
+    (spec.usl === undefined || spec.usl === null || value <= Number(spec.usl));
+
+  /**
+   * Whether a value meets the spec: true, false, or null when it cannot be judged
+   * (empty value, a text spec, or a non-numeric value against numeric limits)
+   */
+  function evaluate(spec, value) {
+    if (!isSpec(spec)) return null;
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) return null;
+
+    switch (spec.kind) {
+      case 'enum':
+        return spec.values.some(accepted => String(accepted).trim().toUpperCase() === text.toUpperCase());
+      case 'equals': {
+        if (typeof spec.equals === 'number') {
+          const number = toNumber(text);
+          return number === null ? null : Math.abs(number - spec.equals) < 1e-9;
+        }
+        return String(spec.equals).trim().toUpperCase() === text.toUpperCase();
+      }
+      case 'duration': {
+        const seconds = parseDuration(text);
+        return seconds === null ? null : within(seconds, spec);
+      }
+      case 'range': {
+        if (spec.lsl === undefined && spec.usl === undefined) return null;
+        const number = toNumber(text);
+        return number === null ? null : within(number, spec);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Display text of a spec; the original `limits` text unless `fromFields` is set
+   */
+  function format(spec, { fromFields = false } = {}) {
+    if (!spec) return '';
+    if (spec.limits && !fromFields) return spec.limits;
+
+    const components = Array.isArray(spec.components)
+      ? spec.components.map(c => `${c.label} ${withUnit(c.value, c.unit)}`).join(', ')
+      : '';
+
+    switch (spec.kind) {
+      case 'range': {
+        const hasLsl = spec.lsl !== undefined && spec.lsl !== null;
+        const hasUsl = spec.usl !== undefined && spec.usl !== null;
+        let text = '';
+        if (hasLsl && hasUsl) text = `${spec.lsl} - ${withUnit(spec.usl, spec.unit)}`;
+        else if (hasLsl) text = `≥ ${withUnit(spec.lsl, spec.unit)}`;
+        else if (hasUsl) text = `≤ ${withUnit(spec.usl, spec.unit)}`;
+        else if (spec.tolerance !== undefined) text = `± ${withUnit(spec.tolerance, spec.unit)}`;
+        if (spec.target !== undefined && spec.target !== null && text) text += ` (target ${withUnit(spec.target, spec.unit)})`;
+        return text;
+      }
+      case 'duration':
+        return `${formatDuration(spec.lsl)} - ${formatDuration(spec.usl)}`;
+      case 'enum':
+        return GRADES.includes(spec.target) ? `${spec.target} Grade` : spec.values.join(' / ');
+      case 'equals':
+        return components ? `${withUnit(spec.equals, spec.unit)} (${components})` : withUnit(spec.equals, spec.unit);
+      default:
+        return components;
+    }
+  }
+
+  return {
+    KINDS,
+    parseLimits,
+    parseDuration,
+    normalizeRule,
+    toValidationRule,
+    fromParameter,
+    checkSpec,
+    evaluate,
+    format,
+    isSpec
+  };
+});
@@ -0,0 +1,283 @@
+/**
+ * Authentication and Role-Based Access Control Middleware
+ * Provides password hashing, session tokens backed by the sessions table,
+ * and per-route role enforcement
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in ascending order of privilege
+const ROLES = ['inspector', 'supervisor', 'qa_manager', 'admin'];
+
+const SESSION_COOKIE = 'qc_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Endpoints reachable without a session (paths relative to /api)
+const PUBLIC_ENDPOINTS = new Set([
+  'POST /auth/login',
+  'GET /health',
+  'GET /openapi.json'
+]);
+
+/**
+ * Hash a password with scrypt and a random salt
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Verify a password against a stored scrypt hash
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+}
+
+/**
+ * Validate password strength, returning an error message or null
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Tokens are only ever stored hashed so a leaked sessions row cannot be replayed
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a user holds at least the given role
+ */
+function hasRole(user, minimumRole) {
+  if (!user || !ROLES.includes(minimumRole)) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Strip credentials before a user row leaves the server
+ */
+function toPublicUser(user) {
+  if (!user) return null;
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Read the session token from the Authorization header or the session cookie
+ */
+function extractToken(req) {
+  const authHeader = req.get('Authorization') || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Create an authenticated session for a user and return the raw token
+ */
+async function createSession(user, req) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  await db.insert('sessions', {
+    session_key: hashToken(token),
+    user_id: user.id,
+    data: JSON.stringify({ type: 'auth', username: user.username, role: user.role }),
+    expires_at: expiresAt,
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent')
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Remove a session, or every session of a user when no session ID is given
+ */
+async function destroySessions({ sessionId, userId }) {
+  if (sessionId) {
+    await db.deleteById('sessions', sessionId);
+  } else if (userId) {
+    await db.query('DELETE FROM sessions WHERE user_id = $1', [String(userId)]);
+  }
+}
+
+function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+}
+
+/**
+ * Express middleware that resolves the session token to a user, sets req.user
+ * and runs the rest of the request under that identity for audit logging
+ */
+async function authenticate(req, res, next) {
+  if (PUBLIC_ENDPOINTS.has(`${req.method} ${req.path}`)) {
+    return next();
+  }
+
+  try {
+    const token = extractToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const result = await db.query(`
+      SELECT u.id, u.username, u.display_name, u.email, u.role,
+             s.id as session_id, s.expires_at as session_expires_at
+      FROM sessions s
+      JOIN users u ON u.id::text = s.user_id
+      WHERE s.session_key = $1
+        AND s.data->>'type' = 'auth'
+        AND s.expires_at > CURRENT_TIMESTAMP
+        AND u.is_active = TRUE
+    `, [hashToken(token)]);
+
+    if (!result.rows.length) {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+
+    const { session_id, session_expires_at, ...user } = result.rows[0];
+    req.user = user;
+    req.authSession = { id: session_id, expiresAt: session_expires_at };
+
+    db.runWithUser(user.username, next);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * User of a session while it is unexpired and the user active, else null
+ */
+async function findSessionUser(sessionId) {
+  const result = await db.query(`
+    SELECT u.id, u.username, u.display_name, u.email, u.role
+    FROM sessions s
+    JOIN users u ON u.id::text = s.user_id
+    WHERE s.id = $1
+      AND s.data->>'type' = 'auth'
+      AND s.expires_at > CURRENT_TIMESTAMP
+      AND u.is_active = TRUE
+  `, [sessionId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Express middleware factory requiring at least the given role.
+ * The role is kept on the middleware (minimumRole) for the OpenAPI document.
+ */
+function requireRole(minimumRole) {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!hasRole(req.user, minimumRole)) {
+      logger.warn('Access denied', {
+        user: req.user.username,
+        role: req.user.role,
+        requiredRole: minimumRole,
+        method: req.method,
+        url: req.originalUrl
+      });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${minimumRole} role or higher`
+      });
+    }
+
+    next();
+  };
+  middleware.minimumRole = minimumRole;
+  return middleware;
+}
+
+/**
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ * when the users table is still empty
+ */
+async function ensureBootstrapAdmin() {
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password) return false;
+
+  if (await db.count('users') > 0) return false;
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    logger.warn('Bootstrap admin not created', { reason: `ADMIN_PASSWORD: ${passwordError}` });
+    return false;
+  }
+
+  const username = (process.env.ADMIN_USERNAME || 'admin').trim().toLowerCase();
+  await db.insert('users', {
+    username,
+    display_name: 'Administrator',
+    role: 'admin',
+    password_hash: await hashPassword(password),
+    created_by: 'system'
+  });
+
+  logger.info('Bootstrap admin account created', { username });
+  return true;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  PUBLIC_ENDPOINTS,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  hasRole,
+  toPublicUser,
+  createSession,
+  destroySessions,
+  findSessionUser,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  requireRole,
+  ensureBootstrapAdmin
+};
@@ -1,49 +1,262 @@
 /**
  * Data Validation and Sanitization Middleware
  * Provides comprehensive input validation, sanitization, and security checks
+ *
+ * Request bodies are validated against the schemas below: fields that are not in the
+ * schema are rejected, nested arrays/objects are checked item by item, and every problem
+ * is reported as { field, message } where field is the path of the offending value
+ * (e.g. `sections[0].parameters[2].parameter_name`).
  */
 
 const validator = require('validator');
+const { ROLES } = require('./auth');
+const { BACKUP_TYPES, RESTORE_MODES } = require('../utils/backup');
+const SPC = require('../js/spc');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Bookkeeping columns clients may echo back; accepted but never written
+const readOnlyFields = {
+  id: { type: 'uuid', readOnly: true },
+  created_at: { type: 'datetime', readOnly: true },
+  updated_at: { type: 'datetime', readOnly: true },
+  created_by: { type: 'string', readOnly: true },
+  updated_by: { type: 'string', readOnly: true }
+};
+
+const productFields = {
+  product_id: { required: true, type: 'string', maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+  name: { required: true, type: 'string', maxLength: 255 },
+  code: { required: true, type: 'string', maxLength: 50, pattern: /^[A-Za-z0-9][A-Za-z0-9 ._\/-]*$/ },
+  batch_code: { required: false, type: 'string', maxLength: 50 },
+  ingredients_type: { required: false, type: 'string', enum: ['with-cocoa', 'without-cocoa'], default: 'without-cocoa' },
+  has_cream: { required: false, type: 'boolean', default: false },
+  standard_weight: { required: false, type: 'number', min: 0, max: 10000, default: 185.0 },
+  shelf_life: { required: false, type: 'integer', min: 1, max: 60, default: 6 },
+  cartons_per_pallet: { required: false, type: 'integer', min: 1, max: 200, default: 56 },
+  packs_per_box: { required: false, type: 'integer', min: 1, max: 50, default: 6 },
+  boxes_per_carton: { required: false, type: 'integer', min: 1, max: 100, default: 14 },
+  empty_box_weight: { required: false, type: 'number', min: 0, max: 1000, default: 21.0 },
+  empty_carton_weight: { required: false, type: 'number', min: 0, max: 5000, default: 680.0 },
+  aql_level: { required: false, type: 'string', enum: ['0.1', '0.15', '0.25', '0.4', '0.65', '1.0', '1.5', '2.5', '4.0', '6.5'], default: '1.5' },
+  inspection_level: { required: false, type: 'string', enum: ['S-1', 'S-2', 'S-3', 'S-4', 'I', 'II', 'III'], default: 'II' },
+  day_format: { required: false, type: 'string', enum: ['D', 'DD', 'DDD'], default: 'DD' },
+  month_format: { required: false, type: 'string', enum: ['M', 'MM', 'MMM', 'letter', 'number'], default: 'letter' },
+  description: { required: false, type: 'string', maxLength: 1000 },
+  notes: { required: false, type: 'string', maxLength: 2000 },
+  is_active: { required: false, type: 'boolean' },
+  // Document control and specification columns (add_complete_product_fields.sql)
+  doc_code: { required: false, type: 'string', maxLength: 50 },
+  issue_no: { required: false, type: 'string', maxLength: 50 },
+  review_no: { required: false, type: 'string', maxLength: 50 },
+  issue_date: { required: false, type: 'date' },
+  review_date: { required: false, type: 'date' },
+  product_type: { required: false, type: 'string', maxLength: 50 },
+  production_line: { required: false, type: 'string', maxLength: 100 },
+  packaging_type: { required: false, type: 'string', maxLength: 100 },
+  weight_tolerance_min: { required: false, type: 'number', min: 0 },
+  weight_tolerance_max: { required: false, type: 'number', min: 0 },
+  temperature_min: { required: false, type: 'number', min: -999.99, max: 999.99 },
+  temperature_max: { required: false, type: 'number', min: -999.99, max: 999.99 },
+  humidity_min: { required: false, type: 'number', min: 0, max: 100 },
+  humidity_max: { required: false, type: 'number', min: 0, max: 100 },
+  storage_conditions: { required: false, type: 'string', maxLength: 2000 },
+  distribution_requirements: { required: false, type: 'string', maxLength: 2000 },
+  tags: { required: false, type: 'array', items: { type: 'string', maxLength: 100 } },
+  // Failure weights used by calculate_report_score(); omitted categories keep their default
+  scoring_weights: {
+    required: false,
+    type: 'object',
+    properties: {
+      standard: { required: false, type: 'number', min: 0, max: 100 },
+      grade: { required: false, type: 'number', min: 0, max: 100 },
+      oprp: { required: false, type: 'number', min: 0, max: 100 },
+      ccp: { required: false, type: 'number', min: 0, max: 100 }
+    }
+  }
+};
+
+const productCustomVariable = {
+  name: { required: true, type: 'string', maxLength: 100 },
+  value: { required: false, type: 'number' },
+  description: { required: false, type: 'string', maxLength: 1000 }
+};
+
+const productParameter = {
+  parameter_id: { required: true, type: 'string', maxLength: 100 },
+  parameter_name: { required: true, type: 'string', maxLength: 255 },
+  parameter_type: { required: false, type: 'string', maxLength: 50, default: 'text' },
+  default_value: { required: false, type: 'string', maxLength: 1000 },
+  validation_rule: { required: false, type: 'json' },
+  calculation_formula: { required: false, type: 'json' },
+  order_index: { required: false, type: 'integer', min: 0, default: 0 },
+  is_required: { required: false, type: 'boolean', default: false }
+};
+
+const productSection = {
+  section_id: { required: true, type: 'string', maxLength: 100 },
+  section_name: { required: true, type: 'string', maxLength: 255 },
+  section_type: { required: false, type: 'string', maxLength: 50, default: 'quality_control' },
+  order_index: { required: false, type: 'integer', min: 0, default: 0 },
+  parameters: { required: false, type: 'array', items: { type: 'object', properties: productParameter }, default: [] }
+};
+
+const reportFields = {
+  product_id: { required: true, type: 'uuid' },
+  product_name: { required: false, type: 'string', maxLength: 255 },
+  batch_no: { required: true, type: 'string', maxLength: 100 },
+  report_date: { required: true, type: 'date' },
+  shift: { required: true, type: 'string', maxLength: 50 },
+  shift_duration: { required: false, type: 'string', enum: ['4_hours', '6_hours', '8_hours', '10_hours', '12_hours'], default: '8_hours' },
+  production_line: { required: false, type: 'string', maxLength: 50 },
+  operator_name: { required: false, type: 'string', maxLength: 255 },
+  supervisor_name: { required: false, type: 'string', maxLength: 255 },
+  qc_inspector: { required: false, type: 'string', maxLength: 255 },
+  score: { required: false, type: 'number', min: 0, max: 100 },
+  defects_count: { required: false, type: 'integer', min: 0 },
+  total_inspected: { required: false, type: 'integer', min: 0 },
+  pass_rate: { required: false, type: 'number', min: 0, max: 100 },
+  notes: { required: false, type: 'string', maxLength: 2000 },
+  form_data: { required: false, type: 'object' },
+  calculations: { required: false, type: 'object' },
+  time_slots: { required: false, type: 'json' }
+};
+
+// Row bookkeeping echoed back from GET /api/reports/:id; ignored on write
+const reportChildFields = {
+  id: { type: 'uuid', readOnly: true },
+  report_id: { type: 'uuid', readOnly: true },
+  created_at: { type: 'datetime', readOnly: true }
+};
+
+const reportSection = {
+  ...reportChildFields,
+  section_id: { required: true, type: 'string', maxLength: 100 },
+  section_name: { required: true, type: 'string', maxLength: 255 },
+  section_data: { required: false, type: 'json' },
+  notes: { required: false, type: 'string', maxLength: 2000 }
+};
+
+const reportParameter = {
+  ...reportChildFields,
+  section_id: { required: true, type: 'string', maxLength: 100 },
+  parameter_id: { required: true, type: 'string', maxLength: 100 },
+  parameter_name: { required: true, type: 'string', maxLength: 255 },
+  value: { required: false, type: 'string', maxLength: 10000 },
+  numeric_value: { required: false, type: 'number' },
+  time_slot: { required: false, type: 'string', maxLength: 20 },
+  column_index: { required: false, type: 'integer', min: 0 },
+  row_index: { required: false, type: 'integer', min: 0 }
+};
+
+const reportPallet = {
+  ...reportChildFields,
+  pallet_number: { required: true, type: 'integer', min: 1 },
+  start_time: { required: false, type: 'time' },
+  end_time: { required: false, type: 'time' },
+  cartons_count: { required: false, type: 'integer', min: 0 },
+  weight: { required: false, type: 'number', min: 0 },
+  status: { required: false, type: 'string', enum: ['active', 'completed', 'rejected'] },
+  notes: { required: false, type: 'string', maxLength: 2000 }
+};
+
+// Lot checked by the weight (tare) tables; the server derives the sampling plan and the decision
+const reportSampling = {
+  pallet_count: { required: false, type: 'integer', min: 1, max: 10000 },
+  lot_size: { required: false, type: 'integer', min: 1 },
+  inspected: { required: true, type: 'integer', min: 0 },
+  nonconforming: { required: true, type: 'integer', min: 0 },
+  critical: { required: false, type: 'integer', min: 0, default: 0 },
+  // Pooled over every weighed pack, for the average quantity (℮) verdict
+  mean_weight: { required: false, type: 'number', min: 0 },
+  std_dev: { required: false, type: 'number', min: 0 },
+  // Plan and decision echoed back from GET /api/reports/:id; ignored on write
+  report_id: { type: 'uuid', readOnly: true },
+  product_id: { type: 'uuid', readOnly: true },
+  production_line: { type: 'string', readOnly: true },
+  inspection_level: { type: 'string', readOnly: true },
+  aql_level: { type: 'string', readOnly: true },
+  severity: { type: 'string', readOnly: true },
+  code_letter: { type: 'string', readOnly: true },
+  sample_size: { type: 'integer', readOnly: true },
+  acceptance_number: { type: 'integer', readOnly: true },
+  rejection_number: { type: 'integer', readOnly: true },
+  accepted: { type: 'boolean', readOnly: true },
+  accepted_tighter: { type: 'boolean', readOnly: true },
+  quantity_regulation: { type: 'string', readOnly: true },
+  nominal_quantity: { type: 'number', readOnly: true },
+  mean_limit: { type: 'number', readOnly: true },
+  allowed_below_t1: { type: 'integer', readOnly: true },
+  mean_ok: { type: 'boolean', readOnly: true },
+  individual_ok: { type: 'boolean', readOnly: true },
+  quantity_compliant: { type: 'boolean', readOnly: true },
+  created_at: { type: 'datetime', readOnly: true },
+  updated_at: { type: 'datetime', readOnly: true }
+};
+
+const listOf = (properties) => ({ required: false, type: 'array', items: { type: 'object', properties }, default: [] });
 
 // Validation schemas for different entity types
 const validationSchemas = {
   product: {
-    product_id: { required: true, type: 'string', maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
-    name: { required: true, type: 'string', maxLength: 255 },
-    code: { required: true, type: 'string', maxLength: 50, pattern: /^[A-Z0-9]+$/ },
-    batch_code: { required: false, type: 'string', maxLength: 50 },
-    ingredients_type: { required: false, type: 'string', enum: ['with-cocoa', 'without-cocoa'] },
-    has_cream: { required: false, type: 'boolean' },
-    standard_weight: { required: false, type: 'number', min: 0, max: 10000 },
-    shelf_life: { required: false, type: 'integer', min: 1, max: 60 },
-    cartons_per_pallet: { required: false, type: 'integer', min: 1, max: 200 },
-    packs_per_box: { required: false, type: 'integer', min: 1, max: 50 },
-    boxes_per_carton: { required: false, type: 'integer', min: 1, max: 100 },
-    empty_box_weight: { required: false, type: 'number', min: 0, max: 1000 },
-    empty_carton_weight: { required: false, type: 'number', min: 0, max: 5000 },
-    aql_level: { required: false, type: 'string', enum: ['0.1', '0.15', '0.25', '0.4', '0.65', '1.0', '1.5', '2.5', '4.0', '6.5'] },
-    day_format: { required: false, type: 'string', enum: ['D', 'DD', 'DDD'] },
-    month_format: { required: false, type: 'string', enum: ['M', 'MM', 'MMM', 'letter', 'number'] },
-    description: { required: false, type: 'string', maxLength: 1000 },
-    notes: { required: false, type: 'string', maxLength: 2000 }
+    ...readOnlyFields,
+    ...productFields,
+    customVariables: listOf(productCustomVariable),
+    sections: listOf(productSection),
+    // Recorded on the product revision written by the change; not product columns.
+    // Updates that change specification columns need a change_reason.
+    change_reason: { required: false, type: 'string', maxLength: 1000 },
+    effective_from: { required: false, type: 'datetime' }
+  },
+
+  // POST /api/products/:id/revisions - a specification change request; form is the inspection
+  // form edited in the product modal
+  productRevision: {
+    form: { required: false, type: 'object' },
+    change_reason: { required: true, type: 'string', maxLength: 1000 },
+    effective_from: { required: false, type: 'datetime' }
+  },
+
+  // POST /api/products/:id/revisions/:revision/approve|reject
+  productRevisionReview: {
+    review_note: { required: false, type: 'string', maxLength: 1000 }
   },
 
   report: {
-    product_id: { required: true, type: 'uuid' },
-    batch_no: { required: true, type: 'string', maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
-    report_date: { required: true, type: 'date' },
-    shift: { required: true, type: 'string', enum: ['morning', 'afternoon', 'night', 'day', 'evening'] },
-    shift_duration: { required: false, type: 'string', enum: ['4_hours', '6_hours', '8_hours', '10_hours', '12_hours'] },
-    production_line: { required: false, type: 'string', maxLength: 50 },
-    operator_name: { required: false, type: 'string', maxLength: 255 },
-    supervisor_name: { required: false, type: 'string', maxLength: 255 },
-    qc_inspector: { required: false, type: 'string', maxLength: 255 },
-    status: { required: false, type: 'string', enum: ['draft', 'submitted', 'approved', 'rejected'] },
-    score: { required: false, type: 'number', min: 0, max: 100 },
-    defects_count: { required: false, type: 'integer', min: 0 },
-    total_inspected: { required: false, type: 'integer', min: 0 },
-    pass_rate: { required: false, type: 'number', min: 0, max: 100 },
-    notes: { required: false, type: 'string', maxLength: 2000 },
+    ...readOnlyFields,
+    ...reportFields,
+    // Later states are reached through the lifecycle endpoints
+    status: { required: false, type: 'string', enum: ['draft', 'submitted'], default: 'draft' },
+    sections: listOf(reportSection),
+    parameters: listOf(reportParameter),
+    pallets: listOf(reportPallet),
+    sampling: { required: false, type: 'object', properties: reportSampling }
+  },
+
+  // PUT (full) and PATCH (partial) /api/reports/:id; status and approval fields belong to the lifecycle
+  reportUpdate: {
+    ...readOnlyFields,
+    ...reportFields,
+    sections: listOf(reportSection),
+    parameters: listOf(reportParameter),
+    pallets: listOf(reportPallet),
+    sampling: { required: false, type: 'object', properties: reportSampling },
+    submitted_by: { type: 'string', readOnly: true },
+    submitted_at: { type: 'datetime', readOnly: true },
+    approved_by: { type: 'string', readOnly: true },
+    approved_at: { type: 'datetime', readOnly: true },
+    rejected_by: { type: 'string', readOnly: true },
+    rejected_at: { type: 'datetime', readOnly: true },
+    rejection_reason: { type: 'string', readOnly: true },
+    signatures: { type: 'json', readOnly: true },
+    available_actions: { type: 'json', readOnly: true },
+    // Pinned by the server from the product and report_date
+    product_revision_id: { type: 'uuid', readOnly: true },
+    product_revision: { type: 'json', readOnly: true }
+  },
+
+  reportTransition: {
+    reason: { required: false, type: 'string', maxLength: 1000 },
     rejection_reason: { required: false, type: 'string', maxLength: 1000 }
   },
 
@@ -52,21 +265,133 @@ const validationSchemas = {
     role: { required: true, type: 'string', maxLength: 100 },
     department: { required: false, type: 'string', maxLength: 100 },
     signature_data: { required: false, type: 'string', maxLength: 100000 }, // Base64 image data
-    is_default: { required: false, type: 'boolean' }
+    is_default: { required: false, type: 'boolean', default: false }
   },
 
   notification: {
     notification_type: { required: true, type: 'string', enum: ['quality_alert', 'system_alert', 'reminder', 'maintenance', 'audit'] },
     title: { required: true, type: 'string', maxLength: 255 },
     message: { required: true, type: 'string', maxLength: 2000 },
-    severity: { required: false, type: 'string', enum: ['info', 'warning', 'error', 'critical'] },
-    target_users: { required: false, type: 'array' },
+    severity: { required: false, type: 'string', enum: ['info', 'warning', 'error', 'critical'], default: 'info' },
+    target_users: { required: false, type: 'array', items: { type: 'string', maxLength: 100 }, default: [] },
     related_entity: { required: false, type: 'string', maxLength: 50 },
     related_id: { required: false, type: 'uuid' },
-    expires_hours: { required: false, type: 'integer', min: 1, max: 8760 } // Max 1 year
+    expires_hours: { required: false, type: 'integer', min: 1, max: 8760, default: 720 } // Max 1 year
+  },
+
+  setting: {
+    key: { required: true, type: 'string', maxLength: 255 },
+    value: { required: false, type: 'json' },
+    description: { required: false, type: 'string', maxLength: 1000 },
+    category: { required: false, type: 'string', maxLength: 100, default: 'general' },
+    data_type: { required: false, type: 'string', enum: ['string', 'number', 'boolean', 'json', 'array'], default: 'string' }
+  },
+
+  settingUpdate: {
+    value: { required: true, type: 'json' }
+  },
+
+  session: {
+    session_key: { required: true, type: 'string', maxLength: 255 },
+    data: { required: false, type: 'json' },
+    expires_at: { required: false, type: 'datetime' }
+  },
+
+  login: {
+    username: { required: true, type: 'string', maxLength: 100 },
+    password: { required: true, type: 'string', maxLength: 1000, trim: false }
+  },
+
+  passwordChange: {
+    current_password: { required: true, type: 'string', maxLength: 1000, trim: false },
+    new_password: { required: true, type: 'string', maxLength: 1000, trim: false }
+  },
+
+  user: {
+    username: { required: true, type: 'string', maxLength: 100, pattern: /^[A-Za-z0-9._@-]+$/ },
+    password: { required: true, type: 'string', maxLength: 1000, trim: false },
+    display_name: { required: false, type: 'string', maxLength: 255 },
+    email: { required: false, type: 'email' },
+    role: { required: false, type: 'string', enum: ROLES, default: 'inspector' }
+  },
+
+  userUpdate: {
+    ...readOnlyFields,
+    username: { type: 'string', readOnly: true },
+    password: { required: false, type: 'string', maxLength: 1000, trim: false },
+    display_name: { required: false, type: 'string', maxLength: 255 },
+    email: { required: false, type: 'email' },
+    role: { required: false, type: 'string', enum: ROLES },
+    is_active: { required: false, type: 'boolean' }
+  },
+
+  inspectionAlert: {
+    ...readOnlyFields,
+    product_id: { required: true, type: 'string', maxLength: 100 }, // products.id or product code
+    section_id: { required: false, type: 'string', maxLength: 100 },
+    table_id: { required: false, type: 'string', maxLength: 100 },
+    parameter_name: { required: false, type: 'string', maxLength: 255 },
+    title: { required: true, type: 'string', maxLength: 255 },
+    type: { required: false, type: 'string', maxLength: 10 },
+    frequency_minutes: { required: false, type: 'integer', min: 1, max: 1440 },
+    start_time: { required: false, type: 'time' },
+    active: { required: false, type: 'boolean' },
+    grace_minutes: { required: false, type: 'integer', min: 0, max: 1440 },
+    escalate_after_minutes: { required: false, type: 'integer', min: 0, max: 1440 },
+    next_due_at: { type: 'datetime', readOnly: true }
+  },
+
+  // Data of an SPC table; subgroups are the measurements of each row (empty or short rows are skipped)
+  spcChart: {
+    context: { required: true, type: 'string', maxLength: 255 },
+    chart_type: { required: true, type: 'string', enum: SPC.CHART_TYPES },
+    subgroup_size: { required: false, type: 'integer', min: 1, max: SPC.MAX_SUBGROUP_SIZE },
+    subgroups: {
+      required: true, type: 'array', maxItems: 500,
+      items: { type: 'array', maxItems: SPC.MAX_SUBGROUP_SIZE, items: { type: 'number' } }
+    },
+    limits: {
+      required: false, type: 'object',
+      properties: {
+        center: { required: false, type: 'number' },
+        lcl: { required: true, type: 'number' },
+        ucl: { required: true, type: 'number' }
+      }
+    },
+    title: { required: false, type: 'string', maxLength: 255 },
+    parameter: { required: false, type: 'string', maxLength: 255 },
+    subject: { required: false, type: 'string', maxLength: 255 },
+    report_id: { required: false, type: 'uuid' },
+    product_id: { required: false, type: 'uuid' }
+  },
+
+  backup: {
+    backup_type: { required: false, type: 'string', enum: BACKUP_TYPES, default: 'full' },
+    backup_name: { required: false, type: 'string', maxLength: 255 },
+    retention_days: { required: false, type: 'integer', min: 1, max: 3650, default: 30 }
+  },
+
+  backupRestore: {
+    target_database: { required: false, type: 'string', maxLength: 63, pattern: /^[A-Za-z0-9_-]+$/ },
+    mode: { required: false, type: 'string', enum: RESTORE_MODES },
+    dry_run: { required: false, type: 'boolean', default: false },
+    confirm: { required: false, type: 'boolean', default: false }
   }
 };
 
+/**
+ * Raised by route handlers for field errors found after schema validation
+ * (e.g. a referenced record that does not exist); rendered like schema errors.
+ */
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Validation failed');
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.details = { message: 'Invalid input data', details: errors };
+  }
+}
+
 /**
  * Sanitize string input - remove dangerous characters and trim
  */
@@ -122,199 +447,181 @@ function isValidDate(dateString, options = {}) {
   return year >= minYear && year <= maxYear;
 }
 
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isEmpty = (value) => value === undefined || value === null || value === '';
+const fieldPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
 /**
- * Validate and sanitize a single field
+ * Validate one value against its rules. Pushes { field, message } onto errors and
+ * returns the coerced value; empty optional values come back as null.
  */
-function validateField(fieldName, value, schema) {
-  const errors = [];
-  const rules = schema[fieldName];
-  
-  if (!rules) return { valid: true, sanitizedValue: value, errors: [] };
-  
-  // Check required fields
-  if (rules.required && (value === undefined || value === null || value === '')) {
-    errors.push(`${fieldName} is required`);
-    return { valid: false, sanitizedValue: value, errors };
+function checkValue(path, value, rules, errors) {
+  const fail = (message) => {
+    errors.push({ field: path, message: `${path} ${message}` });
+    return undefined;
+  };
+
+  // Parsed JSON is stored as sent; null is a value of its own
+  if (rules.type === 'json') {
+    return value;
   }
-  
-  // Skip validation if value is not provided and not required
-  if (value === undefined || value === null || value === '') {
-    return { valid: true, sanitizedValue: value, errors: [] };
+
+  // Strings are stored as typed: only surrounding whitespace and NUL bytes are removed.
+  // Escaping for HTML is the job of whatever renders the value.
+  if (typeof value === 'string') {
+    value = value.replace(/\0/g, '');
+    if (rules.trim !== false) value = value.trim();
   }
-  
-  let sanitizedValue = value;
-  
-  // Type validation and sanitization
+
+  if (isEmpty(value)) {
+    return rules.required ? fail('is required') : null;
+  }
+
   switch (rules.type) {
     case 'string':
-      if (typeof value !== 'string') {
-        errors.push(`${fieldName} must be a string`);
-        break;
-      }
-      
-      sanitizedValue = sanitizeString(value);
-      
-      // Length validation
-      if (rules.maxLength && sanitizedValue.length > rules.maxLength) {
-        errors.push(`${fieldName} must be no more than ${rules.maxLength} characters`);
-      }
-      
-      if (rules.minLength && sanitizedValue.length < rules.minLength) {
-        errors.push(`${fieldName} must be at least ${rules.minLength} characters`);
-      }
-      
-      // Pattern validation
-      if (rules.pattern && !rules.pattern.test(sanitizedValue)) {
-        errors.push(`${fieldName} format is invalid`);
-      }
-      
-      // Enum validation
-      if (rules.enum && !rules.enum.includes(sanitizedValue)) {
-        errors.push(`${fieldName} must be one of: ${rules.enum.join(', ')}`);
-      }
-      
-      break;
-      
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rules.maxLength && value.length > rules.maxLength) return fail(`must be no more than ${rules.maxLength} characters`);
+      if (rules.minLength && value.length < rules.minLength) return fail(`must be at least ${rules.minLength} characters`);
+      if (rules.pattern && !rules.pattern.test(value)) return fail('format is invalid');
+      if (rules.enum && !rules.enum.includes(value)) return fail(`must be one of: ${rules.enum.join(', ')}`);
+      return value;
+
     case 'number':
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) {
-        errors.push(`${fieldName} must be a valid number`);
-        break;
-      }
-      
-      sanitizedValue = numValue;
-      
-      // Range validation
-      if (rules.min !== undefined && numValue < rules.min) {
-        errors.push(`${fieldName} must be at least ${rules.min}`);
-      }
-      
-      if (rules.max !== undefined && numValue > rules.max) {
-        errors.push(`${fieldName} must be no more than ${rules.max}`);
-      }
-      
-      break;
-      
-    case 'integer':
-      const intValue = parseInt(value, 10);
-      if (isNaN(intValue) || intValue !== parseFloat(value)) {
-        errors.push(`${fieldName} must be a valid integer`);
-        break;
-      }
-      
-      sanitizedValue = intValue;
-      
-      // Range validation
-      if (rules.min !== undefined && intValue < rules.min) {
-        errors.push(`${fieldName} must be at least ${rules.min}`);
-      }
-      
-      if (rules.max !== undefined && intValue > rules.max) {
-        errors.push(`${fieldName} must be no more than ${rules.max}`);
-      }
-      
-      break;
-      
+    case 'integer': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) return fail('must be a valid number');
+      if (rules.type === 'integer' && !Number.isInteger(number)) return fail('must be a valid integer');
+      if (rules.min !== undefined && number < rules.min) return fail(`must be at least ${rules.min}`);
+      if (rules.max !== undefined && number > rules.max) return fail(`must be no more than ${rules.max}`);
+      return number;
+    }
+
     case 'boolean':
-      if (typeof value === 'boolean') {
-        sanitizedValue = value;
-      } else if (typeof value === 'string') {
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string') {
         const lowerValue = value.toLowerCase();
-        if (['true', '1', 'yes', 'on'].includes(lowerValue)) {
-          sanitizedValue = true;
-        } else if (['false', '0', 'no', 'off'].includes(lowerValue)) {
-          sanitizedValue = false;
-        } else {
-          errors.push(`${fieldName} must be a valid boolean value`);
-        }
-      } else {
-        errors.push(`${fieldName} must be a boolean`);
+        if (['true', '1', 'yes', 'on'].includes(lowerValue)) return true;
+        if (['false', '0', 'no', 'off'].includes(lowerValue)) return false;
       }
-      
-      break;
-      
+      return fail('must be a boolean');
+
     case 'uuid':
-      if (typeof value !== 'string' || !isValidUUID(value)) {
-        errors.push(`${fieldName} must be a valid UUID`);
-      } else {
-        sanitizedValue = value.toLowerCase();
-      }
-      
-      break;
-      
+      if (typeof value !== 'string' || !isValidUUID(value)) return fail('must be a valid UUID');
+      return value.toLowerCase();
+
     case 'email':
-      if (typeof value !== 'string' || !isValidEmail(value)) {
-        errors.push(`${fieldName} must be a valid email address`);
-      } else {
-        sanitizedValue = value.toLowerCase().trim();
-      }
-      
-      break;
-      
+      if (typeof value !== 'string' || !isValidEmail(value)) return fail('must be a valid email address');
+      return value.toLowerCase();
+
     case 'date':
-      if (!isValidDate(value)) {
-        errors.push(`${fieldName} must be a valid date`);
-      } else {
-        sanitizedValue = new Date(value).toISOString().split('T')[0]; // YYYY-MM-DD format
+      if (typeof value !== 'string' || !validator.isISO8601(value, { strict: true }) ||
+          !isValidDate(value, { minYear: rules.minYear || 1900, maxYear: rules.maxYear || 2100 })) {
+        return fail('must be a valid date (YYYY-MM-DD)');
       }
-      
-      break;
-      
-    case 'array':
-      if (!Array.isArray(value)) {
-        errors.push(`${fieldName} must be an array`);
-      } else {
-        sanitizedValue = value.map(item => 
-          typeof item === 'string' ? sanitizeString(item) : item
-        );
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : new Date(value).toISOString().split('T')[0];
+
+    case 'datetime':
+      if (typeof value !== 'string' || !validator.isISO8601(value, { strict: true })) {
+        return fail('must be a valid ISO 8601 date-time');
       }
-      
-      break;
-      
+      return new Date(value).toISOString();
+
+    case 'time':
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) return fail('must be a time in HH:MM format');
+      return value;
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rules.maxItems && value.length > rules.maxItems) return fail(`must have no more than ${rules.maxItems} items`);
+      if (!rules.items) return value;
+      return value.map((item, index) => checkValue(fieldPath(path, index), item, { required: true, ...rules.items }, errors));
+    }
+
+    case 'object':
+      if (!isPlainObject(value)) return fail('must be an object');
+      return rules.properties ? checkProperties(value, rules.properties, path, errors) : value;
+
     default:
-      // Unknown type, just sanitize if string
-      if (typeof value === 'string') {
-        sanitizedValue = sanitizeString(value);
+      return value;
+  }
+}
+
+/**
+ * Validate an object's keys against a schema: unknown keys are rejected, read-only
+ * keys dropped, and (unless partial) missing required fields reported and defaults filled.
+ */
+function checkProperties(data, schema, path, errors, partial = false) {
+  const sanitized = {};
+
+  Object.entries(data).forEach(([name, value]) => {
+    const rules = schema[name];
+    const field = fieldPath(path, name);
+    if (!rules) {
+      errors.push({ field, message: `${field} is not an allowed field` });
+      return;
+    }
+    if (rules.readOnly || value === undefined) return;
+
+    const checked = checkValue(field, value, rules, errors);
+    if (checked !== undefined) sanitized[name] = checked;
+  });
+
+  if (!partial) {
+    Object.entries(schema).forEach(([name, rules]) => {
+      if (rules.readOnly || data[name] !== undefined) return;
+      const field = fieldPath(path, name);
+      if (rules.required) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rules.default !== undefined) {
+        sanitized[name] = Array.isArray(rules.default) ? [...rules.default] : rules.default;
       }
+    });
   }
-  
+
+  return sanitized;
+}
+
+/**
+ * Validate and sanitize a single field
+ */
+function validateField(fieldName, value, schema) {
+  const rules = schema[fieldName];
+
+  if (!rules) return { valid: true, sanitizedValue: value, errors: [] };
+
+  const errors = [];
+  const sanitizedValue = checkValue(fieldName, value, rules, errors);
+
   return {
     valid: errors.length === 0,
-    sanitizedValue,
+    sanitizedValue: errors.length ? value : sanitizedValue,
     errors
   };
 }
 
 /**
- * Validate entire object against schema
+ * Validate entire object against schema.
+ * With `partial` (updates) only the supplied fields are checked and no defaults are applied.
  */
-function validateObject(data, schemaName) {
+function validateObject(data, schemaName, options = {}) {
   const schema = validationSchemas[schemaName];
   if (!schema) {
     throw new Error(`Unknown validation schema: ${schemaName}`);
   }
-  
-  const errors = [];
-  const sanitizedData = {};
-  
-  // Validate known fields
-  for (const [fieldName, value] of Object.entries(data)) {
-    const validation = validateField(fieldName, value, schema);
-    
-    if (!validation.valid) {
-      errors.push(...validation.errors);
-    } else {
-      sanitizedData[fieldName] = validation.sanitizedValue;
-    }
-  }
-  
-  // Check for missing required fields
-  for (const [fieldName, rules] of Object.entries(schema)) {
-    if (rules.required && !(fieldName in data)) {
-      errors.push(`${fieldName} is required`);
-    }
+
+  if (!isPlainObject(data)) {
+    return { valid: false, data: {}, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
   }
-  
+
+  const errors = [];
+  const sanitizedData = checkProperties(data, schema, '', errors, options.partial === true);
+
   return {
     valid: errors.length === 0,
     data: sanitizedData,
@@ -323,14 +630,17 @@ function validateObject(data, schemaName) {
 }
 
 /**
- * Express middleware factory for request validation
+ * Express middleware factory for request validation.
+ * Rejects with 400 { error, message, details: [{ field, message }] } and replaces
+ * req[source] with the sanitized data on success. The schema name and options are
+ * kept on the middleware for the OpenAPI document.
  */
 function createValidationMiddleware(schemaName, options = {}) {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     try {
       const dataSource = options.source || 'body'; // 'body', 'query', 'params'
       const data = req[dataSource];
-      
+
       if (!data) {
         return res.status(400).json({
           error: 'Validation failed',
@@ -338,9 +648,9 @@ function createValidationMiddleware(schemaName, options = {}) {
           timestamp: new Date().toISOString()
         });
       }
-      
-      const validation = validateObject(data, schemaName);
-      
+
+      const validation = validateObject(data, schemaName, options);
+
       if (!validation.valid) {
         return res.status(400).json({
           error: 'Validation failed',
@@ -349,10 +659,10 @@ function createValidationMiddleware(schemaName, options = {}) {
           timestamp: new Date().toISOString()
         });
       }
-      
+
       // Replace the original data with sanitized version
       req[dataSource] = validation.data;
-      
+
       next();
     } catch (error) {
       console.error('Validation middleware error:', error);
@@ -363,6 +673,9 @@ function createValidationMiddleware(schemaName, options = {}) {
       });
     }
   };
+  middleware.schemaName = schemaName;
+  middleware.validationOptions = options;
+  return middleware;
 }
 
 /**
@@ -468,6 +781,8 @@ setInterval(() => {
 }, 5 * 60 * 1000); // Clean up every 5 minutes
 
 module.exports = {
+  TIME_PATTERN,
+  ValidationError,
   validateField,
   validateObject,
   createValidationMiddleware,
@@ -0,0 +1,49 @@
+-- Migration: Users and Roles
+-- Created: 2025-10-20T09:00:00.000Z
+--
+-- Description: Adds user accounts with hashed credentials and role-based access control.
+-- Authentication sessions are stored in the existing sessions table (session_key holds a
+-- SHA-256 hash of the bearer token, user_id holds users.id).
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(100) UNIQUE NOT NULL,
+    display_name VARCHAR(255),
+    email VARCHAR(255),
+    role VARCHAR(50) NOT NULL DEFAULT 'inspector', -- inspector, supervisor, qa_manager, admin
+    password_hash VARCHAR(255) NOT NULL, -- scrypt$<salt>$<hash>
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(100),
+    updated_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active) WHERE is_active = TRUE;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_users_role'
+    ) THEN
+        ALTER TABLE users ADD CONSTRAINT chk_users_role
+            CHECK (role IN ('inspector', 'supervisor', 'qa_manager', 'admin'));
+    END IF;
+END
+$$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_trigger WHERE tgname = 'update_users_updated_at'
+    ) THEN
+        CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END
+$$;
+
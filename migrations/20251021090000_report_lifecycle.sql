@@ -0,0 +1,42 @@
+-- Migration: Report Lifecycle
+-- Created: 2025-10-21T09:00:00.000Z
+--
+-- Description: Server-enforced report lifecycle (draft -> submitted -> approved/rejected -> reopened).
+-- Adds the 'reopened' status and a history table recording every status transition.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS chk_reports_status;
+ALTER TABLE reports ADD CONSTRAINT chk_reports_status
+    CHECK (status IN ('draft', 'submitted', 'approved', 'rejected', 'reopened'));
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS rejected_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE;
+
+-- One row per status transition
+CREATE TABLE IF NOT EXISTS report_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL, -- create, submit, approve, reject, reopen
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(255) NOT NULL,
+    changed_by_role VARCHAR(50),
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_status_history_report ON report_status_history(report_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_report_status_history_user ON report_status_history(changed_by, changed_at DESC);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_report_status_history_action'
+    ) THEN
+        ALTER TABLE report_status_history ADD CONSTRAINT chk_report_status_history_action
+            CHECK (action IN ('create', 'submit', 'approve', 'reject', 'reopen'));
+    END IF;
+END
+$$;
@@ -0,0 +1,58 @@
+-- Migration: Inspection Alerts
+-- Created: 2025-10-22T09:00:00.000Z
+--
+-- Description: CCP/OPRP inspection alerts. Each alert is keyed to a product and optionally to a
+-- section, table and parameter of the product form, and repeats every frequency_minutes from a
+-- daily start_time. next_due_at is maintained by the server.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS inspection_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    section_id VARCHAR(100), -- product form section id (product_sections.section_id)
+    table_id VARCHAR(100), -- table id within the section configuration
+    parameter_name VARCHAR(255),
+    title VARCHAR(255) NOT NULL,
+    type VARCHAR(10) NOT NULL DEFAULT 'CCP', -- CCP, OPRP
+    frequency_minutes INTEGER NOT NULL DEFAULT 60,
+    start_time TIME NOT NULL DEFAULT '08:00',
+    active BOOLEAN DEFAULT TRUE,
+    next_due_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(100),
+    updated_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inspection_alerts_product ON inspection_alerts(product_id);
+CREATE INDEX IF NOT EXISTS idx_inspection_alerts_due ON inspection_alerts(next_due_at) WHERE active = TRUE;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_alerts_type'
+    ) THEN
+        ALTER TABLE inspection_alerts ADD CONSTRAINT chk_inspection_alerts_type
+            CHECK (type IN ('CCP', 'OPRP'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_alerts_frequency'
+    ) THEN
+        ALTER TABLE inspection_alerts ADD CONSTRAINT chk_inspection_alerts_frequency
+            CHECK (frequency_minutes BETWEEN 1 AND 1440);
+    END IF;
+END
+$$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_trigger WHERE tgname = 'update_inspection_alerts_updated_at'
+    ) THEN
+        CREATE TRIGGER update_inspection_alerts_updated_at BEFORE UPDATE ON inspection_alerts
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END
+$$;
@@ -0,0 +1,59 @@
+-- Migration: Inspection Scheduler
+-- Created: 2025-10-23T09:00:00.000Z
+--
+-- Description: Server-side inspection due-time scheduler. Adds per-alert grace and escalation
+-- overrides and a log of the notifications raised for each due occurrence (inspection alert
+-- or open report time slot), which keeps every stage from being raised twice.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE inspection_alerts
+ADD COLUMN IF NOT EXISTS grace_minutes INTEGER, -- NULL uses INSPECTION_GRACE_MINUTES
+ADD COLUMN IF NOT EXISTS escalate_after_minutes INTEGER; -- NULL uses INSPECTION_ESCALATION_MINUTES
+
+CREATE TABLE IF NOT EXISTS inspection_due_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    alert_id UUID REFERENCES inspection_alerts(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    slot_key VARCHAR(255) NOT NULL DEFAULT '', -- identifies the time slot within a report
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    stage VARCHAR(20) NOT NULL, -- due, overdue, escalated
+    notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inspection_due_events_unique
+    ON inspection_due_events(COALESCE(alert_id, report_id), slot_key, due_at, stage);
+CREATE INDEX IF NOT EXISTS idx_inspection_due_events_created ON inspection_due_events(created_at DESC);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_due_events_stage'
+    ) THEN
+        ALTER TABLE inspection_due_events ADD CONSTRAINT chk_inspection_due_events_stage
+            CHECK (stage IN ('due', 'overdue', 'escalated'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_due_events_source'
+    ) THEN
+        ALTER TABLE inspection_due_events ADD CONSTRAINT chk_inspection_due_events_source
+            CHECK (num_nonnulls(alert_id, report_id) = 1);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_alerts_grace'
+    ) THEN
+        ALTER TABLE inspection_alerts ADD CONSTRAINT chk_inspection_alerts_grace
+            CHECK (grace_minutes IS NULL OR grace_minutes >= 0);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_inspection_alerts_escalation'
+    ) THEN
+        ALTER TABLE inspection_alerts ADD CONSTRAINT chk_inspection_alerts_escalation
+            CHECK (escalate_after_minutes IS NULL OR escalate_after_minutes >= 0);
+    END IF;
+END
+$$;
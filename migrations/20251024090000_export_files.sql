@@ -0,0 +1,12 @@
+-- Migration: Export Files
+-- Created: 2025-10-24T09:00:00.000Z
+--
+-- Description: CSV/XLSX exports are written to disk as downloadable artifacts. Records where
+-- each export file is stored so it can be downloaded again until it expires.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE data_exports
+ADD COLUMN IF NOT EXISTS file_path TEXT; -- location of the generated file under EXPORT_DIR
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_expires_at ON data_exports(expires_at) WHERE status = 'completed';
@@ -0,0 +1,28 @@
+-- Migration: Backup Files
+-- Created: 2025-10-25T09:00:00.000Z
+--
+-- Description: Backups are written by the application as compressed dumps. Records the dump
+-- checksum and incremental starting point on backup_metadata, and logs every restore.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE backup_metadata
+ADD COLUMN IF NOT EXISTS checksum VARCHAR(64), -- SHA-256 of the dump file
+ADD COLUMN IF NOT EXISTS incremental_since TIMESTAMP WITH TIME ZONE; -- rows changed after this time (incremental)
+
+CREATE INDEX IF NOT EXISTS idx_backup_metadata_status ON backup_metadata(status, backup_started DESC);
+
+CREATE TABLE IF NOT EXISTS backup_restores (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    backup_id UUID REFERENCES backup_metadata(id) ON DELETE SET NULL,
+    target_database VARCHAR(255) NOT NULL,
+    mode VARCHAR(20) NOT NULL, -- replace, merge
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, completed, failed
+    record_counts JSONB, -- rows restored per table
+    error_message TEXT,
+    restored_by VARCHAR(255),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_restores_backup ON backup_restores(backup_id, started_at DESC);
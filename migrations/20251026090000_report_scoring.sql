@@ -0,0 +1,154 @@
+-- Migration: Report Scoring
+-- Created: 2025-10-26T09:00:00.000Z
+--
+-- Description: Scores reports against the product's parameter limits. Each stored value in
+-- report_parameters is evaluated against its product parameter (validation_rule min/max or
+-- pass_values, or the pass/fail convention of check, CCP, OPRP and grade parameters), and
+-- failures are weighted per parameter category with weights configurable per product.
+-- calculate_report_score() fills score, defects_count, total_inspected and pass_rate.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+-- Failure weights per category, e.g. {"standard": 1, "grade": 2, "oprp": 3, "ccp": 5};
+-- missing categories use those defaults
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS scoring_weights JSONB;
+
+-- Numeric value of a JSON limit, accepting numbers and numeric strings
+CREATE OR REPLACE FUNCTION jsonb_limit_value(p_limit JSONB)
+RETURNS DECIMAL AS $$
+BEGIN
+    IF p_limit IS NULL THEN
+        RETURN NULL;
+    ELSIF jsonb_typeof(p_limit) = 'number' THEN
+        RETURN (p_limit #>> '{}')::DECIMAL;
+    ELSIF jsonb_typeof(p_limit) = 'string' AND btrim(p_limit #>> '{}') ~ '^-?\d+(\.\d+)?$' THEN
+        RETURN btrim(p_limit #>> '{}')::DECIMAL;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Whether one stored value passes its product parameter; NULL when it cannot be judged
+-- (empty value, no limits, or a non-numeric value against numeric limits)
+CREATE OR REPLACE FUNCTION evaluate_parameter_value(
+    p_parameter_type VARCHAR,
+    p_rule JSONB,
+    p_value TEXT,
+    p_numeric_value DECIMAL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    rule_min DECIMAL := jsonb_limit_value(p_rule -> 'min');
+    rule_max DECIMAL := jsonb_limit_value(p_rule -> 'max');
+    normalized TEXT := upper(btrim(COALESCE(p_value, '')));
+BEGIN
+    IF normalized = '' THEN
+        RETURN NULL;
+    END IF;
+
+    -- Explicit accepted values, e.g. {"pass_values": ["OK", "A", "B"]}
+    IF jsonb_typeof(p_rule -> 'pass_values') = 'array' THEN
+        RETURN EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(p_rule -> 'pass_values') AS accepted(value)
+            WHERE upper(btrim(accepted.value)) = normalized
+        );
+    END IF;
+
+    IF rule_min IS NOT NULL OR rule_max IS NOT NULL THEN
+        IF p_numeric_value IS NULL THEN
+            RETURN NULL;
+        END IF;
+        RETURN (rule_min IS NULL OR p_numeric_value >= rule_min)
+           AND (rule_max IS NULL OR p_numeric_value <= rule_max);
+    END IF;
+
+    -- Pass/fail inputs of the inspection form
+    CASE lower(COALESCE(p_parameter_type, ''))
+        WHEN 'check', 'ccp', 'oprp' THEN
+            RETURN normalized = 'OK';
+        WHEN 'grade' THEN
+            RETURN normalized <> 'C';
+        ELSE
+            RETURN NULL;
+    END CASE;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Function to calculate report score based on parameters
+-- score = 100 * (1 - weighted failures / weighted evaluations); the report keeps its
+-- previous values when none of its parameters can be evaluated
+CREATE OR REPLACE FUNCTION calculate_report_score(report_uuid UUID)
+RETURNS DECIMAL(5,2) AS $$
+DECLARE
+    weights JSONB;
+    totals RECORD;
+    report_score DECIMAL(5,2);
+BEGIN
+    SELECT jsonb_build_object('standard', 1, 'grade', 2, 'oprp', 3, 'ccp', 5)
+           || COALESCE(p.scoring_weights, '{}'::jsonb)
+    INTO weights
+    FROM reports r
+    JOIN products p ON p.id = r.product_id
+    WHERE r.id = report_uuid;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    WITH matched AS (
+        -- Second controls of a cell are stored as "<parameter_id>.2"
+        SELECT DISTINCT ON (rp.id)
+            rp.id, rp.section_id, rp.parameter_id, rp.row_index, rp.column_index, rp.time_slot,
+            rp.value, rp.numeric_value, pp.parameter_type, pp.validation_rule
+        FROM report_parameters rp
+        JOIN reports r ON r.id = rp.report_id
+        JOIN product_sections ps ON ps.product_id = r.product_id AND ps.section_id = rp.section_id
+        JOIN product_parameters pp ON pp.section_id = ps.id
+         AND pp.parameter_id IN (rp.parameter_id, regexp_replace(rp.parameter_id, '\.\d+$', ''))
+        WHERE rp.report_id = report_uuid
+          AND COALESCE(pp.is_active, TRUE)
+        ORDER BY rp.id, (pp.parameter_id = rp.parameter_id) DESC
+    ),
+    evaluated AS (
+        SELECT
+            CASE WHEN lower(COALESCE(parameter_type, '')) IN ('ccp', 'oprp', 'grade')
+                 THEN lower(parameter_type) ELSE 'standard' END AS category,
+            CASE
+                -- Two consecutive B grades count as a failure, as on the form
+                WHEN lower(COALESCE(parameter_type, '')) = 'grade'
+                 AND upper(btrim(value)) = 'B'
+                 AND upper(btrim(LAG(value) OVER (
+                        PARTITION BY section_id, parameter_id, row_index
+                        ORDER BY column_index, time_slot
+                     ))) = 'B'
+                THEN FALSE
+                ELSE evaluate_parameter_value(parameter_type, validation_rule, value, numeric_value)
+            END AS passed
+        FROM matched
+    )
+    SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE NOT passed) AS failed,
+        SUM(COALESCE(jsonb_limit_value(weights -> category), 1)) AS total_weight,
+        COALESCE(SUM(COALESCE(jsonb_limit_value(weights -> category), 1)) FILTER (WHERE NOT passed), 0) AS failed_weight
+    INTO totals
+    FROM evaluated
+    WHERE passed IS NOT NULL;
+
+    IF totals.total = 0 OR totals.total_weight IS NULL OR totals.total_weight <= 0 THEN
+        RETURN NULL;
+    END IF;
+
+    report_score := ROUND(GREATEST(0, 100 * (1 - totals.failed_weight / totals.total_weight)), 2);
+
+    UPDATE reports
+    SET score = report_score,
+        defects_count = totals.failed,
+        total_inspected = totals.total,
+        pass_rate = ROUND(100.0 * (totals.total - totals.failed) / totals.total, 2)
+    WHERE id = report_uuid;
+
+    RETURN report_score;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,105 @@
+-- Migration: Structured Specification Limits
+-- Created: 2025-10-27T09:00:00.000Z
+--
+-- Description: product_parameters.validation_rule holds a structured spec (see js/spec-limits.js):
+-- {"kind": "range", "lsl", "target", "usl", "unit"}, {"kind": "duration", "lsl", "usl"} in seconds,
+-- {"kind": "enum", "values"}, {"kind": "equals", "equals"} or {"kind": "text"}, with the original
+-- display text in "limits". evaluate_parameter_value() now scores values against these specs;
+-- older rules with only min/max or pass_values keep working.
+-- Convert existing "limits" strings with: node migrations/convert-spec-limits.js
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+-- Number in a value as typed ("12", "12.5", "12,5"); NULL otherwise
+CREATE OR REPLACE FUNCTION parse_numeric_value(p_value TEXT)
+RETURNS DECIMAL AS $$
+BEGIN
+    IF btrim(COALESCE(p_value, '')) ~ '^[-+]?\d+([.,]\d+)?$' THEN
+        RETURN replace(btrim(p_value), ',', '.')::DECIMAL;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Seconds in a duration value: "5:30" (m:ss), "1:05:30" (h:mm:ss) or plain minutes ("5.5")
+CREATE OR REPLACE FUNCTION parse_duration_seconds(p_value TEXT)
+RETURNS DECIMAL AS $$
+DECLARE
+    parts TEXT[];
+    minutes DECIMAL;
+BEGIN
+    parts := regexp_match(btrim(COALESCE(p_value, '')), '^(?:(\d+):)?(\d+):([0-5]\d)$');
+    IF parts IS NOT NULL THEN
+        RETURN COALESCE(parts[1]::INTEGER, 0) * 3600 + parts[2]::INTEGER * 60 + parts[3]::INTEGER;
+    END IF;
+    minutes := parse_numeric_value(p_value);
+    RETURN ROUND(minutes * 60);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Whether one stored value meets its product parameter's spec; NULL when it cannot be judged
+-- (empty value, a text spec or no limits, or a non-numeric value against numeric limits)
+CREATE OR REPLACE FUNCTION evaluate_parameter_value(
+    p_parameter_type VARCHAR,
+    p_rule JSONB,
+    p_value TEXT,
+    p_numeric_value DECIMAL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    spec_kind TEXT := p_rule ->> 'kind';
+    accepted JSONB := COALESCE(p_rule -> 'values', p_rule -> 'pass_values');
+    lower_limit DECIMAL := COALESCE(jsonb_limit_value(p_rule -> 'lsl'), jsonb_limit_value(p_rule -> 'min'));
+    upper_limit DECIMAL := COALESCE(jsonb_limit_value(p_rule -> 'usl'), jsonb_limit_value(p_rule -> 'max'));
+    normalized TEXT := upper(btrim(COALESCE(p_value, '')));
+    measured DECIMAL;
+BEGIN
+    IF normalized = '' THEN
+        RETURN NULL;
+    END IF;
+
+    -- Accepted values: enum specs and older {"pass_values": [...]} rules
+    IF (spec_kind IS NULL OR spec_kind = 'enum') AND jsonb_typeof(accepted) = 'array' THEN
+        RETURN EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(accepted) AS accepted_value(value)
+            WHERE upper(btrim(accepted_value.value)) = normalized
+        );
+    END IF;
+
+    IF spec_kind = 'equals' THEN
+        IF jsonb_typeof(p_rule -> 'equals') = 'number' THEN
+            measured := COALESCE(p_numeric_value, parse_numeric_value(p_value));
+            RETURN CASE WHEN measured IS NULL THEN NULL ELSE measured = (p_rule ->> 'equals')::DECIMAL END;
+        END IF;
+        RETURN normalized = upper(btrim(p_rule ->> 'equals'));
+    END IF;
+
+    IF spec_kind = 'duration' THEN
+        measured := parse_duration_seconds(p_value);
+    ELSIF spec_kind = 'text' THEN
+        measured := NULL;
+        lower_limit := NULL;
+        upper_limit := NULL;
+    ELSE
+        measured := COALESCE(p_numeric_value, parse_numeric_value(p_value));
+    END IF;
+
+    IF lower_limit IS NOT NULL OR upper_limit IS NOT NULL THEN
+        IF measured IS NULL THEN
+            RETURN NULL;
+        END IF;
+        RETURN (lower_limit IS NULL OR measured >= lower_limit)
+           AND (upper_limit IS NULL OR measured <= upper_limit);
+    END IF;
+
+    -- Parameters without a usable spec: pass/fail inputs of the inspection form
+    CASE lower(COALESCE(p_parameter_type, ''))
+        WHEN 'check', 'ccp', 'oprp' THEN
+            RETURN normalized = 'OK';
+        WHEN 'grade' THEN
+            RETURN normalized <> 'C';
+        ELSE
+            RETURN NULL;
+    END CASE;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
@@ -0,0 +1,206 @@
+-- Migration: Product Revisions
+-- Created: 2025-10-28T09:00:00.000Z
+--
+-- Description: Immutable product revisions. Every product change stores a new numbered revision
+-- holding the full configuration (product row, custom variables, sections with their parameters
+-- and limits, and the inspection form) with the date it takes effect. Reports are pinned to the
+-- revision in effect on their report_date, so historical reports keep the tables and limits that
+-- applied that day; calculate_report_score() scores against the pinned revision.
+-- Existing products get revision 1 from their current configuration and existing reports are
+-- pinned to it.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS product_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    configuration JSONB NOT NULL, -- { product, customVariables, sections: [{ section, parameters }], form }
+    change_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(100),
+    UNIQUE (product_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_revisions_effective ON product_revisions(product_id, effective_from DESC);
+
+-- Revisions are never changed once written
+CREATE OR REPLACE FUNCTION prevent_product_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Product revisions are immutable; create a new revision instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_trigger WHERE tgname = 'product_revisions_immutable'
+    ) THEN
+        CREATE TRIGGER product_revisions_immutable BEFORE UPDATE ON product_revisions
+            FOR EACH ROW EXECUTE FUNCTION prevent_product_revision_update();
+    END IF;
+END
+$$;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS product_revision_id UUID REFERENCES product_revisions(id); -- revision the report was inspected against
+
+CREATE INDEX IF NOT EXISTS idx_reports_product_revision ON reports(product_revision_id);
+
+-- Revision 1 of every product from its current configuration
+INSERT INTO product_revisions (product_id, revision_number, effective_from, configuration, change_note, created_by)
+SELECT
+    p.id,
+    1,
+    COALESCE(p.created_at, CURRENT_TIMESTAMP),
+    jsonb_build_object(
+        'product', to_jsonb(p.*),
+        'customVariables', COALESCE((
+            SELECT jsonb_agg(to_jsonb(cv.*) ORDER BY cv.created_at)
+            FROM product_custom_variables cv
+            WHERE cv.product_id = p.id
+        ), '[]'::jsonb),
+        'sections', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'section', to_jsonb(ps.*),
+                'parameters', COALESCE((
+                    SELECT jsonb_agg(to_jsonb(pp.*) ORDER BY pp.order_index)
+                    FROM product_parameters pp
+                    WHERE pp.section_id = ps.id
+                ), '[]'::jsonb)
+            ) ORDER BY ps.order_index)
+            FROM product_sections ps
+            WHERE ps.product_id = p.id
+        ), '[]'::jsonb),
+        'form', NULL
+    ),
+    'Initial revision',
+    'migration'
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_revisions pr WHERE pr.product_id = p.id);
+
+-- Existing reports were inspected against the configuration captured above
+UPDATE reports r
+SET product_revision_id = pr.id
+FROM product_revisions pr
+WHERE r.product_revision_id IS NULL
+  AND pr.product_id = r.product_id
+  AND pr.revision_number = (
+      SELECT MIN(first.revision_number) FROM product_revisions first WHERE first.product_id = r.product_id
+  );
+
+-- Parameters a report is scored against: those of its pinned revision, or the product's
+-- current parameters for reports without one
+CREATE OR REPLACE FUNCTION report_product_parameters(report_uuid UUID)
+RETURNS TABLE (
+    section_id VARCHAR,
+    parameter_id VARCHAR,
+    parameter_type VARCHAR,
+    validation_rule JSONB,
+    is_active BOOLEAN
+) AS $$
+    SELECT
+        (revision_section -> 'section' ->> 'section_id')::VARCHAR,
+        (revision_parameter ->> 'parameter_id')::VARCHAR,
+        (revision_parameter ->> 'parameter_type')::VARCHAR,
+        NULLIF(revision_parameter -> 'validation_rule', 'null'::jsonb),
+        COALESCE((revision_parameter ->> 'is_active')::BOOLEAN, TRUE)
+    FROM reports r
+    JOIN product_revisions pr ON pr.id = r.product_revision_id
+    CROSS JOIN LATERAL jsonb_array_elements(COALESCE(pr.configuration -> 'sections', '[]'::jsonb)) AS sections(revision_section)
+    CROSS JOIN LATERAL jsonb_array_elements(COALESCE(revision_section -> 'parameters', '[]'::jsonb)) AS parameters(revision_parameter)
+    WHERE r.id = report_uuid
+    UNION ALL
+    SELECT ps.section_id, pp.parameter_id, pp.parameter_type, pp.validation_rule, COALESCE(pp.is_active, TRUE)
+    FROM reports r
+    JOIN product_sections ps ON ps.product_id = r.product_id
+    JOIN product_parameters pp ON pp.section_id = ps.id
+    WHERE r.id = report_uuid
+      AND r.product_revision_id IS NULL;
+$$ LANGUAGE sql STABLE;
+
+-- Function to calculate report score based on parameters
+-- score = 100 * (1 - weighted failures / weighted evaluations); the report keeps its
+-- previous values when none of its parameters can be evaluated. Limits and weights come
+-- from the report's product revision when it has one.
+CREATE OR REPLACE FUNCTION calculate_report_score(report_uuid UUID)
+RETURNS DECIMAL(5,2) AS $$
+DECLARE
+    weights JSONB;
+    totals RECORD;
+    report_score DECIMAL(5,2);
+BEGIN
+    SELECT jsonb_build_object('standard', 1, 'grade', 2, 'oprp', 3, 'ccp', 5)
+           || CASE
+                  WHEN r.product_revision_id IS NOT NULL THEN
+                      CASE WHEN jsonb_typeof(pr.configuration -> 'product' -> 'scoring_weights') = 'object'
+                           THEN pr.configuration -> 'product' -> 'scoring_weights'
+                           ELSE '{}'::jsonb END
+                  ELSE COALESCE(p.scoring_weights, '{}'::jsonb)
+              END
+    INTO weights
+    FROM reports r
+    JOIN products p ON p.id = r.product_id
+    LEFT JOIN product_revisions pr ON pr.id = r.product_revision_id
+    WHERE r.id = report_uuid;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    WITH matched AS (
+        -- Second controls of a cell are stored as "<parameter_id>.2"
+        SELECT DISTINCT ON (rp.id)
+            rp.id, rp.section_id, rp.parameter_id, rp.row_index, rp.column_index, rp.time_slot,
+            rp.value, rp.numeric_value, pp.parameter_type, pp.validation_rule
+        FROM report_parameters rp
+        JOIN report_product_parameters(report_uuid) pp ON pp.section_id = rp.section_id
+         AND pp.parameter_id IN (rp.parameter_id, regexp_replace(rp.parameter_id, '\.\d+$', ''))
+        WHERE rp.report_id = report_uuid
+          AND pp.is_active
+        ORDER BY rp.id, (pp.parameter_id = rp.parameter_id) DESC
+    ),
+    evaluated AS (
+        SELECT
+            CASE WHEN lower(COALESCE(parameter_type, '')) IN ('ccp', 'oprp', 'grade')
+                 THEN lower(parameter_type) ELSE 'standard' END AS category,
+            CASE
+                -- Two consecutive B grades count as a failure, as on the form
+                WHEN lower(COALESCE(parameter_type, '')) = 'grade'
+                 AND upper(btrim(value)) = 'B'
+                 AND upper(btrim(LAG(value) OVER (
+                        PARTITION BY section_id, parameter_id, row_index
+                        ORDER BY column_index, time_slot
+                     ))) = 'B'
+                THEN FALSE
+                ELSE evaluate_parameter_value(parameter_type, validation_rule, value, numeric_value)
+            END AS passed
+        FROM matched
+    )
+    SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE NOT passed) AS failed,
+        SUM(COALESCE(jsonb_limit_value(weights -> category), 1)) AS total_weight,
+        COALESCE(SUM(COALESCE(jsonb_limit_value(weights -> category), 1)) FILTER (WHERE NOT passed), 0) AS failed_weight
+    INTO totals
+    FROM evaluated
+    WHERE passed IS NOT NULL;
+
+    IF totals.total = 0 OR totals.total_weight IS NULL OR totals.total_weight <= 0 THEN
+        RETURN NULL;
+    END IF;
+
+    report_score := ROUND(GREATEST(0, 100 * (1 - totals.failed_weight / totals.total_weight)), 2);
+
+    UPDATE reports
+    SET score = report_score,
+        defects_count = totals.failed,
+        total_inspected = totals.total,
+        pass_rate = ROUND(100.0 * (totals.total - totals.failed) / totals.total, 2)
+    WHERE id = report_uuid;
+
+    RETURN report_score;
+END;
+$$ LANGUAGE plpgsql;
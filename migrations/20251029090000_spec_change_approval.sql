@@ -0,0 +1,60 @@
+-- Migration: Specification Change Approval
+-- Created: 2025-10-29T09:00:00.000Z
+--
+-- Description: Product specification changes are requested as pending product revisions with a
+-- change reason and only take effect once a QA manager approves them. Pending revisions can be
+-- approved or rejected once; their configuration never changes. Only approved revisions are
+-- effective, so reports are never pinned to a pending or rejected revision.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'product_revisions' AND column_name = 'change_note'
+    ) THEN
+        ALTER TABLE product_revisions RENAME COLUMN change_note TO change_reason;
+    END IF;
+END
+$$;
+
+ALTER TABLE product_revisions
+ADD COLUMN IF NOT EXISTS change_reason TEXT,
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved', -- pending, approved, rejected
+ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100),
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_product_revisions_status'
+    ) THEN
+        ALTER TABLE product_revisions ADD CONSTRAINT chk_product_revisions_status
+            CHECK (status IN ('pending', 'approved', 'rejected'));
+    END IF;
+END
+$$;
+
+-- One open change request per product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_revisions_one_pending ON product_revisions(product_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_product_revisions_status ON product_revisions(status, created_at DESC);
+
+-- Revisions are never changed once written, except for the review of a pending revision
+-- (its status, review fields and the effective date set on approval)
+CREATE OR REPLACE FUNCTION prevent_product_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status <> 'pending'
+       OR NEW.product_id IS DISTINCT FROM OLD.product_id
+       OR NEW.revision_number IS DISTINCT FROM OLD.revision_number
+       OR NEW.configuration IS DISTINCT FROM OLD.configuration
+       OR NEW.change_reason IS DISTINCT FROM OLD.change_reason
+       OR NEW.created_at IS DISTINCT FROM OLD.created_at
+       OR NEW.created_by IS DISTINCT FROM OLD.created_by THEN
+        RAISE EXCEPTION 'Product revisions are immutable; create a new revision instead';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,60 @@
+-- Migration: Sampling Plans
+-- Created: 2025-10-30T09:00:00.000Z
+--
+-- Description: ISO 2859-1 sampling for the weight checks. Products get an inspection level
+-- (S-1 to S-4, I, II, III); with the lot size it selects the sample size code letter. Each
+-- report records its lot in report_sampling: the lot size, the plan it was inspected under
+-- (severity, code letter, sample size, Ac/Re) and the result. Replaying the lots of a product
+-- and production line in report order gives the normal/tightened/reduced switching state
+-- (see js/sampling-plans.js).
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS inspection_level VARCHAR(5) DEFAULT 'II';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_inspection_level'
+    ) THEN
+        ALTER TABLE products ADD CONSTRAINT chk_products_inspection_level
+            CHECK (inspection_level IN ('S-1', 'S-2', 'S-3', 'S-4', 'I', 'II', 'III'));
+    END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS report_sampling (
+    report_id UUID PRIMARY KEY REFERENCES reports(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    production_line VARCHAR(50) NOT NULL DEFAULT '', -- '' when the report names no line
+    lot_size INTEGER NOT NULL,
+    pallet_count INTEGER,
+    inspection_level VARCHAR(5) NOT NULL,
+    aql_level VARCHAR(10) NOT NULL,
+    severity VARCHAR(20) NOT NULL, -- normal, tightened, reduced
+    code_letter CHAR(1) NOT NULL,
+    sample_size INTEGER NOT NULL,
+    acceptance_number INTEGER NOT NULL,
+    rejection_number INTEGER NOT NULL,
+    inspected INTEGER NOT NULL DEFAULT 0,
+    nonconforming INTEGER NOT NULL DEFAULT 0, -- below Tare 1
+    critical INTEGER NOT NULL DEFAULT 0, -- below Tare 2; rejects the lot
+    accepted BOOLEAN NOT NULL,
+    accepted_tighter BOOLEAN NOT NULL DEFAULT false, -- also accepted one AQL step tighter (switching score)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_sampling_product_line ON report_sampling(product_id, production_line);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_report_sampling_severity'
+    ) THEN
+        ALTER TABLE report_sampling ADD CONSTRAINT chk_report_sampling_severity
+            CHECK (severity IN ('normal', 'tightened', 'reduced'));
+    END IF;
+END
+$$;
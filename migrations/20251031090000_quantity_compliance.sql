@@ -0,0 +1,27 @@
+-- Migration: Quantity Compliance
+-- Created: 2025-10-31T09:00:00.000Z
+--
+-- Description: Average quantity (℮ mark) verdict for the lot of each report. Besides the Tare 1 /
+-- Tare 2 counts, report_sampling keeps the pooled mean and sample standard deviation of every
+-- weighed pack and the verdict under the regulation in effect: the mean limit (Qn - k·s), the
+-- packs allowed below T1 and whether the mean and individual criteria hold. The regulation and its
+-- tolerable-deficiency table are configured in the quantity_regulations setting (see
+-- js/quantity-control.js); regulations not listed there fall back to the built-in ones.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+ALTER TABLE report_sampling
+ADD COLUMN IF NOT EXISTS quantity_regulation VARCHAR(50),
+ADD COLUMN IF NOT EXISTS nominal_quantity DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS mean_weight DECIMAL(10,3),
+ADD COLUMN IF NOT EXISTS std_dev DECIMAL(10,3),
+ADD COLUMN IF NOT EXISTS mean_limit DECIMAL(10,3), -- Qn - k·s
+ADD COLUMN IF NOT EXISTS allowed_below_t1 INTEGER,
+ADD COLUMN IF NOT EXISTS mean_ok BOOLEAN,
+ADD COLUMN IF NOT EXISTS individual_ok BOOLEAN, -- below T1 within the allowance, none below T2
+ADD COLUMN IF NOT EXISTS quantity_compliant BOOLEAN; -- NULL when no pack was weighed
+
+INSERT INTO settings (key, value, data_type, description, category, is_system) VALUES
+('quantity_regulations', '{"active": "eu-76-211", "regulations": {}}', 'json',
+ 'Average quantity regulation for the weight checks and custom tolerable-deficiency tables', 'quality', true)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,13 @@
+-- Migration: Giveaway Cost
+-- Created: 2025-11-01T09:00:00.000Z
+--
+-- Description: Price of the product given away by overfilled packs. GET /api/analytics/giveaway
+-- values the giveaway of each report (pooled sample mean minus nominal quantity, over the packs of
+-- its lot in report_sampling) at price_per_kg in the giveaway_cost setting.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+INSERT INTO settings (key, value, data_type, description, category, is_system) VALUES
+('giveaway_cost', '{"currency": "USD", "price_per_kg": 0}', 'json',
+ 'Price per kg of product given away by overfilled packs, for the giveaway analysis', 'quality', true)
+ON CONFLICT (key) DO NOTHING;
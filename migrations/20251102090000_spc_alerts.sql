@@ -0,0 +1,25 @@
+-- Migration: SPC Alerts
+-- Created: 2025-11-02T09:00:00.000Z
+--
+-- Description: Control chart rule violations found in the SPC tables of the inspection form
+-- (POST /api/analytics/spc, rules in js/spc.js). Every violation raises one quality_alert
+-- notification; this log of the violations already raised, per chart context (report or form
+-- and table), chart, rule and point, keeps edits of the same data from raising them again.
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS spc_alert_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    context_key VARCHAR(255) NOT NULL, -- identifies the chart, e.g. report and table
+    chart VARCHAR(10) NOT NULL, -- X̄, I, R, S or MR
+    rule VARCHAR(50) NOT NULL,
+    point_index INTEGER NOT NULL, -- subgroup completing the pattern, from 0
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spc_alert_events_unique
+    ON spc_alert_events(context_key, chart, rule, point_index);
+CREATE INDEX IF NOT EXISTS idx_spc_alert_events_created ON spc_alert_events(created_at DESC);
@@ -0,0 +1,47 @@
+-- Migration: Form Sessions
+-- Created: 2025-11-03T09:00:00.000Z
+--
+-- Description: Saved form state (POST /api/sessions) moves out of the sessions table into its
+-- own table. Sharing the table let a user store a row whose session_key is the hash of a token
+-- of their choosing, which then authenticated as a login session with any expiry. The sessions
+-- table now only holds login sessions (data.type = 'auth').
+--
+-- This migration is idempotent - it is safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS form_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_key VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL, -- users.id of the owner
+    data JSONB, -- saved form state
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ip_address INET,
+    user_agent TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_sessions_key ON form_sessions(session_key);
+CREATE INDEX IF NOT EXISTS idx_form_sessions_expires_at ON form_sessions(expires_at);
+
+-- Form state saved before this migration
+INSERT INTO form_sessions (session_key, user_id, data, expires_at, created_at, updated_at, ip_address, user_agent)
+SELECT session_key, user_id, data, COALESCE(expires_at, CURRENT_TIMESTAMP), created_at, updated_at, ip_address, user_agent
+FROM sessions
+WHERE (data->>'type') IS DISTINCT FROM 'auth' AND user_id IS NOT NULL
+ON CONFLICT (session_key) DO NOTHING;
+
+DELETE FROM sessions WHERE (data->>'type') IS DISTINCT FROM 'auth';
+
+CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+    deleted_forms INTEGER;
+BEGIN
+    DELETE FROM sessions WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    DELETE FROM form_sessions WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_forms = ROW_COUNT;
+    RETURN deleted_count + deleted_forms;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,60 @@
+/**
+ * Specification Limits Conversion
+ * Rewrites product_parameters.validation_rule from display strings ("176.68 - 193.32g",
+ * "3:00 - 7:30", "A Grade", ...) and loose min/max into structured specs
+ * (see js/spec-limits.js). Rules that already have a `kind` are left alone, so the
+ * conversion can be re-run; `--dry-run` prints the changes without writing them.
+ */
+
+const db = require('../config/database');
+const SpecLimits = require('../js/spec-limits');
+
+async function convertSpecLimits({ dryRun = false } = {}) {
+  return db.transaction(async (client) => {
+    const result = await client.query(`
+      SELECT pp.id, ps.section_id, pp.parameter_id, pp.parameter_type, pp.validation_rule
+      FROM product_parameters pp
+      JOIN product_sections ps ON ps.id = pp.section_id
+      WHERE pp.validation_rule IS NULL OR NOT (pp.validation_rule ? 'kind')
+      ORDER BY ps.product_id, ps.order_index, pp.order_index
+    `);
+
+    const summary = { checked: result.rows.length, converted: 0, skipped: 0, kinds: {} };
+
+    for (const row of result.rows) {
+      const rule = SpecLimits.normalizeRule(row.validation_rule, row.parameter_type);
+      if (!SpecLimits.isSpec(rule)) {
+        summary.skipped++;
+        continue;
+      }
+
+      summary.converted++;
+      summary.kinds[rule.kind] = (summary.kinds[rule.kind] || 0) + 1;
+      console.log(`${row.section_id}/${row.parameter_id}: ${JSON.stringify(row.validation_rule)} -> ${JSON.stringify(rule)}`);
+
+      if (!dryRun) {
+        await client.query(
+          'UPDATE product_parameters SET validation_rule = $2 WHERE id = $1',
+          [row.id, JSON.stringify(rule)]
+        );
+      }
+    }
+
+    return summary;
+  });
+}
+
+module.exports = { convertSpecLimits };
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  convertSpecLimits({ dryRun })
+    .then(summary => {
+      console.log(`${dryRun ? 'Dry run' : 'Conversion'} result:`, summary);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Specification limits conversion failed:', error);
+      process.exit(1);
+    });
+}
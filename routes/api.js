@@ -1,14 +1,46 @@
+const fs = require('fs');
 const express = require('express');
 const db = require('../config/database');
 const { logger } = require('../utils/logger');
+const {
+  ROLES,
+  authenticate,
+  requireRole,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  toPublicUser,
+  createSession,
+  destroySessions,
+  setSessionCookie,
+  clearSessionCookie
+} = require('../middleware/auth');
+const { createValidationMiddleware: validateBody, ValidationError } = require('../middleware/validation');
+const reportLifecycle = require('../utils/report-lifecycle');
+const reportContents = require('../utils/report-contents');
+const inspectionAlerts = require('../utils/inspection-alerts');
+const { liveEvents } = require('../utils/live-events');
+const exporter = require('../utils/exporter');
+const reportFilters = require('../utils/report-filters');
+const reportPdf = require('../utils/report-pdf');
+const backup = require('../utils/backup');
+const backupScheduler = require('../utils/backup-scheduler');
+const revisionHistory = require('../utils/revision-history');
+const productRevisions = require('../utils/product-revisions');
+const sampling = require('../utils/sampling');
+const giveaway = require('../utils/giveaway');
+const spcAlerts = require('../utils/spc-alerts');
+const parameterSeries = require('../utils/parameter-series');
+const auditFilters = require('../utils/audit-filters');
+const openapi = require('../utils/openapi');
+const SpecLimits = require('../js/spec-limits');
+const SamplingPlans = require('../js/sampling-plans');
+const QuantityControl = require('../js/quantity-control');
 const router = express.Router();
 
-// Middleware to set user context for audit logging
-router.use(async (req, res, next) => {
-  const userId = req.headers['x-user-id'] || req.query.userId || 'anonymous';
-  await db.setUserContext(userId);
-  next();
-});
+// Resolve the session to an authenticated user and carry it into audit logging
+router.use(authenticate);
 
 // Error handler wrapper
 const asyncHandler = (fn) => (req, res, next) => {
@@ -21,40 +53,182 @@ const validateUUID = (id) => {
   return uuidRegex.test(id);
 };
 
-const REQUIRED_PRODUCT_FIELDS = new Set(['product_id', 'name', 'code']);
+// ================================================================
+// AUTHENTICATION API ROUTES
+// ================================================================
 
-const prepareProductUpdatePayload = (data = {}) => {
-  const sanitized = {};
-  const errors = [];
+// POST /api/auth/login - Exchange credentials for a session token
+router.post('/auth/login', validateBody('login'), asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+  
+  const [user] = await db.findWhere('users', { username: String(username).trim().toLowerCase() });
+  const valid = user && user.is_active && await verifyPassword(password, user.password_hash);
+  
+  if (!valid) {
+    logger.warn('Failed login attempt', { username, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  
+  const { token, expiresAt } = await createSession(user, req);
+  await db.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  
+  setSessionCookie(res, token, expiresAt);
+  res.json({
+    token,
+    expires_at: expiresAt,
+    user: toPublicUser(user)
+  });
+}));
 
-  Object.entries(data).forEach(([key, value]) => {
-    if (value === undefined) {
-      return;
-    }
+// POST /api/auth/logout - End the current session
+router.post('/auth/logout', asyncHandler(async (req, res) => {
+  await destroySessions({ sessionId: req.authSession.id });
+  clearSessionCookie(res);
+  res.json({ message: 'Logged out successfully' });
+}));
 
-    if (value === null) {
-      sanitized[key] = null;
-      return;
-    }
+// GET /api/auth/me - Current user and session
+router.get('/auth/me', asyncHandler(async (req, res) => {
+  res.json({
+    user: req.user,
+    expires_at: req.authSession.expiresAt
+  });
+}));
 
-    if (typeof value === 'string') {
-      const trimmed = value.trim();
-      if (trimmed === '') {
-        if (REQUIRED_PRODUCT_FIELDS.has(key)) {
-          errors.push(`${key} cannot be empty`);
-        } else {
-          sanitized[key] = null;
-        }
-      } else {
-        sanitized[key] = trimmed;
-      }
-      return;
-    }
+// PUT /api/auth/password - Change own password
+router.put('/auth/password', validateBody('passwordChange'), asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+  
+  const passwordError = validatePassword(new_password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+  
+  const user = await db.findById('users', req.user.id);
+  if (!await verifyPassword(current_password, user.password_hash)) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+  
+  await db.updateById('users', user.id, {
+    password_hash: await hashPassword(new_password),
+    updated_by: req.user.username
+  });
+  
+  res.json({ message: 'Password changed successfully' });
+}));
 
-    sanitized[key] = value;
+// ================================================================
+// USERS API ROUTES (admin only)
+// ================================================================
+
+const USER_UPDATABLE_FIELDS = ['display_name', 'email', 'role', 'is_active'];
+
+// GET /api/users - List user accounts
+router.get('/users', requireRole('admin'), asyncHandler(async (req, res) => {
+  const users = await db.findWhere('users', {}, 'username ASC');
+  res.json({ data: users.map(toPublicUser) });
+}));
+
+// POST /api/users - Create user account
+router.post('/users', requireRole('admin'), validateBody('user'), asyncHandler(async (req, res) => {
+  const { username, password, display_name, email, role } = req.body;
+  
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+  
+  const id = await db.insert('users', {
+    username: username.toLowerCase(),
+    display_name,
+    email,
+    role,
+    password_hash: await hashPassword(password),
+    created_by: req.user.username
+  });
+  
+  logger.info('User account created', { username, role, createdBy: req.user.username });
+  
+  const created = await db.findById('users', id);
+  res.status(201).json(toPublicUser(created));
+}));
+
+// PUT /api/users/:id - Update role, profile, active flag or reset password
+router.put('/users/:id', requireRole('admin'), validateBody('userUpdate', { partial: true }), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+  
+  const updateData = {};
+  USER_UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
   });
+  
+  if (req.body.password !== undefined) {
+    const passwordError = validatePassword(req.body.password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    updateData.password_hash = await hashPassword(req.body.password);
+  }
+  
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided for update' });
+  }
+  
+  updateData.updated_by = req.user.username;
+  const updated = await db.updateById('users', id, updateData);
+  
+  if (!updated) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  // Deactivation, role changes and password resets invalidate existing sessions
+  if (updateData.is_active === false || updateData.role !== undefined || updateData.password_hash) {
+    await destroySessions({ userId: id });
+  }
+  
+  res.json(toPublicUser(updated));
+}));
+
+// Revision history handlers (from audit_log) shared by reports and products
+const historyHandlers = (table, label) => {
+  const checkId = (req, res) => {
+    if (validateUUID(req.params.id)) return true;
+    res.status(400).json({ error: `Invalid ${label.toLowerCase()} ID format` });
+    return false;
+  };
 
-  return { sanitized, errors };
+  return {
+    // Timeline, newest first; also works for deleted records
+    list: asyncHandler(async (req, res) => {
+      if (!checkId(req, res)) return;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const { revisions, total } = await revisionHistory.getHistory(table, req.params.id, { limit, offset });
+      if (!total && !await db.findById(table, req.params.id)) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      res.json({ data: revisions, pagination: { limit, offset, total } });
+    }),
+
+    revision: asyncHandler(async (req, res) => {
+      if (!checkId(req, res)) return;
+      res.json(await revisionHistory.getRevision(table, req.params.id, req.params.revision));
+    }),
+
+    compare: asyncHandler(async (req, res) => {
+      if (!checkId(req, res)) return;
+      const { from, to } = req.query;
+      if (!from || !to) {
+        return res.status(400).json({ error: 'from and to revision numbers are required' });
+      }
+      res.json(await revisionHistory.compareRevisions(table, req.params.id, from, to));
+    })
+  };
 };
 
 // ================================================================
@@ -206,57 +380,49 @@ router.get('/products/:id', asyncHandler(async (req, res) => {
 
 
 
-// POST /api/products - Create new product
-router.post('/products', asyncHandler(async (req, res) => {
-  const {
-    product_id,
-    name,
-    code,
-    batch_code,
-    ingredients_type = 'without-cocoa',
-    has_cream = false,
-    standard_weight = 185.0,
-    shelf_life = 6,
-    cartons_per_pallet = 56,
-    packs_per_box = 6,
-    boxes_per_carton = 14,
-    empty_box_weight = 21.0,
-    empty_carton_weight = 680.0,
-    aql_level = '1.5',
-    day_format = 'DD',
-    month_format = 'letter',
-    description,
-    notes,
-    customVariables = [],
-    sections = []
-  } = req.body;
+// Store parameter limits as structured specs: display strings such as "176.68 - 193.32g"
+// are parsed, and specs with a `kind` must be consistent (lsl <= target <= usl, ...)
+const normalizeParameterSpecs = (sections) => {
+  const errors = [];
   
-  if (!product_id || !name || !code) {
-    return res.status(400).json({ error: 'product_id, name, and code are required' });
+  (sections || []).forEach((section, sectionIndex) => {
+    (section.parameters || []).forEach((parameter, parameterIndex) => {
+      const field = `sections[${sectionIndex}].parameters[${parameterIndex}].validation_rule`;
+      parameter.validation_rule = SpecLimits.normalizeRule(parameter.validation_rule, parameter.parameter_type);
+      
+      if (parameter.validation_rule && parameter.validation_rule.kind !== undefined) {
+        SpecLimits.checkSpec(parameter.validation_rule).forEach(message => {
+          errors.push({ field, message: `${field}: ${message}` });
+        });
+      }
+    });
+  });
+  
+  if (errors.length) {
+    throw new ValidationError(errors);
   }
+};
+
+// POST /api/products - Create new product
+router.post('/products', requireRole('supervisor'), validateBody('product'), asyncHandler(async (req, res) => {
+  // Defaults for omitted columns come from the product schema
+  const { customVariables, sections, change_reason, effective_from, ...product } = req.body;
+  const columns = Object.keys(product);
+  
+  normalizeParameterSpecs(sections);
   
   const result = await db.transaction(async (client) => {
     // Insert product
     const productResult = await client.query(`
-      INSERT INTO products (
-        product_id, name, code, batch_code, ingredients_type, has_cream,
-        standard_weight, shelf_life, cartons_per_pallet, packs_per_box,
-        boxes_per_carton, empty_box_weight, empty_carton_weight, aql_level,
-        day_format, month_format, description, notes
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
-      ) RETURNING id
-    `, [
-      product_id, name, code, batch_code, ingredients_type, has_cream,
-      standard_weight, shelf_life, cartons_per_pallet, packs_per_box,
-      boxes_per_carton, empty_box_weight, empty_carton_weight, aql_level,
-      day_format, month_format, description, notes
-    ]);
+      INSERT INTO products (${columns.join(', ')})
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+      RETURNING id
+    `, columns.map(column => product[column]));
     
     const productUuid = productResult.rows[0].id;
     
     // Insert custom variables
-    for (const variable of customVariables) {
+    for (const variable of customVariables || []) {
       await client.query(`
         INSERT INTO product_custom_variables (product_id, name, value, description)
         VALUES ($1, $2, $3, $4)
@@ -264,30 +430,12 @@ router.post('/products', asyncHandler(async (req, res) => {
     }
     
     // Insert sections and parameters
-    for (const section of sections) {
-      const sectionResult = await client.query(`
-        INSERT INTO product_sections (product_id, section_id, section_name, section_type, order_index)
-        VALUES ($1, $2, $3, $4, $5) RETURNING id
-      `, [productUuid, section.section_id, section.section_name, section.section_type, section.order_index]);
-      
-      const sectionUuid = sectionResult.rows[0].id;
-      
-      for (const parameter of section.parameters || []) {
-        await client.query(`
-          INSERT INTO product_parameters (
-            section_id, parameter_id, parameter_name, parameter_type,
-            default_value, validation_rule, calculation_formula, order_index,
-            is_required
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        `, [
-          sectionUuid, parameter.parameter_id, parameter.parameter_name,
-          parameter.parameter_type, parameter.default_value,
-          JSON.stringify(parameter.validation_rule),
-          JSON.stringify(parameter.calculation_formula),
-          parameter.order_index, parameter.is_required
-        ]);
-      }
-    }
+    await productRevisions.writeSections(client, productUuid, sections);
+    
+    await productRevisions.createRevision(client, productUuid, {
+      effectiveFrom: effective_from,
+      changeReason: change_reason || 'Initial revision'
+    }, req.user);
     
     return productUuid;
   });
@@ -302,43 +450,225 @@ router.post('/products', asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/products/:id - Update product
-router.put('/products/:id', asyncHandler(async (req, res) => {
+router.put('/products/:id', requireRole('supervisor'), validateBody('product', { partial: true }), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   if (!validateUUID(id)) {
     return res.status(400).json({ error: 'Invalid product ID format' });
   }
   
-  const updateData = { ...req.body };
-  delete updateData.id; // Remove ID from update data
-  delete updateData.created_at; // Remove immutable fields
-  delete updateData.updated_at;
-  delete updateData.customVariables;
-  delete updateData.sections;
+  const { customVariables, sections, change_reason, effective_from, ...updateData } = req.body;
   
-  const { sanitized, errors } = prepareProductUpdatePayload(updateData);
-  
-  if (errors.length) {
-    return res.status(400).json({ error: errors.join(', ') });
-  }
-  
-  if (Object.keys(sanitized).length === 0) {
+  if (Object.keys(updateData).length === 0 && customVariables === undefined && sections === undefined) {
     return res.status(400).json({ error: 'No valid fields provided for update' });
   }
   
-  const updated = await db.updateById('products', id, sanitized);
+  normalizeParameterSpecs(sections);
   
-  if (!updated) {
+  // Other columns and custom variables change at once and are recorded as an approved revision;
+  // changed specification columns and sections (with their limits) become a pending revision
+  // that a QA manager has to approve. Pinned reports keep theirs.
+  const result = await db.transaction(async (client) => {
+    const current = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+    
+    if (!current.rows.length) {
+      return null;
+    }
+    
+    const proposed = productRevisions.specChanges(current.rows[0], updateData);
+    const proposedSections = await productRevisions.changedSections(client, id, sections);
+    const columns = Object.keys(updateData).filter(column => proposed[column] === undefined);
+    const held = [...Object.keys(proposed), ...(proposedSections ? ['sections'] : [])];
+    
+    if (held.length && !change_reason) {
+      throw new ValidationError([{
+        field: 'change_reason',
+        message: `change_reason is required to change ${held.join(', ')}`
+      }]);
+    }
+    
+    if (columns.length) {
+      await client.query(`
+        UPDATE products
+        SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id, ...columns.map(column => updateData[column])]);
+    }
+    
+    if (customVariables !== undefined) {
+      await client.query('DELETE FROM product_custom_variables WHERE product_id = $1', [id]);
+      for (const variable of customVariables) {
+        await client.query(`
+          INSERT INTO product_custom_variables (product_id, name, value, description)
+          VALUES ($1, $2, $3, $4)
+        `, [id, variable.name, variable.value, variable.description]);
+      }
+    }
+    
+    if (columns.length || customVariables !== undefined) {
+      await productRevisions.createRevision(client, id, {
+        effectiveFrom: held.length ? undefined : effective_from,
+        changeReason: change_reason
+      }, req.user);
+    }
+    
+    if (!held.length) {
+      return { pending: null };
+    }
+    
+    const { revision } = await productRevisions.createRevision(client, id, {
+      productChanges: proposed,
+      sectionChanges: proposedSections,
+      effectiveFrom: effective_from,
+      changeReason: change_reason,
+      status: 'pending'
+    }, req.user);
+    
+    return { pending: revision, columns: held };
+  });
+  
+  if (!result) {
     return res.status(404).json({ error: 'Product not found' });
   }
   
   // Return updated product with full configuration
   const configResult = await db.query('SELECT get_product_configuration($1) as config', [id]);
-  res.json(configResult.rows[0].config);
+  res.json({
+    ...configResult.rows[0].config,
+    pending_revision: result.pending
+      ? { revision_number: result.pending.revision_number, status: result.pending.status, columns: result.columns }
+      : null
+  });
+}));
+
+// GET /api/products/:id/history - Revision timeline with field-level changes
+const productHistory = historyHandlers('products', 'Product');
+router.get('/products/:id/history', productHistory.list);
+
+// GET /api/products/:id/history/compare?from=&to= - Two revisions side by side with their diff
+router.get('/products/:id/history/compare', productHistory.compare);
+
+// GET /api/products/:id/history/:revision - The product as it was after a revision
+router.get('/products/:id/history/:revision', productHistory.revision);
+
+// Revisions are addressed by product UUID or product code (the key used by the inspection form)
+const resolveRevisionProduct = async (req, res) => {
+  const productId = await inspectionAlerts.resolveProductId(req.params.id);
+  if (!productId) {
+    res.status(404).json({ error: 'Product not found' });
+  }
+  return productId;
+};
+
+// GET /api/products/:id/revisions - Immutable configuration revisions with their effective dates, newest first
+router.get('/products/:id/revisions', asyncHandler(async (req, res) => {
+  const productId = await resolveRevisionProduct(req, res);
+  if (!productId) return;
+
+  const revisions = await productRevisions.listRevisions(productId);
+  res.json({ data: revisions, product_id: productId });
+}));
+
+// GET /api/products/:id/revisions/:revision - One revision with the full configuration it captured
+router.get('/products/:id/revisions/:revision', asyncHandler(async (req, res) => {
+  const productId = await resolveRevisionProduct(req, res);
+  if (!productId) return;
+
+  res.json(await productRevisions.getRevision(productId, req.params.revision));
+}));
+
+// POST /api/products/:id/revisions - Request a specification change: a pending revision with the inspection form
+// Takes effect once a QA manager approves it; nothing is written when the configuration matches the latest approved revision.
+router.post('/products/:id/revisions', requireRole('supervisor'), validateBody('productRevision'), asyncHandler(async (req, res) => {
+  const productId = await resolveRevisionProduct(req, res);
+  if (!productId) return;
+
+  const { form, effective_from, change_reason } = req.body;
+  const { revision, created } = await db.transaction(client => productRevisions.createRevision(client, productId, {
+    form,
+    effectiveFrom: effective_from,
+    changeReason: change_reason,
+    status: 'pending'
+  }, req.user));
+
+  if (created) {
+    logger.info('Product specification change requested', {
+      productId,
+      revision: revision.revision_number,
+      user: req.user.username
+    });
+  }
+
+  res.status(created ? 201 : 200).json({ ...revision, created });
+}));
+
+// POST /api/products/:id/revisions/:revision/approve|reject - Review a pending specification change
+// Approval writes the change to the product and makes the revision effective (from its requested date or now, whichever is later); rejection needs a review_note.
+router.post('/products/:id/revisions/:revision/:action(approve|reject)', requireRole('qa_manager'), validateBody('productRevisionReview'), asyncHandler(async (req, res) => {
+  const productId = await resolveRevisionProduct(req, res);
+  if (!productId) return;
+
+  const { revision, action } = req.params;
+  const reviewed = await db.transaction(client => productRevisions.reviewRevision(client, productId, revision, action, {
+    note: req.body.review_note
+  }, req.user));
+
+  logger.info('Product specification change reviewed', {
+    productId,
+    revision: reviewed.revision_number,
+    status: reviewed.status,
+    user: req.user.username
+  });
+
+  res.json(reviewed);
+}));
+
+// GET /api/product-revisions - Specification changes across products (?status=pending for the approval queue)
+// ?current=true returns the approved revision in effect for each product, with its configuration.
+router.get('/product-revisions', asyncHandler(async (req, res) => {
+  const { status, product_id, current } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  let productId;
+  if (product_id) {
+    productId = await inspectionAlerts.resolveProductId(product_id);
+    if (!productId) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+  }
+
+  const { revisions, total } = await productRevisions.listAllRevisions({
+    status,
+    productId,
+    current: current === 'true',
+    limit,
+    offset
+  });
+  res.json({ data: revisions, pagination: { limit, offset, total } });
+}));
+
+// GET /api/products/:id/sampling - ISO 2859-1 switching state on a production line (?production_line=)
+// With ?lot_size= or ?pallet_count= it includes the sampling plan for the next lot.
+router.get('/products/:id/sampling', asyncHandler(async (req, res) => {
+  const productId = await inspectionAlerts.resolveProductId(req.params.id);
+  if (!productId) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  let lotSize = parseInt(req.query.lot_size, 10) || null;
+  const palletCount = parseInt(req.query.pallet_count, 10) || null;
+  if (palletCount) {
+    const product = await db.findById('products', productId);
+    lotSize = SamplingPlans.lotSize(product, palletCount) || lotSize;
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+
+  res.json(await sampling.getSwitchingState(productId, req.query.production_line, { lotSize, limit }));
 }));
 
 // DELETE /api/products/:id - Delete product
-router.delete('/products/:id', asyncHandler(async (req, res) => {
+router.delete('/products/:id', requireRole('qa_manager'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   if (!validateUUID(id)) {
@@ -358,20 +688,29 @@ router.delete('/products/:id', asyncHandler(async (req, res) => {
 // REPORTS API ROUTES
 // ================================================================
 
-// GET /api/reports - List reports with filtering
+// Push a report change to connected live clients
+const publishReportEvent = (action, report, user) => {
+  liveEvents.publish('report', {
+    action,
+    id: report.id,
+    status: report.status,
+    product_name: report.product_name,
+    batch_no: report.batch_no,
+    report_date: report.report_date,
+    shift: report.shift,
+    changed_by: user.username
+  });
+};
+
+// GET /api/reports?limit=&offset=&orderBy=&orderDirection= - List reports with filtering
 router.get('/reports', asyncHandler(async (req, res) => {
-  const {
-    search,
-    status,
-    shift,
-    dateFrom,
-    dateTo,
-    product_id,
-    limit = 50,
-    offset = 0,
-    orderBy = 'created_at',
-    orderDirection = 'DESC'
-  } = req.query;
+  const { limit = 50, offset = 0 } = req.query;
+
+  const filters = reportFilters.parseReportFilters(req.query);
+  const { orderBy, orderDirection } = reportFilters.parseReportSort(req.query);
+  const where = reportFilters.buildReportWhere(filters);
+  const values = [...where.values];
+  let paramIndex = values.length + 1;
   
   let query = `
     SELECT r.*, 
@@ -380,51 +719,9 @@ router.get('/reports', asyncHandler(async (req, res) => {
     FROM reports r
     LEFT JOIN products p ON r.product_id = p.id
     LEFT JOIN report_signatures rs ON r.id = rs.report_id
+    ${where.clause}
   `;
   
-  const whereConditions = [];
-  const values = [];
-  let paramIndex = 1;
-  
-  if (search) {
-    whereConditions.push(`(
-      r.batch_no ILIKE $${paramIndex} OR 
-      p.name ILIKE $${paramIndex} OR 
-      r.notes ILIKE $${paramIndex}
-    )`);
-    values.push(`%${search}%`);
-    paramIndex++;
-  }
-  
-  if (status) {
-    whereConditions.push(`r.status = $${paramIndex++}`);
-    values.push(status);
-  }
-  
-  if (shift) {
-    whereConditions.push(`r.shift = $${paramIndex++}`);
-    values.push(shift);
-  }
-  
-  if (dateFrom) {
-    whereConditions.push(`r.report_date >= $${paramIndex++}`);
-    values.push(dateFrom);
-  }
-  
-  if (dateTo) {
-    whereConditions.push(`r.report_date <= $${paramIndex++}`);
-    values.push(dateTo);
-  }
-  
-  if (product_id) {
-    whereConditions.push(`r.product_id = $${paramIndex++}`);
-    values.push(product_id);
-  }
-  
-  if (whereConditions.length > 0) {
-    query += ` WHERE ${whereConditions.join(' AND ')}`;
-  }
-  
   query += ` 
     GROUP BY r.id, p.name 
     ORDER BY r.${orderBy} ${orderDirection}
@@ -433,11 +730,19 @@ router.get('/reports', asyncHandler(async (req, res) => {
   
   values.push(parseInt(limit), parseInt(offset));
   
-  const result = await db.query(query, values);
+  const [result, totalResult] = await Promise.all([
+    db.query(query, values),
+    db.query(`SELECT COUNT(*) AS total FROM reports r ${where.clause}`, where.values)
+  ]);
   
   res.json({
-    data: result.rows,
+    data: result.rows.map(report => ({
+      ...report,
+      available_actions: reportLifecycle.getAvailableActions(report.status, req.user)
+    })),
+    filters,
     pagination: {
+      total: parseInt(totalResult.rows[0].total),
       limit: parseInt(limit),
       offset: parseInt(offset),
       count: result.rows.length
@@ -460,7 +765,7 @@ router.get('/reports/:id', asyncHandler(async (req, res) => {
   }
   
   // Get related data
-  const [sections, parameters, pallets, signatures] = await Promise.all([
+  const [sections, parameters, pallets, signatures, revision, lot] = await Promise.all([
     db.findWhere('report_sections', { report_id: id }),
     db.findWhere('report_parameters', { report_id: id }),
     db.findWhere('report_pallets', { report_id: id }),
@@ -469,7 +774,9 @@ router.get('/reports/:id', asyncHandler(async (req, res) => {
       FROM report_signatures rs
       JOIN signatures s ON rs.signature_id = s.id
       WHERE rs.report_id = $1
-    `, [id])
+    `, [id]),
+    productRevisions.getRevisionById(report.product_revision_id),
+    sampling.getReportLot(id)
   ]);
   
   res.json({
@@ -477,19 +784,36 @@ router.get('/reports/:id', asyncHandler(async (req, res) => {
     sections: sections,
     parameters: parameters,
     pallets: pallets,
-    signatures: signatures.rows
+    signatures: signatures.rows,
+    sampling: lot,
+    // Product configuration the report was inspected against, for rendering it as it was
+    product_revision: revision ? {
+      id: revision.id,
+      revision_number: revision.revision_number,
+      effective_from: revision.effective_from,
+      configuration: revision.configuration
+    } : null,
+    available_actions: reportLifecycle.getAvailableActions(report.status, req.user)
   });
 }));
 
 // POST /api/reports - Create new report
-router.post('/reports', asyncHandler(async (req, res) => {
-  const reportData = { ...req.body };
-  
+router.post('/reports', validateBody('report'), asyncHandler(async (req, res) => {
   // Extract related data
-  const { sections = [], parameters = [], pallets = [] } = reportData;
-  delete reportData.sections;
-  delete reportData.parameters;
-  delete reportData.pallets;
+  const { sections, parameters, pallets, sampling: lot, ...submittedData } = req.body;
+  const reportData = reportContents.deriveReportTotals(submittedData, pallets);
+  
+  // New reports start as a draft or go straight to review (the schema allows no other status)
+  const { status } = reportData;
+  const submitted = status === 'submitted';
+  
+  if (!reportData.product_name) {
+    const product = await db.findById('products', reportData.product_id);
+    if (!product) {
+      throw new ValidationError([{ field: 'product_id', message: 'product_id does not match a product' }]);
+    }
+    reportData.product_name = product.name;
+  }
   
   const result = await db.transaction(async (client) => {
     // Insert main report
@@ -498,91 +822,251 @@ router.post('/reports', asyncHandler(async (req, res) => {
         product_id, product_name, batch_no, report_date, shift, shift_duration,
         production_line, operator_name, supervisor_name, qc_inspector,
         status, score, defects_count, total_inspected, pass_rate, notes,
-        form_data, calculations, time_slots
+        form_data, calculations, time_slots, submitted_by, submitted_at, created_by,
+        product_revision_id
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19
-      ) RETURNING id
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23
+      ) RETURNING *
     `, [
       reportData.product_id, reportData.product_name, reportData.batch_no,
       reportData.report_date, reportData.shift, reportData.shift_duration,
       reportData.production_line, reportData.operator_name, reportData.supervisor_name,
-      reportData.qc_inspector, reportData.status || 'draft', reportData.score,
+      reportData.qc_inspector, status, reportData.score,
       reportData.defects_count, reportData.total_inspected, reportData.pass_rate,
       reportData.notes, JSON.stringify(reportData.form_data),
-      JSON.stringify(reportData.calculations), JSON.stringify(reportData.time_slots)
+      JSON.stringify(reportData.calculations), JSON.stringify(reportData.time_slots),
+      submitted ? req.user.username : null, submitted ? new Date() : null, req.user.username,
+      // Pinned so the report keeps rendering against the limits in effect on its date
+      await productRevisions.resolveRevisionId(client, reportData.product_id, reportData.report_date)
     ]);
     
     const reportId = reportResult.rows[0].id;
     
-    // Insert sections
-    for (const section of sections) {
-      await client.query(`
-        INSERT INTO report_sections (report_id, section_id, section_name, section_data, notes)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [reportId, section.section_id, section.section_name, 
-          JSON.stringify(section.section_data), section.notes]);
-    }
+    await reportLifecycle.recordCreation(client, reportId, status, req.user);
+    await reportContents.applyReportContents(client, reportId, { sections, parameters, pallets });
+    // Lot decision under the sampling plan the switching rules give this product and line
+    await sampling.recordLot(client, reportResult.rows[0], lot);
     
-    // Insert parameters
-    for (const param of parameters) {
-      await client.query(`
-        INSERT INTO report_parameters (
-          report_id, section_id, parameter_id, parameter_name, value,
-          numeric_value, time_slot, column_index, row_index
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      `, [
-        reportId, param.section_id, param.parameter_id, param.parameter_name,
-        param.value, param.numeric_value, param.time_slot, param.column_index,
-        param.row_index
-      ]);
-    }
-    
-    // Insert pallets
-    for (const pallet of pallets) {
-      await client.query(`
-        INSERT INTO report_pallets (
-          report_id, pallet_number, start_time, end_time, cartons_count, weight, status, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      `, [
-        reportId, pallet.pallet_number, pallet.start_time, pallet.end_time,
-        pallet.cartons_count, pallet.weight, pallet.status, pallet.notes
-      ]);
-    }
+    // Score the saved values against the product's limits (kept as submitted when none can be evaluated)
+    await client.query('SELECT calculate_report_score($1)', [reportId]);
     
     return reportId;
   });
   
-  // Calculate and update score if needed (temporarily disabled for testing)
-  // await db.query('SELECT calculate_report_score($1)', [result]);
-  
   // Return created report
   const created = await db.findById('reports', result);
+  publishReportEvent('created', created, req.user);
   res.status(201).json(created);
 }));
 
-// PUT /api/reports/:id - Update report
-router.put('/reports/:id', asyncHandler(async (req, res) => {
+// Status changes go through the lifecycle endpoints, not report updates
+const rejectStatusChange = (req, res, next) => {
+  if (req.body && req.body.status !== undefined) {
+    return res.status(400).json({
+      error: 'Report status can only be changed through /submit, /approve, /reject or /reopen'
+    });
+  }
+  next();
+};
+
+// Columns written by report updates, in the order of the reports table
+const REPORT_UPDATE_COLUMNS = [
+  'product_id', 'product_name', 'batch_no', 'report_date', 'shift', 'shift_duration',
+  'production_line', 'operator_name', 'supervisor_name', 'qc_inspector',
+  'score', 'defects_count', 'total_inspected', 'pass_rate', 'notes',
+  'form_data', 'calculations', 'time_slots', 'product_revision_id'
+];
+const REPORT_JSON_COLUMNS = new Set(['form_data', 'calculations', 'time_slots']);
+
+// YYYY-MM-DD of a DATE column (node-postgres returns local midnight) or a submitted date
+const formatDateKey = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  : String(value).slice(0, 10));
+
+// PUT replaces the report (omitted columns are cleared, omitted collections emptied);
+// PATCH changes only the supplied columns and collections. Both run in one transaction.
+const updateReport = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const partial = req.method === 'PATCH';
   
   if (!validateUUID(id)) {
     return res.status(400).json({ error: 'Invalid report ID format' });
   }
   
-  const updateData = { ...req.body };
-  delete updateData.id;
-  delete updateData.created_at;
+  const { sections, parameters, pallets, sampling: lot, ...submittedData } = req.body;
   
-  const updated = await db.updateById('reports', id, updateData);
+  if (partial && Object.keys(req.body).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided for update' });
+  }
   
-  if (!updated) {
+  const result = await db.transaction(async (client) => {
+    const current = await client.query('SELECT * FROM reports WHERE id = $1 FOR UPDATE', [id]);
+    
+    if (!current.rows.length) {
+      return null;
+    }
+    
+    const existing = current.rows[0];
+    reportLifecycle.assertEditable(existing);
+    
+    const reportData = reportContents.deriveReportTotals(submittedData, pallets);
+    const productChanged = reportData.product_id && reportData.product_id !== existing.product_id;
+    
+    if (!reportData.product_name && (!partial || productChanged)) {
+      const product = await client.query('SELECT name FROM products WHERE id = $1', [reportData.product_id || existing.product_id]);
+      if (!product.rows.length) {
+        throw new ValidationError([{ field: 'product_id', message: 'product_id does not match a product' }]);
+      }
+      reportData.product_name = product.rows[0].name;
+    }
+    
+    // Re-pin to the revision in effect only when the product or the date moves
+    const reportDate = formatDateKey(reportData.report_date || existing.report_date);
+    const dateChanged = reportDate !== formatDateKey(existing.report_date);
+    reportData.product_revision_id = productChanged || dateChanged || !existing.product_revision_id
+      ? await productRevisions.resolveRevisionId(client, reportData.product_id || existing.product_id, reportDate)
+      : existing.product_revision_id;
+    
+    const columns = partial
+      ? REPORT_UPDATE_COLUMNS.filter(column => reportData[column] !== undefined)
+      : REPORT_UPDATE_COLUMNS;
+    const values = columns.map(column => {
+      const value = reportData[column] === undefined ? null : reportData[column];
+      return REPORT_JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+    });
+    
+    // Always written, so the aggregate trigger runs even when only child rows change
+    const updatedRow = await client.query(`
+      UPDATE reports
+      SET ${[...columns.map((column, index) => `${column} = $${index + 2}`), `updated_by = $${columns.length + 2}`].join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...values, req.user.username]);
+    
+    const changes = await reportContents.applyReportContents(client, id, { sections, parameters, pallets });
+    await reportContents.refreshVacatedAggregates(client, existing, updatedRow.rows[0]);
+    // Like the collections, PUT without a lot removes it and PATCH keeps it
+    const sampledLot = await sampling.recordLot(client, updatedRow.rows[0], partial ? lot : (lot || null));
+    
+    // Rescore, since the values, the product or its limits may have changed
+    const scored = await client.query('SELECT calculate_report_score($1) AS score', [id]);
+    const report = scored.rows[0].score === null
+      ? updatedRow.rows[0]
+      : (await client.query('SELECT * FROM reports WHERE id = $1', [id])).rows[0];
+    
+    return {
+      report,
+      contents: { ...await reportContents.loadReportContents(client, id), sampling: sampledLot },
+      changes
+    };
+  });
+  
+  if (!result) {
     return res.status(404).json({ error: 'Report not found' });
   }
   
-  res.json(updated);
+  publishReportEvent('updated', result.report, req.user);
+  
+  res.json({
+    ...result.report,
+    ...result.contents,
+    changes: result.changes
+  });
+});
+
+// PUT /api/reports/:id - Replace a report with its sections, parameters and pallets
+// Omitted optional columns are cleared and omitted collections emptied; approval fields echoed back by clients are ignored.
+router.put('/reports/:id', rejectStatusChange, validateBody('reportUpdate'), updateReport);
+
+// PATCH /api/reports/:id - Update only the supplied report columns and collections
+// A supplied collection replaces the saved one; collections left out are kept.
+router.patch('/reports/:id', rejectStatusChange, validateBody('reportUpdate', { partial: true }), updateReport);
+
+// POST /api/reports/:id/submit|approve|reject|reopen - Report lifecycle transitions
+router.post('/reports/:id/:action(submit|approve|reject|reopen)', validateBody('reportTransition'), asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid report ID format' });
+  }
+  
+  const reason = action === 'reject' ? req.body.rejection_reason : req.body.reason;
+  const updated = await reportLifecycle.applyTransition(id, action, { user: req.user, reason });
+  
+  logger.info('Report status changed', {
+    reportId: id,
+    action,
+    status: updated.status,
+    user: req.user.username
+  });
+  publishReportEvent(action, updated, req.user);
+  
+  res.json({
+    ...updated,
+    available_actions: reportLifecycle.getAvailableActions(updated.status, req.user)
+  });
+}));
+
+// GET /api/reports/:id/transitions - Status transition history
+router.get('/reports/:id/transitions', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid report ID format' });
+  }
+  
+  const report = await db.findById('reports', id);
+  
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  
+  const history = await reportLifecycle.getTransitionHistory(id);
+  res.json({
+    data: history,
+    status: report.status,
+    available_actions: reportLifecycle.getAvailableActions(report.status, req.user)
+  });
+}));
+
+// GET /api/reports/:id/history - Revision timeline with field-level changes (including form_data and time_slots)
+const reportHistory = historyHandlers('reports', 'Report');
+router.get('/reports/:id/history', reportHistory.list);
+
+// GET /api/reports/:id/history/compare?from=&to= - Two revisions side by side with their diff
+router.get('/reports/:id/history/compare', reportHistory.compare);
+
+// GET /api/reports/:id/history/:revision - The report as it was after a revision
+router.get('/reports/:id/history/:revision', reportHistory.revision);
+
+// GET /api/reports/:id/pdf - Render the report as a controlled-document PDF (?download=true for an attachment)
+router.get('/reports/:id/pdf', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid report ID format' });
+  }
+  
+  const data = await reportPdf.loadReportDocument(id);
+  
+  if (!data) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  
+  const pdf = await reportPdf.renderReportPdf(data, { generatedBy: req.user.username });
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${reportPdf.reportPdfFileName(data.report)}"`
+  });
+  res.send(pdf);
 }));
 
 // DELETE /api/reports/:id - Delete report
-router.delete('/reports/:id', asyncHandler(async (req, res) => {
+router.delete('/reports/:id', requireRole('qa_manager'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   if (!validateUUID(id)) {
@@ -595,6 +1079,7 @@ router.delete('/reports/:id', asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Report not found' });
   }
   
+  liveEvents.publish('report', { action: 'deleted', id: deleted.id, changed_by: req.user.username });
   res.json({ message: 'Report deleted successfully', id: deleted.id });
 }));
 
@@ -602,6 +1087,16 @@ router.delete('/reports/:id', asyncHandler(async (req, res) => {
 // SETTINGS API ROUTES
 // ================================================================
 
+// Settings whose value the server interprets are checked before they are stored
+const checkSettingValue = (key, value) => {
+  const validators = {
+    [QuantityControl.SETTING_KEY]: QuantityControl.validateConfig,
+    [giveaway.COST_SETTING_KEY]: giveaway.validateCostConfig
+  };
+  const errors = validators[key] ? validators[key](value) : [];
+  if (errors.length) throw new ValidationError(errors);
+};
+
 // GET /api/settings - Get all settings or specific category
 router.get('/settings', asyncHandler(async (req, res) => {
   const { category } = req.query;
@@ -636,12 +1131,9 @@ router.get('/settings/:key', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/settings - Create or update setting
-router.post('/settings', asyncHandler(async (req, res) => {
-  const { key, value, description, category = 'general', data_type = 'string' } = req.body;
-  
-  if (!key) {
-    return res.status(400).json({ error: 'Setting key is required' });
-  }
+router.post('/settings', requireRole('supervisor'), validateBody('setting'), asyncHandler(async (req, res) => {
+  const { key, value, description, category, data_type } = req.body;
+  checkSettingValue(key, value);
   
   const existing = await db.findWhere('settings', { key });
   
@@ -669,9 +1161,10 @@ router.post('/settings', asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/settings/:key - Update setting
-router.put('/settings/:key', asyncHandler(async (req, res) => {
+router.put('/settings/:key', requireRole('supervisor'), validateBody('settingUpdate'), asyncHandler(async (req, res) => {
   const { key } = req.params;
   const { value } = req.body;
+  checkSettingValue(key, value);
   
   const existing = await db.findWhere('settings', { key });
   
@@ -687,7 +1180,7 @@ router.put('/settings/:key', asyncHandler(async (req, res) => {
 }));
 
 // DELETE /api/settings/:key - Delete setting
-router.delete('/settings/:key', asyncHandler(async (req, res) => {
+router.delete('/settings/:key', requireRole('admin'), asyncHandler(async (req, res) => {
   const { key } = req.params;
   
   const existing = await db.findWhere('settings', { key });
@@ -719,12 +1212,8 @@ router.get('/signatures', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/signatures - Create signature
-router.post('/signatures', asyncHandler(async (req, res) => {
-  const { name, role, department, signature_data, is_default = false } = req.body;
-  
-  if (!name || !role) {
-    return res.status(400).json({ error: 'Name and role are required' });
-  }
+router.post('/signatures', requireRole('supervisor'), validateBody('signature'), asyncHandler(async (req, res) => {
+  const { name, role, department, signature_data, is_default } = req.body;
   
   const id = await db.insert('signatures', {
     name,
@@ -742,11 +1231,15 @@ router.post('/signatures', asyncHandler(async (req, res) => {
 // SESSIONS API ROUTES
 // ================================================================
 
+// Saved form state lives in form_sessions, apart from the login sessions
+const FORM_SESSION_TTL_HOURS = 24;
+const FORM_SESSION_MAX_DAYS = 30;
+
 // GET /api/sessions/:key - Get session data
 router.get('/sessions/:key', asyncHandler(async (req, res) => {
   const { key } = req.params;
   
-  const session = await db.findWhere('sessions', { session_key: key });
+  const session = await db.findWhere('form_sessions', { session_key: key, user_id: String(req.user.id) });
   
   if (!session.length || (session[0].expires_at && new Date(session[0].expires_at) < new Date())) {
     return res.status(404).json({ error: 'Session not found or expired' });
@@ -756,33 +1249,40 @@ router.get('/sessions/:key', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/sessions - Create or update session
-router.post('/sessions', asyncHandler(async (req, res) => {
-  const { session_key, user_id, data, expires_at } = req.body;
+router.post('/sessions', validateBody('session'), asyncHandler(async (req, res) => {
+  const { session_key, data, expires_at } = req.body;
   
-  if (!session_key) {
-    return res.status(400).json({ error: 'Session key is required' });
+  const maxExpiry = new Date(Date.now() + FORM_SESSION_MAX_DAYS * 24 * 60 * 60 * 1000);
+  if (expires_at && new Date(expires_at) > maxExpiry) {
+    throw new ValidationError([{ field: 'expires_at', message: `Must be at most ${FORM_SESSION_MAX_DAYS} days from now` }]);
   }
+  const expiresAt = expires_at || new Date(Date.now() + FORM_SESSION_TTL_HOURS * 60 * 60 * 1000);
+  
+  const existing = await db.findWhere('form_sessions', { session_key });
   
-  const existing = await db.findWhere('sessions', { session_key });
+  // Form sessions belong to the user who created them
+  if (existing.length > 0 && existing[0].user_id !== String(req.user.id)) {
+    return res.status(409).json({ error: 'Session key is already in use' });
+  }
   
   if (existing.length > 0) {
     // Update existing session
-    const updated = await db.updateById('sessions', existing[0].id, {
+    const updated = await db.updateById('form_sessions', existing[0].id, {
       data: JSON.stringify(data),
-      expires_at: expires_at || new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours default
+      expires_at: expiresAt
     });
     res.json(updated);
   } else {
     // Create new session
-    const id = await db.insert('sessions', {
+    const id = await db.insert('form_sessions', {
       session_key,
-      user_id,
+      user_id: String(req.user.id),
       data: JSON.stringify(data),
-      expires_at: expires_at || new Date(Date.now() + 24 * 60 * 60 * 1000),
+      expires_at: expiresAt,
       ip_address: req.ip,
       user_agent: req.get('User-Agent')
     });
-    const created = await db.findById('sessions', id);
+    const created = await db.findById('form_sessions', id);
     res.status(201).json(created);
   }
 }));
@@ -806,6 +1306,26 @@ router.get('/analytics/reports', asyncHandler(async (req, res) => {
   res.json(analytics);
 }));
 
+// GET /api/analytics/giveaway - Overfill per report, shift and product with recommended fill targets
+router.get('/analytics/giveaway', asyncHandler(async (req, res) => {
+  res.json(await giveaway.getGiveawayAnalysis(req.query));
+}));
+
+// POST /api/analytics/spc - Control limits and rule violations of SPC table data; each new violation raises a quality_alert
+router.post('/analytics/spc', validateBody('spcChart'), asyncHandler(async (req, res) => {
+  res.json(await spcAlerts.evaluateChart(req.body));
+}));
+
+// GET /api/analytics/parameters?product_id=&production_line=&dateFrom=&dateTo= - Inspection parameters with numeric values in the reports matching the report filters
+router.get('/analytics/parameters', asyncHandler(async (req, res) => {
+  res.json(await parameterSeries.listParameters(req.query));
+}));
+
+// GET /api/analytics/parameters/:parameterId/series?product_id=&section_id=&chart_type=&subgroup_size=&baseline_to=&production_line=&dateFrom=&dateTo= - A parameter's values for one product and section across reports as one SPC chart with limits continued across shifts
+router.get('/analytics/parameters/:parameterId/series', asyncHandler(async (req, res) => {
+  res.json(await parameterSeries.getParameterSeries(req.params.parameterId, req.query));
+}));
+
 // GET /api/analytics/dashboard - Get dashboard data
 router.get('/analytics/dashboard', asyncHandler(async (req, res) => {
   const { start_date, end_date, product_id } = req.query;
@@ -886,17 +1406,69 @@ router.get('/statistics', asyncHandler(async (req, res) => {
 // DATA EXPORT API ROUTES
 // ================================================================
 
-// GET /api/export/reports - Export reports data
+/**
+ * Generate a CSV/XLSX export file, record it in data_exports and send it as a download.
+ * The generating request counts as the first download.
+ */
+const sendFileExport = async (req, res, type, where, format = req.query.format) => {
+  await exporter.purgeExpiredExports().catch(error => {
+    logger.warn('Failed to purge expired exports', { error: error.message });
+  });
+
+  const file = await exporter.createExportFile(type, {
+    format,
+    sheet: req.query.sheet,
+    where
+  });
+
+  const result = await db.query(`
+    INSERT INTO data_exports (
+      export_type, export_format, export_parameters, file_name, file_path, file_size,
+      record_count, exported_by, download_count, last_downloaded, expires_at, status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1, CURRENT_TIMESTAMP,
+              CURRENT_TIMESTAMP + make_interval(days => $9), 'completed')
+    RETURNING id
+  `, [
+    type,
+    format,
+    JSON.stringify(req.query),
+    file.fileName,
+    file.filePath,
+    file.fileSize,
+    file.recordCount,
+    req.user.username,
+    exporter.EXPORT_RETENTION_DAYS
+  ]);
+
+  res.set('X-Export-Id', result.rows[0].id);
+  await exporter.sendExportFile(res, file);
+};
+
+const assertExportFormat = (format) => {
+  if (!exporter.EXPORT_FORMATS.includes(format)) {
+    const error = new Error(`Unsupported export format. Use one of: ${exporter.EXPORT_FORMATS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// GET /api/export/reports - Export reports data (format: json, csv or xlsx)
+// Accepts the same filters as GET /api/reports
 router.get('/export/reports', asyncHandler(async (req, res) => {
-  const { format = 'json', start_date, end_date, product_id, status } = req.query;
-  
-  const filters = {};
-  if (start_date) filters.report_date = `>= '${start_date}'`;
-  if (end_date) filters.report_date = `<= '${end_date}'`;
-  if (product_id) filters.product_id = product_id;
-  if (status) filters.status = status;
+  const { format = 'json' } = req.query;
+  assertExportFormat(format);
+
+  const filters = reportFilters.parseReportFilters(req.query);
+  const where = reportFilters.buildReportWhere(filters);
+
+  if (exporter.FILE_FORMATS.includes(format)) {
+    return sendFileExport(req, res, 'reports', where);
+  }
   
-  const exportResult = await db.exportData('reports', filters, format);
+  const result = await db.query(`
+    SELECT r.* FROM reports r ${where.clause}
+    ORDER BY r.report_date DESC, r.created_at DESC, r.id
+  `, where.values);
   
   // Log export activity
   await db.query(`
@@ -907,21 +1479,33 @@ router.get('/export/reports', asyncHandler(async (req, res) => {
   `, [
     'reports',
     format,
-    JSON.stringify(req.query),
-    exportResult.recordCount,
-    req.headers['x-user-id'] || 'anonymous',
+    JSON.stringify(filters),
+    result.rows.length,
+    req.user.username,
     `reports_export_${new Date().toISOString().split('T')[0]}.${format}`
   ]);
   
-  res.json(exportResult);
+  res.json({
+    success: true,
+    data: result.rows,
+    format,
+    filters,
+    recordCount: result.rows.length,
+    exportedAt: new Date().toISOString()
+  });
 }));
 
-// GET /api/export/products - Export products data
+// GET /api/export/products - Export products data (format: json, csv or xlsx)
 router.get('/export/products', asyncHandler(async (req, res) => {
   const { format = 'json', active } = req.query;
+  assertExportFormat(format);
   
   const filters = {};
   if (active !== undefined) filters.is_active = active === 'true';
+
+  if (exporter.FILE_FORMATS.includes(format)) {
+    return sendFileExport(req, res, 'products', exporter.buildEqualityWhere(filters, 'p'));
+  }
   
   const exportResult = await db.exportData('products', filters, format);
   
@@ -936,13 +1520,60 @@ router.get('/export/products', asyncHandler(async (req, res) => {
     format,
     JSON.stringify(req.query),
     exportResult.recordCount,
-    req.headers['x-user-id'] || 'anonymous',
+    req.user.username,
     `products_export_${new Date().toISOString().split('T')[0]}.${format}`
   ]);
   
   res.json(exportResult);
 }));
 
+// GET /api/export/:id/download - Download a previously generated export file
+router.get('/export/:id/download', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid export ID format' });
+  }
+
+  const record = await db.findById('data_exports', id);
+  if (!record) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+
+  if (record.exported_by !== req.user.username && !hasRole(req.user, 'supervisor')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the user who created this export or a supervisor can download it'
+    });
+  }
+  if (record.export_type === 'audit' && !hasRole(req.user, 'qa_manager')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Audit log exports can only be downloaded by a QA manager or admin'
+    });
+  }
+
+  const expired = record.status === 'expired' ||
+    (record.expires_at && new Date(record.expires_at) <= new Date());
+  const available = record.file_path && await fs.promises.access(record.file_path).then(() => true, () => false);
+  if (expired || !available) {
+    return res.status(410).json({ error: 'Export file is no longer available' });
+  }
+
+  await db.query(`
+    UPDATE data_exports
+    SET download_count = COALESCE(download_count, 0) + 1, last_downloaded = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id]);
+
+  res.set('X-Export-Id', id);
+  await exporter.sendExportFile(res, {
+    filePath: record.file_path,
+    fileName: record.file_name,
+    format: record.export_format
+  });
+}));
+
 // GET /api/export/history - Get export history
 router.get('/export/history', asyncHandler(async (req, res) => {
   const { limit = 50, offset = 0 } = req.query;
@@ -993,45 +1624,256 @@ router.get('/search', asyncHandler(async (req, res) => {
   res.json(results);
 }));
 
+// ================================================================
+// AUDIT LOG API ROUTES
+// ================================================================
+
+// GET /api/audit - Search the audit log across all tables (user, table, operation, record, text, date range)
+router.get('/audit', requireRole('qa_manager'), asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const filters = auditFilters.parseAuditFilters(req.query);
+  const where = auditFilters.buildAuditWhere(filters);
+
+  const result = await db.query(`
+    SELECT a.*, ${auditFilters.AUDIT_RECORD_LABEL} AS record_label, u.display_name AS user_display_name
+    FROM audit_log a
+    LEFT JOIN users u ON u.username = a.user_id
+    ${where.clause}
+    ORDER BY a.timestamp DESC, a.id
+    LIMIT $${where.values.length + 1} OFFSET $${where.values.length + 2}
+  `, [...where.values, limit, offset]);
+
+  const count = await db.query(`SELECT COUNT(*) AS total FROM audit_log a ${where.clause}`, where.values);
+
+  res.json({
+    data: result.rows.map(entry => ({
+      ...entry,
+      changes: entry.operation === 'UPDATE' ? revisionHistory.diffRecords(entry.old_values, entry.new_values) : []
+    })),
+    filters,
+    pagination: { limit, offset, total: parseInt(count.rows[0].total, 10) }
+  });
+}));
+
+// GET /api/audit/export - Export matching audit entries as CSV (default) or XLSX
+router.get('/audit/export', requireRole('qa_manager'), asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!exporter.FILE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported export format. Use one of: ${exporter.FILE_FORMATS.join(', ')}` });
+  }
+
+  const filters = auditFilters.parseAuditFilters(req.query);
+  await sendFileExport(req, res, 'audit', auditFilters.buildAuditWhere(filters), format);
+}));
+
+// ================================================================
+// INSPECTION ALERTS (CCP/OPRP) API ROUTES
+// ================================================================
+
+const INSPECTION_ALERT_SELECT = `
+  SELECT a.*, p.product_id AS product_code, p.name AS product_name
+  FROM inspection_alerts a
+  JOIN products p ON p.id = a.product_id
+`;
+
+// GET /api/inspection-alerts - List inspection alerts
+router.get('/inspection-alerts', asyncHandler(async (req, res) => {
+  const { product_id, type, active, limit = 100, offset = 0 } = req.query;
+  
+  const conditions = [];
+  const values = [];
+  
+  if (product_id) {
+    const productId = await inspectionAlerts.resolveProductId(product_id);
+    if (!productId) {
+      return res.json({ data: [], pagination: { total: 0, limit: parseInt(limit), offset: parseInt(offset), count: 0 } });
+    }
+    values.push(productId);
+    conditions.push(`a.product_id = $${values.length}`);
+  }
+  if (type) {
+    values.push(String(type).toUpperCase());
+    conditions.push(`a.type = $${values.length}`);
+  }
+  if (active !== undefined) {
+    values.push(active === 'true');
+    conditions.push(`a.active = $${values.length}`);
+  }
+  
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  const pageOffset = Math.max(parseInt(offset) || 0, 0);
+  
+  const [result, countResult] = await Promise.all([
+    db.query(`
+      ${INSPECTION_ALERT_SELECT}
+      ${whereClause}
+      ORDER BY p.name, a.start_time, a.title
+      LIMIT ${pageSize} OFFSET ${pageOffset}
+    `, values),
+    db.query(`SELECT COUNT(*) as total FROM inspection_alerts a ${whereClause}`, values)
+  ]);
+  
+  res.json({
+    data: result.rows,
+    pagination: {
+      total: parseInt(countResult.rows[0].total),
+      limit: pageSize,
+      offset: pageOffset,
+      count: result.rows.length
+    }
+  });
+}));
+
+// GET /api/inspection-alerts/:id - Get single inspection alert
+router.get('/inspection-alerts/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid alert ID format' });
+  }
+  
+  const result = await db.query(`${INSPECTION_ALERT_SELECT} WHERE a.id = $1`, [id]);
+  
+  if (!result.rows.length) {
+    return res.status(404).json({ error: 'Inspection alert not found' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// POST /api/inspection-alerts - Create inspection alert
+router.post('/inspection-alerts', requireRole('supervisor'), validateBody('inspectionAlert'), asyncHandler(async (req, res) => {
+  const { values, errors } = inspectionAlerts.normalizeAlertInput(req.body);
+  
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+  
+  values.product_id = await inspectionAlerts.resolveProductId(values.product_id);
+  if (!values.product_id) {
+    throw new ValidationError([{ field: 'product_id', message: 'product_id does not match a product' }]);
+  }
+  
+  values.next_due_at = values.active ? inspectionAlerts.computeNextDueAt(values) : null;
+  values.created_by = req.user.username;
+  values.updated_by = req.user.username;
+  
+  const id = await db.insert('inspection_alerts', values);
+  const created = await db.query(`${INSPECTION_ALERT_SELECT} WHERE a.id = $1`, [id]);
+  
+  logger.info('Inspection alert created', { alertId: id, productId: values.product_id, type: values.type });
+  res.status(201).json(created.rows[0]);
+}));
+
+// PUT|PATCH /api/inspection-alerts/:id - Update inspection alert (only supplied fields change)
+const updateInspectionAlert = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid alert ID format' });
+  }
+  
+  const { values, errors } = inspectionAlerts.normalizeAlertInput(req.body, { partial: true });
+  
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+  
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided for update' });
+  }
+  
+  const existing = await db.findById('inspection_alerts', id);
+  
+  if (!existing) {
+    return res.status(404).json({ error: 'Inspection alert not found' });
+  }
+  
+  if (values.product_id !== undefined) {
+    values.product_id = await inspectionAlerts.resolveProductId(values.product_id);
+    if (!values.product_id) {
+      throw new ValidationError([{ field: 'product_id', message: 'product_id does not match a product' }]);
+    }
+  }
+  
+  const merged = { ...existing, ...values };
+  values.next_due_at = merged.active ? inspectionAlerts.computeNextDueAt(merged) : null;
+  values.updated_by = req.user.username;
+  
+  await db.updateById('inspection_alerts', id, values);
+  const updated = await db.query(`${INSPECTION_ALERT_SELECT} WHERE a.id = $1`, [id]);
+  
+  res.json(updated.rows[0]);
+});
+
+router.put('/inspection-alerts/:id', requireRole('supervisor'), validateBody('inspectionAlert', { partial: true }), updateInspectionAlert);
+router.patch('/inspection-alerts/:id', requireRole('supervisor'), validateBody('inspectionAlert', { partial: true }), updateInspectionAlert);
+
+// DELETE /api/inspection-alerts/:id - Delete inspection alert
+router.delete('/inspection-alerts/:id', requireRole('supervisor'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid alert ID format' });
+  }
+  
+  const deleted = await db.deleteById('inspection_alerts', id);
+  
+  if (!deleted) {
+    return res.status(404).json({ error: 'Inspection alert not found' });
+  }
+  
+  res.json({ message: 'Inspection alert deleted successfully', id });
+}));
+
 // ================================================================
 // NOTIFICATIONS API ROUTES
 // ================================================================
 
-// GET /api/notifications - Get notifications
+// target_users holds usernames and/or roles; a role target also reaches higher roles
+const notificationAudience = (user) => [user.username, ...ROLES.filter(role => hasRole(user, role))];
+const NOTIFICATION_AUDIENCE_CONDITION = `(n.target_users IS NULL OR n.target_users = '[]'::jsonb OR n.target_users ?| $1::text[])`;
+
+// GET /api/notifications - Get notifications addressed to the current user
 router.get('/notifications', asyncHandler(async (req, res) => {
-  const { unread_only = false, limit = 20, offset = 0, severity } = req.query;
-  
-  let conditions = {};
-  if (unread_only === 'true') conditions.is_read = false;
-  if (severity) conditions.severity = severity;
+  const { unread_only = false, limit = 20, offset = 0, severity, type } = req.query;
+  
+  const values = [notificationAudience(req.user)];
+  const conditions = [
+    '(n.expires_at IS NULL OR n.expires_at > CURRENT_TIMESTAMP)',
+    NOTIFICATION_AUDIENCE_CONDITION
+  ];
+  
+  if (unread_only === 'true') conditions.push('n.is_read = false');
+  if (severity) {
+    values.push(severity);
+    conditions.push(`n.severity = $${values.length}`);
+  }
+  if (type) {
+    values.push(type);
+    conditions.push(`n.notification_type = $${values.length}`);
+  }
   
-  // Add expiration filter
   const query = `
     SELECT * FROM notifications n
-    WHERE (n.expires_at IS NULL OR n.expires_at > CURRENT_TIMESTAMP)
-    ${unread_only === 'true' ? 'AND n.is_read = false' : ''}
-    ${severity ? `AND n.severity = '${severity}'` : ''}
+    WHERE ${conditions.join(' AND ')}
     ORDER BY n.created_at DESC
-    LIMIT ${limit} OFFSET ${offset}
+    LIMIT ${Math.min(parseInt(limit) || 20, 200)} OFFSET ${parseInt(offset) || 0}
   `;
   
-  const result = await db.query(query);
+  const result = await db.query(query, values);
   res.json({ data: result.rows });
 }));
 
 // POST /api/notifications - Create notification
-router.post('/notifications', asyncHandler(async (req, res) => {
+router.post('/notifications', requireRole('supervisor'), validateBody('notification'), asyncHandler(async (req, res) => {
   const { 
-    notification_type, title, message, severity = 'info',
-    target_users = [], related_entity, related_id, expires_hours = 720
+    notification_type, title, message, severity,
+    target_users, related_entity, related_id, expires_hours
   } = req.body;
   
-  if (!notification_type || !title || !message) {
-    return res.status(400).json({
-      error: 'notification_type, title, and message are required'
-    });
-  }
-  
   const result = await db.query(`
     SELECT create_notification($1, $2, $3, $4, $5, $6, $7, $8) as notification_id
   `, [
@@ -1046,10 +1888,11 @@ router.post('/notifications', asyncHandler(async (req, res) => {
   ]);
   
   const created = await db.findById('notifications', result.rows[0].notification_id);
+  liveEvents.publish('notification', created, { targets: target_users });
   res.status(201).json(created);
 }));
 
-// PUT /api/notifications/:id/read - Mark notification as read
+// PUT /api/notifications/:id/read - Mark a notification addressed to the current user as read
 router.put('/notifications/:id/read', asyncHandler(async (req, res) => {
   const { id } = req.params;
   
@@ -1057,37 +1900,50 @@ router.put('/notifications/:id/read', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Invalid notification ID' });
   }
   
-  const updated = await db.updateById('notifications', id, {
-    is_read: true,
-    acknowledged_by: req.headers['x-user-id'] || 'anonymous',
-    acknowledged_at: new Date()
-  });
+  // Notifications outside the user's audience are reported as not found, like GET /notifications hides them
+  const result = await db.query(`
+    UPDATE notifications n
+    SET is_read = true, is_acknowledged = true, acknowledged_by = $3, acknowledged_at = CURRENT_TIMESTAMP
+    WHERE n.id = $2 AND ${NOTIFICATION_AUDIENCE_CONDITION}
+    RETURNING *
+  `, [notificationAudience(req.user), id, req.user.username]);
+  const updated = result.rows[0];
   
   if (!updated) {
     return res.status(404).json({ error: 'Notification not found' });
   }
   
+  liveEvents.publish('notification_read', { id: updated.id, acknowledged_by: req.user.username }, { targets: updated.target_users || [] });
   res.json(updated);
 }));
 
+// ================================================================
+// LIVE EVENTS API ROUTES
+// ================================================================
+
+// GET /api/events/stream - Server-Sent Events stream of notifications, report changes and due alerts
+router.get('/events/stream', (req, res) => {
+  liveEvents.stream(req, res);
+});
+
 // ================================================================
 // SYSTEM MONITORING API ROUTES
 // ================================================================
 
 // GET /api/system/performance - Get system performance metrics
-router.get('/system/performance', asyncHandler(async (req, res) => {
+router.get('/system/performance', requireRole('admin'), asyncHandler(async (req, res) => {
   const metrics = await db.getPerformanceMetrics();
   res.json(metrics);
 }));
 
 // POST /api/system/maintenance - Trigger database maintenance
-router.post('/system/maintenance', asyncHandler(async (req, res) => {
+router.post('/system/maintenance', requireRole('admin'), asyncHandler(async (req, res) => {
   const result = await db.performMaintenance();
   res.json(result);
 }));
 
-// GET /api/system/backup - Get backup metadata
-router.get('/system/backup', asyncHandler(async (req, res) => {
+// GET /api/system/backup - Get backup metadata and the backup schedule status
+router.get('/system/backup', requireRole('admin'), asyncHandler(async (req, res) => {
   const { limit = 10, offset = 0 } = req.query;
   
   const backups = await db.findWhere(
@@ -1097,22 +1953,48 @@ router.get('/system/backup', asyncHandler(async (req, res) => {
     parseInt(limit),
     parseInt(offset)
   );
+  const schedule = await backupScheduler.getBackupScheduleStatus();
   
-  res.json({ data: backups });
+  res.json({ data: backups, schedule });
 }));
 
-// POST /api/system/backup - Create backup
-router.post('/system/backup', asyncHandler(async (req, res) => {
-  const { backup_type = 'full', backup_name, retention_days = 30 } = req.body;
-  
-  const result = await db.query(`
-    SELECT create_data_backup($1, $2, $3) as backup_id
-  `, [backup_type, backup_name, retention_days]);
-  
-  const created = await db.findById('backup_metadata', result.rows[0].backup_id);
+// POST /api/system/backup - Create a compressed backup (full, reports_only or incremental)
+router.post('/system/backup', requireRole('admin'), validateBody('backup'), asyncHandler(async (req, res) => {
+  const { backup_type, backup_name, retention_days } = req.body;
+
+  const created = await backup.createBackup({
+    backupType: backup_type,
+    backupName: backup_name,
+    retentionDays: retention_days,
+    user: req.user
+  });
   res.status(201).json(created);
 }));
 
+// POST /api/system/backup/:id/restore - Validate a backup and restore it into a database
+router.post('/system/backup/:id/restore', requireRole('admin'), validateBody('backupRestore'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { target_database, mode, dry_run, confirm } = req.body;
+
+  if (!validateUUID(id)) {
+    return res.status(400).json({ error: 'Invalid backup ID format' });
+  }
+  if (!dry_run && confirm !== true) {
+    return res.status(400).json({
+      error: 'Restore not confirmed',
+      message: 'Restoring overwrites data in the target database. Send confirm: true, or dry_run: true to only validate the backup.'
+    });
+  }
+
+  const result = await backup.restoreBackup(id, {
+    targetDatabase: target_database,
+    mode,
+    dryRun: dry_run === true,
+    user: req.user
+  });
+  res.json(result);
+}));
+
 // GET /api/health - Health check endpoint
 router.get('/health', asyncHandler(async (req, res) => {
   const dbHealth = await db.healthCheck();
@@ -1127,6 +2009,16 @@ router.get('/health', asyncHandler(async (req, res) => {
   });
 }));
 
+// ================================================================
+// API DOCUMENTATION ROUTES
+// ================================================================
+
+// GET /api/openapi.json - OpenAPI 3 description of this API
+// Generated from the registered routes and validation schemas; public, browsable at /api-docs.html.
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi.getOpenApiDocument(router));
+});
+
 // ================================================================
 // ERROR HANDLING
 // ================================================================
@@ -1151,6 +2043,14 @@ router.use((error, req, res, next) => {
     timestamp: new Date().toISOString()
   });
   
+  // Domain errors that carry their own HTTP status
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      ...error.details
+    });
+  }
+  
   // Database constraint violation
   if (error.code === '23505') {
     return res.status(409).json({
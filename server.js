@@ -9,6 +9,9 @@ require('dotenv').config();
 const db = require('./config/database');
 const apiRoutes = require('./routes/api');
 const { securityMiddleware, rateLimitMiddleware } = require('./middleware/validation');
+const { ensureBootstrapAdmin } = require('./middleware/auth');
+const { startInspectionScheduler, stopInspectionScheduler } = require('./utils/inspection-scheduler');
+const { startBackupScheduler, stopBackupScheduler } = require('./utils/backup-scheduler');
 const { logger } = require('./utils/logger');
 
 const app = express();
@@ -71,6 +74,10 @@ app.get('/reports', (req, res) => {
   res.sendFile(path.join(__dirname, 'reports.html'));
 });
 
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'login.html'));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString(), environment: process.env.NODE_ENV });
@@ -121,6 +128,15 @@ async function startServer() {
     try {
       await db.initialize();
       logger.info('Database initialized successfully');
+      
+      try {
+        await ensureBootstrapAdmin();
+      } catch (authError) {
+        logger.warn('Could not check for bootstrap admin account', { error: authError.message });
+      }
+      
+      startInspectionScheduler();
+      startBackupScheduler();
     } catch (dbError) {
       logger.warn('Database connection failed, running in offline mode', { error: dbError.message });
       logger.warn('Note: API endpoints requiring database will not work');
@@ -146,6 +162,8 @@ startServer();
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  stopInspectionScheduler();
+  stopBackupScheduler();
   try {
     await db.close();
     logger.info('Database connections closed');
@@ -158,6 +176,8 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  stopInspectionScheduler();
+  stopBackupScheduler();
   try {
     await db.close();
     logger.info('Database connections closed');
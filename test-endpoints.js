@@ -52,6 +52,20 @@ class MockDatabase {
   }
 
   async query(text, params = []) {
+    // Every session token resolves to the mock admin user
+    if (text.includes('FROM sessions s')) {
+      return {
+        rows: [{
+          id: '123e4567-e89b-12d3-a456-426614174099',
+          username: 'test-admin',
+          display_name: 'Test Admin',
+          role: 'admin',
+          session_id: '123e4567-e89b-12d3-a456-426614174098',
+          session_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        }]
+      };
+    }
+
     // Mock successful queries
     if (text.includes('get_dashboard_data')) {
       return {
@@ -146,6 +160,10 @@ class MockDatabase {
     return true;
   }
 
+  runWithUser(userId, callback) {
+    return callback();
+  }
+
   async close() {
     return true;
   }
@@ -191,7 +209,7 @@ async function runTests() {
   async function testEndpoint(description, method, url, expectedStatus = 200, body = null) {
     totalTests++;
     try {
-      let req = request(app)[method.toLowerCase()](url);
+      let req = request(app)[method.toLowerCase()](url).set('Authorization', 'Bearer test-token');
       
       if (body) {
         req = req.send(body);
@@ -262,6 +280,7 @@ async function runTests() {
 
   // Health check endpoints tests
   await testEndpoint('Health check', 'GET', '/api/health');
+  await testEndpoint('OpenAPI document', 'GET', '/api/openapi.json');
 
   // Error handling tests
   await testEndpoint('Non-existent endpoint (should return 404)', 'GET', '/api/nonexistent', 404);
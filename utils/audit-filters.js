@@ -0,0 +1,145 @@
+/**
+ * Audit Log Filters
+ * Query parameters of GET /api/audit and its export, parsed into filters and a
+ * parameterised WHERE clause against audit_log.
+ */
+
+const { isValidDate } = require('./report-filters');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const AUDIT_OPERATIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Query parameter names and their accepted aliases
+const AUDIT_FILTER_FIELDS = {
+  user: ['user_id'],
+  table: ['table_name'],
+  operation: [],
+  record_id: [],
+  search: ['batch_no'],
+  dateFrom: ['date_from'],
+  dateTo: ['date_to']
+};
+
+// Label of the audited record: report batch number, product name or setting key
+const AUDIT_RECORD_LABEL = `COALESCE(
+  a.new_values->>'batch_no', a.old_values->>'batch_no',
+  a.new_values->>'name', a.old_values->>'name',
+  a.new_values->>'key', a.old_values->>'key'
+)`;
+
+class AuditFilterError extends Error {
+  constructor(errors) {
+    super('Invalid audit filters');
+    this.name = 'AuditFilterError';
+    this.statusCode = 400;
+    this.details = { details: errors };
+  }
+}
+
+function readParam(query, name) {
+  for (const key of [name, ...AUDIT_FILTER_FIELDS[name]]) {
+    const value = query[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse audit filters from query parameters. Throws AuditFilterError listing every invalid field.
+ * `operation` may be a comma-separated list.
+ */
+function parseAuditFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  ['user', 'table', 'search'].forEach(field => {
+    const value = readParam(query, field);
+    if (value !== undefined) filters[field] = value;
+  });
+
+  const operation = readParam(query, 'operation');
+  if (operation !== undefined) {
+    const operations = operation.split(',').map(op => op.trim().toUpperCase()).filter(Boolean);
+    const unknown = operations.filter(op => !AUDIT_OPERATIONS.includes(op));
+    if (unknown.length) {
+      errors.push({ field: 'operation', message: `Unknown operation: ${unknown.join(', ')}. Use one of: ${AUDIT_OPERATIONS.join(', ')}` });
+    } else {
+      filters.operation = operations;
+    }
+  }
+
+  const recordId = readParam(query, 'record_id');
+  if (recordId !== undefined) {
+    if (UUID_PATTERN.test(recordId)) {
+      filters.record_id = recordId;
+    } else {
+      errors.push({ field: 'record_id', message: 'Must be a UUID' });
+    }
+  }
+
+  ['dateFrom', 'dateTo'].forEach(field => {
+    const value = readParam(query, field);
+    if (value === undefined) return;
+    if (isValidDate(value)) {
+      filters[field] = value;
+    } else {
+      errors.push({ field, message: 'Must be a date in YYYY-MM-DD format' });
+    }
+  });
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    errors.push({ field: 'dateTo', message: 'Must not be before dateFrom' });
+  }
+
+  if (errors.length) throw new AuditFilterError(errors);
+  return filters;
+}
+
+/**
+ * Build a parameterised WHERE clause for parsed filters.
+ * Returns { clause: 'WHERE ...' | '', values }; placeholders start at `startIndex`.
+ */
+function buildAuditWhere(filters = {}, { alias = 'a', startIndex = 1 } = {}) {
+  const conditions = [];
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${startIndex + values.length - 1}`;
+  };
+
+  if (filters.user) {
+    conditions.push(`${alias}.user_id = ${param(filters.user)}`);
+  }
+  if (filters.table) {
+    conditions.push(`${alias}.table_name = ${param(filters.table)}`);
+  }
+  if (filters.operation) {
+    conditions.push(`${alias}.operation = ANY(${param(filters.operation)}::text[])`);
+  }
+  if (filters.record_id) {
+    conditions.push(`${alias}.record_id = ${param(filters.record_id)}`);
+  }
+  if (filters.search) {
+    // Matches any value in the old or new row, e.g. a batch number
+    const p = param(`%${filters.search}%`);
+    conditions.push(`(${alias}.old_values::text ILIKE ${p} OR ${alias}.new_values::text ILIKE ${p})`);
+  }
+  if (filters.dateFrom) {
+    conditions.push(`${alias}.timestamp >= ${param(filters.dateFrom)}::date`);
+  }
+  if (filters.dateTo) {
+    conditions.push(`${alias}.timestamp < ${param(filters.dateTo)}::date + 1`);
+  }
+
+  return { clause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+module.exports = {
+  AUDIT_OPERATIONS,
+  AUDIT_FILTER_FIELDS,
+  AUDIT_RECORD_LABEL,
+  AuditFilterError,
+  parseAuditFilters,
+  buildAuditWhere
+};
@@ -0,0 +1,221 @@
+/**
+ * Backup Scheduler
+ * Creates backups on the configured schedule (BACKUP_SCHEDULE, e.g. nightly full and
+ * hourly reports_only), deletes backups past their retention_until, and notifies admins
+ * (via create_notification) when a scheduled backup fails.
+ *
+ * BACKUP_SCHEDULE is a comma-separated list of `<backup_type>@<when>` where <when> is a
+ * daily time (`02:00`, server local time) or an interval (`30m`, `6h`). Runs are due from the
+ * last completed backup of the type, so a failed one is retried, RETRY_MINUTES after the failure.
+ */
+
+const db = require('../config/database');
+const { logger } = require('./logger');
+const { parseStartTime } = require('./inspection-alerts');
+const { liveEvents } = require('./live-events');
+const { BACKUP_TYPES, createBackup, purgeExpiredBackups } = require('./backup');
+
+const DEFAULT_SCHEDULE = 'full@02:00,reports_only@60m';
+const CHECK_INTERVAL_SECONDS = 60;
+const NOTIFICATION_EXPIRES_HOURS = 72;
+const RETRY_MINUTES = 15;
+
+let timer = null;
+let running = false;
+
+/**
+ * Parse a schedule string into [{ backupType, dailyAt, intervalMinutes }] (dailyAt in minutes after midnight)
+ */
+function parseBackupSchedule(spec) {
+  return String(spec || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [backupType, when = ''] = part.split('@').map(value => value.trim());
+    if (!BACKUP_TYPES.includes(backupType)) {
+      logger.warn('Ignoring backup schedule entry with unknown type', { entry: part });
+      return null;
+    }
+
+    const interval = /^(\d+)\s*(m|h)$/i.exec(when);
+    if (interval && parseInt(interval[1], 10) > 0) {
+      const amount = parseInt(interval[1], 10);
+      return { backupType, dailyAt: null, intervalMinutes: interval[2].toLowerCase() === 'h' ? amount * 60 : amount };
+    }
+    const dailyAt = parseStartTime(when);
+    if (dailyAt !== null) return { backupType, dailyAt, intervalMinutes: null };
+
+    logger.warn('Ignoring backup schedule entry with invalid time', { entry: part });
+    return null;
+  }).filter(Boolean);
+}
+
+function getBackupScheduleConfig() {
+  const retentionDays = parseInt(process.env.BACKUP_RETENTION_DAYS || '30', 10);
+  return {
+    enabled: process.env.BACKUP_SCHEDULER_ENABLED !== 'false',
+    schedule: parseBackupSchedule(process.env.BACKUP_SCHEDULE ?? DEFAULT_SCHEDULE),
+    retentionDays: retentionDays > 0 ? retentionDays : 30
+  };
+}
+
+function describeEntry(entry) {
+  if (entry.intervalMinutes) return `every ${entry.intervalMinutes} minutes`;
+  const hours = String(Math.floor(entry.dailyAt / 60)).padStart(2, '0');
+  const minutes = String(entry.dailyAt % 60).padStart(2, '0');
+  return `daily at ${hours}:${minutes}`;
+}
+
+/**
+ * When the entry should run next, given the start of the last completed backup of its type
+ * (manual ones included). A time at or before `now` means it is due.
+ */
+function nextRunAt(entry, lastStarted, now = new Date()) {
+  if (entry.intervalMinutes) {
+    return lastStarted ? new Date(new Date(lastStarted).getTime() + entry.intervalMinutes * 60000) : now;
+  }
+
+  const latest = new Date(now);
+  latest.setHours(0, entry.dailyAt, 0, 0);
+  if (latest > now) latest.setDate(latest.getDate() - 1);
+  if (!lastStarted || new Date(lastStarted) < latest) return latest;
+
+  const next = new Date(latest);
+  next.setDate(next.getDate() + 1);
+  return next;
+}
+
+// Latest backup of each type, with the start of the latest one that completed (expired ones did too)
+async function latestBackups() {
+  const result = await db.query(`
+    SELECT DISTINCT ON (backup_type) backup_type, id, backup_started, status, error_message,
+           (SELECT MAX(done.backup_started) FROM backup_metadata done
+            WHERE done.backup_type = b.backup_type AND done.status IN ('completed', 'expired')) AS last_completed
+    FROM backup_metadata b
+    ORDER BY backup_type, backup_started DESC
+  `);
+  return Object.fromEntries(result.rows.map(row => [row.backup_type, row]));
+}
+
+/**
+ * Next run of an entry from its latest backup: due per nextRunAt from the last completed one,
+ * but not before RETRY_MINUTES after a failed attempt
+ */
+function scheduledRunAt(entry, last, now = new Date()) {
+  const next = nextRunAt(entry, last?.last_completed, now);
+  if (last?.status !== 'failed') return next;
+  const retryAt = new Date(new Date(last.backup_started).getTime() + RETRY_MINUTES * 60000);
+  return retryAt > next ? retryAt : next;
+}
+
+/**
+ * Schedule entries with their last backup and next run, for GET /api/system/backup
+ */
+async function getBackupScheduleStatus(now = new Date()) {
+  const config = getBackupScheduleConfig();
+  const latest = await latestBackups();
+  return {
+    enabled: config.enabled,
+    retention_days: config.retentionDays,
+    entries: config.schedule.map(entry => {
+      const last = latest[entry.backupType];
+      return {
+        backup_type: entry.backupType,
+        schedule: describeEntry(entry),
+        last_backup_id: last?.id || null,
+        last_started: last?.backup_started || null,
+        last_status: last?.status || null,
+        last_error: last?.error_message || null,
+        last_completed: last?.last_completed || null,
+        next_run_at: config.enabled ? scheduledRunAt(entry, last, now) : null
+      };
+    })
+  };
+}
+
+async function notifyBackupFailure(backupType, error) {
+  const created = await db.query(
+    'SELECT create_notification($1, $2, $3, $4, $5, $6, $7, $8) as notification_id',
+    [
+      'system_alert',
+      `Scheduled ${backupType} backup failed`,
+      `The scheduled ${backupType} backup could not be created: ${error.message}`,
+      'error',
+      JSON.stringify(['admin']),
+      error.backupId ? 'backup_metadata' : null,
+      error.backupId || null,
+      NOTIFICATION_EXPIRES_HOURS
+    ]
+  );
+  const notification = await db.findById('notifications', created.rows[0].notification_id);
+  liveEvents.publish('notification', notification, { targets: ['admin'] });
+}
+
+/**
+ * Run one scheduler pass: create due backups, then remove expired ones; overlapping passes are skipped
+ */
+async function runBackupTick(now = new Date()) {
+  if (running) return;
+  running = true;
+  const config = getBackupScheduleConfig();
+
+  try {
+    await db.runWithUser('system', async () => {
+      const latest = await latestBackups();
+      const due = new Set(config.schedule
+        .filter(entry => scheduledRunAt(entry, latest[entry.backupType], now) <= now)
+        .map(entry => entry.backupType));
+
+      // Full before reports_only before incremental, so an incremental has a base
+      for (const backupType of BACKUP_TYPES.filter(type => due.has(type))) {
+        try {
+          await createBackup({ backupType, retentionDays: config.retentionDays, user: { username: 'system' } });
+        } catch (error) {
+          if (error.statusCode === 409) {
+            // Another backup or restore is running; try again on the next pass
+            logger.info('Scheduled backup postponed', { backupType, reason: error.message });
+            continue;
+          }
+          logger.error('Scheduled backup failed', { backupType, error: error.message });
+          await notifyBackupFailure(backupType, error).catch(notifyError => {
+            logger.error('Could not raise backup failure notification', { error: notifyError.message });
+          });
+        }
+      }
+
+      await purgeExpiredBackups();
+    });
+  } catch (error) {
+    logger.error('Backup scheduler pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+}
+
+function startBackupScheduler() {
+  const config = getBackupScheduleConfig();
+  if (!config.enabled || timer) return;
+
+  timer = setInterval(() => runBackupTick(), CHECK_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  runBackupTick();
+
+  logger.info('Backup scheduler started', {
+    schedule: config.schedule.map(entry => `${entry.backupType} ${describeEntry(entry)}`),
+    retentionDays: config.retentionDays
+  });
+}
+
+function stopBackupScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  parseBackupSchedule,
+  getBackupScheduleConfig,
+  getBackupScheduleStatus,
+  nextRunAt,
+  runBackupTick,
+  startBackupScheduler,
+  stopBackupScheduler
+};
@@ -0,0 +1,560 @@
+/**
+ * Database Backup & Restore
+ * Writes gzip-compressed dumps of the application tables (full, reports_only, or rows
+ * changed since the last backup) to BACKUP_DIR and restores them into the current or
+ * another database on the same server.
+ *
+ * Dump format (one line each):
+ *   {"format":"biscuit-qc-backup","version":1,...,"tables":[...]}   header
+ *   <table>\t<row as JSON>                                           one per row, tables in FK order
+ *   {"end":true,"record_counts":{...}}                               footer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { finished } = require('stream/promises');
+const db = require('../config/database');
+const { logger } = require('./logger');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+const BACKUP_FORMAT = 'biscuit-qc-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_TYPES = ['full', 'reports_only', 'incremental'];
+const RESTORE_MODES = ['replace', 'merge'];
+const PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 500;
+
+// Login and form sessions, migration bookkeeping and the backup records themselves are not backed up
+const EXCLUDED_TABLES = ['sessions', 'form_sessions', 'schema_migrations', 'backup_metadata', 'backup_restores'];
+
+const REPORT_TABLES = [
+  'reports', 'report_sampling', 'report_sections', 'report_parameters', 'report_pallets',
+  'report_signatures', 'report_status_history'
+];
+
+class BackupError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'BackupError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Only one backup or restore runs at a time
+let running = null;
+
+async function exclusive(label, task) {
+  if (running) {
+    throw new BackupError(`A ${running} is already running`, 409);
+  }
+  running = label;
+  try {
+    return await task();
+  } finally {
+    running = null;
+  }
+}
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Columns, primary key and timestamp columns of the public tables
+ */
+async function describeTables(client) {
+  const result = await client.query(`
+    SELECT c.table_name, c.column_name,
+           COALESCE(pk.is_pk, FALSE) AS is_pk
+    FROM information_schema.columns c
+    JOIN information_schema.tables t
+      ON t.table_schema = c.table_schema AND t.table_name = c.table_name AND t.table_type = 'BASE TABLE'
+    LEFT JOIN (
+      SELECT cl.relname AS table_name, a.attname AS column_name, TRUE AS is_pk
+      FROM pg_index i
+      JOIN pg_class cl ON cl.oid = i.indrelid
+      JOIN pg_namespace n ON n.oid = cl.relnamespace AND n.nspname = 'public'
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+      WHERE i.indisprimary
+    ) pk ON pk.table_name = c.table_name AND pk.column_name = c.column_name
+    WHERE c.table_schema = 'public'
+    ORDER BY c.table_name, c.ordinal_position
+  `);
+
+  const tables = {};
+  result.rows.forEach(row => {
+    const table = tables[row.table_name] = tables[row.table_name] || { columns: [], primaryKey: [] };
+    table.columns.push(row.column_name);
+    if (row.is_pk) table.primaryKey.push(row.column_name);
+  });
+  return tables;
+}
+
+/**
+ * Order tables so that referenced tables come before the tables referencing them
+ */
+async function foreignKeyOrder(client, tables) {
+  const result = await client.query(`
+    SELECT DISTINCT child.relname AS child, parent.relname AS parent
+    FROM pg_constraint con
+    JOIN pg_class child ON child.oid = con.conrelid
+    JOIN pg_class parent ON parent.oid = con.confrelid
+    JOIN pg_namespace n ON n.oid = child.relnamespace AND n.nspname = 'public'
+    WHERE con.contype = 'f'
+  `);
+
+  const parents = new Map(tables.map(table => [table, new Set()]));
+  result.rows.forEach(({ child, parent }) => {
+    if (child !== parent && parents.has(child) && parents.has(parent)) parents.get(child).add(parent);
+  });
+
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (table) => {
+    if (ordered.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    parents.get(table).forEach(visit);
+    visiting.delete(table);
+    ordered.push(table);
+  };
+  [...tables].sort().forEach(visit);
+  return ordered;
+}
+
+async function tablesForType(client, backupType) {
+  const described = await describeTables(client);
+  const names = Object.keys(described).filter(table => !EXCLUDED_TABLES.includes(table));
+  const selected = backupType === 'reports_only' ? names.filter(table => REPORT_TABLES.includes(table)) : names;
+  return { described, tables: await foreignKeyOrder(client, selected) };
+}
+
+// Incremental backups take rows created or updated since the previous backup started
+function incrementalWhere(columns) {
+  const conditions = ['updated_at', 'created_at']
+    .filter(column => columns.includes(column))
+    .map(column => `t.${column} >= $1`);
+  return conditions.length ? `WHERE ${conditions.join(' OR ')}` : '';
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Write the dump inside one read-only snapshot so all tables are consistent. A stream error
+ * (file not writable, disk full) fails the next write rather than going unhandled.
+ */
+async function writeDump(filePath, { header, tables, described, since }) {
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(filePath);
+  let failure = null;
+  const failed = new Promise((resolve, reject) => {
+    const fail = (error) => {
+      failure = failure || error;
+      reject(failure);
+    };
+    gzip.on('error', fail);
+    output.on('error', fail);
+  });
+  failed.catch(() => {});
+  gzip.pipe(output);
+  const write = (line) => {
+    if (failure) return Promise.reject(failure);
+    if (gzip.write(`${line}\n`)) return Promise.resolve();
+    return Promise.race([new Promise(resolve => gzip.once('drain', resolve)), failed]);
+  };
+
+  const recordCounts = {};
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    await write(JSON.stringify(header));
+
+    for (const table of tables) {
+      const { columns, primaryKey } = described[table];
+      const where = since ? incrementalWhere(columns) : '';
+      const values = where ? [since] : [];
+      const orderBy = primaryKey.length ? primaryKey.map(column => `t.${quoteIdent(column)}`).join(', ') : 't.ctid';
+      recordCounts[table] = 0;
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const result = await client.query(`
+          SELECT row_to_json(t)::text AS row
+          FROM ${quoteIdent(table)} t
+          ${where}
+          ORDER BY ${orderBy}
+          LIMIT ${PAGE_SIZE} OFFSET ${offset}
+        `, values);
+        for (const { row } of result.rows) {
+          await write(`${table}\t${row}`);
+        }
+        recordCounts[table] += result.rows.length;
+        if (result.rows.length < PAGE_SIZE) break;
+      }
+    }
+
+    await write(JSON.stringify({ end: true, record_counts: recordCounts }));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    gzip.destroy();
+    output.destroy();
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  gzip.end();
+  await Promise.race([finished(output), failed]);
+  return recordCounts;
+}
+
+/**
+ * Create a backup and return its completed backup_metadata row
+ */
+async function createBackup({ backupType = 'full', backupName, retentionDays = 30, user } = {}) {
+  if (!BACKUP_TYPES.includes(backupType)) {
+    throw new BackupError(`Invalid backup_type. Use one of: ${BACKUP_TYPES.join(', ')}`);
+  }
+  const retention = parseInt(retentionDays, 10);
+  if (!Number.isInteger(retention) || retention < 1) {
+    throw new BackupError('retention_days must be a positive integer');
+  }
+
+  return exclusive('backup', async () => {
+    let since = null;
+    if (backupType === 'incremental') {
+      // Based on a backup of every table: a reports_only backup leaves the other tables out
+      const previous = await db.query(`
+        SELECT backup_started FROM backup_metadata
+        WHERE status = 'completed' AND backup_type IN ('full', 'incremental')
+        ORDER BY backup_started DESC
+        LIMIT 1
+      `);
+      if (!previous.rows.length) {
+        throw new BackupError('No completed backup to base an incremental backup on; create a full backup first', 422);
+      }
+      since = previous.rows[0].backup_started;
+    }
+
+    const created = await db.query('SELECT create_data_backup($1, $2, $3) AS backup_id', [backupType, backupName || null, retention]);
+    const backupId = created.rows[0].backup_id;
+    const metadata = await db.findById('backup_metadata', backupId);
+    const started = Date.now();
+
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+    const safeName = metadata.backup_name.replace(/[^A-Za-z0-9_.-]+/g, '_');
+    const filePath = path.join(BACKUP_DIR, `${safeName}_${backupId.slice(0, 8)}.jsonl.gz`);
+
+    try {
+      const { described, tables } = await tablesForType(db, backupType);
+      const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        backup_id: backupId,
+        backup_type: backupType,
+        backup_name: metadata.backup_name,
+        source_database: db.getDatabaseName(),
+        created_at: new Date(started).toISOString(),
+        created_by: user?.username || null,
+        incremental_since: since,
+        tables
+      };
+
+      const recordCounts = await writeDump(filePath, { header, tables, described, since });
+      const { size } = await fs.promises.stat(filePath);
+      const checksum = await sha256File(filePath);
+
+      const result = await db.query(`
+        UPDATE backup_metadata
+        SET file_path = $2, file_size = $3, compression_type = 'gzip', tables_included = $4,
+            record_counts = $5, checksum = $6, incremental_since = $7, backup_completed = CURRENT_TIMESTAMP,
+            backup_duration = $8, status = 'completed', created_by = COALESCE(created_by, $9)
+        WHERE id = $1
+        RETURNING *
+      `, [
+        backupId, filePath, size, tables, JSON.stringify(recordCounts), checksum, since,
+        Math.round((Date.now() - started) / 1000), user?.username || null
+      ]);
+
+      logger.info('Backup completed', { backupId, backupType, fileSize: size, tables: tables.length });
+      return result.rows[0];
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      await db.query(`
+        UPDATE backup_metadata
+        SET status = 'failed', error_message = $2, backup_completed = CURRENT_TIMESTAMP,
+            backup_duration = $3
+        WHERE id = $1
+      `, [backupId, error.message, Math.round((Date.now() - started) / 1000)]);
+      logger.error('Backup failed', { backupId, backupType, error: error.message });
+      error.backupId = backupId;
+      throw error;
+    }
+  });
+}
+
+/**
+ * Read a dump line by line: { kind: 'header' | 'row' | 'footer', ... }
+ */
+async function* readDump(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line) continue;
+    const tab = line.indexOf('\t');
+    if (tab > 0 && !line.startsWith('{')) {
+      yield { kind: 'row', lineNumber, table: line.slice(0, tab), json: line.slice(tab + 1) };
+    } else {
+      const data = JSON.parse(line);
+      yield { kind: lineNumber === 1 ? 'header' : 'footer', lineNumber, data };
+    }
+  }
+}
+
+/**
+ * Check a backup file and the target database before restoring.
+ * Returns { header, record_counts, columns, warnings }; throws BackupError (422) listing the problems.
+ */
+async function validateBackup(backup, client) {
+  const errors = [];
+  const warnings = [];
+
+  if (backup.status !== 'completed') errors.push(`Backup status is ${backup.status}`);
+  const available = backup.file_path && await fs.promises.access(backup.file_path).then(() => true, () => false);
+  if (!available) errors.push('Backup file is missing');
+  if (errors.length) throw new BackupError('Backup cannot be restored', 422, { errors });
+
+  if (backup.checksum && await sha256File(backup.file_path) !== backup.checksum) {
+    throw new BackupError('Backup cannot be restored', 422, { errors: ['Checksum mismatch: the backup file has changed or is corrupt'] });
+  }
+
+  let header = null;
+  let footer = null;
+  const counts = {};
+  const columns = {};
+  try {
+    for await (const entry of readDump(backup.file_path)) {
+      if (entry.kind === 'header') {
+        header = entry.data;
+      } else if (entry.kind === 'footer') {
+        footer = entry.data;
+      } else {
+        if (!header?.tables?.includes(entry.table)) {
+          errors.push(`Line ${entry.lineNumber}: table ${entry.table} is not listed in the header`);
+          break;
+        }
+        const row = JSON.parse(entry.json);
+        if (!columns[entry.table]) columns[entry.table] = Object.keys(row);
+        counts[entry.table] = (counts[entry.table] || 0) + 1;
+      }
+    }
+  } catch (error) {
+    errors.push(`Unreadable backup file: ${error.message}`);
+  }
+
+  if (!header || header.format !== BACKUP_FORMAT) errors.push('Not a backup file of this system');
+  else if (header.version !== BACKUP_VERSION) errors.push(`Unsupported backup version ${header.version}`);
+  if (!footer?.end) errors.push('Backup file is truncated (no end marker)');
+  else {
+    Object.entries(footer.record_counts || {}).forEach(([table, expected]) => {
+      if ((counts[table] || 0) !== expected) errors.push(`${table}: expected ${expected} rows, found ${counts[table] || 0}`);
+    });
+  }
+
+  if (!errors.length) {
+    const target = await describeTables(client);
+    header.tables.forEach(table => {
+      if (!target[table]) {
+        errors.push(`Table ${table} does not exist in the target database`);
+        return;
+      }
+      const ignored = (columns[table] || []).filter(column => !target[table].columns.includes(column));
+      if (ignored.length) warnings.push(`${table}: columns not in the target database are skipped (${ignored.join(', ')})`);
+    });
+  }
+
+  if (errors.length) throw new BackupError('Backup cannot be restored', 422, { errors });
+  return { header, record_counts: footer.record_counts, columns, warnings };
+}
+
+async function insertBatch(client, { table, rows, columns, primaryKey, mode }) {
+  const columnList = columns.map(quoteIdent).join(', ');
+  let conflict = '';
+  if (mode === 'merge' && primaryKey.length) {
+    const updates = columns.filter(column => !primaryKey.includes(column))
+      .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+    conflict = `ON CONFLICT (${primaryKey.map(quoteIdent).join(', ')}) ${updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}`;
+  }
+  // json_populate_recordset converts every value with the column's own type
+  await client.query(`
+    INSERT INTO ${quoteIdent(table)} (${columnList})
+    SELECT ${columnList} FROM json_populate_recordset(NULL::${quoteIdent(table)}, $1::json)
+    ${conflict}
+  `, [`[${rows.join(',')}]`]);
+}
+
+/**
+ * Restore a backup. `replace` empties the backed-up tables first; `merge` upserts by primary key
+ * (required for incremental backups). With `dryRun` only the validation runs.
+ */
+async function restoreBackup(backupId, { targetDatabase, mode, dryRun = false, user } = {}) {
+  const backup = await db.findById('backup_metadata', backupId);
+  if (!backup) throw new BackupError('Backup not found', 404);
+
+  const restoreMode = mode || (backup.backup_type === 'incremental' ? 'merge' : 'replace');
+  if (!RESTORE_MODES.includes(restoreMode)) {
+    throw new BackupError(`Invalid mode. Use one of: ${RESTORE_MODES.join(', ')}`);
+  }
+  if (backup.backup_type === 'incremental' && restoreMode === 'replace') {
+    throw new BackupError('Incremental backups can only be restored with mode "merge"');
+  }
+  const target = targetDatabase || db.getDatabaseName();
+  if (!/^[A-Za-z0-9_-]+$/.test(target)) {
+    throw new BackupError('Invalid target_database name');
+  }
+
+  return exclusive('restore', async () => {
+    const pool = target === db.getDatabaseName() ? null : db.createPool({ database: target });
+    let client;
+    try {
+      client = pool ? await pool.connect() : await db.getClient();
+    } catch (error) {
+      if (pool) await pool.end().catch(() => {});
+      throw new BackupError(`Cannot connect to target database ${target}: ${error.message}`, 422);
+    }
+
+    let restoreId = null;
+    try {
+      const validation = await validateBackup(backup, client);
+      if (dryRun) {
+        return { dry_run: true, backup_id: backupId, target_database: target, mode: restoreMode, ...validation };
+      }
+
+      const logged = await db.query(`
+        INSERT INTO backup_restores (backup_id, target_database, mode, restored_by)
+        VALUES ($1, $2, $3, $4) RETURNING id
+      `, [backupId, target, restoreMode, user?.username || null]);
+      restoreId = logged.rows[0].id;
+
+      const described = await describeTables(client);
+      const tables = validation.header.tables;
+      const restored = {};
+
+      await client.query('BEGIN');
+      try {
+        await client.query('SELECT set_config($1, $2, true)', ['app.current_user_id', user?.username || 'system']);
+
+        // Rows of tables left out of the backup that reference these with ON DELETE SET NULL
+        // (spc_alert_events.report_id after a reports_only replace) lose that link for good
+        if (restoreMode === 'replace') {
+          for (const table of [...tables].reverse()) {
+            await client.query(`DELETE FROM ${quoteIdent(table)}`);
+          }
+        }
+
+        let batch = null;
+        const flush = async () => {
+          if (!batch?.rows.length) return;
+          await insertBatch(client, { ...batch, mode: restoreMode });
+          restored[batch.table] = (restored[batch.table] || 0) + batch.rows.length;
+          batch.rows = [];
+        };
+
+        for await (const entry of readDump(backup.file_path)) {
+          if (entry.kind !== 'row') continue;
+          if (batch?.table !== entry.table) {
+            await flush();
+            batch = {
+              table: entry.table,
+              rows: [],
+              columns: validation.columns[entry.table].filter(column => described[entry.table].columns.includes(column)),
+              primaryKey: described[entry.table].primaryKey
+            };
+          }
+          batch.rows.push(entry.json);
+          if (batch.rows.length >= INSERT_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
+
+      const result = await db.query(`
+        UPDATE backup_restores
+        SET status = 'completed', record_counts = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [restoreId, JSON.stringify(restored)]);
+
+      logger.info('Backup restored', { backupId, restoreId, target, mode: restoreMode });
+      return { ...result.rows[0], warnings: validation.warnings };
+    } catch (error) {
+      if (restoreId) {
+        await db.query(`
+          UPDATE backup_restores
+          SET status = 'failed', error_message = $2, completed_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [restoreId, error.message]).catch(() => {});
+      }
+      logger.error('Backup restore failed', { backupId, target, error: error.message });
+      throw error;
+    } finally {
+      client.release();
+      if (pool) await pool.end().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Delete files of backups past retention_until and mark them expired.
+ * The newest completed full backup is always kept.
+ */
+async function purgeExpiredBackups() {
+  const expired = await db.query(`
+    UPDATE backup_metadata
+    SET status = 'expired'
+    WHERE status IN ('completed', 'failed')
+      AND retention_until IS NOT NULL AND retention_until <= CURRENT_TIMESTAMP
+      AND id IS DISTINCT FROM (
+        SELECT id FROM backup_metadata
+        WHERE backup_type = 'full' AND status = 'completed'
+        ORDER BY backup_started DESC
+        LIMIT 1
+      )
+    RETURNING id, file_path
+  `);
+
+  for (const row of expired.rows) {
+    if (!row.file_path) continue;
+    await fs.promises.unlink(row.file_path).catch(error => {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not remove expired backup file', { backupId: row.id, error: error.message });
+      }
+    });
+  }
+  if (expired.rows.length) logger.info('Expired backups removed', { count: expired.rows.length });
+  return expired.rows.length;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  BACKUP_TYPES,
+  RESTORE_MODES,
+  BackupError,
+  createBackup,
+  validateBackup,
+  restoreBackup,
+  purgeExpiredBackups
+};
@@ -0,0 +1,414 @@
+/**
+ * Data Export Files
+ * Generates CSV and XLSX export artifacts for reports, products and the audit log, stores them under
+ * EXPORT_DIR and serves them as downloads. Report exports flatten form_data,
+ * report_parameters and report_pallets into their own sheets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const db = require('../config/database');
+const { logger } = require('./logger');
+const { diffRecords } = require('./revision-history');
+const { AUDIT_RECORD_LABEL } = require('./audit-filters');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../exports');
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS || '7', 10);
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const FILE_FORMATS = ['csv', 'xlsx'];
+const PAGE_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Flatten nested objects/arrays into { 'a.b[0].c': value } pairs
+ */
+function flattenObject(value, prefix = '', out = {}) {
+  if (value === null || value === undefined) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  if (Array.isArray(value)) {
+    if (!value.length && prefix) out[prefix] = '';
+    value.forEach((item, index) => flattenObject(item, `${prefix}[${index}]`, out));
+    return out;
+  }
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value);
+    if (!entries.length && prefix) out[prefix] = '';
+    entries.forEach(([key, item]) => flattenObject(item, prefix ? `${prefix}.${key}` : key, out));
+    return out;
+  }
+  out[prefix] = value;
+  return out;
+}
+
+/**
+ * Build "WHERE a.col = $1 AND ..." from an equality conditions object
+ */
+function buildEqualityWhere(conditions = {}, alias) {
+  const values = [];
+  const clauses = Object.entries(conditions).map(([key, value]) => {
+    values.push(value);
+    return `${alias}.${key} = $${values.length}`;
+  });
+  return { clause: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', values };
+}
+
+// Fetch `sql` (which must end before LIMIT) page by page
+async function* pagedRows(sql, values) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const result = await db.query(`${sql} LIMIT ${PAGE_SIZE} OFFSET ${offset}`, values);
+    yield result.rows;
+    if (result.rows.length < PAGE_SIZE) return;
+  }
+}
+
+// One line per changed field: "path: old -> new"
+function describeChanges(changes) {
+  const format = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+  return changes.map(change => `${change.path}: ${format(change.old)} -> ${format(change.new)}`).join('\n');
+}
+
+// Sheets of each export type; every sheet has fixed columns and an async row generator
+const EXPORT_SHEETS = {
+  reports: [
+    {
+      key: 'reports',
+      name: 'Reports',
+      columns: [
+        'id', 'product_code', 'product_name', 'batch_no', 'report_date', 'shift', 'shift_duration',
+        'production_line', 'operator_name', 'supervisor_name', 'qc_inspector', 'status', 'score',
+        'defects_count', 'total_inspected', 'pass_rate', 'notes', 'submitted_by', 'submitted_at',
+        'approved_by', 'approved_at', 'rejection_reason', 'created_at', 'updated_at'
+      ],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT r.*, p.product_id AS product_code
+          FROM reports r
+          LEFT JOIN products p ON p.id = r.product_id
+          ${where.clause}
+          ORDER BY r.report_date DESC, r.created_at DESC, r.id
+        `, where.values);
+      }
+    },
+    {
+      key: 'form_data',
+      name: 'Form Data',
+      columns: ['report_id', 'batch_no', 'report_date', 'field', 'value'],
+      async *rows(where) {
+        for await (const reports of pagedRows(`
+          SELECT r.id, r.batch_no, r.report_date, r.form_data
+          FROM reports r
+          ${where.clause}
+          ORDER BY r.report_date DESC, r.created_at DESC, r.id
+        `, where.values)) {
+          yield reports.flatMap(report => Object.entries(flattenObject(report.form_data || {}))
+            .map(([field, value]) => ({
+              report_id: report.id,
+              batch_no: report.batch_no,
+              report_date: report.report_date,
+              field,
+              value
+            })));
+        }
+      }
+    },
+    {
+      key: 'parameters',
+      name: 'Parameters',
+      columns: [
+        'report_id', 'batch_no', 'report_date', 'section_id', 'parameter_id', 'parameter_name',
+        'time_slot', 'row_index', 'column_index', 'value', 'numeric_value'
+      ],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT rp.report_id, r.batch_no, r.report_date, rp.section_id, rp.parameter_id,
+                 rp.parameter_name, rp.time_slot, rp.row_index, rp.column_index, rp.value, rp.numeric_value
+          FROM report_parameters rp
+          JOIN reports r ON r.id = rp.report_id
+          ${where.clause}
+          ORDER BY r.report_date DESC, rp.report_id, rp.section_id, rp.row_index, rp.column_index, rp.id
+        `, where.values);
+      }
+    },
+    {
+      key: 'pallets',
+      name: 'Pallets',
+      columns: [
+        'report_id', 'batch_no', 'report_date', 'pallet_number', 'start_time', 'end_time',
+        'cartons_count', 'weight', 'status', 'notes'
+      ],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT rpl.report_id, r.batch_no, r.report_date, rpl.pallet_number, rpl.start_time,
+                 rpl.end_time, rpl.cartons_count, rpl.weight, rpl.status, rpl.notes
+          FROM report_pallets rpl
+          JOIN reports r ON r.id = rpl.report_id
+          ${where.clause}
+          ORDER BY r.report_date DESC, rpl.report_id, rpl.pallet_number, rpl.id
+        `, where.values);
+      }
+    }
+  ],
+
+  products: [
+    {
+      key: 'products',
+      name: 'Products',
+      columns: [
+        'id', 'product_id', 'name', 'code', 'batch_code', 'ingredients_type', 'has_cream',
+        'standard_weight', 'shelf_life', 'cartons_per_pallet', 'packs_per_box', 'boxes_per_carton',
+        'empty_box_weight', 'empty_carton_weight', 'aql_level', 'inspection_level', 'day_format', 'month_format',
+        'description', 'notes', 'is_active', 'created_at', 'updated_at'
+      ],
+      async *rows(where) {
+        yield* pagedRows(`SELECT p.* FROM products p ${where.clause} ORDER BY p.name, p.id`, where.values);
+      }
+    },
+    {
+      key: 'sections',
+      name: 'Sections',
+      columns: ['product_id', 'section_id', 'section_name', 'section_type', 'order_index', 'is_active'],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT p.product_id, s.section_id, s.section_name, s.section_type, s.order_index, s.is_active
+          FROM product_sections s
+          JOIN products p ON p.id = s.product_id
+          ${where.clause}
+          ORDER BY p.name, s.order_index, s.id
+        `, where.values);
+      }
+    },
+    {
+      key: 'parameters',
+      name: 'Parameters',
+      columns: [
+        'product_id', 'section_id', 'parameter_id', 'parameter_name', 'parameter_type',
+        'default_value', 'validation_rule', 'calculation_formula', 'order_index', 'is_required', 'is_active'
+      ],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT p.product_id, s.section_id, pp.parameter_id, pp.parameter_name, pp.parameter_type,
+                 pp.default_value, pp.validation_rule, pp.calculation_formula, pp.order_index,
+                 pp.is_required, pp.is_active
+          FROM product_parameters pp
+          JOIN product_sections s ON s.id = pp.section_id
+          JOIN products p ON p.id = s.product_id
+          ${where.clause}
+          ORDER BY p.name, s.order_index, pp.order_index, pp.id
+        `, where.values);
+      }
+    },
+    {
+      key: 'custom_variables',
+      name: 'Custom Variables',
+      columns: ['product_id', 'name', 'value', 'description'],
+      async *rows(where) {
+        yield* pagedRows(`
+          SELECT p.product_id, v.name, v.value, v.description
+          FROM product_custom_variables v
+          JOIN products p ON p.id = v.product_id
+          ${where.clause}
+          ORDER BY p.name, v.name, v.id
+        `, where.values);
+      }
+    }
+  ],
+
+  audit: [
+    {
+      key: 'audit_log',
+      name: 'Audit Log',
+      columns: [
+        'timestamp', 'user_id', 'table_name', 'record_id', 'record_label', 'operation',
+        'changed_fields', 'changes', 'old_values', 'new_values'
+      ],
+      async *rows(where) {
+        for await (const entries of pagedRows(`
+          SELECT a.*, ${AUDIT_RECORD_LABEL} AS record_label
+          FROM audit_log a
+          ${where.clause}
+          ORDER BY a.timestamp DESC, a.id
+        `, where.values)) {
+          yield entries.map(entry => ({
+            ...entry,
+            changed_fields: (entry.changed_fields || []).join(', '),
+            changes: entry.operation === 'UPDATE' ? describeChanges(diffRecords(entry.old_values, entry.new_values)) : ''
+          }));
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * Convert a database value into a plain cell value
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+function neutralizeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvField(value) {
+  const cell = toCellValue(value);
+  if (cell === null) return '';
+  const text = neutralizeFormula(cell instanceof Date ? cell.toISOString() : String(cell));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A stream error (file not writable, disk full) fails the next write rather than going unhandled
+async function writeCsv(filePath, sheet, where) {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let failure = null;
+  const failed = new Promise((resolve, reject) => {
+    stream.on('error', (error) => {
+      failure = failure || error;
+      reject(failure);
+    });
+  });
+  failed.catch(() => {});
+  const write = (chunk) => {
+    if (failure) return Promise.reject(failure);
+    if (stream.write(chunk)) return Promise.resolve();
+    return Promise.race([new Promise(resolve => stream.once('drain', resolve)), failed]);
+  };
+
+  let count = 0;
+  try {
+    // BOM so spreadsheet apps detect UTF-8 (Arabic product names, notes)
+    await write(`\uFEFF${sheet.columns.join(',')}\r\n`);
+    for await (const rows of sheet.rows(where)) {
+      if (!rows.length) continue;
+      await write(rows.map(row => sheet.columns.map(column => csvField(row[column])).join(',')).join('\r\n') + '\r\n');
+      count += rows.length;
+    }
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+
+  stream.end();
+  await finished(stream);
+  return count;
+}
+
+async function writeXlsx(filePath, sheets, where) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+  workbook.creator = 'Biscuit QC System';
+  workbook.created = new Date();
+
+  let count = 0;
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(column => ({ header: column, key: column, width: 18 }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const rows of sheet.rows(where)) {
+      rows.forEach(row => {
+        worksheet.addRow(sheet.columns.map(column => neutralizeFormula(toCellValue(row[column])))).commit();
+      });
+      // Only the first sheet's rows count as exported records
+      if (sheet === sheets[0]) count += rows.length;
+    }
+    worksheet.commit();
+  }
+  await workbook.commit();
+  return count;
+}
+
+/**
+ * Generate an export file. Returns { filePath, fileName, fileSize, recordCount, format, contentType }.
+ * CSV holds a single sheet (`sheet`, default the first); XLSX holds all sheets.
+ */
+async function createExportFile(type, { format, where, sheet } = {}) {
+  const sheets = EXPORT_SHEETS[type];
+  if (!sheets) throw new Error(`Unknown export type: ${type}`);
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileName = `${type}_export_${stamp}.${format}`;
+  const filePath = path.join(EXPORT_DIR, `${crypto.randomUUID()}.${format}`);
+
+  let recordCount;
+  try {
+    if (format === 'csv') {
+      const selected = sheets.find(s => s.key === sheet) || sheets[0];
+      recordCount = await writeCsv(filePath, selected, where);
+    } else {
+      recordCount = await writeXlsx(filePath, sheets, where);
+    }
+  } catch (error) {
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return { filePath, fileName, fileSize: size, recordCount, format, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * Stream a stored export file as an attachment
+ */
+function sendExportFile(res, { filePath, fileName, format }) {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format] || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${fileName.replace(/"/g, '')}"`
+  });
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', reject);
+    stream.on('end', resolve);
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Delete files of expired exports and mark them expired
+ */
+async function purgeExpiredExports() {
+  const expired = await db.query(`
+    UPDATE data_exports
+    SET status = 'expired'
+    WHERE status = 'completed' AND expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP
+    RETURNING id, file_path
+  `);
+
+  for (const row of expired.rows) {
+    if (!row.file_path) continue;
+    await fs.promises.unlink(row.file_path).catch(error => {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not remove expired export file', { exportId: row.id, error: error.message });
+      }
+    });
+  }
+  return expired.rows.length;
+}
+
+module.exports = {
+  EXPORT_DIR,
+  EXPORT_RETENTION_DAYS,
+  EXPORT_FORMATS,
+  FILE_FORMATS,
+  EXPORT_SHEETS,
+  flattenObject,
+  buildEqualityWhere,
+  createExportFile,
+  sendExportFile,
+  purgeExpiredExports
+};
@@ -0,0 +1,211 @@
+/**
+ * Giveaway Analysis
+ * Overfill of pack weights from the lots recorded in report_sampling: the pooled sample mean of
+ * each report against its nominal quantity, in grams per pack, percent and, over the packs of
+ * the lot, kilograms and money at the price per kg in the giveaway_cost setting. The giveaway
+ * counts overfilled lots only; the net figures also subtract underfilled ones. Aggregated per
+ * shift (report date and shift) and per product, with the fill target each product could run at
+ * (js/quantity-control.js) and the matching box and carton checkweigher setpoints.
+ */
+
+const db = require('../config/database');
+const QuantityControl = require('../js/quantity-control');
+const reportFilters = require('./report-filters');
+
+const COST_SETTING_KEY = 'giveaway_cost';
+const DEFAULT_COST = { currency: 'USD', price_per_kg: 0 };
+
+/**
+ * Problems with a giveaway_cost setting value, as [{ field, message }]
+ */
+function validateCostConfig(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: 'value', message: 'must be an object with currency and price_per_kg' }];
+  }
+  const errors = [];
+  if (!(typeof value.price_per_kg === 'number' && value.price_per_kg >= 0)) {
+    errors.push({ field: 'value.price_per_kg', message: 'must be a number of at least 0' });
+  }
+  if (value.currency !== undefined && !(typeof value.currency === 'string' && value.currency.trim().length <= 10)) {
+    errors.push({ field: 'value.currency', message: 'must be a currency code of at most 10 characters' });
+  }
+  return errors;
+}
+
+async function loadSettings() {
+  const result = await db.query(
+    'SELECT key, value FROM settings WHERE key = ANY($1::text[])',
+    [[COST_SETTING_KEY, QuantityControl.SETTING_KEY]]
+  );
+  const values = Object.fromEntries(result.rows.map(row => [row.key, row.value]));
+  return {
+    cost: { ...DEFAULT_COST, ...(values[COST_SETTING_KEY] || {}) },
+    regulation: QuantityControl.activeRegulation(values[QuantityControl.SETTING_KEY])
+  };
+}
+
+const round = (value, digits) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+// Packs-weighted totals of a set of lots: overfill (underfilled lots count as 0) and net
+function aggregate(lots, pricePerKg) {
+  const packs = lots.reduce((sum, lot) => sum + lot.packs, 0);
+  const nominalMass = lots.reduce((sum, lot) => sum + lot.nominal * lot.packs, 0);
+  const giveawayMass = lots.reduce((sum, lot) => sum + lot.giveaway_g * lot.packs, 0);
+  const netMass = lots.reduce((sum, lot) => sum + lot.net_g * lot.packs, 0);
+  return {
+    reports: lots.length,
+    packs,
+    giveaway_g: packs ? round(giveawayMass / packs, 3) : null,
+    giveaway_percent: nominalMass ? round(giveawayMass / nominalMass * 100, 3) : null,
+    giveaway_kg: round(giveawayMass / 1000, 3),
+    cost: round(giveawayMass / 1000 * pricePerKg, 2),
+    net_g: packs ? round(netMass / packs, 3) : null,
+    net_percent: nominalMass ? round(netMass / nominalMass * 100, 3) : null,
+    net_kg: round(netMass / 1000, 3),
+    net_cost: round(netMass / 1000 * pricePerKg, 2)
+  };
+}
+
+// Process standard deviation pooled over the lots' sample standard deviations
+function pooledStdDev(lots) {
+  const weighted = lots.filter(lot => lot.std_dev !== null && lot.inspected > 1);
+  const df = weighted.reduce((sum, lot) => sum + lot.inspected - 1, 0);
+  if (!df) return null;
+  return Math.sqrt(weighted.reduce((sum, lot) => sum + (lot.inspected - 1) * lot.std_dev ** 2, 0) / df);
+}
+
+function groupLots(lots, keyOf) {
+  const groups = new Map();
+  lots.forEach(lot => {
+    const key = keyOf(lot);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(lot);
+  });
+  return groups;
+}
+
+// Fill target and checkweigher setpoints for a product from its latest nominal quantity and pooled spread
+function recommendation(lots, regulation, pricePerKg) {
+  const latest = lots[lots.length - 1];
+  const packs = lots.reduce((sum, lot) => sum + lot.packs, 0);
+  const currentMean = packs ? lots.reduce((sum, lot) => sum + lot.mean * lot.packs, 0) / packs : null;
+  const stdDev = pooledStdDev(lots);
+  if (currentMean === null || stdDev === null) return null;
+
+  const { target, binding } = QuantityControl.recommendedTarget(latest.nominal, stdDev, regulation);
+  const adjustment = target - currentMean;
+  const boxTarget = latest.packs_per_box ? target * latest.packs_per_box + latest.empty_box_weight : null;
+  const cartonTarget = boxTarget !== null && latest.boxes_per_carton
+    ? boxTarget * latest.boxes_per_carton + latest.empty_carton_weight
+    : null;
+  const savedMass = Math.max(-adjustment, 0) * packs;
+
+  return {
+    nominal: latest.nominal,
+    current_mean: round(currentMean, 3),
+    std_dev: round(stdDev, 3),
+    target: round(target, 2),
+    binding_rule: binding,
+    adjustment_g: round(adjustment, 2),
+    box_target_g: round(boxTarget, 1),
+    carton_target_g: round(cartonTarget, 1),
+    saving_kg: round(savedMass / 1000, 3),
+    saving_cost: round(savedMass / 1000 * pricePerKg, 2)
+  };
+}
+
+/**
+ * Giveaway of the reports matching the report filters (see report-filters.js) that recorded a
+ * pooled sample mean: per report, per shift in date order, per product with its recommended
+ * target, and in total
+ */
+async function getGiveawayAnalysis(query = {}) {
+  const filters = reportFilters.parseReportFilters(query);
+  const where = reportFilters.buildReportWhere(filters);
+  const { cost, regulation } = await loadSettings();
+  const price = Number(cost.price_per_kg) || 0;
+
+  const result = await db.query(`
+    SELECT r.id AS report_id, r.report_date::text AS report_date, r.shift, r.batch_no, r.product_id,
+           COALESCE(p.product_id, r.product_name) AS product_code, COALESCE(p.name, r.product_name) AS product_name,
+           s.production_line, s.nominal_quantity, s.mean_weight, s.std_dev, s.inspected, s.lot_size,
+           p.packs_per_box, p.boxes_per_carton, p.empty_box_weight, p.empty_carton_weight
+    FROM report_sampling s
+    JOIN reports r ON r.id = s.report_id
+    LEFT JOIN products p ON p.id = r.product_id
+    ${where.clause ? `${where.clause} AND` : 'WHERE'} s.mean_weight IS NOT NULL AND s.nominal_quantity > 0
+    ORDER BY r.report_date ASC, r.shift ASC, r.created_at ASC
+  `, where.values);
+
+  const lots = result.rows.map(row => {
+    const nominal = Number(row.nominal_quantity);
+    const mean = Number(row.mean_weight);
+    const { grams, percent } = QuantityControl.giveaway(mean, nominal);
+    return {
+      report_id: row.report_id,
+      report_date: row.report_date,
+      shift: row.shift,
+      batch_no: row.batch_no,
+      product_id: row.product_id,
+      product_code: row.product_code,
+      product_name: row.product_name,
+      production_line: row.production_line,
+      nominal,
+      mean,
+      std_dev: row.std_dev === null ? null : Number(row.std_dev),
+      inspected: row.inspected,
+      packs: row.lot_size,
+      giveaway_g: Math.max(grams, 0),
+      giveaway_percent: Math.max(percent, 0),
+      net_g: grams,
+      net_percent: percent,
+      packs_per_box: Number(row.packs_per_box) || null,
+      boxes_per_carton: Number(row.boxes_per_carton) || null,
+      empty_box_weight: Number(row.empty_box_weight) || 0,
+      empty_carton_weight: Number(row.empty_carton_weight) || 0
+    };
+  });
+
+  const shifts = Array.from(groupLots(lots, lot => `${lot.report_date}|${lot.shift}|${lot.product_id}`).values())
+    .map(group => ({
+      report_date: group[0].report_date,
+      shift: group[0].shift,
+      product_id: group[0].product_id,
+      product_code: group[0].product_code,
+      ...aggregate(group, price)
+    }));
+  const products = Array.from(groupLots(lots, lot => lot.product_id).values())
+    .map(group => ({
+      product_id: group[0].product_id,
+      product_code: group[0].product_code,
+      product_name: group[0].product_name,
+      ...aggregate(group, price),
+      recommendation: recommendation(group, regulation, price)
+    }))
+    .sort((a, b) => (b.giveaway_kg || 0) - (a.giveaway_kg || 0));
+
+  return {
+    filters,
+    currency: cost.currency,
+    price_per_kg: price,
+    regulation: regulation.id,
+    totals: aggregate(lots, price),
+    products,
+    shifts,
+    reports: lots.map(({ packs_per_box, boxes_per_carton, empty_box_weight, empty_carton_weight, ...lot }) => ({
+      ...lot,
+      giveaway_g: round(lot.giveaway_g, 3),
+      giveaway_percent: round(lot.giveaway_percent, 3),
+      cost: round(lot.giveaway_g * lot.packs / 1000 * price, 2),
+      net_g: round(lot.net_g, 3),
+      net_percent: round(lot.net_percent, 3),
+      net_cost: round(lot.net_g * lot.packs / 1000 * price, 2)
+    }))
+  };
+}
+
+module.exports = {
+  COST_SETTING_KEY,
+  validateCostConfig,
+  getGiveawayAnalysis
+};
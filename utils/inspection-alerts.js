@@ -0,0 +1,146 @@
+/**
+ * Inspection Alerts (CCP/OPRP)
+ * Input normalization and due-time computation for inspection_alerts.
+ * An alert repeats every frequency_minutes starting at start_time each day
+ * (server local time); the series restarts at start_time the next day.
+ */
+
+const db = require('../config/database');
+
+const ALERT_TYPES = ['CCP', 'OPRP'];
+
+// Columns a client may write; next_due_at is always computed here
+const ALERT_FIELDS = [
+  'product_id', 'section_id', 'table_id', 'parameter_name', 'title',
+  'type', 'frequency_minutes', 'start_time', 'active', 'grace_minutes', 'escalate_after_minutes'
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse 'HH:MM' or 'HH:MM:SS' into minutes after midnight, or null if invalid
+ */
+function parseStartTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Next time the alert is due strictly after `from`
+ */
+function computeNextDueAt({ start_time, frequency_minutes }, from = new Date()) {
+  const startMinutes = parseStartTime(start_time);
+  const frequency = parseInt(frequency_minutes, 10);
+  if (startMinutes === null || !(frequency > 0)) return null;
+
+  const anchor = new Date(from);
+  anchor.setHours(0, startMinutes, 0, 0);
+  if (anchor > from) {
+    // Today's series has not started yet; continue yesterday's until it restarts
+    anchor.setDate(anchor.getDate() - 1);
+  }
+
+  const nextAnchor = new Date(anchor);
+  nextAnchor.setDate(nextAnchor.getDate() + 1);
+
+  const stepMs = frequency * 60 * 1000;
+  const steps = Math.floor((from - anchor) / stepMs) + 1;
+  const next = new Date(anchor.getTime() + steps * stepMs);
+
+  return next < nextAnchor ? next : nextAnchor;
+}
+
+/**
+ * Validate and coerce a create/update payload.
+ * Returns { values, errors: [{ field, message }] }; with `partial` only the supplied fields are checked.
+ */
+function normalizeAlertInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+
+  ALERT_FIELDS.forEach(field => {
+    if (has(field)) values[field] = body[field];
+  });
+
+  if (!partial || has('title')) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) errors.push({ field: 'title', message: 'title is required' });
+    else if (title.length > 255) errors.push({ field: 'title', message: 'title must be at most 255 characters' });
+    values.title = title;
+  }
+
+  if (!partial && !has('product_id')) {
+    errors.push({ field: 'product_id', message: 'product_id is required' });
+  }
+
+  if (!partial || has('type')) {
+    values.type = String(body.type || 'CCP').toUpperCase();
+    if (!ALERT_TYPES.includes(values.type)) {
+      errors.push({ field: 'type', message: `type must be one of: ${ALERT_TYPES.join(', ')}` });
+    }
+  }
+
+  if (!partial || has('frequency_minutes')) {
+    const frequency = Number(body.frequency_minutes ?? 60);
+    if (!Number.isInteger(frequency) || frequency < 1 || frequency > MINUTES_PER_DAY) {
+      errors.push({ field: 'frequency_minutes', message: `frequency_minutes must be an integer between 1 and ${MINUTES_PER_DAY}` });
+    }
+    values.frequency_minutes = frequency;
+  }
+
+  if (!partial || has('start_time')) {
+    values.start_time = body.start_time || '08:00';
+    if (parseStartTime(values.start_time) === null) {
+      errors.push({ field: 'start_time', message: 'start_time must be in HH:MM format' });
+    }
+  }
+
+  if (!partial || has('active')) {
+    values.active = body.active === undefined ? true : body.active === true || body.active === 'true';
+  }
+
+  // Per-alert overrides of the scheduler defaults; null falls back to the defaults
+  ['grace_minutes', 'escalate_after_minutes'].forEach(field => {
+    if (has(field)) {
+      const minutes = body[field] === null || body[field] === '' ? null : Number(body[field]);
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0 || minutes > MINUTES_PER_DAY)) {
+        errors.push({ field, message: `${field} must be an integer between 0 and ${MINUTES_PER_DAY}` });
+      }
+      values[field] = minutes;
+    }
+  });
+
+  ['section_id', 'table_id', 'parameter_name'].forEach(field => {
+    if (has(field)) {
+      const value = body[field] === null ? '' : String(body[field]).trim();
+      values[field] = value || null;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Resolve a product reference (products.id UUID or products.product_id code) to products.id
+ */
+async function resolveProductId(reference) {
+  if (!reference) return null;
+  const column = UUID_PATTERN.test(reference) ? 'id' : 'product_id';
+  const result = await db.query(`SELECT id FROM products WHERE ${column} = $1`, [reference]);
+  return result.rows[0]?.id || null;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_FIELDS,
+  parseStartTime,
+  computeNextDueAt,
+  normalizeAlertInput,
+  resolveProductId
+};
@@ -0,0 +1,328 @@
+/**
+ * Inspection Due-Time Scheduler
+ * Periodically walks active inspection alerts and the time slots of open reports and
+ * raises notifications (via create_notification) when a check is due, overdue after the
+ * grace period, and escalated to supervisors after the escalation period.
+ * A check is resolved once one of its notifications has been acknowledged
+ * (PUT /api/notifications/:id/read) or, for report slots, once the slot is marked completed.
+ */
+
+const db = require('../config/database');
+const { logger } = require('./logger');
+const { computeNextDueAt, parseStartTime } = require('./inspection-alerts');
+const { liveEvents } = require('./live-events');
+
+const STAGES = {
+  due: { type: 'reminder', severity: 'info', targets: ['inspector'], label: 'due' },
+  overdue: { type: 'quality_alert', severity: 'warning', targets: ['inspector'], label: 'overdue' },
+  escalated: { type: 'quality_alert', severity: 'critical', targets: ['supervisor'], label: 'overdue (escalated)' }
+};
+
+const OPEN_REPORT_STATUSES = ['draft', 'reopened'];
+const SLOT_LOOKBACK_HOURS = 24;
+const NOTIFICATION_EXPIRES_HOURS = 24;
+
+let timer = null;
+let running = false;
+
+function getSchedulerConfig() {
+  const graceMinutes = parseInt(process.env.INSPECTION_GRACE_MINUTES || '10', 10);
+  const escalationMinutes = parseInt(process.env.INSPECTION_ESCALATION_MINUTES || '30', 10);
+  return {
+    enabled: process.env.INSPECTION_SCHEDULER_ENABLED !== 'false',
+    intervalSeconds: Math.max(parseInt(process.env.INSPECTION_SCHEDULER_INTERVAL_SECONDS || '60', 10) || 60, 10),
+    graceMinutes: graceMinutes >= 0 ? graceMinutes : 10,
+    escalationMinutes: escalationMinutes >= 0 ? escalationMinutes : 30
+  };
+}
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Stage an unresolved check has reached at `now`, or null if it is not due yet
+ */
+function currentStage(dueAt, now, graceMinutes, escalationMinutes) {
+  const elapsedMinutes = (now - dueAt) / 60000;
+  if (elapsedMinutes < 0) return null;
+  if (elapsedMinutes >= escalationMinutes) return 'escalated';
+  if (elapsedMinutes >= graceMinutes) return 'overdue';
+  return 'due';
+}
+
+/**
+ * Raise the notification for one stage of a check and push it to live clients;
+ * returns false if it was already raised
+ */
+async function raiseStage(check, stage) {
+  const definition = STAGES[stage];
+
+  const notificationId = await db.transaction(async (client) => {
+    const event = await client.query(`
+      INSERT INTO inspection_due_events (alert_id, report_id, slot_key, due_at, stage)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, [check.alertId || null, check.reportId || null, check.slotKey || '', check.dueAt, stage]);
+
+    if (!event.rows.length) return null;
+
+    const title = `${check.type} check ${definition.label}: ${check.title}`;
+    const message = `${check.subject} - ${check.title} was due at ${formatTime(check.dueAt)}` +
+      (stage === 'due' ? '.' : ` and has not been acknowledged.`);
+
+    const created = await client.query(
+      'SELECT create_notification($1, $2, $3, $4, $5, $6, $7, $8) as notification_id',
+      [
+        definition.type, title, message, definition.severity,
+        JSON.stringify(definition.targets), check.relatedEntity, check.relatedId,
+        NOTIFICATION_EXPIRES_HOURS
+      ]
+    );
+    const notificationId = created.rows[0].notification_id;
+
+    await client.query(
+      'UPDATE notifications SET metadata = $2 WHERE id = $1',
+      [notificationId, JSON.stringify({
+        source: 'inspection_scheduler',
+        stage,
+        alert_id: check.alertId || null,
+        report_id: check.reportId || null,
+        slot_key: check.slotKey || null,
+        due_at: check.dueAt.toISOString()
+      })]
+    );
+    await client.query(
+      'UPDATE inspection_due_events SET notification_id = $2 WHERE id = $1',
+      [event.rows[0].id, notificationId]
+    );
+
+    return notificationId;
+  });
+
+  if (!notificationId) return false;
+
+  logger.info('Inspection notification raised', {
+    stage,
+    alertId: check.alertId,
+    reportId: check.reportId,
+    slotKey: check.slotKey,
+    dueAt: check.dueAt.toISOString()
+  });
+
+  const notification = await db.findById('notifications', notificationId);
+  liveEvents.publish('notification', notification, { targets: definition.targets });
+  liveEvents.publish('alert_due', {
+    stage,
+    type: check.type,
+    title: check.title,
+    subject: check.subject,
+    alert_id: check.alertId || null,
+    report_id: check.reportId || null,
+    slot_key: check.slotKey || null,
+    due_at: check.dueAt.toISOString(),
+    notification_id: notificationId
+  }, { targets: definition.targets });
+  return true;
+}
+
+/**
+ * Whether any notification raised for the check has been acknowledged
+ */
+async function isAcknowledged(check) {
+  const result = await db.query(`
+    SELECT 1
+    FROM inspection_due_events e
+    JOIN notifications n ON n.id = e.notification_id
+    WHERE COALESCE(e.alert_id, e.report_id) = $1 AND e.slot_key = $2 AND e.due_at = $3
+      AND (n.is_acknowledged = TRUE OR n.acknowledged_at IS NOT NULL)
+    LIMIT 1
+  `, [check.alertId || check.reportId, check.slotKey || '', check.dueAt]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Raise the current stage of a check unless it is resolved; returns true when resolved
+ */
+async function processCheck(check, now) {
+  if (check.completed || await isAcknowledged(check)) return true;
+
+  const stage = currentStage(check.dueAt, now, check.graceMinutes, check.escalationMinutes);
+  if (stage) await raiseStage(check, stage);
+  return false;
+}
+
+function alertCheck(alert, dueAt, config) {
+  return {
+    alertId: alert.id,
+    dueAt,
+    type: alert.type,
+    title: alert.title,
+    subject: alert.product_name,
+    relatedEntity: 'inspection_alerts',
+    relatedId: alert.id,
+    graceMinutes: alert.grace_minutes ?? config.graceMinutes,
+    escalationMinutes: alert.escalate_after_minutes ?? config.escalationMinutes
+  };
+}
+
+async function processInspectionAlerts(now, config) {
+  // Earlier occurrences the alert has already moved past but that are neither acknowledged nor escalated
+  const outstanding = await db.query(`
+    SELECT a.*, p.name AS product_name, e.due_at AS occurrence_due_at
+    FROM inspection_due_events e
+    JOIN inspection_alerts a ON a.id = e.alert_id
+    JOIN products p ON p.id = a.product_id
+    WHERE a.active = TRUE AND e.due_at >= $1 AND e.due_at < a.next_due_at
+    GROUP BY a.id, p.name, e.due_at
+    HAVING NOT bool_or(e.stage = 'escalated')
+  `, [new Date(now.getTime() - SLOT_LOOKBACK_HOURS * 3600000)]);
+
+  for (const alert of outstanding.rows) {
+    await processCheck(alertCheck(alert, new Date(alert.occurrence_due_at), config), now);
+  }
+
+  const result = await db.query(`
+    SELECT a.*, p.name AS product_name
+    FROM inspection_alerts a
+    JOIN products p ON p.id = a.product_id
+    WHERE a.active = TRUE AND a.next_due_at IS NOT NULL AND a.next_due_at <= $1
+  `, [now]);
+
+  for (const alert of result.rows) {
+    const dueAt = new Date(alert.next_due_at);
+    const resolved = await processCheck(alertCheck(alert, dueAt, config), now);
+
+    // Move on once the check is acknowledged or the following occurrence has come due
+    let next = computeNextDueAt(alert, dueAt);
+    if (!next || (!resolved && next > now)) continue;
+    if (next < new Date(now.getTime() - SLOT_LOOKBACK_HOURS * 3600000)) {
+      // Skip occurrences missed while the scheduler was not running
+      next = computeNextDueAt(alert, now);
+    }
+
+    await db.query(
+      'UPDATE inspection_alerts SET next_due_at = $2 WHERE id = $1 AND next_due_at = $3',
+      [alert.id, next, alert.next_due_at]
+    );
+  }
+}
+
+/**
+ * Normalize a report's time_slots JSON into [{ key, dueAt, completed, ... }].
+ * Slots are 'HH:MM' strings or objects with a time and optional completion flags;
+ * a slot earlier than the previous one belongs to the next day (night shifts).
+ */
+function parseReportSlots(report) {
+  const slots = Array.isArray(report.time_slots) ? report.time_slots : [];
+  const base = new Date(report.report_date);
+  base.setHours(0, 0, 0, 0);
+
+  let dayOffset = 0;
+  let previous = -1;
+
+  return slots.map((slot, index) => {
+    const entry = typeof slot === 'string' ? { time: slot } : (slot || {});
+    const minutes = parseStartTime(entry.time || entry.slot || entry.start_time);
+    if (minutes === null) return null;
+
+    if (minutes < previous) dayOffset += 1;
+    previous = minutes;
+
+    const dueAt = new Date(base);
+    dueAt.setDate(dueAt.getDate() + dayOffset);
+    dueAt.setHours(0, minutes, 0, 0);
+
+    const time = formatTime(dueAt);
+    return {
+      key: [entry.section_id, entry.table_id, entry.id || time].filter(Boolean).join(':') || String(index),
+      dueAt,
+      type: entry.type || 'Inspection',
+      label: entry.label || entry.parameter_name || `${time} inspection`,
+      completed: entry.completed === true || entry.done === true || Boolean(entry.completed_at)
+    };
+  }).filter(Boolean);
+}
+
+async function processReportSlots(now, config) {
+  const result = await db.query(`
+    SELECT id, product_name, batch_no, report_date, time_slots
+    FROM reports
+    WHERE status = ANY($1)
+      AND jsonb_typeof(time_slots) = 'array'
+      AND report_date >= CURRENT_DATE - 1
+  `, [OPEN_REPORT_STATUSES]);
+
+  const oldest = new Date(now.getTime() - SLOT_LOOKBACK_HOURS * 3600000);
+
+  for (const report of result.rows) {
+    for (const slot of parseReportSlots(report)) {
+      if (slot.dueAt > now || slot.dueAt < oldest) continue;
+      await processCheck({
+        reportId: report.id,
+        slotKey: slot.key,
+        dueAt: slot.dueAt,
+        type: slot.type,
+        title: slot.label,
+        subject: `${report.product_name} batch ${report.batch_no}`,
+        relatedEntity: 'reports',
+        relatedId: report.id,
+        completed: slot.completed,
+        graceMinutes: config.graceMinutes,
+        escalationMinutes: config.escalationMinutes
+      }, now);
+    }
+  }
+}
+
+/**
+ * Run one scheduler pass; overlapping passes are skipped
+ */
+async function runSchedulerTick(now = new Date()) {
+  if (running) return;
+  running = true;
+  const config = getSchedulerConfig();
+
+  try {
+    await db.runWithUser('system', async () => {
+      await processInspectionAlerts(now, config);
+      await processReportSlots(now, config);
+    });
+  } catch (error) {
+    logger.error('Inspection scheduler pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+}
+
+function startInspectionScheduler() {
+  const config = getSchedulerConfig();
+  if (!config.enabled || timer) return;
+
+  timer = setInterval(() => runSchedulerTick(), config.intervalSeconds * 1000);
+  timer.unref();
+  runSchedulerTick();
+
+  logger.info('Inspection scheduler started', {
+    intervalSeconds: config.intervalSeconds,
+    graceMinutes: config.graceMinutes,
+    escalationMinutes: config.escalationMinutes
+  });
+}
+
+function stopInspectionScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  getSchedulerConfig,
+  currentStage,
+  parseReportSlots,
+  runSchedulerTick,
+  startInspectionScheduler,
+  stopInspectionScheduler
+};
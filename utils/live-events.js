@@ -0,0 +1,106 @@
+/**
+ * Live Event Stream
+ * In-process publish/subscribe hub behind GET /api/events/stream (Server-Sent Events).
+ * Publishers emit notifications, report changes and alert-due events; each connected
+ * client only receives events addressed to its user. The session is checked again on every
+ * heartbeat, so a stream ends after logout, session expiry or deactivation of the user.
+ */
+
+const { EventEmitter } = require('events');
+const { hasRole, findSessionUser } = require('../middleware/auth');
+const { logger } = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class LiveEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected client
+    this.setMaxListeners(0);
+    this.clients = new Set();
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Publish an event. `targets` (usernames and/or roles) limits who receives it;
+   * a role target also reaches higher roles, an empty list reaches everyone.
+   */
+  publish(type, data, { targets = [] } = {}) {
+    const event = { id: this.nextEventId++, type, data, targets, timestamp: new Date().toISOString() };
+    this.emit('event', event);
+    return event;
+  }
+
+  isAudience(user, targets) {
+    if (!Array.isArray(targets) || targets.length === 0) return true;
+    return targets.some(target => target === user.username || hasRole(user, target));
+  }
+
+  /**
+   * Express handler that keeps the response open as an SSE stream for req.user
+   */
+  stream(req, res) {
+    let user = req.user;
+    const sessionId = req.authSession.id;
+    let closed = false;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // The compression middleware buffers output unless flushed explicitly
+    const write = (chunk) => {
+      res.write(chunk);
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    const onEvent = (event) => {
+      if (!this.isAudience(user, event.targets)) return;
+      write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+    };
+
+    write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ user: user.username })}\n\n`);
+
+    // A role change applies to the events that follow; a session that ended closes the stream
+    const heartbeat = setInterval(async () => {
+      try {
+        const current = await findSessionUser(sessionId);
+        if (closed) return;
+        if (!current) {
+          write('event: session_ended\ndata: {}\n\n');
+          logger.info('Live event stream closed: session ended', { user: user.username });
+          res.end();
+          close();
+          return;
+        }
+        user = current;
+        write(': heartbeat\n\n');
+      } catch (error) {
+        logger.error('Live event session check failed', { user: user.username, error: error.message });
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    this.on('event', onEvent);
+    this.clients.add(res);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      this.off('event', onEvent);
+      this.clients.delete(res);
+      logger.info('Live event client disconnected', { user: user.username, clients: this.clients.size });
+    };
+    req.on('close', close);
+
+    logger.info('Live event client connected', { user: user.username, clients: this.clients.size });
+  }
+}
+
+const liveEvents = new LiveEvents();
+
+module.exports = { liveEvents, LiveEvents };
@@ -0,0 +1,363 @@
+/**
+ * OpenAPI Document
+ * Describes the /api router as an OpenAPI 3 document, generated from the route definitions:
+ * paths and methods come from the Express route stack, request bodies from the validation
+ * schemas attached by createValidationMiddleware, minimum roles from requireRole, and
+ * summaries, tags and query parameters from the route comments and handlers in routes/api.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validationSchemas, TIME_PATTERN } = require('../middleware/validation');
+const { PUBLIC_ENDPOINTS } = require('../middleware/auth');
+const { REPORT_FILTER_FIELDS } = require('./report-filters');
+const { AUDIT_FILTER_FIELDS } = require('./audit-filters');
+const pkg = require('../package.json');
+
+const ROUTES_FILE = path.join(__dirname, '..', 'routes', 'api.js');
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ROUTE_COMMENT = /^\/\/ ((?:GET|POST|PUT|PATCH|DELETE)(?:\|(?:GET|POST|PUT|PATCH|DELETE))*) \/api(\S*) - (.+)$/;
+const ROUTE_LINE = /^router\.(get|post|put|patch|delete)\('([^']+)'/;
+const BANNER_TITLE = /^\/\/ (?:API )?(.+?) (?:API )?ROUTES\b/;
+
+const STATUS_DESCRIPTIONS = {
+  200: 'Success',
+  201: 'Created',
+  400: 'Invalid request',
+  401: 'Authentication required',
+  403: 'The user\'s role is not sufficient',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  410: 'No longer available',
+  422: 'Request could not be processed'
+};
+
+const FILE_CONTENT = {
+  'text/csv': { schema: { type: 'string', format: 'binary' } },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+};
+
+let cachedDocument = null;
+
+const titleCase = (text) => text.split(' ')
+  .map(word => (/^[A-Z]+$/.test(word) ? word[0] + word.slice(1).toLowerCase() : word))
+  .join(' ');
+
+const componentName = (schemaName, partial) => {
+  const name = schemaName[0].toUpperCase() + schemaName.slice(1);
+  if (!partial) return name;
+  // Schemas used for both full and partial writes (reportUpdate) need distinct names
+  return name.endsWith('Update') ? `${name}Partial` : `${name}Update`;
+};
+
+/**
+ * Summaries, tags and handler source per `method path`, read from routes/api.js.
+ * A route comment (`// GET /api/x - Summary`, further comment lines are the description)
+ * applies to the next router line with the same method and path; a named handler's source
+ * is looked up at its `const name =` definition.
+ */
+function readRouteDocs(source) {
+  const lines = source.split('\n');
+  const docs = {};
+  let tag = null;
+  let comments = [];
+
+  const blockFrom = (start) => {
+    const block = [lines[start]];
+    for (let i = start + 1; i < lines.length && !/^(router\.|\/\/ =|const |\/\/ (GET|POST|PUT|PATCH|DELETE))/.test(lines[i]); i++) {
+      block.push(lines[i]);
+    }
+    return block.join('\n');
+  };
+
+  lines.forEach((line, index) => {
+    const banner = /^\/\/ =+$/.test(lines[index - 1] || '') && BANNER_TITLE.exec(line);
+    if (banner) {
+      tag = titleCase(banner[1]);
+      return;
+    }
+
+    const routeComment = ROUTE_COMMENT.exec(line);
+    if (routeComment) {
+      const [commentPath, commentQuery = ''] = routeComment[2].split('?');
+      const comment = {
+        methods: routeComment[1].toLowerCase().split('|'),
+        path: commentPath,
+        query: commentQuery.split('&').map(pair => pair.split('=')[0]).filter(Boolean),
+        summary: routeComment[3],
+        description: []
+      };
+      for (let i = index + 1; /^\/\/ /.test(lines[i]) && !ROUTE_COMMENT.test(lines[i]); i++) {
+        comment.description.push(lines[i].slice(3));
+      }
+      comments.push(comment);
+      return;
+    }
+
+    const route = ROUTE_LINE.exec(line);
+    if (!route) return;
+
+    const [, method, routePath] = route;
+    let block = blockFrom(index);
+    const namedHandler = /, (\w+)\);$/.exec(line);
+    if (namedHandler) {
+      const definition = lines.findIndex(candidate => candidate.startsWith(`const ${namedHandler[1]} = `));
+      if (definition >= 0) block += `\n${blockFrom(definition)}`;
+    }
+
+    // `:action(submit|approve)` is written `submit|approve` in route comments
+    const commentPath = routePath.replace(/:\w+\(([^)]+)\)/g, '$1');
+    const comment = comments.find(candidate => candidate.methods.includes(method) && candidate.path === commentPath);
+    comments = [];
+    docs[`${method} ${routePath}`] = {
+      tag,
+      summary: comment ? comment.summary : null,
+      description: comment ? comment.description.join(' ') : '',
+      query: comment ? comment.query : [],
+      block
+    };
+  });
+
+  return docs;
+}
+
+/**
+ * JSON Schema (OpenAPI 3.0 dialect) for one validation rule
+ */
+function ruleToSchema(rules, { partial = false } = {}) {
+  let schema;
+  switch (rules.type) {
+    case 'string':
+      schema = { type: 'string' };
+      if (rules.maxLength) schema.maxLength = rules.maxLength;
+      if (rules.minLength) schema.minLength = rules.minLength;
+      if (rules.pattern) schema.pattern = rules.pattern.source;
+      if (rules.enum) schema.enum = rules.enum;
+      break;
+    case 'number':
+    case 'integer':
+      schema = { type: rules.type };
+      if (rules.min !== undefined) schema.minimum = rules.min;
+      if (rules.max !== undefined) schema.maximum = rules.max;
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'uuid':
+    case 'email':
+    case 'date':
+      schema = { type: 'string', format: rules.type };
+      break;
+    case 'datetime':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'time':
+      schema = { type: 'string', pattern: TIME_PATTERN.source, example: '08:00' };
+      break;
+    case 'array':
+      schema = { type: 'array', items: rules.items ? ruleToSchema({ required: true, ...rules.items }) : {} };
+      if (rules.maxItems) schema.maxItems = rules.maxItems;
+      break;
+    case 'object':
+      schema = rules.properties ? objectSchema(rules.properties) : { type: 'object', additionalProperties: true };
+      break;
+    default:
+      schema = { description: 'Any JSON value' };
+  }
+
+  if (rules.default !== undefined && !partial) schema.default = rules.default;
+  if (rules.readOnly) schema.readOnly = true;
+  // Empty optional values are accepted and stored as null
+  if (!rules.required && rules.type !== 'json') schema.nullable = true;
+  return schema;
+}
+
+function objectSchema(fields, { partial = false } = {}) {
+  const required = partial ? [] : Object.keys(fields).filter(name => fields[name].required);
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, rules]) => [name, ruleToSchema(rules, { partial })])),
+    additionalProperties: false
+  };
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+function toOpenApiPath(expressPath) {
+  const parameters = [];
+  const openApiPath = expressPath.replace(/:(\w+)(?:\(([^)]+)\))?/g, (match, name, choices) => {
+    const schema = choices ? { type: 'string', enum: choices.split('|') }
+      : name === 'id' ? { type: 'string', format: 'uuid' }
+        : name === 'revision' ? { type: 'integer', minimum: 1 }
+          : { type: 'string' };
+    parameters.push({ name, in: 'path', required: true, schema });
+    return `{${name}}`;
+  });
+  return { openApiPath, parameters };
+}
+
+// Query parameters from the route comment (`?from=&to=`) and read by the handler:
+// destructured from req.query, req.query.x, shared filters
+function queryParameters(doc) {
+  const block = doc ? doc.block : '';
+  const names = new Set(doc ? doc.query : []);
+  const destructured = /const \{([^}]+)\} = req\.query/.exec(block);
+  if (destructured) {
+    destructured[1].split(',').map(part => part.split(/[=:]/)[0].trim()).filter(Boolean).forEach(name => names.add(name));
+  }
+  for (const match of block.matchAll(/req\.query\.(\w+)/g)) names.add(match[1]);
+  if (block.includes('parseReportFilters(')) Object.keys(REPORT_FILTER_FIELDS).forEach(name => names.add(name));
+  if (block.includes('parseAuditFilters(')) Object.keys(AUDIT_FILTER_FIELDS).forEach(name => names.add(name));
+  return [...names].map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } }));
+}
+
+function successContent(block) {
+  if (block.includes('application/pdf')) {
+    return { 'application/pdf': { schema: { type: 'string', format: 'binary' } } };
+  }
+  if (block.includes('liveEvents.stream')) {
+    return { 'text/event-stream': { schema: { type: 'string' } } };
+  }
+  const json = { 'application/json': { schema: { type: 'object' } } };
+  return /sendFileExport|sendExportFile/.test(block) ? { ...json, ...FILE_CONTENT } : json;
+}
+
+function buildOperation(method, routePath, route, doc, schemas) {
+  const { openApiPath, parameters } = toOpenApiPath(routePath);
+  const block = doc ? doc.block : '';
+  const handles = route.stack.map(layer => layer.handle);
+  const validation = handles.find(handle => handle.schemaName && (handle.validationOptions.source || 'body') === 'body');
+  const role = handles.find(handle => handle.minimumRole)?.minimumRole;
+  const isPublic = PUBLIC_ENDPOINTS.has(`${method.toUpperCase()} ${routePath}`);
+
+  const operation = {
+    tags: doc && doc.tag ? [doc.tag] : [],
+    summary: (doc && doc.summary) || `${method.toUpperCase()} ${openApiPath}`,
+    operationId: `${method}${openApiPath.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).map(part => part && part[0].toUpperCase() + part.slice(1)).join('')}`,
+    parameters: [...parameters, ...queryParameters(doc)]
+  };
+
+  const description = [doc && doc.description, role && `Requires the \`${role}\` role or higher.`].filter(Boolean);
+  if (description.length) operation.description = description.join('\n\n');
+  if (role) operation['x-required-role'] = role;
+  if (isPublic) operation.security = [];
+
+  if (validation) {
+    const { schemaName, validationOptions } = validation;
+    const partial = validationOptions.partial === true;
+    const name = componentName(schemaName, partial);
+    schemas[name] = schemas[name] || objectSchema(validationSchemas[schemaName], { partial });
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+    };
+  }
+
+  const successStatus = block.includes('status(201)') ? 201 : 200;
+  operation.responses = {
+    [successStatus]: { description: STATUS_DESCRIPTIONS[successStatus], content: successContent(block) }
+  };
+  const statuses = new Set([...block.matchAll(/status\((\d{3})\)/g)].map(match => Number(match[1])));
+  if (validation || block.includes('ValidationError')) {
+    operation.responses[400] = { $ref: '#/components/responses/ValidationError' };
+    statuses.delete(400);
+  }
+  if (!isPublic) statuses.add(401);
+  if (role) statuses.add(403);
+  [...statuses].filter(status => status >= 400).sort().forEach(status => {
+    operation.responses[status] = operation.responses[status] || {
+      description: STATUS_DESCRIPTIONS[status] || 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  });
+
+  return { openApiPath, operation };
+}
+
+/**
+ * Build the OpenAPI document for the API router
+ */
+function buildOpenApiDocument(router) {
+  const docs = readRouteDocs(fs.readFileSync(ROUTES_FILE, 'utf8'));
+  const schemas = {
+    Error: {
+      type: 'object',
+      properties: { error: { type: 'string' }, message: { type: 'string' } },
+      required: ['error']
+    },
+    FieldError: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', description: 'Path of the offending value, e.g. sections[0].parameters[2].parameter_name' },
+        message: { type: 'string' }
+      },
+      required: ['field', 'message']
+    }
+  };
+  const paths = {};
+  const tags = [];
+
+  router.stack.filter(layer => layer.route && typeof layer.route.path === 'string').forEach(layer => {
+    Object.keys(layer.route.methods).filter(method => HTTP_METHODS.includes(method)).forEach(method => {
+      const doc = docs[`${method} ${layer.route.path}`];
+      const { openApiPath, operation } = buildOperation(method, layer.route.path, layer.route, doc, schemas);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = operation;
+      operation.tags.filter(tag => !tags.includes(tag)).forEach(tag => tags.push(tag));
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Biscuit Quality Control System API',
+      version: pkg.version,
+      description: `${pkg.description}. Validation failures return 400 with one { field, message } entry per offending value.`
+    },
+    servers: [{ url: '/api' }],
+    tags: tags.map(name => ({ name })),
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token returned by POST /auth/login' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'qc_session' }
+      },
+      schemas,
+      responses: {
+        ValidationError: {
+          description: 'Validation failed',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string', example: 'Validation failed' },
+                  message: { type: 'string', example: 'Invalid input data' },
+                  details: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+                },
+                required: ['error']
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * The document for the router, built on first use (routes do not change at runtime)
+ */
+function getOpenApiDocument(router) {
+  if (!cachedDocument) cachedDocument = buildOpenApiDocument(router);
+  return cachedDocument;
+}
+
+module.exports = {
+  readRouteDocs,
+  ruleToSchema,
+  buildOpenApiDocument,
+  getOpenApiDocument
+};
@@ -0,0 +1,225 @@
+/**
+ * Parameter Series
+ * Numeric values of one inspection parameter across the reports matching the report filters
+ * (see report-filters.js), in production order, charted as one SPC chart (js/spc.js) whose
+ * limits continue across shifts. The parameter is a report_parameters.parameter_id: the
+ * parameter of a row (e.g. oven temperature, one value per time slot) or the table id of
+ * sample and SPC tables. Those ids repeat across sections and products, so a series is
+ * charted for one product and one section. X̄ charts use a table row of a report as the
+ * subgroup; I-MR charts every value.
+ */
+
+const db = require('../config/database');
+const reportFilters = require('./report-filters');
+const SPC = require('../js/spc');
+
+const MAX_VALUES = 10000;
+const MAX_PARAMETERS = 500;
+
+class ParameterSeriesError extends Error {
+  constructor(errors) {
+    super('Invalid series options');
+    this.name = 'ParameterSeriesError';
+    this.statusCode = 400;
+    this.details = { details: errors };
+  }
+}
+
+/**
+ * Chart options from query parameters: chart_type (default imr), subgroup_size, baseline_to,
+ * the last report date the limits are computed from, and section_id
+ */
+function parseSeriesOptions(query = {}) {
+  const options = { chart_type: query.chart_type || 'imr' };
+  const errors = [];
+
+  if (query.section_id !== undefined && String(query.section_id).trim() !== '') {
+    options.section_id = String(query.section_id).trim();
+  }
+
+  if (!SPC.CHART_TYPES.includes(options.chart_type)) {
+    errors.push({ field: 'chart_type', message: `Must be one of: ${SPC.CHART_TYPES.join(', ')}` });
+  }
+  if (query.subgroup_size !== undefined && query.subgroup_size !== '') {
+    const size = Number(query.subgroup_size);
+    if (Number.isInteger(size) && size >= 2 && size <= SPC.MAX_SUBGROUP_SIZE) {
+      options.subgroup_size = size;
+    } else {
+      errors.push({ field: 'subgroup_size', message: `Must be an integer from 2 to ${SPC.MAX_SUBGROUP_SIZE}` });
+    }
+  }
+  if (query.baseline_to !== undefined && query.baseline_to !== '') {
+    if (reportFilters.isValidDate(query.baseline_to)) {
+      options.baseline_to = query.baseline_to;
+    } else {
+      errors.push({ field: 'baseline_to', message: 'Must be a date in YYYY-MM-DD format' });
+    }
+  }
+
+  if (errors.length) throw new ParameterSeriesError(errors);
+  return options;
+}
+
+/**
+ * Parameters with numeric values in the reports matching the report filters, one per parameter
+ * and section, with their latest name and how many values and reports they have
+ */
+async function listParameters(query = {}) {
+  const filters = reportFilters.parseReportFilters(query);
+  const where = reportFilters.buildReportWhere(filters);
+  const result = await db.query(`
+    SELECT rp.parameter_id,
+           (array_agg(rp.parameter_name ORDER BY r.report_date DESC, r.created_at DESC))[1] AS parameter_name,
+           rp.section_id,
+           COUNT(*)::int AS value_count, COUNT(DISTINCT r.id)::int AS report_count,
+           MIN(r.report_date)::text AS first_date, MAX(r.report_date)::text AS last_date
+    FROM report_parameters rp
+    JOIN reports r ON r.id = rp.report_id
+    ${where.clause ? `${where.clause} AND` : 'WHERE'} rp.numeric_value IS NOT NULL
+    GROUP BY rp.parameter_id, rp.section_id
+    ORDER BY parameter_name ASC, rp.parameter_id ASC, rp.section_id ASC
+    LIMIT ${MAX_PARAMETERS}
+  `, where.values);
+  return { filters, parameters: result.rows };
+}
+
+// Subgroups of the values in production order: a report's table row for X̄ charts, each value for I-MR
+function buildSubgroups(rows, chartType) {
+  const subgroups = [];
+  let current = null;
+  rows.forEach(row => {
+    const key = `${row.report_id}|${row.row_index}`;
+    if (chartType === 'imr' || !current || current.key !== key) {
+      current = {
+        key,
+        report_id: row.report_id,
+        report_date: row.report_date,
+        shift: row.shift,
+        batch_no: row.batch_no,
+        production_line: row.production_line,
+        row_index: row.row_index,
+        time_slot: row.time_slot,
+        values: []
+      };
+      subgroups.push(current);
+    }
+    current.values.push(Number(row.numeric_value));
+  });
+  return subgroups.map(({ key, ...subgroup }, index) => ({ index, ...subgroup }));
+}
+
+// Most common subgroup length, the default subgroup size of X̄ charts
+function typicalSize(subgroups) {
+  const counts = new Map();
+  subgroups.forEach(subgroup => counts.set(subgroup.values.length, (counts.get(subgroup.values.length) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+}
+
+/**
+ * Section of the series: the section_id given, or the only section the parameter has values in
+ * for the matching reports. Throws ParameterSeriesError when that is not one product's values in
+ * one section, rather than charting unrelated values against shared limits.
+ */
+async function resolveSection(parameterId, filters, options) {
+  if (!filters.product_id) {
+    throw new ParameterSeriesError([{ field: 'product_id', message: 'Required: a parameter series is charted for one product' }]);
+  }
+  if (options.section_id) return options.section_id;
+
+  const where = reportFilters.buildReportWhere(filters, { startIndex: 2 });
+  const result = await db.query(`
+    SELECT DISTINCT rp.section_id
+    FROM report_parameters rp
+    JOIN reports r ON r.id = rp.report_id
+    ${where.clause ? `${where.clause} AND` : 'WHERE'} rp.parameter_id = $1 AND rp.numeric_value IS NOT NULL
+    ORDER BY rp.section_id
+  `, [parameterId, ...where.values]);
+
+  if (result.rows.length > 1) {
+    throw new ParameterSeriesError([{
+      field: 'section_id',
+      message: `Required: the parameter has values in sections ${result.rows.map(row => row.section_id).join(', ')}`
+    }]);
+  }
+  return result.rows.length ? result.rows[0].section_id : null;
+}
+
+/**
+ * Values of a parameter of one product and section across the matching reports as SPC
+ * subgroups with the control limits and rule violations over the whole series, and the
+ * subgroups and violations of each shift. product_id is required, section_id too when the
+ * parameter has values in more than one section. With baseline_to the limits come from the
+ * reports up to that date and carry on after it. At most MAX_VALUES values, the latest
+ * (truncated: true when older ones were left out).
+ */
+async function getParameterSeries(parameterId, query = {}) {
+  const filters = reportFilters.parseReportFilters(query);
+  const options = parseSeriesOptions(query);
+  const sectionId = await resolveSection(parameterId, filters, options);
+  const where = reportFilters.buildReportWhere(filters, { startIndex: 3 });
+
+  const result = await db.query(`
+    SELECT rp.parameter_name, rp.numeric_value, rp.row_index, rp.column_index, rp.time_slot,
+           r.id AS report_id, r.report_date::text AS report_date, r.shift, r.batch_no, r.production_line
+    FROM report_parameters rp
+    JOIN reports r ON r.id = rp.report_id
+    ${where.clause ? `${where.clause} AND` : 'WHERE'} rp.parameter_id = $1 AND rp.section_id = $2 AND rp.numeric_value IS NOT NULL
+    ORDER BY r.report_date DESC, r.shift DESC, r.created_at DESC, r.id DESC, rp.row_index DESC, rp.column_index DESC
+    LIMIT ${MAX_VALUES + 1}
+  `, [parameterId, sectionId, ...where.values]);
+
+  const truncated = result.rows.length > MAX_VALUES;
+  const rows = result.rows.slice(0, MAX_VALUES).reverse();
+  const subgroups = buildSubgroups(rows, options.chart_type);
+  const subgroupSize = options.chart_type === 'imr'
+    ? 1
+    : options.subgroup_size || (subgroups.length ? Math.max(typicalSize(subgroups), 2) : 2);
+
+  let baseline;
+  if (options.baseline_to) {
+    baseline = subgroups.filter(subgroup => subgroup.report_date <= options.baseline_to).length;
+    if (subgroups.length && !baseline) {
+      throw new ParameterSeriesError([{ field: 'baseline_to', message: 'No values on or before this date to compute the limits from' }]);
+    }
+  }
+
+  const analysis = SPC.analyze(options.chart_type, subgroups.map(subgroup => subgroup.values), { subgroupSize, baseline });
+
+  const shifts = [];
+  subgroups.forEach(subgroup => {
+    const last = shifts[shifts.length - 1];
+    if (last && last.report_date === subgroup.report_date && last.shift === subgroup.shift) {
+      last.last = subgroup.index;
+      last.subgroups++;
+    } else {
+      shifts.push({ report_date: subgroup.report_date, shift: subgroup.shift, first: subgroup.index, last: subgroup.index, subgroups: 1 });
+    }
+  });
+  shifts.forEach(shift => {
+    shift.violations = analysis.violations.filter(v => v.index >= shift.first && v.index <= shift.last).length;
+  });
+
+  return {
+    parameter_id: parameterId,
+    section_id: sectionId,
+    parameter_name: rows.length ? rows[rows.length - 1].parameter_name : null,
+    filters,
+    chart_type: analysis.type,
+    subgroup_size: analysis.subgroupSize,
+    baseline_to: options.baseline_to || null,
+    baseline_subgroups: analysis.baseline,
+    truncated,
+    sigma: analysis.sigma,
+    location: analysis.location,
+    dispersion: analysis.dispersion,
+    violations: analysis.violations,
+    subgroups,
+    shifts
+  };
+}
+
+module.exports = {
+  ParameterSeriesError,
+  listParameters,
+  getParameterSeries
+};
@@ -0,0 +1,281 @@
+/**
+ * PDF Text (Arabic-aware)
+ * Registers the Amiri font family used by the browser PDF exports and draws mixed
+ * Arabic/Latin text with PDFKit: text is split into script runs, each drawn with a font
+ * that covers it, and runs are placed in visual (bidi) order. Arabic letter shaping
+ * and reversal within a run are done by fontkit.
+ *
+ * PDF_FONT_REGULAR / PDF_FONT_BOLD may point to full TTF files (e.g. Amiri-Regular.ttf);
+ * otherwise the @fontsource/amiri Arabic and Latin subsets are used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FONT_DIR = path.join(path.dirname(require.resolve('@fontsource/amiri/LICENSE')), 'files');
+
+const ARABIC_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+const LTR_PATTERN = /[A-Za-z0-9\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF\u0660-\u0669\u06F0-\u06F9]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+// Font file per subset and weight
+const SUBSET_FILES = {
+  arabic: { normal: 'amiri-arabic-400-normal.woff', bold: 'amiri-arabic-700-normal.woff' },
+  latin: { normal: 'amiri-latin-400-normal.woff', bold: 'amiri-latin-700-normal.woff' },
+  'latin-ext': { normal: 'amiri-latin-ext-400-normal.woff', bold: 'amiri-latin-ext-700-normal.woff' }
+};
+
+function parseRanges(spec) {
+  return spec.split(',').map(part => {
+    const [start, end] = part.trim().replace(/^U\+/i, '').split('-');
+    return [parseInt(start, 16), parseInt(end || start, 16)];
+  });
+}
+
+let subsetRanges = null;
+function getSubsetRanges() {
+  if (!subsetRanges) {
+    const unicode = JSON.parse(fs.readFileSync(path.join(FONT_DIR, '../unicode.json'), 'utf8'));
+    subsetRanges = Object.keys(SUBSET_FILES).map(subset => ({ subset, ranges: parseRanges(unicode[subset]) }));
+  }
+  return subsetRanges;
+}
+
+function customFonts() {
+  const regular = process.env.PDF_FONT_REGULAR;
+  return regular ? { normal: regular, bold: process.env.PDF_FONT_BOLD || regular } : null;
+}
+
+/**
+ * Register the fonts on a PDFKit document and select the regular face
+ */
+function registerFonts(doc) {
+  const custom = customFonts();
+  if (custom) {
+    doc.registerFont('qc-full-normal', custom.normal);
+    doc.registerFont('qc-full-bold', custom.bold);
+  } else {
+    Object.entries(SUBSET_FILES).forEach(([subset, files]) => {
+      doc.registerFont(`qc-${subset}-normal`, path.join(FONT_DIR, files.normal));
+      doc.registerFont(`qc-${subset}-bold`, path.join(FONT_DIR, files.bold));
+    });
+  }
+  doc.font(fontName(' ', false));
+}
+
+function subsetFor(char) {
+  const code = char.codePointAt(0);
+  const match = getSubsetRanges().find(({ ranges }) => ranges.some(([start, end]) => code >= start && code <= end));
+  return match ? match.subset : 'latin';
+}
+
+function fontName(char, bold) {
+  const weight = bold ? 'bold' : 'normal';
+  return customFonts() ? `qc-full-${weight}` : `qc-${subsetFor(char)}-${weight}`;
+}
+
+function containsArabic(text) {
+  return ARABIC_PATTERN.test(String(text || ''));
+}
+
+function charDirection(char) {
+  // Digits (including Arabic-Indic) are laid out left to right
+  if (LTR_PATTERN.test(char)) return 'L';
+  if (ARABIC_PATTERN.test(char)) return 'R';
+  return 'N';
+}
+
+const OPENING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Give matching brackets one direction (simplified bidi rule N0): the paragraph's when it
+ * occurs inside them, otherwise the direction inside, e.g. "(g)" after a Latin word stays LTR
+ */
+function resolveBracketPairs(chars, dirs, base) {
+  const stack = [];
+  chars.forEach((char, index) => {
+    if (Object.values(OPENING_BRACKETS).includes(char)) {
+      stack.push(index);
+      return;
+    }
+    const opening = OPENING_BRACKETS[char];
+    if (!opening) return;
+    const match = stack.map(i => chars[i]).lastIndexOf(opening);
+    if (match === -1) return;
+    const open = stack[match];
+    stack.length = match;
+
+    const inside = dirs.slice(open + 1, index).filter(d => d !== 'N');
+    if (!inside.length) return;
+    let dir = base;
+    if (!inside.includes(base)) {
+      const before = dirs.slice(0, open).reverse().find(d => d !== 'N') || base;
+      dir = before === base ? base : inside[0];
+    }
+    dirs[open] = dir;
+    dirs[index] = dir;
+  });
+}
+
+/**
+ * Paragraph direction: that of the first strong character
+ */
+function baseDirection(text) {
+  const firstStrong = Array.from(String(text || '')).map(charDirection).find(d => d !== 'N');
+  return firstStrong === 'R' ? 'R' : 'L';
+}
+
+/**
+ * Split one line into runs in visual order: [{ text, font }].
+ * `base` is the paragraph direction, so wrapped lines keep the direction of their paragraph.
+ */
+function visualRuns(line, bold, base = baseDirection(line)) {
+  const chars = Array.from(line);
+  if (!chars.length) return [];
+
+  const dirs = chars.map(charDirection);
+
+  resolveBracketPairs(chars, dirs, base);
+
+  // Neutrals take the direction of their surroundings when both sides agree, else the paragraph's
+  for (let i = 0; i < dirs.length; i++) {
+    if (dirs[i] !== 'N') continue;
+    let j = i;
+    while (j < dirs.length && dirs[j] === 'N') j++;
+    const before = i > 0 ? dirs[i - 1] : base;
+    const after = j < dirs.length ? dirs[j] : base;
+    const resolved = before === after ? before : base;
+    for (let k = i; k < j; k++) dirs[k] = resolved;
+    i = j - 1;
+  }
+
+  // Directional segments, each made of runs sharing a font
+  const segments = [];
+  chars.forEach((char, index) => {
+    const dir = dirs[index];
+    const font = fontName(char, bold);
+    let segment = segments[segments.length - 1];
+    if (!segment || segment.dir !== dir) {
+      segment = { dir, runs: [] };
+      segments.push(segment);
+    }
+    const run = segment.runs[segment.runs.length - 1];
+    if (run && run.font === font) {
+      run.text += char;
+    } else {
+      segment.runs.push({ text: char, font });
+    }
+  });
+
+  const ordered = base === 'R' ? segments.reverse() : segments;
+  return ordered.flatMap(segment => {
+    if (segment.dir === 'L') {
+      // fontkit reverses runs in Arabic script (e.g. Arabic-Indic digits); pre-reverse to keep them LTR
+      return segment.runs.map(run => (containsArabicScript(run.text)
+        ? { ...run, text: Array.from(run.text).reverse().join('') }
+        : run));
+    }
+    // RTL: runs right to left; Arabic runs are reversed by fontkit, the rest here
+    return segment.runs.reverse().map(run => (containsArabicScript(run.text)
+      ? run
+      : { ...run, text: Array.from(run.text).reverse().map(c => MIRRORED[c] || c).join('') }));
+  });
+}
+
+function containsArabicScript(text) {
+  return /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFC]/.test(text);
+}
+
+function runsWidth(doc, runs, size) {
+  return runs.reduce((sum, run) => sum + doc.font(run.font).fontSize(size).widthOfString(run.text), 0);
+}
+
+function lineWidth(doc, line, { bold = false, size = 9 } = {}) {
+  return runsWidth(doc, visualRuns(line, bold), size);
+}
+
+/**
+ * Word-wrap text to `width` (logical order) into [{ text, base }].
+ * Words wider than the line are broken by character.
+ */
+function wrapLines(doc, text, { width, bold = false, size = 9 } = {}) {
+  const lines = [];
+  String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+    const base = baseDirection(paragraph);
+    const push = line => lines.push({ text: line, base });
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    if (!words.length) {
+      push('');
+      return;
+    }
+    let current = '';
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (!width || lineWidth(doc, candidate, { bold, size }) <= width) {
+        current = candidate;
+        return;
+      }
+      if (current) push(current);
+      current = '';
+      // Break an overlong word
+      let piece = '';
+      Array.from(word).forEach(char => {
+        if (piece && lineWidth(doc, piece + char, { bold, size }) > width) {
+          push(piece);
+          piece = '';
+        }
+        piece += char;
+      });
+      current = piece;
+    });
+    if (current) push(current);
+  });
+  return lines;
+}
+
+function lineHeight(size, lineGap = 2) {
+  return size * 1.25 + lineGap;
+}
+
+/**
+ * Height `text` needs when drawn with drawText and the same options
+ */
+function measureText(doc, text, options = {}) {
+  const { size = 9, lineGap = 2 } = options;
+  return wrapLines(doc, text, options).length * lineHeight(size, lineGap);
+}
+
+/**
+ * Draw wrapped text at (x, y). `align` defaults to right for right-to-left text and left otherwise.
+ * Returns the height used.
+ */
+function drawText(doc, text, x, y, options = {}) {
+  const { width, bold = false, size = 9, lineGap = 2, color = '#111827' } = options;
+  const align = options.align || (baseDirection(text) === 'R' ? 'right' : 'left');
+  const lines = wrapLines(doc, text, options);
+  const height = lineHeight(size, lineGap);
+
+  doc.fillColor(color);
+  lines.forEach((line, index) => {
+    const runs = visualRuns(line.text, bold, line.base);
+    const total = runsWidth(doc, runs, size);
+    let cursor = x;
+    if (width && align === 'right') cursor = x + width - total;
+    if (width && align === 'center') cursor = x + (width - total) / 2;
+    runs.forEach(run => {
+      doc.font(run.font).fontSize(size).text(run.text, cursor, y + index * height, { lineBreak: false });
+      cursor += doc.widthOfString(run.text);
+    });
+  });
+  return lines.length * height;
+}
+
+module.exports = {
+  registerFonts,
+  containsArabic,
+  visualRuns,
+  wrapLines,
+  lineWidth,
+  measureText,
+  drawText
+};
@@ -0,0 +1,558 @@
+/**
+ * Product Revisions
+ * Immutable, numbered snapshots of a product's configuration: the product row, its custom
+ * variables, sections with parameters and limits, and the inspection form as edited in the
+ * product modal. Each revision takes effect from effective_from; reports are pinned to the
+ * revision in effect on their report_date so they always render against the limits of that day.
+ *
+ * Specification changes are requested as pending revisions with a change reason and only take
+ * effect once a QA manager approves them; only approved revisions are ever in effect. Approval
+ * writes the requested columns and form sections to the product and records the configuration
+ * as it then stands, so the revision in effect is the one reports are scored against.
+ */
+
+const db = require('../config/database');
+const SpecLimits = require('../js/spec-limits');
+const { diffValues } = require('./revision-history');
+
+const REVISION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Product columns that are part of the specification: changing them needs approval
+const SPEC_COLUMNS = [
+  'standard_weight', 'weight_tolerance_min', 'weight_tolerance_max',
+  'temperature_min', 'temperature_max', 'humidity_min', 'humidity_max',
+  'aql_level', 'inspection_level', 'scoring_weights'
+];
+
+// Bookkeeping fields that change without the configuration changing
+const VOLATILE_FIELDS = new Set(['created_at', 'updated_at']);
+
+class ProductRevisionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductRevisionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// JSON text with sorted keys and without volatile fields, for change detection
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => !VOLATILE_FIELDS.has(key) && value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// DECIMAL columns come back as strings ("185.00"), submitted values as numbers
+function sameValue(a, b) {
+  const numberA = typeof a === 'string' && a.trim() !== '' ? Number(a) : a;
+  const numberB = typeof b === 'string' && b.trim() !== '' ? Number(b) : b;
+  if (typeof numberA === 'number' && typeof numberB === 'number') return numberA === numberB;
+  return canonical(a ?? null) === canonical(b ?? null);
+}
+
+/**
+ * Specification columns of a product update whose value actually changes
+ */
+function specChanges(current, updates) {
+  return SPEC_COLUMNS.reduce((changes, column) => {
+    if (updates[column] !== undefined && !sameValue(current[column], updates[column])) {
+      changes[column] = updates[column];
+    }
+    return changes;
+  }, {});
+}
+
+// What a configuration change touches, for reviewers
+function changeArea(path) {
+  if (/recipe/i.test(path)) return 'recipe';
+  if (/(^|\.)(limits|validation_rule|spec|min|max|lsl|usl|target)\b|tolerance|temperature_|humidity_|standard_?weight|scoring_weights|aql/i.test(path)) {
+    return 'limits';
+  }
+  if (/parameters/.test(path)) return 'parameters';
+  if (/sections|tables/.test(path)) return 'sections';
+  return 'product';
+}
+
+/**
+ * Diff of two revision configurations: { changes: [{ path, type, old, new, area }], summary: { area: count } }
+ */
+function diffConfigurations(before, after) {
+  const changes = diffValues(before || {}, after || {})
+    .filter(change => !VOLATILE_FIELDS.has(change.path.split('.').pop()))
+    .map(change => ({ ...change, area: changeArea(change.path) }));
+  const summary = changes.reduce((counts, change) => {
+    counts[change.area] = (counts[change.area] || 0) + 1;
+    return counts;
+  }, {});
+  return { changes, summary };
+}
+
+const REVISION_COLUMNS = `
+  pr.id, pr.product_id, pr.revision_number, pr.effective_from, pr.change_reason, pr.status,
+  pr.created_at, pr.created_by, pr.reviewed_by, pr.reviewed_at, pr.review_note
+`;
+
+// Latest approved revision: the configuration currently in effect or scheduled. A revision
+// approved after a newer one was recorded takes effect later, so effective_from decides.
+async function latestRevision(client, productId) {
+  const result = await client.query(`
+    SELECT * FROM product_revisions
+    WHERE product_id = $1 AND status = 'approved'
+    ORDER BY effective_from DESC, revision_number DESC
+    LIMIT 1
+  `, [productId]);
+  return result.rows[0] || null;
+}
+
+// Stored validation_rule of a form parameter: its structured spec, or null without limits
+function formParameterRule(param) {
+  const spec = SpecLimits.fromParameter(param);
+  if (!spec || (spec.kind === 'text' && !spec.limits && !spec.components)) return null;
+  return spec;
+}
+
+/**
+ * Sections and parameters of an inspection form (the product modal's { sections: { id: { name,
+ * type, tables } } }) in the shape of product_sections / product_parameters rows. Parameters
+ * come from the form's tables; their ids are the parameter_id of the values reports save.
+ */
+function formSections(form) {
+  return Object.entries((form && form.sections) || {}).map(([sectionId, section], sectionIndex) => {
+    const parameters = [];
+    const seen = new Set();
+    (section.tables || []).forEach(table => {
+      (table.parameters || []).forEach(param => {
+        const parameterId = param && String(param.id || param.name || '').trim();
+        if (!parameterId || seen.has(parameterId)) return;
+        seen.add(parameterId);
+        parameters.push({
+          parameter_id: parameterId,
+          parameter_name: param.name || parameterId,
+          parameter_type: param.type || 'text',
+          validation_rule: formParameterRule(param),
+          calculation_formula: param.calculation || null,
+          order_index: parameters.length,
+          is_required: false
+        });
+      });
+    });
+    return {
+      section_id: sectionId,
+      section_name: section.name || sectionId,
+      section_type: section.type || 'quality_control',
+      order_index: sectionIndex,
+      parameters
+    };
+  });
+}
+
+/**
+ * Replace the sections and parameters of a product inside the caller's transaction
+ */
+async function writeSections(client, productId, sections) {
+  await client.query('DELETE FROM product_sections WHERE product_id = $1', [productId]);
+
+  for (const section of sections || []) {
+    const sectionResult = await client.query(`
+      INSERT INTO product_sections (product_id, section_id, section_name, section_type, order_index)
+      VALUES ($1, $2, $3, $4, $5) RETURNING id
+    `, [productId, section.section_id, section.section_name, section.section_type, section.order_index]);
+
+    const sectionUuid = sectionResult.rows[0].id;
+
+    for (const parameter of section.parameters || []) {
+      await client.query(`
+        INSERT INTO product_parameters (
+          section_id, parameter_id, parameter_name, parameter_type,
+          default_value, validation_rule, calculation_formula, order_index,
+          is_required
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        sectionUuid, parameter.parameter_id, parameter.parameter_name,
+        parameter.parameter_type, parameter.default_value,
+        JSON.stringify(parameter.validation_rule),
+        JSON.stringify(parameter.calculation_formula),
+        parameter.order_index, parameter.is_required
+      ]);
+    }
+  }
+}
+
+/**
+ * Current configuration of a product: { product, customVariables, sections: [{ section, parameters }], form }.
+ * Without a form, the form of the latest approved revision is carried forward; productChanges
+ * are proposed column values laid over the product row, and sectionChanges (as submitted to
+ * PUT /products/:id) proposed sections in place of the product's.
+ */
+async function snapshotProduct(client, productId, form, productChanges = {}, sectionChanges = null) {
+  const productResult = await client.query('SELECT * FROM products WHERE id = $1', [productId]);
+  if (!productResult.rows.length) {
+    throw new ProductRevisionError('Product not found', 404);
+  }
+
+  const [customVariables, sections, parameters] = await Promise.all([
+    client.query('SELECT * FROM product_custom_variables WHERE product_id = $1 ORDER BY created_at ASC', [productId]),
+    client.query('SELECT * FROM product_sections WHERE product_id = $1 ORDER BY order_index ASC', [productId]),
+    client.query(`
+      SELECT pp.* FROM product_parameters pp
+      JOIN product_sections ps ON ps.id = pp.section_id
+      WHERE ps.product_id = $1
+      ORDER BY pp.order_index ASC
+    `, [productId])
+  ]);
+
+  if (form === undefined) {
+    const latest = await latestRevision(client, productId);
+    form = latest ? latest.configuration.form : null;
+  }
+
+  // Round-trip through JSON so dates are stored and compared as strings
+  return JSON.parse(JSON.stringify({
+    product: { ...productResult.rows[0], ...productChanges },
+    customVariables: customVariables.rows,
+    sections: sectionChanges
+      ? sectionRows(sectionChanges).map(({ parameters: sectionParameters, ...section }) => ({ section, parameters: sectionParameters }))
+      : sections.rows.map(section => ({
+        section,
+        parameters: parameters.rows.filter(parameter => parameter.section_id === section.id)
+      })),
+    form: form === undefined ? null : form
+  }));
+}
+
+// Sections ({ section, parameters } of a snapshot, or as submitted) reduced to what they
+// specify, with the column defaults for omitted fields
+function sectionRows(sections) {
+  const value = (field, fallback = null) => (field === undefined || field === null ? fallback : field);
+  return (sections || []).map(entry => {
+    const section = entry.section || entry;
+    return {
+      section_id: section.section_id,
+      section_name: section.section_name,
+      section_type: value(section.section_type, 'quality_control'),
+      order_index: value(section.order_index, 0),
+      parameters: (entry.parameters || []).map(parameter => ({
+        parameter_id: parameter.parameter_id,
+        parameter_name: parameter.parameter_name,
+        parameter_type: value(parameter.parameter_type, 'text'),
+        default_value: value(parameter.default_value),
+        validation_rule: value(parameter.validation_rule),
+        calculation_formula: value(parameter.calculation_formula),
+        order_index: value(parameter.order_index, 0),
+        is_required: value(parameter.is_required, false)
+      }))
+    };
+  });
+}
+
+/**
+ * Submitted sections when they differ from the product's current sections, else null
+ */
+async function changedSections(client, productId, sections) {
+  if (sections === undefined) return null;
+  const current = await snapshotProduct(client, productId, null);
+  return canonical(sectionRows(current.sections)) === canonical(sectionRows(sections)) ? null : sections;
+}
+
+/**
+ * Record the product's configuration as a new revision: approved (in effect from effectiveFrom)
+ * or pending a QA manager's review. When nothing changed since the latest approved revision and
+ * no effective date is given, that revision is returned instead. Returns { revision, created }.
+ */
+async function createRevision(client, productId, { form, productChanges, sectionChanges, effectiveFrom, changeReason, status = 'approved' } = {}, user) {
+  // Serialize revision numbering per product
+  await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+
+  const configuration = await snapshotProduct(client, productId, form, productChanges, sectionChanges);
+  const latest = await latestRevision(client, productId);
+
+  if (latest && !effectiveFrom && canonical(latest.configuration) === canonical(configuration)) {
+    return { revision: latest, created: false };
+  }
+
+  if (status === 'pending') {
+    const open = await client.query(
+      "SELECT revision_number FROM product_revisions WHERE product_id = $1 AND status = 'pending'",
+      [productId]
+    );
+    if (open.rows.length) {
+      throw new ProductRevisionError(
+        `Revision ${open.rows[0].revision_number} of this product is still awaiting approval`, 409
+      );
+    }
+  }
+
+  const result = await client.query(`
+    INSERT INTO product_revisions (
+      product_id, revision_number, effective_from, configuration, change_reason, status, created_by
+    ) VALUES (
+      $1, (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM product_revisions WHERE product_id = $1),
+      COALESCE($2::timestamptz, CURRENT_TIMESTAMP), $3, $4, $5, $6
+    )
+    RETURNING *
+  `, [
+    productId, effectiveFrom || null, JSON.stringify(configuration),
+    changeReason || null, status, user ? user.username : null
+  ]);
+
+  return { revision: result.rows[0], created: true };
+}
+
+/**
+ * Approve or reject a pending revision. Rejections need a note, and the user who requested the
+ * change cannot approve it. An approved revision takes
+ * effect from its requested effective date or the moment of approval, whichever is later. What
+ * it changed against the approved revision it was requested on (specification columns, and the
+ * form or the sections with their parameters) is written to the product, and its configuration is
+ * snapshotted again, so changes approved while it was pending are kept rather than reverted.
+ */
+async function reviewRevision(client, productId, revisionNumber, action, { note } = {}, user) {
+  const number = parseRevisionNumber(revisionNumber);
+  const current = await client.query(
+    'SELECT * FROM product_revisions WHERE product_id = $1 AND revision_number = $2 FOR UPDATE',
+    [productId, number]
+  );
+  const revision = current.rows[0];
+
+  if (!revision) {
+    throw new ProductRevisionError(`Revision ${number} not found`, 404);
+  }
+  if (revision.status !== 'pending') {
+    throw new ProductRevisionError(`Revision ${number} is already ${revision.status}`, 409);
+  }
+  if (action === 'reject' && !note) {
+    throw new ProductRevisionError('A review note is required to reject a change');
+  }
+  // Four eyes: whoever requested a change cannot approve it
+  if (action === 'approve' && revision.created_by && user && revision.created_by === user.username) {
+    throw new ProductRevisionError('A change cannot be approved by the user who requested it', 403);
+  }
+
+  const status = action === 'approve' ? 'approved' : 'rejected';
+  const configuration = status === 'approved'
+    ? await applyRevision(client, productId, revision)
+    : revision.configuration;
+
+  const result = await client.query(`
+    UPDATE product_revisions
+    SET status = $2,
+        reviewed_by = $3,
+        reviewed_at = CURRENT_TIMESTAMP,
+        review_note = $4,
+        configuration = $5,
+        effective_from = CASE WHEN $2 = 'approved' THEN GREATEST(effective_from, CURRENT_TIMESTAMP) ELSE effective_from END
+    WHERE id = $1
+    RETURNING *
+  `, [revision.id, status, user ? user.username : null, note || null, JSON.stringify(configuration)]);
+
+  return result.rows[0];
+}
+
+// Write a pending revision's changes to the product; returns the configuration they result in
+async function applyRevision(client, productId, revision) {
+  const product = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [productId]);
+  const base = await client.query(`
+    SELECT configuration FROM product_revisions
+    WHERE product_id = $1 AND status = 'approved' AND revision_number < $2
+    ORDER BY revision_number DESC
+    LIMIT 1
+  `, [productId, revision.revision_number]);
+  const requested = revision.configuration;
+  const requestedOn = base.rows[0] ? base.rows[0].configuration : null;
+
+  // Columns the request changed, applied where the product differs now
+  const changed = specChanges(requestedOn ? requestedOn.product || {} : {}, requested.product || {});
+  const changes = specChanges(product.rows[0], changed);
+  const columns = Object.keys(changes);
+  if (columns.length) {
+    await client.query(`
+      UPDATE products
+      SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [productId, ...columns.map(column => changes[column])]);
+  }
+
+  const formChanged = Boolean(requested.form) &&
+    canonical(requested.form) !== canonical(requestedOn ? requestedOn.form : null);
+  if (formChanged) {
+    await writeSections(client, productId, formSections(requested.form));
+  } else if (canonical(sectionRows(requested.sections)) !== canonical(sectionRows(requestedOn ? requestedOn.sections : []))) {
+    await writeSections(client, productId, sectionRows(requested.sections));
+  }
+
+  return snapshotProduct(client, productId, formChanged ? requested.form : undefined);
+}
+
+/**
+ * Approved revision in effect for a product on a report date: the latest one effective by the
+ * end of that day, or the earliest one for dates before it. A product without revisions gets
+ * its first revision from the current configuration.
+ */
+async function resolveRevisionId(client, productId, reportDate) {
+  const result = await client.query(`
+    SELECT id FROM product_revisions
+    WHERE product_id = $1 AND status = 'approved'
+    -- Revisions effective by the end of the day, latest first; otherwise the earliest revision
+    ORDER BY (effective_from < COALESCE($2::date, CURRENT_DATE) + 1) DESC,
+             CASE WHEN effective_from < COALESCE($2::date, CURRENT_DATE) + 1 THEN effective_from END DESC,
+             effective_from ASC,
+             revision_number DESC
+    LIMIT 1
+  `, [productId, reportDate || null]);
+
+  if (result.rows.length) {
+    return result.rows[0].id;
+  }
+
+  const { revision } = await createRevision(client, productId, { changeReason: 'Initial revision' });
+  return revision.id;
+}
+
+// Approved revisions end when the next approved revision takes over
+const EFFECTIVE_TO = `
+  CASE WHEN pr.status = 'approved' THEN (
+    SELECT MIN(next.effective_from) FROM product_revisions next
+    WHERE next.product_id = pr.product_id AND next.status = 'approved'
+      AND (next.effective_from, next.revision_number) > (pr.effective_from, pr.revision_number)
+  ) END
+`;
+
+/**
+ * Revisions of a product, newest first, without their configuration. effective_to is when
+ * the next approved revision took over (null for the current one and for unapproved ones).
+ */
+async function listRevisions(productId) {
+  const result = await db.query(`
+    SELECT ${REVISION_COLUMNS},
+           ${EFFECTIVE_TO} AS effective_to,
+           (SELECT COUNT(*) FROM reports r WHERE r.product_revision_id = pr.id) AS reports_count
+    FROM product_revisions pr
+    WHERE pr.product_id = $1
+    ORDER BY pr.revision_number DESC
+  `, [productId]);
+
+  return result.rows.map(row => ({ ...row, reports_count: parseInt(row.reports_count, 10) }));
+}
+
+/**
+ * Revisions across products, newest first, with the product name and code: the approval queue
+ * (status=pending) and history. With current, only the approved revision in effect now for
+ * each product is returned, with its configuration.
+ */
+async function listAllRevisions({ status, productId, current = false, limit = 50, offset = 0 } = {}) {
+  if (status && !REVISION_STATUSES.includes(status)) {
+    throw new ProductRevisionError(`status must be one of: ${REVISION_STATUSES.join(', ')}`);
+  }
+
+  const conditions = [];
+  const values = [];
+  if (current) {
+    conditions.push(`pr.id = (
+      SELECT latest.id FROM product_revisions latest
+      WHERE latest.product_id = pr.product_id AND latest.status = 'approved'
+        AND latest.effective_from <= CURRENT_TIMESTAMP
+      ORDER BY latest.effective_from DESC, latest.revision_number DESC
+      LIMIT 1
+    )`);
+  } else if (status) {
+    values.push(status);
+    conditions.push(`pr.status = $${values.length}`);
+  }
+  if (productId) {
+    values.push(productId);
+    conditions.push(`pr.product_id = $${values.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [result, count] = await Promise.all([
+    db.query(`
+      SELECT ${REVISION_COLUMNS}, ${current ? 'pr.configuration,' : ''}
+             p.name AS product_name, p.product_id AS product_code
+      FROM product_revisions pr
+      JOIN products p ON p.id = pr.product_id
+      ${where}
+      ORDER BY pr.created_at DESC, pr.revision_number DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]),
+    db.query(`SELECT COUNT(*) AS total FROM product_revisions pr ${where}`, values)
+  ]);
+
+  return { revisions: result.rows, total: parseInt(count.rows[0].total, 10) };
+}
+
+function parseRevisionNumber(revisionNumber) {
+  const number = parseInt(revisionNumber, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ProductRevisionError('Revision must be a positive integer');
+  }
+  return number;
+}
+
+/**
+ * One revision of a product with its full configuration, and the diff against the approved
+ * revision before it (base_revision_number, changes, change_summary)
+ */
+async function getRevision(productId, revisionNumber) {
+  const number = parseRevisionNumber(revisionNumber);
+
+  const result = await db.query(
+    'SELECT * FROM product_revisions WHERE product_id = $1 AND revision_number = $2',
+    [productId, number]
+  );
+  if (!result.rows.length) {
+    throw new ProductRevisionError(`Revision ${number} not found`, 404);
+  }
+  const revision = result.rows[0];
+
+  const base = await db.query(`
+    SELECT revision_number, configuration FROM product_revisions
+    WHERE product_id = $1 AND status = 'approved' AND revision_number < $2
+    ORDER BY revision_number DESC
+    LIMIT 1
+  `, [productId, number]);
+  const baseRevision = base.rows[0] || null;
+  const { changes, summary } = baseRevision
+    ? diffConfigurations(baseRevision.configuration, revision.configuration)
+    : { changes: [], summary: {} };
+
+  return {
+    ...revision,
+    base_revision_number: baseRevision ? baseRevision.revision_number : null,
+    change_summary: summary,
+    changes
+  };
+}
+
+/**
+ * Revision a report is pinned to, with its configuration, or null
+ */
+async function getRevisionById(revisionId) {
+  if (!revisionId) return null;
+  const result = await db.query('SELECT * FROM product_revisions WHERE id = $1', [revisionId]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REVISION_STATUSES,
+  SPEC_COLUMNS,
+  ProductRevisionError,
+  specChanges,
+  diffConfigurations,
+  snapshotProduct,
+  formSections,
+  writeSections,
+  changedSections,
+  createRevision,
+  reviewRevision,
+  resolveRevisionId,
+  listRevisions,
+  listAllRevisions,
+  getRevision,
+  getRevisionById
+};
@@ -0,0 +1,242 @@
+/**
+ * Report Contents
+ * Writes a report's sections, parameters and pallets (report_sections, report_parameters,
+ * report_pallets) inside the caller's transaction. Saved rows are diffed against the
+ * incoming ones by their natural key, so only changed rows are inserted, updated or deleted.
+ * Also derives the report totals that report_aggregates is built from.
+ */
+
+const { ValidationError } = require('../middleware/validation');
+
+// Child collections of a report, keyed as the form identifies them
+const REPORT_CONTENTS = {
+  sections: {
+    table: 'report_sections',
+    key: ['section_id'],
+    columns: ['section_id', 'section_name', 'section_data', 'notes']
+  },
+  parameters: {
+    table: 'report_parameters',
+    // One value per cell: hourly parameters repeat per time slot, table parameters per row/column
+    key: ['section_id', 'parameter_id', 'time_slot', 'column_index', 'row_index'],
+    columns: [
+      'section_id', 'parameter_id', 'parameter_name', 'value', 'numeric_value',
+      'time_slot', 'column_index', 'row_index'
+    ]
+  },
+  pallets: {
+    table: 'report_pallets',
+    key: ['pallet_number'],
+    columns: ['pallet_number', 'start_time', 'end_time', 'cartons_count', 'weight', 'status', 'notes']
+  }
+};
+
+const JSON_COLUMNS = new Set(['section_data']);
+const NUMERIC_COLUMNS = new Set(['numeric_value', 'column_index', 'row_index', 'pallet_number', 'cartons_count', 'weight']);
+const TIME_COLUMNS = new Set(['start_time', 'end_time']);
+
+// Stable JSON text, so JSONB (which reorders keys) compares equal to the submitted object
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Comparable form of a column value: pg returns DECIMAL as text and TIME with seconds
+ */
+function normalizeValue(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (JSON_COLUMNS.has(column)) return canonicalJson(value);
+  if (NUMERIC_COLUMNS.has(column)) return Number(value);
+  if (TIME_COLUMNS.has(column)) return String(value).length === 5 ? `${value}:00` : String(value);
+  return String(value);
+}
+
+const rowKey = (spec, row) => JSON.stringify(spec.key.map(column => normalizeValue(column, row[column])));
+
+const columnValue = (column, value) => {
+  if (value === undefined) return null;
+  return JSON_COLUMNS.has(column) && value !== null ? JSON.stringify(value) : value;
+};
+
+/**
+ * Reject collections that name the same row twice, e.g. two pallets numbered 3
+ */
+function assertUniqueKeys(contents) {
+  const errors = [];
+
+  Object.entries(REPORT_CONTENTS).forEach(([name, spec]) => {
+    const seen = new Map();
+    (contents[name] || []).forEach((row, index) => {
+      const key = rowKey(spec, row);
+      if (seen.has(key)) {
+        const field = `${name}[${index}].${spec.key[spec.key.length === 1 ? 0 : 1]}`;
+        errors.push({ field, message: `${field} duplicates ${name}[${seen.get(key)}]` });
+      } else {
+        seen.set(key, index);
+      }
+    });
+  });
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+}
+
+async function applyCollection(client, reportId, spec, rows) {
+  const summary = { inserted: 0, updated: 0, deleted: 0, unchanged: 0 };
+  const saved = await client.query(`SELECT * FROM ${spec.table} WHERE report_id = $1`, [reportId]);
+
+  const savedByKey = new Map();
+  const stale = [];
+  saved.rows.forEach(row => {
+    const key = rowKey(spec, row);
+    // Older reports may hold the same cell twice; only the first copy is kept
+    if (savedByKey.has(key)) stale.push(row.id);
+    else savedByKey.set(key, row);
+  });
+
+  for (const row of rows) {
+    const key = rowKey(spec, row);
+    const existing = savedByKey.get(key);
+
+    if (!existing) {
+      const placeholders = spec.columns.map((column, index) => `$${index + 2}`);
+      await client.query(`
+        INSERT INTO ${spec.table} (report_id, ${spec.columns.join(', ')})
+        VALUES ($1, ${placeholders.join(', ')})
+      `, [reportId, ...spec.columns.map(column => columnValue(column, row[column]))]);
+      summary.inserted++;
+      continue;
+    }
+
+    savedByKey.delete(key);
+    const changed = spec.columns.filter(column => normalizeValue(column, existing[column]) !== normalizeValue(column, row[column]));
+
+    if (!changed.length) {
+      summary.unchanged++;
+      continue;
+    }
+
+    await client.query(`
+      UPDATE ${spec.table}
+      SET ${changed.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+      WHERE id = $1
+    `, [existing.id, ...changed.map(column => columnValue(column, row[column]))]);
+    summary.updated++;
+  }
+
+  stale.push(...[...savedByKey.values()].map(row => row.id));
+  if (stale.length) {
+    await client.query(`DELETE FROM ${spec.table} WHERE id = ANY($1::uuid[])`, [stale]);
+    summary.deleted = stale.length;
+  }
+
+  return summary;
+}
+
+/**
+ * Make the report's saved sections, parameters and pallets match `contents`.
+ * Collections left undefined are not touched (partial updates); an empty array clears one.
+ * Returns per-collection counts of inserted, updated, deleted and unchanged rows.
+ */
+async function applyReportContents(client, reportId, contents) {
+  assertUniqueKeys(contents);
+
+  const summary = {};
+  for (const [name, spec] of Object.entries(REPORT_CONTENTS)) {
+    if (contents[name] !== undefined) {
+      summary[name] = await applyCollection(client, reportId, spec, contents[name]);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Saved sections, parameters and pallets of a report, in form order
+ */
+async function loadReportContents(client, reportId) {
+  const [sections, parameters, pallets] = await Promise.all([
+    client.query('SELECT * FROM report_sections WHERE report_id = $1 ORDER BY created_at, section_id', [reportId]),
+    client.query(`
+      SELECT * FROM report_parameters
+      WHERE report_id = $1
+      ORDER BY section_id, parameter_id, time_slot NULLS FIRST, row_index NULLS FIRST, column_index NULLS FIRST
+    `, [reportId]),
+    client.query('SELECT * FROM report_pallets WHERE report_id = $1 ORDER BY pallet_number', [reportId])
+  ]);
+
+  return { sections: sections.rows, parameters: parameters.rows, pallets: pallets.rows };
+}
+
+/**
+ * Report totals derived from its pallets: every carton counts as inspected and the
+ * cartons of rejected pallets as defective. Null when no pallet has a carton count.
+ */
+function summarizePallets(pallets) {
+  const counted = (pallets || []).filter(pallet => pallet.cartons_count !== undefined && pallet.cartons_count !== null);
+  if (!counted.length) return null;
+
+  const totalInspected = counted.reduce((sum, pallet) => sum + Number(pallet.cartons_count), 0);
+  const defects = counted
+    .filter(pallet => pallet.status === 'rejected')
+    .reduce((sum, pallet) => sum + Number(pallet.cartons_count), 0);
+
+  return {
+    total_inspected: totalInspected,
+    defects_count: defects,
+    pass_rate: totalInspected ? Math.round(((totalInspected - defects) / totalInspected) * 10000) / 100 : null
+  };
+}
+
+/**
+ * Fill defects_count, total_inspected and pass_rate from the pallets being saved,
+ * unless the request supplies them itself
+ */
+function deriveReportTotals(reportData, pallets) {
+  if (pallets === undefined) return reportData;
+
+  const totals = summarizePallets(pallets);
+  if (!totals) return reportData;
+
+  const derived = { ...reportData };
+  Object.entries(totals).forEach(([column, value]) => {
+    if (derived[column] === undefined || derived[column] === null) derived[column] = value;
+  });
+  return derived;
+}
+
+/**
+ * trigger_auto_update_aggregates recomputes the daily aggregate of a report's current product
+ * and date only. When an update moves the report, rebuild the bucket it left as well.
+ */
+async function refreshVacatedAggregates(client, previous, updated) {
+  const sameDay = new Date(previous.report_date).getTime() === new Date(updated.report_date).getTime();
+  if (previous.product_id === updated.product_id && sameDay) return false;
+
+  await client.query(`
+    DELETE FROM report_aggregates
+    WHERE product_id = $1 AND aggregation_type = 'daily' AND aggregation_key = $2::date::text
+  `, [previous.product_id, previous.report_date]);
+
+  const remaining = await client.query(
+    'SELECT id FROM reports WHERE product_id = $1 AND report_date = $2::date LIMIT 1',
+    [previous.product_id, previous.report_date]
+  );
+  if (remaining.rows.length) {
+    await client.query('SELECT update_report_aggregates($1)', [remaining.rows[0].id]);
+  }
+  return true;
+}
+
+module.exports = {
+  REPORT_CONTENTS,
+  applyReportContents,
+  loadReportContents,
+  summarizePallets,
+  deriveReportTotals,
+  refreshVacatedAggregates
+};
@@ -0,0 +1,195 @@
+/**
+ * Report Filters
+ * One filter model for GET /api/reports and the report exports, so an export always
+ * contains exactly the reports the list shows. Parses query parameters and builds
+ * a parameterised WHERE clause against the reports table.
+ */
+
+const { REPORT_STATUSES } = require('./report-lifecycle');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query parameter names; aliases are accepted for older clients (export used start_date/end_date)
+const REPORT_FILTER_FIELDS = {
+  search: [],
+  status: [],
+  shift: [],
+  production_line: [],
+  product_id: [],
+  dateFrom: ['date_from', 'start_date'],
+  dateTo: ['date_to', 'end_date'],
+  min_score: [],
+  max_score: [],
+  min_pass_rate: [],
+  max_pass_rate: []
+};
+
+// Columns GET /api/reports can be ordered by
+const REPORT_SORT_COLUMNS = [
+  'created_at', 'updated_at', 'report_date', 'batch_no', 'product_name', 'shift',
+  'production_line', 'status', 'score', 'pass_rate', 'submitted_at', 'approved_at'
+];
+const SORT_DIRECTIONS = ['ASC', 'DESC'];
+
+const RANGES = [
+  ['min_score', 'max_score', 'score'],
+  ['min_pass_rate', 'max_pass_rate', 'pass_rate']
+];
+
+class ReportFilterError extends Error {
+  constructor(errors) {
+    super('Invalid report filters');
+    this.name = 'ReportFilterError';
+    this.statusCode = 400;
+    this.details = { details: errors };
+  }
+}
+
+function readParam(query, name) {
+  for (const key of [name, ...REPORT_FILTER_FIELDS[name]]) {
+    const value = query[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return undefined;
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parse report filters from query parameters. Throws ReportFilterError listing every invalid field.
+ * `status` may be a comma-separated list.
+ */
+function parseReportFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  ['search', 'shift', 'production_line', 'product_id'].forEach(field => {
+    const value = readParam(query, field);
+    if (value !== undefined) filters[field] = value;
+  });
+
+  const status = readParam(query, 'status');
+  if (status !== undefined) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !REPORT_STATUSES.includes(s));
+    if (unknown.length) {
+      errors.push({ field: 'status', message: `Unknown status: ${unknown.join(', ')}. Use one of: ${REPORT_STATUSES.join(', ')}` });
+    } else {
+      filters.status = statuses;
+    }
+  }
+
+  ['dateFrom', 'dateTo'].forEach(field => {
+    const value = readParam(query, field);
+    if (value === undefined) return;
+    if (isValidDate(value)) {
+      filters[field] = value;
+    } else {
+      errors.push({ field, message: 'Must be a date in YYYY-MM-DD format' });
+    }
+  });
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    errors.push({ field: 'dateTo', message: 'Must not be before dateFrom' });
+  }
+
+  RANGES.forEach(([minField, maxField]) => {
+    [minField, maxField].forEach(field => {
+      const value = readParam(query, field);
+      if (value === undefined) return;
+      const number = Number(value);
+      if (Number.isFinite(number) && number >= 0 && number <= 100) {
+        filters[field] = number;
+      } else {
+        errors.push({ field, message: 'Must be a number between 0 and 100' });
+      }
+    });
+    if (filters[minField] !== undefined && filters[maxField] !== undefined && filters[minField] > filters[maxField]) {
+      errors.push({ field: maxField, message: `Must not be less than ${minField}` });
+    }
+  });
+
+  if (errors.length) throw new ReportFilterError(errors);
+  return filters;
+}
+
+/**
+ * Parse orderBy and orderDirection (case-insensitive) against REPORT_SORT_COLUMNS, since they
+ * go into the ORDER BY as identifiers. Defaults to created_at DESC.
+ */
+function parseReportSort(query = {}) {
+  const orderBy = query.orderBy === undefined || query.orderBy === '' ? 'created_at' : String(query.orderBy);
+  const direction = query.orderDirection === undefined || query.orderDirection === '' ? 'DESC' : String(query.orderDirection).toUpperCase();
+  const errors = [];
+
+  if (!REPORT_SORT_COLUMNS.includes(orderBy)) {
+    errors.push({ field: 'orderBy', message: `Must be one of: ${REPORT_SORT_COLUMNS.join(', ')}` });
+  }
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    errors.push({ field: 'orderDirection', message: `Must be one of: ${SORT_DIRECTIONS.join(', ')}` });
+  }
+
+  if (errors.length) throw new ReportFilterError(errors);
+  return { orderBy, orderDirection: direction };
+}
+
+/**
+ * Build a parameterised WHERE clause for parsed filters.
+ * Returns { clause: 'WHERE ...' | '', values }; placeholders start at `startIndex`.
+ */
+function buildReportWhere(filters = {}, { alias = 'r', startIndex = 1 } = {}) {
+  const conditions = [];
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${startIndex + values.length - 1}`;
+  };
+
+  if (filters.search) {
+    const p = param(`%${filters.search}%`);
+    conditions.push(`(${alias}.batch_no ILIKE ${p} OR ${alias}.product_name ILIKE ${p} OR ${alias}.notes ILIKE ${p})`);
+  }
+  if (filters.status) {
+    conditions.push(`${alias}.status = ANY(${param(filters.status)}::text[])`);
+  }
+  if (filters.shift) {
+    conditions.push(`${alias}.shift = ${param(filters.shift)}`);
+  }
+  if (filters.production_line) {
+    conditions.push(`${alias}.production_line = ${param(filters.production_line)}`);
+  }
+  if (filters.product_id) {
+    // Product UUID or product code
+    conditions.push(UUID_PATTERN.test(filters.product_id)
+      ? `${alias}.product_id = ${param(filters.product_id)}`
+      : `${alias}.product_id IN (SELECT id FROM products WHERE product_id = ${param(filters.product_id)})`);
+  }
+  if (filters.dateFrom) {
+    conditions.push(`${alias}.report_date >= ${param(filters.dateFrom)}`);
+  }
+  if (filters.dateTo) {
+    conditions.push(`${alias}.report_date <= ${param(filters.dateTo)}`);
+  }
+  RANGES.forEach(([minField, maxField, column]) => {
+    if (filters[minField] !== undefined) conditions.push(`${alias}.${column} >= ${param(filters[minField])}`);
+    if (filters[maxField] !== undefined) conditions.push(`${alias}.${column} <= ${param(filters[maxField])}`);
+  });
+
+  return { clause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+module.exports = {
+  REPORT_FILTER_FIELDS,
+  REPORT_SORT_COLUMNS,
+  isValidDate,
+  ReportFilterError,
+  parseReportFilters,
+  parseReportSort,
+  buildReportWhere
+};
@@ -0,0 +1,182 @@
+/**
+ * Report Lifecycle State Machine
+ * Validates and applies report status transitions
+ * (draft -> submitted -> approved/rejected -> reopened -> submitted ...)
+ * and records each one in report_status_history
+ */
+
+const db = require('../config/database');
+const { hasRole } = require('../middleware/auth');
+
+const REPORT_STATUSES = ['draft', 'submitted', 'approved', 'rejected', 'reopened'];
+
+// Statuses in which the report content can no longer be edited
+const LOCKED_STATUSES = new Set(['approved']);
+
+// Columns owned by the state machine; generic updates must not write them
+const LIFECYCLE_FIELDS = [
+  'status', 'submitted_by', 'submitted_at', 'approved_by', 'approved_at',
+  'rejected_by', 'rejected_at', 'rejection_reason'
+];
+
+const TRANSITIONS = {
+  submit: { from: ['draft', 'reopened'], to: 'submitted', role: 'inspector' },
+  approve: { from: ['submitted'], to: 'approved', role: 'supervisor' },
+  reject: { from: ['submitted'], to: 'rejected', role: 'supervisor', requiresReason: true },
+  // Reopening an approved report undoes a sign-off, so it needs a QA manager
+  reopen: { from: ['rejected', 'approved'], to: 'reopened', role: 'supervisor', requiresReason: true, roleFrom: { approved: 'qa_manager' } }
+};
+
+class ReportLifecycleError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'ReportLifecycleError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * List the actions a user may perform on a report in its current status
+ */
+function getAvailableActions(status, user) {
+  return Object.entries(TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(status || 'draft'))
+    .filter(([, transition]) => hasRole(user, transition.roleFrom?.[status] || transition.role))
+    .map(([action]) => action);
+}
+
+/**
+ * Throw if the report is in a status that forbids content edits
+ */
+function assertEditable(report) {
+  if (LOCKED_STATUSES.has(report.status)) {
+    throw new ReportLifecycleError(
+      `Report is ${report.status} and can no longer be edited; reopen it first`,
+      409,
+      { status: report.status }
+    );
+  }
+}
+
+/**
+ * Record the initial status of a newly created report (inside the creating transaction)
+ */
+async function recordCreation(client, reportId, status, user) {
+  await client.query(`
+    INSERT INTO report_status_history (report_id, action, from_status, to_status, changed_by, changed_by_role)
+    VALUES ($1, 'create', NULL, $2, $3, $4)
+  `, [reportId, status, user.username, user.role]);
+}
+
+/**
+ * Validate and apply a lifecycle action, returning the updated report
+ */
+async function applyTransition(reportId, action, { user, reason } = {}) {
+  const transition = TRANSITIONS[action];
+
+  if (!transition) {
+    throw new ReportLifecycleError(`Unknown report action: ${action}`, 400);
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (transition.requiresReason && !trimmedReason) {
+    throw new ReportLifecycleError(
+      action === 'reject' ? 'rejection_reason is required to reject a report' : `reason is required to ${action} a report`,
+      400
+    );
+  }
+
+  return db.transaction(async (client) => {
+    const current = await client.query('SELECT id, status FROM reports WHERE id = $1 FOR UPDATE', [reportId]);
+
+    if (!current.rows.length) {
+      throw new ReportLifecycleError('Report not found', 404);
+    }
+
+    const fromStatus = current.rows[0].status || 'draft';
+
+    if (!transition.from.includes(fromStatus)) {
+      throw new ReportLifecycleError(
+        `Cannot ${action} a report that is ${fromStatus}`,
+        409,
+        { status: fromStatus, allowedFrom: transition.from }
+      );
+    }
+
+    const requiredRole = transition.roleFrom?.[fromStatus] || transition.role;
+    if (!hasRole(user, requiredRole)) {
+      throw new ReportLifecycleError(
+        `This action requires the ${requiredRole} role or higher`,
+        403
+      );
+    }
+
+    const setClauses = ['status = $2'];
+    const values = [reportId, transition.to];
+    const stamp = (column, value) => {
+      values.push(value);
+      setClauses.push(`${column} = $${values.length}`);
+    };
+
+    switch (action) {
+      case 'submit':
+        stamp('submitted_by', user.username);
+        setClauses.push('submitted_at = CURRENT_TIMESTAMP', 'rejection_reason = NULL');
+        break;
+      case 'approve':
+        stamp('approved_by', user.username);
+        setClauses.push('approved_at = CURRENT_TIMESTAMP');
+        break;
+      case 'reject':
+        stamp('rejection_reason', trimmedReason);
+        stamp('rejected_by', user.username);
+        setClauses.push('rejected_at = CURRENT_TIMESTAMP');
+        break;
+      case 'reopen':
+        setClauses.push('approved_by = NULL', 'approved_at = NULL');
+        break;
+    }
+
+    stamp('updated_by', user.username);
+
+    const updated = await client.query(`
+      UPDATE reports
+      SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, values);
+
+    await client.query(`
+      INSERT INTO report_status_history (report_id, action, from_status, to_status, reason, changed_by, changed_by_role)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [reportId, action, fromStatus, transition.to, trimmedReason || null, user.username, user.role]);
+
+    return updated.rows[0];
+  });
+}
+
+/**
+ * Status transition history of a report, oldest first
+ */
+async function getTransitionHistory(reportId) {
+  const result = await db.query(`
+    SELECT id, action, from_status, to_status, reason, changed_by, changed_by_role, changed_at
+    FROM report_status_history
+    WHERE report_id = $1
+    ORDER BY changed_at ASC
+  `, [reportId]);
+  return result.rows;
+}
+
+module.exports = {
+  REPORT_STATUSES,
+  LIFECYCLE_FIELDS,
+  TRANSITIONS,
+  ReportLifecycleError,
+  getAvailableActions,
+  assertEditable,
+  recordCreation,
+  applyTransition,
+  getTransitionHistory
+};
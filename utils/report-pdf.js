@@ -0,0 +1,566 @@
+/**
+ * Report PDF
+ * Renders a stored QC report (sections, parameter grids, pallets, lot sampling and
+ * average quantity verdict, results, notes, signatures and status history) into a controlled-document PDF on the server, so
+ * archived reports print the same in every browser.
+ */
+
+const PDFDocument = require('pdfkit');
+const db = require('../config/database');
+const { drawText, measureText, registerFonts } = require('./pdf-text');
+const { getTransitionHistory } = require('./report-lifecycle');
+const { flattenObject } = require('./exporter');
+const SpecLimits = require('../js/spec-limits');
+
+const PAGE = { size: 'A4', margin: 36, header: 64, footer: 30 };
+const COLORS = { text: '#111827', muted: '#6b7280', border: '#d1d5db', fill: '#f3f4f6', accent: '#1f2937', outOfSpec: '#fee2e2' };
+const GRID_COLUMNS_PER_TABLE = 8;
+
+// Sections captured by a product revision, in the shape of the live sections query
+function revisionSections(configuration) {
+  return (configuration.sections || []).map(({ section }) => ({
+    section_id: section.section_id,
+    section_name: section.section_name,
+    order_index: section.order_index
+  }));
+}
+
+// Parameters captured by a product revision, in the shape of the live parameters query
+function revisionParameters(configuration) {
+  return (configuration.sections || []).flatMap(({ section, parameters }) => (parameters || []).map(parameter => ({
+    section_id: section.section_id,
+    parameter_id: parameter.parameter_id,
+    parameter_type: parameter.parameter_type,
+    validation_rule: parameter.validation_rule
+  })));
+}
+
+/**
+ * Load a report with everything the PDF shows; null if it does not exist
+ */
+async function loadReportDocument(reportId) {
+  // to_jsonb: the controlled-document columns (doc_code, issue_no, ...) come from an optional migration
+  const reportResult = await db.query(`
+    SELECT r.*, to_jsonb(p) AS product,
+           pr.revision_number AS product_revision_number, pr.configuration AS product_configuration
+    FROM reports r
+    LEFT JOIN products p ON p.id = r.product_id
+    LEFT JOIN product_revisions pr ON pr.id = r.product_revision_id
+    WHERE r.id = $1
+  `, [reportId]);
+  const row = reportResult.rows[0];
+  if (!row) return null;
+
+  // Document fields, sections and limits come from the product revision the report was inspected against
+  const { product: currentProduct, product_configuration: pinned, ...report } = row;
+  const product = pinned?.product || currentProduct;
+  Object.assign(report, {
+    product_code: product?.product_id,
+    product_label: product?.name,
+    doc_code: product?.doc_code,
+    issue_no: product?.issue_no,
+    issue_date: product?.issue_date,
+    review_no: product?.review_no,
+    review_date: product?.review_date
+  });
+
+  const [sections, productSections, productParameters, parameters, pallets, sampling, signatures, history] = await Promise.all([
+    db.query('SELECT * FROM report_sections WHERE report_id = $1 ORDER BY created_at, id', [reportId]),
+    pinned
+      ? { rows: revisionSections(pinned) }
+      : db.query('SELECT section_id, section_name, order_index FROM product_sections WHERE product_id = $1', [report.product_id]),
+    pinned
+      ? { rows: revisionParameters(pinned) }
+      : db.query(`
+        SELECT ps.section_id, pp.parameter_id, pp.parameter_type, pp.validation_rule
+        FROM product_parameters pp
+        JOIN product_sections ps ON ps.id = pp.section_id
+        WHERE ps.product_id = $1
+      `, [report.product_id]),
+    db.query(`
+      SELECT * FROM report_parameters
+      WHERE report_id = $1
+      ORDER BY section_id, row_index NULLS FIRST, column_index NULLS FIRST, created_at, id
+    `, [reportId]),
+    db.query('SELECT * FROM report_pallets WHERE report_id = $1 ORDER BY pallet_number', [reportId]),
+    db.query('SELECT * FROM report_sampling WHERE report_id = $1', [reportId]),
+    db.query(`
+      SELECT rs.signature_type, rs.signed_at, rs.signed_by, s.name, s.role, s.department, s.signature_data
+      FROM report_signatures rs
+      JOIN signatures s ON s.id = rs.signature_id
+      WHERE rs.report_id = $1
+      ORDER BY rs.signed_at
+    `, [reportId]),
+    getTransitionHistory(reportId)
+  ]);
+
+  return {
+    report,
+    sections: sections.rows,
+    productSections: productSections.rows,
+    productParameters: productParameters.rows,
+    parameters: parameters.rows,
+    pallets: pallets.rows,
+    sampling: sampling.rows[0] || null,
+    signatures: signatures.rows,
+    history
+  };
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  const plain = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (plain) return `${plain[3]}/${plain[2]}/${plain[1]}`;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+function formatDateTime(value) {
+  if (!value) return '-';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return `${formatDate(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// A table cell drawn on its own background, e.g. a value outside its spec
+const highlight = (value, fill) => ({ highlighted: true, value, fill });
+const cellValue = cell => (cell && cell.highlighted ? cell.value : cell);
+
+function display(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Layout state: cursor position and page breaks inside the header/footer frame
+ */
+class Layout {
+  constructor(doc) {
+    this.doc = doc;
+    this.left = PAGE.margin;
+    this.width = doc.page.width - PAGE.margin * 2;
+    this.top = PAGE.margin + PAGE.header;
+    this.bottom = doc.page.height - PAGE.margin - PAGE.footer;
+    this.y = this.top;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height <= this.bottom) return false;
+    this.doc.addPage();
+    this.y = this.top;
+    return true;
+  }
+
+  heading(title) {
+    this.ensureSpace(40);
+    this.y += 6;
+    const height = drawText(this.doc, title, this.left, this.y, { width: this.width, size: 11, bold: true, color: COLORS.accent, align: 'left' });
+    this.y += height;
+    this.doc.moveTo(this.left, this.y).lineTo(this.left + this.width, this.y)
+      .lineWidth(0.75).strokeColor(COLORS.accent).stroke();
+    this.y += 4;
+  }
+
+  paragraph(text, options = {}) {
+    const height = measureText(this.doc, text, { width: this.width, ...options });
+    this.ensureSpace(height);
+    drawText(this.doc, text, this.left, this.y, { width: this.width, ...options });
+    this.y += height + 4;
+  }
+
+  /**
+   * Draw a table; `columns` are { header, width (fraction), align }. The header repeats after page breaks.
+   */
+  table(columns, rows, { size = 8 } = {}) {
+    const widths = columns.map(column => column.width * this.width);
+    const padding = 3;
+
+    const rowHeight = (cells, bold) => Math.max(...cells.map((cell, i) =>
+      measureText(this.doc, display(cellValue(cell)), { width: widths[i] - padding * 2, size, bold }))) + padding * 2;
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      const height = rowHeight(cells, bold);
+      let x = this.left;
+      cells.forEach((cell, i) => {
+        const cellFill = cell && cell.highlighted ? cell.fill : fill;
+        if (cellFill) this.doc.rect(x, this.y, widths[i], height).fill(cellFill);
+        this.doc.rect(x, this.y, widths[i], height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+        drawText(this.doc, display(cellValue(cell)), x + padding, this.y + padding, {
+          width: widths[i] - padding * 2, size, bold, align: columns[i].align
+        });
+        x += widths[i];
+      });
+      this.y += height;
+    };
+
+    const headers = columns.map(column => column.header);
+    this.ensureSpace(rowHeight(headers, true) + (rows[0] ? rowHeight(rows[0]) : 0));
+    drawRow(headers, { bold: true, fill: COLORS.fill });
+    rows.forEach(row => {
+      if (this.ensureSpace(rowHeight(row))) drawRow(headers, { bold: true, fill: COLORS.fill });
+      drawRow(row);
+    });
+    this.y += 8;
+  }
+
+  keyValues(pairs) {
+    const rows = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const [a, b = ['', '']] = [pairs[i], pairs[i + 1]];
+      rows.push([a[0], a[1], b[0], b[1]]);
+    }
+    this.table([
+      { header: 'Field', width: 0.18 },
+      { header: 'Value', width: 0.32 },
+      { header: 'Field', width: 0.18 },
+      { header: 'Value', width: 0.32 }
+    ], rows);
+  }
+}
+
+/**
+ * Structured spec of each product parameter, keyed by section and parameter id
+ */
+function buildSpecIndex(productParameters) {
+  const specs = new Map();
+  productParameters.forEach(param => {
+    const spec = SpecLimits.normalizeRule(param.validation_rule, param.parameter_type);
+    if (SpecLimits.isSpec(spec)) specs.set(`${param.section_id}|${param.parameter_id}`, spec);
+  });
+  return specs;
+}
+
+// Second controls of a cell are saved as "<parameter_id>.2"
+const specFor = (specs, param) =>
+  specs.get(`${param.section_id}|${param.parameter_id}`) ||
+  specs.get(`${param.section_id}|${String(param.parameter_id).replace(/\.\d+$/, '')}`);
+
+/**
+ * Group report_parameters into grids: rows are parameters, columns are time slots
+ * (or column indexes when there are no time slots). Values outside their spec are flagged.
+ */
+function buildParameterGrid(parameters, specs = new Map()) {
+  const useSlots = parameters.some(p => p.time_slot);
+  const columnKey = p => (useSlots ? (p.time_slot || '-') : (p.column_index ?? 0));
+  const columnLabel = key => (useSlots ? key : `#${Number(key) + 1}`);
+
+  const columns = [];
+  const rows = new Map();
+  parameters.forEach(param => {
+    const key = columnKey(param);
+    if (!columns.includes(key)) columns.push(key);
+    const rowKey = `${param.parameter_id}|${param.row_index ?? ''}`;
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, { label: param.parameter_name || param.parameter_id, rowIndex: param.row_index, spec: specFor(specs, param), cells: {} });
+    }
+    const row = rows.get(rowKey);
+    const value = param.value ?? param.numeric_value;
+    row.cells[key] = SpecLimits.evaluate(row.spec, value) === false ? highlight(`${display(value)} *`, COLORS.outOfSpec) : value;
+  });
+
+  if (!useSlots) columns.sort((a, b) => Number(a) - Number(b));
+
+  // Label repeated parameters by their row
+  const counts = {};
+  rows.forEach(row => { counts[row.label] = (counts[row.label] || 0) + 1; });
+  const labeled = Array.from(rows.values()).map(row => ({
+    ...row,
+    label: counts[row.label] > 1 && row.rowIndex != null ? `${row.label} (${row.rowIndex + 1})` : row.label
+  }));
+
+  return { columns: columns.map(key => ({ key, label: columnLabel(key) })), rows: labeled };
+}
+
+function renderSections(layout, data) {
+  const specs = buildSpecIndex(data.productParameters || []);
+  const order = new Map(data.productSections.map(s => [s.section_id, s]));
+  const sectionIds = [...new Set([
+    ...data.sections.map(s => s.section_id),
+    ...data.parameters.map(p => p.section_id)
+  ])].sort((a, b) => (order.get(a)?.order_index ?? 999) - (order.get(b)?.order_index ?? 999));
+
+  sectionIds.forEach(sectionId => {
+    const section = data.sections.find(s => s.section_id === sectionId);
+    layout.heading(section?.section_name || order.get(sectionId)?.section_name || sectionId);
+
+    const sectionData = Object.entries(flattenObject(section?.section_data || {}));
+    if (sectionData.length) {
+      layout.table([
+        { header: 'Field', width: 0.4 },
+        { header: 'Value', width: 0.6 }
+      ], sectionData);
+    }
+
+    const grid = buildParameterGrid(data.parameters.filter(p => p.section_id === sectionId), specs);
+    const withSpec = grid.rows.some(row => row.spec);
+    const labelColumns = withSpec
+      ? [{ header: 'Parameter', width: 0.22 }, { header: 'Spec', width: 0.14 }]
+      : [{ header: 'Parameter', width: 0.28 }];
+    for (let start = 0; start < grid.columns.length; start += GRID_COLUMNS_PER_TABLE) {
+      const chunk = grid.columns.slice(start, start + GRID_COLUMNS_PER_TABLE);
+      const valueWidth = 0.72 / chunk.length;
+      layout.table(
+        [...labelColumns, ...chunk.map(column => ({ header: column.label, width: valueWidth, align: 'center' }))],
+        grid.rows.map(row => [
+          row.label,
+          ...(withSpec ? [SpecLimits.format(row.spec)] : []),
+          ...chunk.map(column => row.cells[column.key])
+        ])
+      );
+    }
+    if (grid.rows.some(row => Object.values(row.cells).some(cell => cell && cell.highlighted))) {
+      layout.paragraph('* Outside specification', { size: 7, color: COLORS.muted });
+    }
+
+    if (section?.notes) layout.paragraph(`Notes: ${section.notes}`);
+  });
+}
+
+function renderPallets(layout, pallets) {
+  if (!pallets.length) return;
+  layout.heading('Pallets');
+  layout.table([
+    { header: 'Pallet', width: 0.1, align: 'center' },
+    { header: 'Start', width: 0.12, align: 'center' },
+    { header: 'End', width: 0.12, align: 'center' },
+    { header: 'Cartons', width: 0.12, align: 'center' },
+    { header: 'Weight', width: 0.12, align: 'center' },
+    { header: 'Status', width: 0.14 },
+    { header: 'Notes', width: 0.28 }
+  ], pallets.map(p => [p.pallet_number, p.start_time, p.end_time, p.cartons_count, p.weight, p.status, p.notes]));
+}
+
+const yesNo = (value, yes, no) => (value === null || value === undefined ? null : value ? yes : no);
+const verdictCell = (value, yes, no) => (value === false ? { highlighted: true, value: no, fill: COLORS.outOfSpec } : yesNo(value, yes, no));
+const grams = value => (value === null || value === undefined ? null : `${Number(value).toFixed(2)} g`);
+
+// ISO 2859-1 plan and decision of the report's lot, and its average quantity (℮) verdict.
+// The PDF fonts have no ℮, ≥ or ≤ glyphs, so labels spell them out
+function renderLot(layout, lot) {
+  if (!lot) return;
+  layout.heading('Lot Sampling & Average Quantity');
+  layout.keyValues([
+    ['Lot size', lot.pallet_count ? `${lot.lot_size} (${lot.pallet_count} pallets)` : lot.lot_size],
+    ['Plan', `${lot.code_letter} (${lot.inspection_level}), ${lot.severity}, AQL ${lot.aql_level}%`],
+    ['Sample size', `${lot.sample_size} (${lot.inspected} weighed)`],
+    ['Ac / Re', `${lot.acceptance_number} / ${lot.rejection_number}`],
+    ['Below Tare 1', lot.nonconforming],
+    ['Below Tare 2', lot.critical],
+    ['Lot decision', verdictCell(lot.accepted, 'Accepted', 'Rejected')],
+    ['Regulation', lot.quantity_regulation],
+    ['Nominal quantity', grams(lot.nominal_quantity)],
+    ['Mean / std dev', lot.mean_weight === null ? null : `${grams(lot.mean_weight)} / ${grams(lot.std_dev)}`],
+    ['Mean criterion', lot.mean_limit === null ? null : verdictCell(lot.mean_ok, `Met (at least ${grams(lot.mean_limit)})`, `Not met (< ${grams(lot.mean_limit)})`)],
+    ['Individual criteria', verdictCell(lot.individual_ok, `Met (at most ${lot.allowed_below_t1} below T1)`, `Not met (${lot.allowed_below_t1} allowed below T1, none below T2)`)],
+    ['Average quantity (e)', verdictCell(lot.quantity_compliant, 'Compliant', 'Not compliant')]
+  ]);
+}
+
+function renderResults(layout, report) {
+  layout.heading('Results & Defects');
+  layout.keyValues([
+    ['Score', report.score],
+    ['Pass rate (%)', report.pass_rate],
+    ['Defects', report.defects_count],
+    ['Total inspected', report.total_inspected]
+  ]);
+
+  const defects = report.form_data?.defects;
+  if (defects && typeof defects === 'object') {
+    layout.table([
+      { header: 'Defect', width: 0.5 },
+      { header: 'Value', width: 0.5 }
+    ], Object.entries(flattenObject(defects)));
+  }
+}
+
+function renderNotes(layout, report) {
+  const tableNotes = (Array.isArray(report.form_data?.tableNotes) ? report.form_data.tableNotes : [])
+    .filter(note => note && String(note.value || '').trim());
+  if (!report.notes && !report.rejection_reason && !tableNotes.length) return;
+
+  layout.heading('Notes');
+  if (report.notes) layout.paragraph(report.notes);
+  if (report.rejection_reason) layout.paragraph(`Rejection reason: ${report.rejection_reason}`, { bold: true });
+  if (tableNotes.length) {
+    layout.table([
+      { header: 'Table', width: 0.3 },
+      { header: 'Note', width: 0.7 }
+    ], tableNotes.map(note => [note.key, note.value]));
+  }
+}
+
+function signatureImage(data) {
+  const match = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(data || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+function renderSignatures(layout, signatures) {
+  if (!signatures.length) return;
+  layout.heading('Signatures');
+
+  const boxWidth = (layout.width - 16) / 3;
+  const boxHeight = 92;
+  signatures.forEach((signature, index) => {
+    const column = index % 3;
+    if (column === 0) {
+      if (index > 0) layout.y += boxHeight + 8;
+      layout.ensureSpace(boxHeight);
+    }
+    const x = layout.left + column * (boxWidth + 8);
+    const { doc } = layout;
+    doc.rect(x, layout.y, boxWidth, boxHeight).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    drawText(doc, signature.signature_type, x + 4, layout.y + 4, { width: boxWidth - 8, size: 8, bold: true, align: 'left' });
+
+    const image = signatureImage(signature.signature_data);
+    if (image) {
+      try {
+        doc.image(image, x + 4, layout.y + 16, { fit: [boxWidth - 8, 36], align: 'center' });
+      } catch (_) {
+        // Unreadable image data; the name below still identifies the signer
+      }
+    }
+    drawText(doc, `${signature.name} (${signature.role})`, x + 4, layout.y + 56, { width: boxWidth - 8, size: 8, align: 'left' });
+    drawText(doc, `${signature.signed_by} - ${formatDateTime(signature.signed_at)}`, x + 4, layout.y + 70,
+      { width: boxWidth - 8, size: 7, color: COLORS.muted, align: 'left' });
+  });
+  layout.y += boxHeight + 12;
+}
+
+function renderHistory(layout, history) {
+  if (!history.length) return;
+  layout.heading('Status History');
+  layout.table([
+    { header: 'Date', width: 0.18 },
+    { header: 'Action', width: 0.12 },
+    { header: 'Status', width: 0.2 },
+    { header: 'By', width: 0.2 },
+    { header: 'Reason', width: 0.3 }
+  ], history.map(entry => [
+    formatDateTime(entry.changed_at),
+    entry.action,
+    `${entry.from_status || '-'} -> ${entry.to_status}`,
+    entry.changed_by_role ? `${entry.changed_by} (${entry.changed_by_role})` : entry.changed_by,
+    entry.reason
+  ]));
+}
+
+/**
+ * Draw the controlled-document header, footer and (unless approved) status watermark on every page
+ */
+function renderPageFrames(doc, report, generatedBy) {
+  const range = doc.bufferedPageRange();
+  const left = PAGE.margin;
+  const width = doc.page.width - PAGE.margin * 2;
+  const formInfo = `Form No: ${display(report.doc_code)} | Issue: ${display(report.issue_no)} (${formatDate(report.issue_date)})` +
+    ` | Review: ${display(report.review_no)} (${formatDate(report.review_date)})`;
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Frames sit in the margins; keep PDFKit from starting new pages while drawing there
+    const margins = doc.page.margins;
+    doc.page.margins = { top: 0, bottom: 0, left: 0, right: 0 };
+
+    if (report.status !== 'approved') {
+      doc.save();
+      doc.fillOpacity(0.12);
+      doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      drawText(doc, String(report.status || 'draft').toUpperCase(), 0, doc.page.height / 2 - 40,
+        { width: doc.page.width, size: 72, bold: true, color: COLORS.muted, align: 'center' });
+      doc.restore();
+    }
+
+    const top = PAGE.margin;
+    drawText(doc, 'QUALITY CONTROL REPORT', left, top, { width, size: 14, bold: true, align: 'center' });
+    drawText(doc, `${display(report.product_name || report.product_label)} - Batch ${display(report.batch_no)}`,
+      left, top + 20, { width, size: 10, align: 'center' });
+    drawText(doc, formInfo, left, top + 38, { width, size: 8, color: COLORS.muted, align: 'center' });
+    doc.moveTo(left, top + PAGE.header - 8).lineTo(left + width, top + PAGE.header - 8)
+      .lineWidth(1).strokeColor(COLORS.accent).stroke();
+
+    const footerY = doc.page.height - PAGE.margin - PAGE.footer + 12;
+    doc.moveTo(left, footerY - 4).lineTo(left + width, footerY - 4).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    drawText(doc, `Report ${report.id} | Status: ${display(report.status)} | Generated ${formatDateTime(new Date())} by ${generatedBy}`,
+      left, footerY, { width: width - 80, size: 7, color: COLORS.muted, align: 'left' });
+    drawText(doc, `Page ${i - range.start + 1} of ${range.count}`, left + width - 80, footerY,
+      { width: 80, size: 7, color: COLORS.muted, align: 'right' });
+
+    doc.page.margins = margins;
+  }
+}
+
+/**
+ * Render a loaded report (see loadReportDocument) to a PDF buffer
+ */
+function renderReportPdf(data, { generatedBy = 'system' } = {}) {
+  const { report } = data;
+  const doc = new PDFDocument({
+    size: PAGE.size,
+    margin: PAGE.margin,
+    bufferPages: true,
+    info: {
+      Title: `QC Report ${report.batch_no || ''} ${formatDate(report.report_date)}`.trim(),
+      Author: generatedBy,
+      Subject: report.product_name || '',
+      Creator: 'Biscuit QC System'
+    }
+  });
+  registerFonts(doc);
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const layout = new Layout(doc);
+  layout.heading('Report Information');
+  layout.keyValues([
+    ['Product', report.product_name || report.product_label],
+    ['Product code', report.product_code],
+    ['Product revision', report.product_revision_number],
+    ['Batch no', report.batch_no],
+    ['Report date', formatDate(report.report_date)],
+    ['Shift', report.shift],
+    ['Shift duration', report.shift_duration],
+    ['Production line', report.production_line],
+    ['Operator', report.operator_name],
+    ['Supervisor', report.supervisor_name],
+    ['QC inspector', report.qc_inspector],
+    ['Submitted', report.submitted_by ? `${report.submitted_by} - ${formatDateTime(report.submitted_at)}` : null],
+    ['Approved', report.approved_by ? `${report.approved_by} - ${formatDateTime(report.approved_at)}` : null]
+  ]);
+
+  renderSections(layout, data);
+  renderPallets(layout, data.pallets);
+  renderLot(layout, data.sampling);
+  renderResults(layout, report);
+  renderNotes(layout, report);
+  renderSignatures(layout, data.signatures);
+  renderHistory(layout, data.history);
+
+  renderPageFrames(doc, report, generatedBy);
+  doc.end();
+  return done;
+}
+
+/**
+ * File name for a report PDF, e.g. QC_B123_2025-01-31.pdf
+ */
+function reportPdfFileName(report) {
+  const date = report.report_date instanceof Date
+    ? report.report_date.toISOString().slice(0, 10)
+    : String(report.report_date || '').slice(0, 10);
+  const safe = value => String(value || '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `QC_${[safe(report.batch_no), safe(date)].filter(Boolean).join('_') || report.id}.pdf`;
+}
+
+module.exports = {
+  loadReportDocument,
+  renderReportPdf,
+  reportPdfFileName
+};
@@ -0,0 +1,198 @@
+/**
+ * Revision History
+ * Reads the audit_log rows written by audit_trigger_function() as a numbered revision
+ * timeline for one record, with field-level diffs that descend into JSON columns
+ * (form_data, time_slots, ...). Revision 1 is the oldest audit entry of the record.
+ */
+
+const db = require('../config/database');
+
+// Tables with audit triggers whose history is exposed
+const HISTORY_TABLES = ['reports', 'products'];
+
+// Bumped on every write; noise in a diff
+const IGNORED_FIELDS = ['updated_at'];
+
+const MAX_CHANGES_PER_REVISION = 500;
+
+class RevisionHistoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RevisionHistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+  return `${path}[${JSON.stringify(key)}]`;
+}
+
+// Arrays whose elements all carry a distinct id are compared by id, so a reorder or
+// an insertion in the middle does not show up as a change to every following element
+function keyedById(list) {
+  if (!list.length || !list.every(item => isObject(item) && item.id !== undefined && item.id !== null)) return null;
+  const map = new Map(list.map(item => [String(item.id), item]));
+  return map.size === list.length ? map : null;
+}
+
+/**
+ * Deep diff of two JSON values: [{ path, type: 'added' | 'removed' | 'changed', old, new }]
+ */
+function diffValues(before, after, path = '', changes = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return changes;
+
+  if (before === undefined) {
+    changes.push({ path, type: 'added', old: null, new: after });
+  } else if (after === undefined) {
+    changes.push({ path, type: 'removed', old: before, new: null });
+  } else if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => diffValues(before[key], after[key], childPath(path, key), changes));
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    const beforeById = keyedById(before);
+    const afterById = keyedById(after);
+    if (beforeById && afterById) {
+      const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+      ids.forEach(id => diffValues(beforeById.get(id), afterById.get(id), `${path}[id=${id}]`, changes));
+    } else {
+      for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        diffValues(before[i], after[i], childPath(path, i), changes);
+      }
+    }
+  } else {
+    changes.push({ path, type: 'changed', old: before, new: after });
+  }
+  return changes;
+}
+
+/**
+ * Field-level diff of two row snapshots, ignoring bookkeeping fields
+ */
+function diffRecords(before, after) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    diffValues(before ? before[key] : undefined, after ? after[key] : undefined, key, changes);
+  });
+  return changes;
+}
+
+function limitChanges(changes) {
+  return changes.length > MAX_CHANGES_PER_REVISION
+    ? { changes: changes.slice(0, MAX_CHANGES_PER_REVISION), changes_truncated: true, change_count: changes.length }
+    : { changes, changes_truncated: false, change_count: changes.length };
+}
+
+function assertTable(table) {
+  if (!HISTORY_TABLES.includes(table)) {
+    throw new RevisionHistoryError(`History is not available for ${table}`);
+  }
+}
+
+const REVISION_SELECT = `
+  SELECT a.*, u.display_name AS user_display_name
+  FROM (
+    SELECT al.*, ROW_NUMBER() OVER (ORDER BY al.timestamp, al.id) AS revision
+    FROM audit_log al
+    WHERE al.table_name = $1 AND al.record_id = $2
+  ) a
+  LEFT JOIN users u ON u.username = a.user_id
+`;
+
+// Snapshot of the record after the revision (before it, for a delete)
+function snapshotOf(row) {
+  return row.operation === 'DELETE' ? row.old_values : row.new_values;
+}
+
+function toRevision(row) {
+  const changes = row.operation === 'UPDATE' ? diffRecords(row.old_values, row.new_values) : [];
+  return {
+    revision: Number(row.revision),
+    audit_id: row.id,
+    operation: row.operation,
+    timestamp: row.timestamp,
+    user_id: row.user_id,
+    user_display_name: row.user_display_name || null,
+    changed_fields: (row.changed_fields || []).filter(field => !IGNORED_FIELDS.includes(field)),
+    ...limitChanges(changes)
+  };
+}
+
+/**
+ * Revision timeline of a record, newest first. Returns { revisions, total }.
+ */
+async function getHistory(table, recordId, { limit = 50, offset = 0 } = {}) {
+  assertTable(table);
+  const result = await db.query(`
+    ${REVISION_SELECT}
+    ORDER BY a.revision DESC
+    LIMIT $3 OFFSET $4
+  `, [table, recordId, limit, offset]);
+
+  const count = await db.query(
+    'SELECT COUNT(*) AS total FROM audit_log WHERE table_name = $1 AND record_id = $2',
+    [table, recordId]
+  );
+
+  return { revisions: result.rows.map(toRevision), total: parseInt(count.rows[0].total, 10) };
+}
+
+async function findRevision(table, recordId, revision) {
+  const number = parseInt(revision, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new RevisionHistoryError('Revision must be a positive integer');
+  }
+  const result = await db.query(`${REVISION_SELECT} WHERE a.revision = $3`, [table, recordId, number]);
+  if (!result.rows.length) {
+    throw new RevisionHistoryError(`Revision ${number} not found`, 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * One revision with the full record as it was after it
+ */
+async function getRevision(table, recordId, revision) {
+  assertTable(table);
+  const row = await findRevision(table, recordId, revision);
+  return { ...toRevision(row), snapshot: snapshotOf(row) };
+}
+
+/**
+ * Snapshots of two revisions and the diff from the first to the second
+ */
+async function compareRevisions(table, recordId, from, to) {
+  assertTable(table);
+  const [fromRow, toRow] = await Promise.all([
+    findRevision(table, recordId, from),
+    findRevision(table, recordId, to)
+  ]);
+  const fromSnapshot = snapshotOf(fromRow);
+  const toSnapshot = snapshotOf(toRow);
+
+  const describe = (row, snapshot) => {
+    const { changes, changes_truncated, change_count, ...revision } = toRevision(row);
+    return { ...revision, snapshot };
+  };
+
+  return {
+    from: describe(fromRow, fromSnapshot),
+    to: describe(toRow, toSnapshot),
+    ...limitChanges(diffRecords(fromSnapshot, toSnapshot))
+  };
+}
+
+module.exports = {
+  HISTORY_TABLES,
+  RevisionHistoryError,
+  diffValues,
+  diffRecords,
+  getHistory,
+  getRevision,
+  compareRevisions
+};
@@ -0,0 +1,287 @@
+/**
+ * Lot Sampling
+ * Records the ISO 2859-1 lot of each report in report_sampling and derives the switching state
+ * (normal/tightened/reduced) of a product and production line from its lots in report order.
+ * Plans and switching rules are in js/sampling-plans.js; the average quantity (℮) verdict of the
+ * lot is in js/quantity-control.js.
+ */
+
+const db = require('../config/database');
+const SamplingPlans = require('../js/sampling-plans');
+const QuantityControl = require('../js/quantity-control');
+
+// Lots of one product and line are inspected in this order
+const LOT_ORDER = 'r.report_date ASC, r.shift ASC, r.created_at ASC, r.id ASC';
+const DEFAULT_HISTORY_LIMIT = 20;
+
+class SamplingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SamplingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const lineKey = (line) => String(line || '').trim();
+
+// Product columns the plan depends on: from the pinned revision, else the live product
+async function samplingProduct(client, report) {
+  if (report.product_revision_id) {
+    const revision = await client.query(
+      'SELECT configuration FROM product_revisions WHERE id = $1',
+      [report.product_revision_id]
+    );
+    const product = revision.rows[0] && revision.rows[0].configuration.product;
+    if (product) return product;
+  }
+  const result = await client.query('SELECT * FROM products WHERE id = $1', [report.product_id]);
+  return result.rows[0] || {};
+}
+
+// Regulation selected in the quantity_regulations setting
+async function quantityRegulation(client) {
+  const result = await client.query('SELECT value FROM settings WHERE key = $1', [QuantityControl.SETTING_KEY]);
+  return QuantityControl.activeRegulation(result.rows[0] && result.rows[0].value);
+}
+
+// Mean and individual criteria for the pooled packs of the lot; packs below T2 are also below T1
+function quantityVerdict(input, nonconforming, critical, nominal, regulation) {
+  const count = parseInt(input.inspected, 10) || 0;
+  const mean = parseFloat(input.mean_weight);
+  return QuantityControl.evaluateLot({
+    count,
+    mean: Number.isFinite(mean) ? mean : null,
+    stdDev: parseFloat(input.std_dev) || 0,
+    belowT1: nonconforming + critical,
+    belowT2: critical
+  }, nominal, regulation);
+}
+
+async function loadLots(client, productId, line, { before } = {}) {
+  const values = [productId, lineKey(line)];
+  let condition = '';
+  if (before) {
+    values.push(before);
+    condition = `AND s.report_id <> $3
+      AND (r.report_date, r.shift, r.created_at, r.id) < (SELECT report_date, shift, created_at, id FROM reports WHERE id = $3)`;
+  }
+  const result = await client.query(`
+    SELECT s.*, r.batch_no, r.report_date, r.shift
+    FROM report_sampling s
+    JOIN reports r ON r.id = s.report_id
+    WHERE s.product_id = $1 AND s.production_line = $2 ${condition}
+    ORDER BY ${LOT_ORDER}
+  `, values);
+  return result.rows;
+}
+
+function replayLots(lots) {
+  return SamplingPlans.replay(lots.map(lot => ({
+    accepted: lot.accepted,
+    ac: lot.acceptance_number,
+    acceptedTighter: lot.accepted_tighter
+  })));
+}
+
+// Severity of the next lot; inspection resumes on tightened after a discontinuation
+const nextSeverity = (state) => (state.discontinued ? 'tightened' : state.severity);
+
+/**
+ * Re-apply the switching rules to every lot of a product and line in report order, updating the
+ * severity, plan and decision of the lots whose earlier history changed (a report inserted,
+ * edited, moved or removed before them). Counts, lot size, level and AQL stay as recorded.
+ */
+async function replanLots(client, productId, line) {
+  const lots = await loadLots(client, productId, line);
+  const replanned = [];
+  for (const lot of lots) {
+    const plan = SamplingPlans.plan({
+      lotSize: lot.lot_size,
+      inspectionLevel: lot.inspection_level,
+      aql: lot.aql_level,
+      severity: nextSeverity(replayLots(replanned).state)
+    });
+    const accepted = lot.critical === 0 && SamplingPlans.isAccepted(plan, lot.nonconforming);
+    const acceptedTighter = accepted && SamplingPlans.acceptedAtTighterAql(plan, lot.nonconforming);
+
+    const unchanged = lot.severity === plan.severity && lot.code_letter === plan.codeLetter &&
+      lot.sample_size === plan.sampleSize && lot.acceptance_number === plan.ac &&
+      lot.rejection_number === plan.re && lot.accepted === accepted && lot.accepted_tighter === acceptedTighter;
+    if (unchanged) {
+      replanned.push(lot);
+      continue;
+    }
+
+    await client.query(`
+      UPDATE report_sampling SET
+        severity = $2, code_letter = $3, sample_size = $4, acceptance_number = $5,
+        rejection_number = $6, accepted = $7, accepted_tighter = $8, updated_at = CURRENT_TIMESTAMP
+      WHERE report_id = $1
+    `, [lot.report_id, plan.severity, plan.codeLetter, plan.sampleSize, plan.ac, plan.re, accepted, acceptedTighter]);
+    replanned.push({
+      ...lot,
+      severity: plan.severity,
+      code_letter: plan.codeLetter,
+      sample_size: plan.sampleSize,
+      acceptance_number: plan.ac,
+      rejection_number: plan.re,
+      accepted,
+      accepted_tighter: acceptedTighter
+    });
+  }
+}
+
+/**
+ * Record or replace the lot of a report inside the caller's transaction. `input` holds the
+ * counts from the weight checks ({ pallet_count or lot_size, inspected, nonconforming, critical,
+ * mean_weight, std_dev }); the plan comes from the lot size, the product's inspection level and
+ * AQL, and the severity the switching rules give after the lots inspected before this report.
+ * The average quantity verdict applies the configured regulation to the product's standard weight. `null` removes the lot;
+ * `undefined` keeps it, moving it along when the report changes product or line. The lots
+ * inspected after it, on the old and the new product and line, are replanned (replanLots).
+ */
+async function recordLot(client, report, input) {
+  const existing = (await client.query('SELECT * FROM report_sampling WHERE report_id = $1', [report.id])).rows[0];
+  const movedFrom = existing && (existing.product_id !== report.product_id || existing.production_line !== lineKey(report.production_line))
+    ? existing
+    : null;
+
+  if (input === null) {
+    await client.query('DELETE FROM report_sampling WHERE report_id = $1', [report.id]);
+    if (existing) await replanLots(client, existing.product_id, existing.production_line);
+    return null;
+  }
+  if (input === undefined) {
+    if (!existing) return null;
+    if (!movedFrom) {
+      // The report date or shift may have changed its place among the lots
+      await replanLots(client, existing.product_id, existing.production_line);
+      return (await client.query('SELECT * FROM report_sampling WHERE report_id = $1', [report.id])).rows[0];
+    }
+    input = existing;
+  }
+
+  const product = await samplingProduct(client, report);
+  const lotSize = SamplingPlans.lotSize(product, input.pallet_count) || parseInt(input.lot_size, 10) || null;
+  if (!lotSize) {
+    throw new SamplingError('sampling needs a pallet_count (with the product packaging) or a lot_size');
+  }
+
+  const { state } = replayLots(await loadLots(client, report.product_id, report.production_line, { before: report.id }));
+  const plan = SamplingPlans.plan({
+    lotSize,
+    inspectionLevel: product.inspection_level,
+    aql: product.aql_level,
+    severity: nextSeverity(state)
+  });
+  const nonconforming = parseInt(input.nonconforming, 10) || 0;
+  const critical = parseInt(input.critical, 10) || 0;
+  const accepted = critical === 0 && SamplingPlans.isAccepted(plan, nonconforming);
+  const verdict = quantityVerdict(input, nonconforming, critical, product.standard_weight, await quantityRegulation(client));
+
+  const result = await client.query(`
+    INSERT INTO report_sampling (
+      report_id, product_id, production_line, lot_size, pallet_count, inspection_level, aql_level,
+      severity, code_letter, sample_size, acceptance_number, rejection_number,
+      inspected, nonconforming, critical, accepted, accepted_tighter,
+      quantity_regulation, nominal_quantity, mean_weight, std_dev, mean_limit, allowed_below_t1,
+      mean_ok, individual_ok, quantity_compliant
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+      $18, $19, $20, $21, $22, $23, $24, $25, $26
+    )
+    ON CONFLICT (report_id) DO UPDATE SET
+      product_id = EXCLUDED.product_id,
+      production_line = EXCLUDED.production_line,
+      lot_size = EXCLUDED.lot_size,
+      pallet_count = EXCLUDED.pallet_count,
+      inspection_level = EXCLUDED.inspection_level,
+      aql_level = EXCLUDED.aql_level,
+      severity = EXCLUDED.severity,
+      code_letter = EXCLUDED.code_letter,
+      sample_size = EXCLUDED.sample_size,
+      acceptance_number = EXCLUDED.acceptance_number,
+      rejection_number = EXCLUDED.rejection_number,
+      inspected = EXCLUDED.inspected,
+      nonconforming = EXCLUDED.nonconforming,
+      critical = EXCLUDED.critical,
+      accepted = EXCLUDED.accepted,
+      accepted_tighter = EXCLUDED.accepted_tighter,
+      quantity_regulation = EXCLUDED.quantity_regulation,
+      nominal_quantity = EXCLUDED.nominal_quantity,
+      mean_weight = EXCLUDED.mean_weight,
+      std_dev = EXCLUDED.std_dev,
+      mean_limit = EXCLUDED.mean_limit,
+      allowed_below_t1 = EXCLUDED.allowed_below_t1,
+      mean_ok = EXCLUDED.mean_ok,
+      individual_ok = EXCLUDED.individual_ok,
+      quantity_compliant = EXCLUDED.quantity_compliant,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    report.id, report.product_id, lineKey(report.production_line), lotSize,
+    parseInt(input.pallet_count, 10) || null, plan.inspectionLevel, plan.aql,
+    plan.severity, plan.codeLetter, plan.sampleSize, plan.ac, plan.re,
+    parseInt(input.inspected, 10) || 0, nonconforming, critical, accepted,
+    accepted && SamplingPlans.acceptedAtTighterAql(plan, nonconforming),
+    verdict.regulation, verdict.nominal || null, verdict.mean, verdict.mean === null ? null : verdict.std_dev,
+    verdict.mean === null ? null : verdict.mean_limit, verdict.allowed_below_t1,
+    verdict.mean_ok, verdict.t1_ok === null ? null : verdict.t1_ok && verdict.t2_ok, verdict.compliant
+  ]);
+
+  if (movedFrom) await replanLots(client, movedFrom.product_id, movedFrom.production_line);
+  await replanLots(client, report.product_id, report.production_line);
+  return result.rows[0];
+}
+
+/**
+ * Switching state of a product on a production line: the severity and plan for the next lot
+ * and the latest lots, newest first, with the switch each one caused
+ */
+async function getSwitchingState(productId, line, { lotSize, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const [productResult, lots] = await Promise.all([
+    db.query('SELECT * FROM products WHERE id = $1', [productId]),
+    loadLots(db, productId, line)
+  ]);
+  if (!productResult.rows.length) {
+    throw new SamplingError('Product not found', 404);
+  }
+  const product = productResult.rows[0];
+  const { state, steps } = replayLots(lots);
+  const severity = nextSeverity(state);
+
+  return {
+    product_id: productId,
+    production_line: lineKey(line),
+    inspection_level: SamplingPlans.normalizeLevel(product.inspection_level) || 'II',
+    aql_level: SamplingPlans.normalizeAql(product.aql_level),
+    severity,
+    discontinued: state.discontinued,
+    switching_score: state.switchingScore,
+    consecutive_accepted: state.consecutiveAccepted,
+    not_accepted_on_tightened: state.notAcceptedOnTightened,
+    lots_count: lots.length,
+    plan: lotSize
+      ? SamplingPlans.plan({ lotSize, inspectionLevel: product.inspection_level, aql: product.aql_level, severity })
+      : null,
+    lots: lots
+      .map((lot, index) => ({ ...lot, transition: steps[index].transition }))
+      .slice(-limit)
+      .reverse()
+  };
+}
+
+/**
+ * Lot recorded for a report, or null
+ */
+async function getReportLot(reportId) {
+  const result = await db.query('SELECT * FROM report_sampling WHERE report_id = $1', [reportId]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  SamplingError,
+  recordLot,
+  getSwitchingState,
+  getReportLot
+};
@@ -0,0 +1,107 @@
+/**
+ * SPC Rule Alerts
+ * Control limits and rule violations of the data in an SPC table (js/spc.js), with one
+ * quality_alert notification (via create_notification) per violation. Violations raised are
+ * logged in spc_alert_events by chart context, chart, rule and point, so the form can send its
+ * data after every edit and only new violations notify.
+ */
+
+const db = require('../config/database');
+const { logger } = require('./logger');
+const { liveEvents } = require('./live-events');
+const SPC = require('../js/spc');
+
+const TARGETS = ['inspector'];
+const NOTIFICATION_EXPIRES_HOURS = 72;
+
+const format = (value) => (value === null || value === undefined ? '-' : Number(value.toFixed(4)));
+
+/**
+ * Raise the notification for one violation and push it to live clients;
+ * returns its id, or null if it was already raised
+ */
+async function raiseViolation(input, chart, violation) {
+  const notificationId = await db.transaction(async (client) => {
+    const event = await client.query(`
+      INSERT INTO spc_alert_events (context_key, chart, rule, point_index, report_id, product_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, [input.context, violation.chart, violation.rule, violation.index, input.report_id || null, input.product_id || null]);
+
+    if (!event.rows.length) return null;
+
+    const point = chart.points.find(p => p.index === violation.index);
+    const subject = [input.subject, input.title].filter(Boolean).join(' - ') || 'SPC chart';
+    const title = `SPC rule violated: ${input.parameter || input.title || violation.chart}`;
+    const message = `${subject}: ${violation.description} on the ${violation.chart} chart at subgroup ${violation.index + 1}` +
+      ` (value ${format(point && point.value)}, CL ${format(chart.cl)}, LCL ${format(chart.lcl)}, UCL ${format(chart.ucl)}).`;
+    const severity = violation.rule === 'beyond_3_sigma' ? 'error' : 'warning';
+
+    const created = await client.query(
+      'SELECT create_notification($1, $2, $3, $4, $5, $6, $7, $8) as notification_id',
+      [
+        'quality_alert', title, message, severity, JSON.stringify(TARGETS),
+        input.report_id ? 'reports' : input.product_id ? 'products' : null,
+        input.report_id || input.product_id || null,
+        NOTIFICATION_EXPIRES_HOURS
+      ]
+    );
+    const notificationId = created.rows[0].notification_id;
+
+    await client.query(
+      'UPDATE notifications SET metadata = $2 WHERE id = $1',
+      [notificationId, JSON.stringify({
+        source: 'spc',
+        context: input.context,
+        chart_type: input.chart_type,
+        chart: violation.chart,
+        rule: violation.rule,
+        point_index: violation.index,
+        points: violation.points,
+        report_id: input.report_id || null,
+        product_id: input.product_id || null
+      })]
+    );
+    await client.query(
+      'UPDATE spc_alert_events SET notification_id = $2 WHERE id = $1',
+      [event.rows[0].id, notificationId]
+    );
+
+    return notificationId;
+  });
+
+  if (!notificationId) return null;
+
+  logger.info('SPC rule violation raised', {
+    context: input.context,
+    chart: violation.chart,
+    rule: violation.rule,
+    pointIndex: violation.index
+  });
+
+  const notification = await db.findById('notifications', notificationId);
+  liveEvents.publish('notification', notification, { targets: TARGETS });
+  return notificationId;
+}
+
+/**
+ * Analysis of the chart data (SPC.analyze) with the id of the notification raised for each new
+ * violation (null for violations raised before)
+ */
+async function evaluateChart(input) {
+  const fixed = input.limits || undefined;
+  const analysis = SPC.analyze(input.chart_type, input.subgroups, { subgroupSize: input.subgroup_size, fixed });
+  const charts = { [analysis.location.name]: analysis.location, [analysis.dispersion.name]: analysis.dispersion };
+
+  const violations = [];
+  for (const violation of analysis.violations) {
+    const notificationId = await raiseViolation(input, charts[violation.chart], violation);
+    violations.push({ ...violation, notification_id: notificationId });
+  }
+  return { ...analysis, violations };
+}
+
+module.exports = {
+  evaluateChart
+};